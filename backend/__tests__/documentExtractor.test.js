@@ -0,0 +1,38 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PDFDocument, StandardFonts } = require("pdf-lib");
+const { extractDocumentText } = require("../utils/documentExtractor");
+
+describe("extractDocumentText", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "extractor-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("reads a PDF small enough to sit in Node's shared buffer pool", async () => {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    pdf.addPage().drawText("Ada Lovelace wrote the first program", { font });
+    pdf.addPage().drawText("Charles Babbage designed the engine", { font });
+    const bytes = await pdf.save({ useObjectStreams: false });
+    expect(bytes.length).toBeLessThan(4096);
+
+    const filePath = path.join(dir, "small.pdf");
+    fs.writeFileSync(filePath, bytes);
+    // Occupy the pool first, so the file's Buffer starts at a non-zero offset
+    Buffer.from("x");
+    const result = await extractDocumentText(filePath, ".pdf");
+
+    expect(result.metadata.pageCount).toBe(2);
+    expect(result.pages).toHaveLength(2);
+    expect(result.text).toContain("Ada Lovelace wrote the first program");
+    expect(result.text).toContain("Charles Babbage designed the engine");
+    expect(result.pages[1].offset).toBe(result.text.indexOf("Charles Babbage"));
+  });
+});
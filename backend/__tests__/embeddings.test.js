@@ -0,0 +1,115 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  setEmbeddingProvider,
+  getEmbeddingProvider,
+  embeddingKey,
+  embedTexts,
+} = require("../utils/embeddings");
+const {
+  loadVectorIndex,
+  saveVectorIndex,
+  upsertVectors,
+  searchVectors,
+  hybridScore,
+} = require("../utils/vectorIndex");
+
+const screenshots = [
+  {
+    id: "payment",
+    text: "Payment failed: card declined. A checkout form showing a validation error",
+  },
+  { id: "mountains", text: "A landscape photo of mountains at sunset" },
+  { id: "dashboard", text: "Welcome back. A dashboard with charts" },
+];
+
+const buildIndex = async () => {
+  const vectors = await embedTexts(screenshots.map((shot) => shot.text));
+  return upsertVectors(
+    { key: embeddingKey(), vectors: {} },
+    screenshots.map((shot, i) => ({ id: shot.id, vector: vectors[i] }))
+  );
+};
+
+describe("hybrid search with the local embedding provider", () => {
+  let previous;
+
+  beforeEach(() => {
+    previous = getEmbeddingProvider();
+    setEmbeddingProvider("local");
+  });
+
+  afterEach(() => {
+    setEmbeddingProvider(previous);
+  });
+
+  test("ranks semantically similar screenshots first", async () => {
+    const index = await buildIndex();
+    const [query] = await embedTexts(["checkout validation errors"]);
+    const matches = searchVectors(index, query);
+
+    expect(matches[0].id).toBe("payment");
+    expect(matches[0].similarity).toBeGreaterThan(matches[1].similarity);
+  });
+
+  test("blends keyword confidence with semantic similarity", async () => {
+    const index = await buildIndex();
+    const [query] = await embedTexts(["mountain sunsets"]);
+    const similarity = new Map(
+      searchVectors(index, query).map((match) => [match.id, match.similarity])
+    );
+    // A keyword-only search would rank the dashboard first
+    const keywordScores = { payment: 0, mountains: 0.1, dashboard: 0.3 };
+    const rank = (weight) =>
+      screenshots
+        .map((shot) => ({
+          id: shot.id,
+          score: hybridScore(
+            keywordScores[shot.id],
+            similarity.get(shot.id) || 0,
+            weight
+          ),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .map((result) => result.id);
+
+    expect(rank(0)[0]).toBe("dashboard");
+    expect(rank(0.5)[0]).toBe("mountains");
+    expect(hybridScore(0.4, 0.8, 2)).toBe(0.8);
+    expect(hybridScore(0.4, 0.8, -1)).toBe(0.4);
+  });
+
+  test("swaps in a stub provider, whose vectors are kept apart", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vectors-"));
+    const file = path.join(dir, "index.json");
+    try {
+      saveVectorIndex(file, await buildIndex());
+      expect(
+        Object.keys(loadVectorIndex(file, embeddingKey()).vectors)
+      ).toEqual(["payment", "mountains", "dashboard"]);
+
+      const embed = jest.fn(async (texts) => texts.map(() => [1, 0]));
+      setEmbeddingProvider({ name: "stub", model: "v1", embed });
+      expect(embeddingKey()).toBe("stub:v1");
+      expect(await embedTexts(["a", "b"])).toEqual([
+        [1, 0],
+        [1, 0],
+      ]);
+      expect(embed).toHaveBeenCalledTimes(1);
+      // Vectors from another provider can't be compared, so they're dropped
+      expect(loadVectorIndex(file, embeddingKey()).vectors).toEqual({});
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("rejects unknown providers", () => {
+    expect(() => setEmbeddingProvider("nope")).toThrow(
+      "Unknown embedding provider: nope"
+    );
+    expect(() => setEmbeddingProvider({ name: "broken" })).toThrow(
+      "embed(texts)"
+    );
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  createEmptyGraph,
+  addDocumentToGraph,
+} = require("../utils/graphBuilder");
+
+const document = (relationships) => ({
+  id: "doc1",
+  textContent: "Ada Lovelace worked with Charles Babbage.",
+  entities: [
+    { id: "e1", label: "Ada Lovelace", type: "person" },
+    { id: "e2", label: "Charles Babbage", type: "person" },
+  ],
+  relationships,
+});
+
+describe("addDocumentToGraph", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test("connects entities referenced by id or label", () => {
+    const graph = addDocumentToGraph(
+      createEmptyGraph("p1"),
+      document([
+        { source: "e1", target: "e2", label: "worked_with" },
+        { source: "Charles Babbage", target: "ada lovelace", label: "knew" },
+      ])
+    );
+
+    expect(graph.nodes.map((node) => node.label).sort()).toEqual([
+      "Ada Lovelace",
+      "Charles Babbage",
+    ]);
+    expect(graph.edges.map((edge) => edge.label).sort()).toEqual([
+      "knew",
+      "worked_with",
+    ]);
+  });
+
+  test("drops relationships to unknown entities instead of creating nodes", () => {
+    const graph = addDocumentToGraph(
+      createEmptyGraph("p1"),
+      document([
+        { source: "e1", target: "e3", label: "worked_with" },
+        { source: "e9", target: "e2", label: "knew" },
+      ])
+    );
+
+    expect(graph.nodes).toHaveLength(2);
+    expect(graph.nodes.some((node) => /e3|e9/.test(node.label))).toBe(false);
+    expect(graph.edges).toHaveLength(0);
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Skipped 2 relationship(s)")
+    );
+  });
+});
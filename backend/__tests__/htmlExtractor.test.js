@@ -0,0 +1,39 @@
+const { extractHtmlContent } = require("../utils/htmlExtractor");
+
+const paragraph =
+  "This release improves sync performance and fixes several crashes reported on older devices.";
+
+describe("extractHtmlContent", () => {
+  test("keeps pages wrapped in a form, dropping only its controls", () => {
+    const { text, title } = extractHtmlContent(`<html>
+      <head><title>Release notes</title></head>
+      <body><form id="aspnetForm" action="/notes.aspx">
+        <input type="hidden" name="__VIEWSTATE" value="abc" />
+        <div class="content"><h1>Release notes</h1><p>${paragraph}</p></div>
+        <button type="submit">Search the site</button>
+      </form></body></html>`);
+
+    expect(title).toBe("Release notes");
+    expect(text).toContain("# Release notes");
+    expect(text).toContain(paragraph);
+    expect(text).not.toContain("Search the site");
+  });
+
+  test.each(["header-wrapper", "nav-container"])(
+    "keeps content in a %s, whose class merely starts with a hint",
+    (className) => {
+      const { text } = extractHtmlContent(`<html><body>
+        <div class="site-header"><a href="/">Home</a> <a href="/about">About</a></div>
+        <div class="main-nav"><a href="/blog">Blog</a></div>
+        <div class="${className}"><h1>Quarterly report</h1><p>${paragraph}</p></div>
+        <div id="cookie-banner">We use cookies to improve your experience.</div>
+      </body></html>`);
+
+      expect(text).toContain("# Quarterly report");
+      expect(text).toContain(paragraph);
+      expect(text).not.toContain("About");
+      expect(text).not.toContain("Blog");
+      expect(text).not.toContain("cookies");
+    }
+  );
+});
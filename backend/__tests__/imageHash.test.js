@@ -0,0 +1,57 @@
+const {
+  contentHash,
+  hammingDistance,
+  clusterNearDuplicates,
+} = require("../utils/imageHash");
+
+describe("hammingDistance", () => {
+  test("counts differing bits", () => {
+    expect(hammingDistance("0000000000000000", "0000000000000000")).toBe(0);
+    expect(hammingDistance("0000000000000000", "000000000000000f")).toBe(4);
+    expect(hammingDistance("a000000000000001", "5000000000000000")).toBe(5);
+    expect(hammingDistance("0000000000000000", "ffffffffffffffff")).toBe(64);
+  });
+
+  test("is Infinity for hashes that can't be compared", () => {
+    expect(hammingDistance(null, "0000000000000000")).toBe(Infinity);
+    expect(hammingDistance("0000000000000000", undefined)).toBe(Infinity);
+    expect(hammingDistance("00000000", "0000000000000000")).toBe(Infinity);
+  });
+});
+
+describe("clusterNearDuplicates", () => {
+  const items = [
+    { id: "a", perceptualHash: "0000000000000000" },
+    { id: "far", perceptualHash: "ffffffffffffffff" },
+    { id: "b", perceptualHash: "000000000000000f" },
+    { id: "unhashed", perceptualHash: null },
+    { id: "c", perceptualHash: "00000000000000ff" },
+  ];
+
+  test("groups near-duplicates transitively, in input order", () => {
+    // a and c are 8 bits apart, but both are within 4 of b
+    expect(clusterNearDuplicates(items)).toEqual([["a", "b", "c"]]);
+  });
+
+  test("respects the distance limit", () => {
+    expect(clusterNearDuplicates(items, 3)).toEqual([]);
+    expect(clusterNearDuplicates(items, 64)).toEqual([["a", "far", "b", "c"]]);
+  });
+
+  test("leaves out images without a hash", () => {
+    const unhashed = [
+      { id: "x", perceptualHash: null },
+      { id: "y", perceptualHash: null },
+    ];
+    expect(clusterNearDuplicates(unhashed)).toEqual([]);
+  });
+});
+
+describe("contentHash", () => {
+  test("only matches identical bytes", () => {
+    const hash = contentHash(Buffer.from("image bytes"));
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(contentHash(Buffer.from("image bytes"))).toBe(hash);
+    expect(contentHash(Buffer.from("image bytez"))).not.toBe(hash);
+  });
+});
@@ -0,0 +1,56 @@
+const {
+  relationshipSpans,
+  annotateProvenance,
+} = require("../utils/provenance");
+
+const filler = (words) => " lorem".repeat(words);
+
+describe("relationshipSpans", () => {
+  test("pairs mentions that sit close together and ignores distant ones", () => {
+    const text =
+      `Acme hired Bob.${filler(150)}. ` +
+      `Bob left.${filler(150)}. ` +
+      `Later Bob rejoined Acme Corp.`;
+    const spans = relationshipSpans(
+      { textContent: text, pages: null },
+      { evidence: null },
+      { label: "Acme Corp (Acme)" },
+      { label: "Bob" }
+    );
+
+    expect(spans.map((span) => span.snippet)).toEqual([
+      "Acme hired Bob.",
+      "Later Bob rejoined Acme Corp.",
+    ]);
+    expect(spans[1].mentions.map((m) => text.slice(m.start, m.end))).toEqual([
+      "Bob",
+      "Acme Corp",
+    ]);
+  });
+});
+
+describe("annotateProvenance", () => {
+  test("records spans for entities and relationships", () => {
+    const doc = {
+      textContent: "Acme builds rockets. Rockets need oxygen. Acme buys fuel.",
+      pages: null,
+      entities: [
+        { id: 1, label: "Acme" },
+        { id: 2, label: "Rockets" },
+      ],
+      relationships: [
+        { source: 1, target: 2, label: "builds" },
+        { source: 1, target: "fuel", label: "buys" },
+        { source: 2, target: "oxygen", label: "needs" },
+      ],
+    };
+    annotateProvenance(doc);
+
+    expect(doc.entities[0].spans.map((span) => span.start)).toEqual([0, 42]);
+    expect(doc.relationships.map((r) => r.spans[0].snippet)).toEqual([
+      "Acme builds rockets.",
+      "Acme buys fuel.",
+      "Rockets need oxygen.",
+    ]);
+  });
+});
@@ -0,0 +1,151 @@
+const { backoffDelay, createTaskQueue } = require("../utils/taskQueue");
+
+// Let pending promise callbacks run
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("backoffDelay", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("doubles per attempt up to the maximum", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0);
+    const delays = { baseDelay: 1000, maxDelay: 5000 };
+    expect(
+      [1, 2, 3, 4].map((attempt) => backoffDelay(attempt, delays))
+    ).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  test("takes off up to a quarter as jitter", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0.999);
+    const delay = backoffDelay(2, { baseDelay: 1000, maxDelay: 5000 });
+    expect(delay).toBeGreaterThan(1500);
+    expect(delay).toBeLessThan(2000);
+  });
+});
+
+describe("createTaskQueue", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate"] });
+    jest.spyOn(Math, "random").mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("runs no more than its concurrency at once", async () => {
+    const queue = createTaskQueue({ concurrency: 2 });
+    const releases = [];
+    const started = [];
+    [1, 2, 3].forEach((n) =>
+      queue.enqueue(
+        () => new Promise((resolve) => releases.push(() => resolve(n))),
+        { onStart: () => started.push(n) }
+      )
+    );
+
+    expect(started).toEqual([1, 2]);
+    expect(queue.stats()).toEqual({
+      running: 2,
+      waiting: 1,
+      retrying: 0,
+      concurrency: 2,
+    });
+
+    releases[0]();
+    await flush();
+    expect(started).toEqual([1, 2, 3]);
+  });
+
+  test("retries with backoff, freeing the slot while it waits", async () => {
+    const queue = createTaskQueue({
+      concurrency: 1,
+      maxAttempts: 3,
+      baseDelay: 1000,
+    });
+    const events = [];
+    let calls = 0;
+    queue.enqueue(
+      async (attempt) => {
+        calls++;
+        if (attempt < 3) throw new Error(`attempt ${attempt} failed`);
+        return "done";
+      },
+      {
+        onRetry: (error, attempt, delay) =>
+          events.push(["retry", attempt, delay]),
+        onSuccess: (result, attempts) =>
+          events.push(["success", result, attempts]),
+      }
+    );
+    queue.enqueue(async () => "other", {
+      onSuccess: (result) => events.push(["success", result]),
+    });
+
+    await flush();
+    // The second task ran while the first waited to retry
+    expect(events).toEqual([
+      ["retry", 1, 1000],
+      ["success", "other"],
+    ]);
+    expect(queue.stats().retrying).toBe(1);
+
+    jest.advanceTimersByTime(999);
+    await flush();
+    expect(calls).toBe(1);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(events[2]).toEqual(["retry", 2, 2000]);
+
+    jest.advanceTimersByTime(2000);
+    await flush();
+    expect(events[3]).toEqual(["success", "done", 3]);
+    expect(queue.stats()).toEqual({
+      running: 0,
+      waiting: 0,
+      retrying: 0,
+      concurrency: 1,
+    });
+  });
+
+  test("gives up after the last attempt", async () => {
+    const queue = createTaskQueue({ maxAttempts: 2, baseDelay: 10 });
+    const onFailure = jest.fn();
+    queue.enqueue(
+      async () => {
+        throw new Error("still broken");
+      },
+      { onFailure }
+    );
+
+    await flush();
+    jest.advanceTimersByTime(10);
+    await flush();
+
+    expect(onFailure).toHaveBeenCalledTimes(1);
+    expect(onFailure.mock.calls[0][0].message).toBe("still broken");
+    expect(onFailure.mock.calls[0][1]).toBe(2);
+  });
+
+  test("keeps going when a handler throws", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const queue = createTaskQueue({ concurrency: 1 });
+    const onSuccess = jest.fn();
+    queue.enqueue(async () => 1, {
+      onSuccess: () => {
+        throw new Error("handler bug");
+      },
+    });
+    queue.enqueue(async () => 2, { onSuccess });
+
+    await flush();
+    expect(onSuccess).toHaveBeenCalledWith(2, 1);
+    expect(console.error).toHaveBeenCalledWith(
+      "Task queue handler error:",
+      expect.any(Error)
+    );
+  });
+});
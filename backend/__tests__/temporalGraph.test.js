@@ -0,0 +1,43 @@
+const { normalizeDate } = require("../utils/temporalGraph");
+
+describe("normalizeDate", () => {
+  test.each([
+    ["2021", "2021-01-01", "2021-12-31"],
+    ["2024-02", "2024-02-01", "2024-02-29"],
+    ["2021-03-15", "2021-03-15", "2021-03-15"],
+    ["2021-03-15T23:30:00Z", "2021-03-15", "2021-03-15"],
+    ["March 2020", "2020-03-01", "2020-03-31"],
+    ["Sept. 2019", "2019-09-01", "2019-09-30"],
+    ["15 March 2020", "2020-03-15", "2020-03-15"],
+    ["1st Feb 2021", "2021-02-01", "2021-02-01"],
+    ["March 15, 2020", "2020-03-15", "2020-03-15"],
+    ["Mon, 15 Mar 2021 10:00:00 GMT", "2021-03-15", "2021-03-15"],
+    ["D:20210315120000+01'00'", "2021-03-15", "2021-03-15"],
+  ])("reads %s", (value, start, end) => {
+    expect(normalizeDate(value, "start")).toBe(start);
+    expect(normalizeDate(value, "end")).toBe(end);
+  });
+
+  test.each([
+    "Version 2",
+    "12",
+    "Phase 1",
+    "Windows 10",
+    "Q3 2021",
+    "Mayday 2020",
+    "2021-13",
+    "2021-02-30",
+    "31 April 2021",
+    "next Tuesday",
+  ])("rejects %s", (value) => {
+    expect(normalizeDate(value)).toBeNull();
+    expect(normalizeDate(value, "end")).toBeNull();
+  });
+
+  test("reads Date objects and skips empty values", () => {
+    expect(normalizeDate(new Date(Date.UTC(2022, 5, 1)))).toBe("2022-06-01");
+    expect(normalizeDate(new Date("nope"))).toBeNull();
+    expect(normalizeDate("")).toBeNull();
+    expect(normalizeDate(null)).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+const {
+  parseVisualQuery,
+  hasFieldClause,
+  matchesQuery,
+  splitQuery,
+  describeQuery,
+} = require("../utils/visualQuery");
+
+const screenshot = (overrides = {}) => ({
+  originalName: "shot.png",
+  folder: "billing",
+  uploadedAt: "2025-07-10T10:00:00.000Z",
+  tags: [],
+  analysis: {
+    textContent: "Error 404 NOT FOUND",
+    visualDescription: "An invoice page with an error banner",
+    entityAnalysis: { entities: [{ label: "Retry", type: "button" }] },
+  },
+  metadata: {
+    dominantColors: ["Dark red", "white"],
+    entityTypes: ["button"],
+    primaryObjects: ["invoice"],
+  },
+  ...overrides,
+});
+
+const matches = (query, entity = screenshot()) =>
+  matchesQuery(parseVisualQuery(query), entity);
+
+describe("parseVisualQuery", () => {
+  test("reads field clauses, aliases and quoted values", () => {
+    const tree = parseVisualQuery(
+      'folder:billing colour:red type:button date:>2025-06-01 text:"404 not"'
+    );
+    expect(describeQuery(tree)).toBe(
+      'folder:billing AND color:red AND type:button AND uploaded:>2025-06-01 AND text:"404 not"'
+    );
+  });
+
+  test("binds NOT tighter than AND, and AND tighter than OR", () => {
+    const tree = parseVisualQuery("a OR b -c (d OR NOT e)");
+    expect(describeQuery(tree)).toBe("a OR (b AND NOT c AND (d OR NOT e))");
+  });
+
+  test("treats NOT as a word when it follows a term", () => {
+    const tree = parseVisualQuery("404 NOT FOUND");
+    expect(describeQuery(tree)).toBe('404 AND "NOT" AND FOUND');
+    expect(splitQuery(tree)).toEqual({ text: "404 NOT FOUND", filter: null });
+  });
+
+  test("returns null for an empty query", () => {
+    expect(parseVisualQuery("   ")).toBeNull();
+  });
+
+  test.each([
+    ['text:"404', /Unterminated quote/],
+    ["(checkout beta", /Missing closing parenthesis/],
+    ["checkout )", /Unexpected "\)"/],
+    ["color:", /Missing value for color:/],
+    ["uploaded:>someday", /Invalid date "someday"/],
+    ["uploaded:>12", /Invalid date "12"/],
+    ['uploaded:"Version 2"', /Invalid date "Version 2"/],
+    ["date:2025-7", /Invalid date "2025-7"/],
+    ["uploaded:2025-02-30", /Invalid date "2025-02-30"/],
+    ["uploaded:March", /Invalid date "March"/],
+  ])("rejects %s", (query, message) => {
+    expect(() => parseVisualQuery(query)).toThrow(message);
+  });
+});
+
+describe("hasFieldClause", () => {
+  test("spots field names and aliases before a colon", () => {
+    expect(hasFieldClause("checkout (colour:red")).toBe(true);
+    expect(hasFieldClause("-folder:billing")).toBe(true);
+  });
+
+  test("ignores other colons", () => {
+    expect(hasFieldClause("checkout (beta")).toBe(false);
+    expect(hasFieldClause("https://example.com 12:30")).toBe(false);
+  });
+});
+
+describe("splitQuery", () => {
+  test("keeps top-level terms for ranking and filters on the rest", () => {
+    const { text, filter } = splitQuery(
+      parseVisualQuery('folder:billing -type:chart "card declined" retry')
+    );
+    expect(text).toBe("card declined retry");
+    expect(describeQuery(filter)).toBe("folder:billing AND NOT type:chart");
+  });
+});
+
+describe("matchesQuery", () => {
+  test("matches folders exactly and other fields by substring", () => {
+    expect(matches("folder:Billing")).toBe(true);
+    expect(matches("folder:bill")).toBe(false);
+    expect(matches("color:red object:voice type:butt")).toBe(true);
+    expect(matches('text:"404 not found"')).toBe(true);
+  });
+
+  test("compares upload dates by period", () => {
+    expect(matches("uploaded:2025-07")).toBe(true);
+    expect(matches("uploaded:>2025-06")).toBe(true);
+    expect(matches("uploaded:>2025-07")).toBe(false);
+    expect(matches("uploaded:>=2025-07")).toBe(true);
+    expect(matches("uploaded:<2025-07-10")).toBe(false);
+    expect(matches("uploaded:<=2025-07-10")).toBe(true);
+    expect(matches("uploaded:<=2024")).toBe(false);
+    expect(matches("uploaded:2024-02-29")).toBe(false);
+  });
+
+  test("applies OR and NOT", () => {
+    expect(matches("color:blue OR color:white")).toBe(true);
+    expect(matches("NOT folder:billing")).toBe(false);
+    expect(matches("color:red -object:invoice")).toBe(false);
+  });
+
+  test("matches plain terms anywhere in the analysis", () => {
+    expect(matches("404 NOT FOUND")).toBe(true);
+    expect(matches("banner retry")).toBe(true);
+    expect(matches("dashboard")).toBe(false);
+  });
+
+  test("ignores the placeholder for screenshots without text", () => {
+    const blank = screenshot({
+      analysis: { textContent: "No text found.", visualDescription: "" },
+    });
+    expect(matches("text:found", blank)).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+const http = require("http");
+const { crawlSite, resolveCrawlOptions } = require("../utils/webCrawler");
+
+// Serve a fixed set of pages: { path: body } for HTML pages, or
+// { path: { status, location } } for redirects
+const serve = (routes) =>
+  new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      const route = routes[req.url];
+      if (route === undefined) {
+        res.writeHead(404).end();
+      } else if (typeof route === "object") {
+        res.writeHead(route.status, { Location: route.location }).end();
+      } else {
+        const type = req.url === "/robots.txt" ? "text/plain" : "text/html";
+        res.writeHead(200, { "Content-Type": type }).end(route);
+      }
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const page = (...links) =>
+  `<html><head><title>Page</title></head><body>${links
+    .map((link) => `<a href="${link}">${link}</a>`)
+    .join("")}</body></html>`;
+
+describe("crawlSite", () => {
+  let site;
+  let elsewhere;
+  let base;
+
+  beforeAll(async () => {
+    elsewhere = await serve({ "/": page() });
+    const elsewhereUrl = `http://127.0.0.1:${elsewhere.address().port}/`;
+    site = await serve({
+      "/robots.txt": "User-agent: *\nDisallow: /private",
+      "/": page("/a", "/old", "/away", "/sneaky", "/private/page"),
+      "/a": page("/b"),
+      "/b": page("/"),
+      "/c": page(),
+      "/old": { status: 301, location: "/c" },
+      "/away": { status: 302, location: elsewhereUrl },
+      "/sneaky": { status: 302, location: "/private/secret" },
+      "/private/page": page(),
+      "/private/secret": page(),
+    });
+    base = `http://127.0.0.1:${site.address().port}`;
+  });
+
+  afterAll(() => {
+    site.close();
+    elsewhere.close();
+  });
+
+  const crawl = async (options = {}, hooks = {}) => {
+    const pages = [];
+    const skipped = [];
+    const result = await crawlSite(
+      `${base}/`,
+      resolveCrawlOptions({ delayMs: 0, maxDepth: 3, ...options }),
+      {
+        ...hooks,
+        onPage: (crawled) => pages.push(crawled.url.replace(base, "")),
+        onSkip: ({ url, reason }) =>
+          skipped.push([url.replace(base, ""), reason]),
+      }
+    );
+    return { pages, skipped, result };
+  };
+
+  test("follows same-origin links and redirects that robots.txt allows", async () => {
+    const { pages, skipped, result } = await crawl();
+
+    expect(pages.sort()).toEqual(["/", "/a", "/b", "/c"]);
+    expect(result.fetched).toBe(4);
+    expect(skipped).toEqual(
+      expect.arrayContaining([
+        ["/private/page", "Disallowed by robots.txt"],
+        ["/private/secret", "Disallowed by robots.txt"],
+        ["/away", expect.stringContaining("Redirect outside the crawl")],
+      ])
+    );
+  });
+
+  test("applies exclude patterns to redirect targets", async () => {
+    const { pages } = await crawl({ exclude: ["/c$"] });
+    expect(pages.sort()).toEqual(["/", "/a", "/b"]);
+  });
+
+  test("follows links from known pages without handing them over again", async () => {
+    const known = new Set([`${base}/`, `${base}/a`]);
+    const { pages, skipped } = await crawl(
+      {},
+      { isKnown: (canonicalUrl) => known.has(canonicalUrl) }
+    );
+
+    expect(pages.sort()).toEqual(["/b", "/c"]);
+    expect(skipped).toEqual(
+      expect.arrayContaining([
+        ["/", "Already in the project"],
+        ["/a", "Already in the project"],
+      ])
+    );
+  });
+
+  test("stops at the depth limit", async () => {
+    const { pages } = await crawl({ maxDepth: 1 });
+    expect(pages.sort()).toEqual(["/", "/a", "/c"]);
+  });
+});
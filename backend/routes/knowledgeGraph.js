@@ -6,13 +6,174 @@ const { v4: uuidv4 } = require("uuid");
 const {
   extractEntitiesAndRelationships,
   answerQuestion,
+  summarizeCommunity,
 } = require("../utils/openai");
+const {
+  buildProjectGraph,
+  createEmptyGraph,
+  filterGraph,
+  addDocumentToGraph,
+  removeDocumentFromGraph,
+  computeGraphStats,
+  indexGraph,
+  canonicalizeName,
+} = require("../utils/graphBuilder");
+const {
+  retrieveQueryContext,
+  documentName,
+} = require("../utils/graphRetrieval");
+const { extractDocumentText } = require("../utils/documentExtractor");
+const { extractHtmlContent } = require("../utils/htmlExtractor");
+const { LAYOUTS, computeLayout } = require("../utils/graphLayout");
+const { EXPORT_FORMATS } = require("../utils/graphExport");
+const {
+  findNode,
+  shortestPath,
+  neighbourhood,
+  subgraphByTypes,
+} = require("../utils/graphTraversal");
+const {
+  ACTIONS: RESOLUTION_ACTIONS,
+  buildResolution,
+  findMergeCandidates,
+  decisionName,
+} = require("../utils/entityResolution");
+const {
+  USER_AGENT,
+  normalizeUrl,
+  resolveCrawlOptions,
+  crawlSite,
+  extractPageLinks,
+} = require("../utils/webCrawler");
+const {
+  contentHash,
+  parseRefreshInterval,
+  nextRefreshAt,
+  fetchIfModified,
+  documentFacts,
+  diffFacts,
+  factHistory,
+} = require("../utils/urlRefresh");
+const {
+  normalizeDate,
+  documentDate,
+  graphAsOf,
+} = require("../utils/temporalGraph");
+const {
+  REVIEW_ACTIONS,
+  normalizeTerm,
+  parseOntology,
+  ontologyInstructions,
+  applyOntology,
+  inferOntology,
+} = require("../utils/ontology");
+const {
+  ALGORITHMS: COMMUNITY_ALGORITHMS,
+  detectCommunities,
+  collapseByCommunity,
+} = require("../utils/communityDetection");
+const {
+  CENTRALITY_METRICS,
+  computeCentrality,
+  hasCentrality,
+  rankByType,
+  findBridgeEntities,
+} = require("../utils/graphCentrality");
+const {
+  compareGraphs,
+  diffVisualization,
+} = require("../utils/graphComparison");
+const {
+  annotateProvenance,
+  nodeProvenance,
+  edgeProvenance,
+} = require("../utils/provenance");
 
 const router = express.Router();
 
-// In-memory storage for demonstration (in production, use database)
+// JSON file storage for projects (with their documents and extraction
+// results) and built graphs. The file is created by the first save.
+const STORAGE_FILE = path.join(__dirname, "../data/knowledge_graphs.json");
+const DATA_DIR = path.dirname(STORAGE_FILE);
+
+// Helper functions for JSON file storage
+function loadKnowledgeGraphs() {
+  if (!fs.existsSync(STORAGE_FILE)) {
+    return { projects: [], graphs: [], lastUpdated: new Date().toISOString() };
+  }
+  try {
+    const data = fs.readFileSync(STORAGE_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    console.error("Error loading knowledge graphs:", error);
+    return { projects: [], graphs: [], lastUpdated: new Date().toISOString() };
+  }
+}
+
+function saveKnowledgeGraphs() {
+  try {
+    const data = {
+      projects: Array.from(projects.values()),
+      graphs: Array.from(graphData.values()),
+      lastUpdated: new Date().toISOString(),
+    };
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(STORAGE_FILE, JSON.stringify(data, null, 2));
+    return true;
+  } catch (error) {
+    console.error("Error saving knowledge graphs:", error);
+    return false;
+  }
+}
+
+// Projects and graphs are served from memory and written through to disk
 const projects = new Map();
 const graphData = new Map();
+// Latest graph build per project, polled by the client while it runs
+const graphBuilds = new Map();
+// Computed visualization layouts per project, for the current graph version
+const layoutCache = new Map();
+// Layouts kept per project; the least recently used are dropped first
+const MAX_CACHED_LAYOUTS = 20;
+// Detected communities per project and algorithm, for the current graph version
+const communityCache = new Map();
+
+// Node limits for the visualization endpoint
+const DEFAULT_VISUALIZATION_NODES = 300;
+const MAX_VISUALIZATION_NODES = 1000;
+// Largest k accepted by the neighbourhood endpoint
+const MAX_TRAVERSAL_DEPTH = 5;
+// Communities given an LLM title: the largest ones, from this size up
+const MIN_SUMMARIZED_COMMUNITY_SIZE = 3;
+const MAX_SUMMARIZED_COMMUNITIES = 12;
+// Community titles kept per project, across graph versions
+const MAX_COMMUNITY_TITLES = 200;
+// Site crawls started from add-url, polled by the client while they run
+const crawlJobs = new Map();
+// Finished crawls kept around for progress lookups
+const MAX_FINISHED_CRAWLS = 50;
+// Longest text kept from a fetched page (5MB)
+const MAX_URL_TEXT_LENGTH = 5000000;
+// Skipped URLs kept on a crawl job for display
+const MAX_REPORTED_SKIPS = 200;
+// Versions kept in a URL document's history; the oldest are dropped first
+const MAX_URL_VERSIONS = 50;
+// How often URL documents due for a refresh are looked for
+const REFRESH_CHECK_INTERVAL_MS = 60 * 1000;
+// Documents being refreshed or re-extracted, so those never overlap
+const refreshingDocuments = new Set();
+
+// Reload saved projects and graphs at startup
+const storedData = loadKnowledgeGraphs();
+(storedData.projects || []).forEach((project) =>
+  projects.set(project.id, project)
+);
+(storedData.graphs || []).forEach((graph) =>
+  graphData.set(graph.projectId, graph)
+);
+console.log(
+  `📚 Loaded ${projects.size} knowledge graph project(s) from ${STORAGE_FILE}`
+);
 
 // Configure multer for document uploads
 const storage = multer.diskStorage({
@@ -58,12 +219,22 @@ router.post("/create-project", async (req, res) => {
       return res.status(400).json({ error: "Project name is required" });
     }
 
+    let ontology;
+    try {
+      ontology = parseOntology(req.body.ontology);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     const project = {
       id: uuidv4(),
       name: name,
       description: description || "",
       createdAt: new Date(),
       status: "active",
+      ontology,
+      reviewQueue: [],
+      ontologyReviews: [],
       documents: [],
       graphStats: {
         nodes: 0,
@@ -72,6 +243,9 @@ router.post("/create-project", async (req, res) => {
       },
     };
 
+    projects.set(project.id, project);
+    saveKnowledgeGraphs();
+
     res.json({
       message: "Knowledge graph project created successfully",
       project: project,
@@ -82,6 +256,176 @@ router.post("/create-project", async (req, res) => {
   }
 });
 
+// Absolute path of an uploaded document's file
+function resolveDocumentPath(doc) {
+  return path.isAbsolute(doc.path)
+    ? doc.path
+    : path.join(process.cwd(), doc.path);
+}
+
+// Remove an uploaded document's file from disk
+function deleteDocumentFile(doc) {
+  if (!doc.path) return;
+  const filePath = resolveDocumentPath(doc);
+  try {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (error) {
+    console.error(`Error deleting file ${filePath}:`, error);
+  }
+}
+
+// Record a text extraction and its entities/relationships on a document.
+// With reuseChunks, chunks unchanged since the last extraction are not sent
+// to GPT-4 again. Projects with an ontology constrain the extraction to it
+// and queue whatever doesn't fit for review.
+async function extractDocumentEntities(
+  project,
+  doc,
+  textContent,
+  options = {}
+) {
+  const extractionResult = await extractEntitiesAndRelationships(textContent, {
+    previousChunks: options.reuseChunks ? doc.chunkExtractions : undefined,
+    instructions: ontologyInstructions(project.ontology),
+  });
+
+  doc.textContent = textContent;
+  doc.entities = extractionResult.entities || [];
+  doc.relationships = extractionResult.relationships || [];
+  // Where in the text each entity and relationship was found
+  annotateProvenance(doc);
+  // Review items from the previous extraction no longer apply
+  project.reviewQueue = (project.reviewQueue || []).filter(
+    (item) => item.documentId !== doc.id
+  );
+  if (project.ontology) applyProjectOntology(project, doc);
+  doc.chunkCount = extractionResult.chunkCount;
+  doc.failedChunks = extractionResult.failedChunks || [];
+  doc.processed = true;
+  doc.status = "completed";
+  delete doc.error;
+  // URL documents keep per-chunk results for their next refresh
+  if (doc.sourceType === "url") {
+    doc.chunkExtractions = extractionResult.chunkExtractions;
+  }
+  return extractionResult;
+}
+
+// Latest review decision for each fact that didn't fit the ontology
+function ontologyReviewMap(project) {
+  return new Map(
+    (project.ontologyReviews || []).map((review) => [review.key, review])
+  );
+}
+
+/**
+ * Constrain a document's extraction to the project ontology. The facts
+ * already waiting for review are checked again too, so a changed ontology or
+ * a new review decision can settle them; whatever still doesn't fit replaces
+ * the document's review items.
+ * @param {Object} project - Project with an ontology
+ * @param {Object} doc - Processed document
+ * @returns {number} Number of facts waiting for review
+ */
+function applyProjectOntology(project, doc) {
+  const queue = project.reviewQueue || [];
+  const queued = queue.filter((item) => item.documentId === doc.id);
+  const { entities, relationships, rejected } = applyOntology(
+    {
+      entities: [
+        ...(doc.entities || []),
+        ...queued.filter((i) => i.kind === "entity").map((i) => i.item),
+      ],
+      relationships: [
+        ...(doc.relationships || []),
+        ...queued.filter((i) => i.kind === "relationship").map((i) => i.item),
+      ],
+    },
+    project.ontology,
+    ontologyReviewMap(project)
+  );
+
+  doc.entities = entities;
+  doc.relationships = relationships;
+  // Items that are still waiting keep their ids
+  const queuedByKey = new Map(queued.map((item) => [item.key, item]));
+  project.reviewQueue = [
+    ...queue.filter((item) => item.documentId !== doc.id),
+    ...rejected.map((rejection) => ({
+      id: queuedByKey.get(rejection.key)?.id || uuidv4(),
+      documentId: doc.id,
+      documentName: documentName(doc),
+      ...rejection,
+      createdAt: queuedByKey.get(rejection.key)?.createdAt || new Date(),
+    })),
+  ];
+  return rejected.length;
+}
+
+// Check a document's queued facts again after the ontology or a review
+// decision changed. Without an ontology they all go back to the document,
+// except the ones reviewed as rejected.
+function settleDocumentReviews(project, doc) {
+  if (project.ontology) return applyProjectOntology(project, doc);
+
+  const reviews = ontologyReviewMap(project);
+  const queue = project.reviewQueue || [];
+  queue
+    .filter((item) => item.documentId === doc.id)
+    .forEach((item) => {
+      const review = reviews.get(item.key);
+      if (review?.action === "reject") return;
+      if (item.kind === "entity") {
+        doc.entities = [
+          ...(doc.entities || []),
+          { ...item.item, type: review?.type || item.item.type },
+        ];
+      } else {
+        doc.relationships = [
+          ...(doc.relationships || []),
+          { ...item.item, label: review?.label || item.item.label },
+        ];
+      }
+    });
+  project.reviewQueue = queue.filter((item) => item.documentId !== doc.id);
+  return 0;
+}
+
+// Extract the text of an uploaded file, then its entities and relationships
+// with GPT-4, recording the outcome on the document
+async function processFileDocument(project, file) {
+  try {
+    const fileExtension = path.extname(file.originalName).toLowerCase();
+
+    // Extract text based on file type, keeping page offsets
+    const extracted = await extractDocumentText(
+      resolveDocumentPath(file),
+      fileExtension
+    );
+    const textContent = extracted.text;
+    file.pages = extracted.pages;
+    file.pageCount = extracted.pages ? extracted.pages.length : null;
+    file.metadata = extracted.metadata;
+
+    // Extract entities and relationships using GPT-4
+    if (textContent && textContent.trim()) {
+      await extractDocumentEntities(project, file, textContent);
+    } else {
+      file.processed = false;
+      file.error =
+        fileExtension === ".pdf"
+          ? "No extractable text found (the PDF may be scanned images)"
+          : "Could not extract text content";
+      file.status = "failed";
+    }
+  } catch (error) {
+    console.error(`Error processing file ${file.originalName}:`, error);
+    file.processed = false;
+    file.error = error.message;
+    file.status = "failed";
+  }
+}
+
 // POST /api/knowledge-graph/project/:id/upload-documents
 // Upload documents to a project
 router.post(
@@ -91,6 +435,11 @@ router.post(
     try {
       const { id } = req.params;
 
+      const project = projects.get(id);
+      if (!project) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
       if (!req.files || req.files.length === 0) {
         return res.status(400).json({ error: "No documents uploaded" });
       }
@@ -102,76 +451,19 @@ router.post(
         path: path.relative(process.cwd(), file.path), // Store relative path
         size: file.size,
         uploadedAt: new Date(),
+        sourceType: "file",
         status: "pending",
       }));
 
       // Process documents with GPT-4
       for (const file of uploadedFiles) {
-        try {
-          const filePath = path.isAbsolute(file.path)
-            ? file.path
-            : path.join(process.cwd(), file.path);
-          const fileExtension = path.extname(file.originalName).toLowerCase();
-
-          let textContent = "";
-
-          // Extract text based on file type
-          if (fileExtension === ".txt" || fileExtension === ".md") {
-            textContent = fs.readFileSync(filePath, "utf8");
-          } else if (fileExtension === ".html") {
-            const htmlContent = fs.readFileSync(filePath, "utf8");
-            // Basic HTML text extraction
-            textContent = htmlContent
-              .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, "")
-              .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, "")
-              .replace(/<[^>]+>/g, " ")
-              .replace(/\s+/g, " ")
-              .trim();
-          } else if (fileExtension === ".pdf") {
-            // PDF text extraction using pdf-lib
-            try {
-              const { PDFDocument } = require("pdf-lib");
-              const pdfBytes = fs.readFileSync(filePath);
-              const pdfDoc = await PDFDocument.load(pdfBytes);
-              const pages = pdfDoc.getPages();
-
-              let pdfText = "";
-              // Note: pdf-lib doesn't extract text directly, need another library
-              // For now, use a placeholder - in production, use pdf2pic + tesseract or pdf-parse
-              textContent =
-                "PDF text extraction requires additional setup - content processed as binary";
-            } catch (pdfError) {
-              console.error("PDF processing error:", pdfError);
-              textContent = "Error processing PDF file";
-            }
-          } else {
-            textContent = "Unsupported file type";
-          }
-
-          // Extract entities and relationships using GPT-4
-          if (textContent && textContent !== "Unsupported file type") {
-            const extractionResult = await extractEntitiesAndRelationships(
-              textContent
-            );
-
-            file.textContent = textContent;
-            file.entities = extractionResult.entities || [];
-            file.relationships = extractionResult.relationships || [];
-            file.processed = true;
-          } else {
-            file.processed = false;
-            file.error = "Could not extract text content";
-          }
-        } catch (error) {
-          console.error(`Error processing file ${file.originalName}:`, error);
-          file.processed = false;
-          file.error = error.message;
-        }
+        await processFileDocument(project, file);
       }
 
       // Add documents to project
       if (!project.documents) project.documents = [];
       project.documents.push(...uploadedFiles);
+      saveKnowledgeGraphs();
 
       // Update project stats
       const processedCount = uploadedFiles.filter((f) => f.processed).length;
@@ -190,12 +482,201 @@ router.post(
   }
 );
 
+// Readable text and page metadata of a fetched page; the text is "" for
+// unsupported content types
+function extractUrlContent(data, contentType = "") {
+  let text = "";
+  let metadata = {};
+
+  if (contentType.includes("text/html")) {
+    const content = extractHtmlContent(data);
+    text = content.text;
+    metadata = {
+      title: content.title,
+      language: content.language,
+      description: content.description,
+      publishedAt: content.publishedAt,
+    };
+  } else if (contentType.includes("text/plain")) {
+    text = String(data);
+  }
+
+  return { text: text.substring(0, MAX_URL_TEXT_LENGTH), metadata };
+}
+
+// Append a version to a URL document's history with the facts it gained and
+// lost since the previous version, keeping the latest MAX_URL_VERSIONS
+function recordUrlVersion(doc, previousFacts, fetchedAt = new Date()) {
+  if (!doc.versions) doc.versions = [];
+  const latest = doc.versions[doc.versions.length - 1];
+  const version = {
+    // Numbering carries on past dropped versions
+    version: (latest?.version || 0) + 1,
+    fetchedAt,
+    contentHash: doc.refresh?.contentHash || null,
+    ...diffFacts(previousFacts, documentFacts(doc)),
+  };
+  doc.versions.push(version);
+  if (doc.versions.length > MAX_URL_VERSIONS) {
+    doc.versions.splice(0, doc.versions.length - MAX_URL_VERSIONS);
+  }
+  return version;
+}
+
+// Make sure a URL document has refresh state and a first version. Documents
+// added before refreshing existed start their history from their stored text.
+function ensureUrlHistory(doc) {
+  if (!doc.refresh) {
+    doc.refresh = {
+      intervalMinutes: null,
+      etag: null,
+      lastModified: null,
+      contentHash: null,
+      lastCheckedAt: null,
+      lastChangedAt: null,
+      nextCheckAt: null,
+      lastResult: null,
+    };
+  }
+  if (!doc.refresh.contentHash && doc.textContent) {
+    doc.refresh.contentHash = contentHash(doc.textContent);
+  }
+  if (!doc.versions?.length && doc.processed) {
+    recordUrlVersion(doc, documentFacts({}), doc.addedAt);
+  }
+}
+
+// Start the refresh state and history of a newly fetched URL document
+function startUrlHistory(doc, validators, intervalMinutes) {
+  const fetchedAt = new Date();
+  doc.refresh = {
+    intervalMinutes,
+    etag: validators.etag || null,
+    lastModified: validators.lastModified || null,
+    contentHash: doc.textContent ? contentHash(doc.textContent) : null,
+    lastCheckedAt: fetchedAt,
+    lastChangedAt: doc.processed ? fetchedAt : null,
+    nextCheckAt: nextRefreshAt(intervalMinutes, fetchedAt),
+    lastResult: doc.processed ? "changed" : "failed",
+  };
+  doc.versions = [];
+  ensureUrlHistory(doc);
+}
+
+// Drop the oldest finished crawls beyond MAX_FINISHED_CRAWLS
+function pruneCrawlJobs() {
+  const finished = Array.from(crawlJobs.values()).filter(
+    (crawlJob) => crawlJob.status !== "processing"
+  );
+  finished
+    .slice(0, Math.max(finished.length - MAX_FINISHED_CRAWLS, 0))
+    .forEach((crawlJob) => crawlJobs.delete(crawlJob.id));
+}
+
+// Crawl a site in the background, storing each page as its own URL document
+async function performCrawl(project, crawlJob, crawlOptions, refreshInterval) {
+  if (!project.documents) project.documents = [];
+  // Pages already in the project are not fetched again
+  const knownUrls = new Set(
+    project.documents
+      .filter((doc) => doc.sourceType === "url")
+      .flatMap((doc) => [doc.canonicalUrl, normalizeUrl(doc.url)])
+      .filter(Boolean)
+  );
+
+  try {
+    await crawlSite(crawlJob.startUrl, crawlOptions, {
+      isKnown: (canonicalUrl) => knownUrls.has(canonicalUrl),
+      // Stop when the project is deleted mid-crawl
+      isCancelled: () => projects.get(project.id) !== project,
+      onSkip: ({ url, reason }) => {
+        crawlJob.progress.pagesSkipped++;
+        if (crawlJob.skipped.length < MAX_REPORTED_SKIPS) {
+          crawlJob.skipped.push({ url, reason });
+        }
+      },
+      onPage: async (page) => {
+        crawlJob.progress.pagesFetched++;
+        const doc = {
+          id: uuidv4(),
+          url: page.url,
+          canonicalUrl: page.canonicalUrl,
+          title: page.title || page.url,
+          addedAt: new Date(),
+          sourceType: "url",
+          status: "processing",
+          crawlId: crawlJob.id,
+          depth: page.depth,
+          links: page.links,
+        };
+
+        try {
+          const { text: textContent, metadata } = extractUrlContent(
+            page.html,
+            page.contentType
+          );
+          doc.metadata = metadata;
+          if (textContent) {
+            const extractionResult = await extractDocumentEntities(
+              project,
+              doc,
+              textContent
+            );
+            doc.title =
+              metadata.title ||
+              page.title ||
+              extractionResult.title ||
+              decodeURIComponent(new URL(page.url).pathname.split("/").pop()) ||
+              "Untitled";
+          } else {
+            doc.processed = false;
+            doc.error = "Could not extract text content";
+            doc.status = "failed";
+          }
+        } catch (error) {
+          console.error(`Error processing crawled page ${page.url}:`, error);
+          doc.processed = false;
+          doc.error = error.message;
+          doc.status = "failed";
+        }
+        startUrlHistory(doc, page, refreshInterval);
+
+        if (doc.status === "failed") crawlJob.progress.pagesFailed++;
+        else crawlJob.progress.pagesProcessed++;
+        crawlJob.documents.push({
+          id: doc.id,
+          url: doc.url,
+          title: doc.title,
+          depth: doc.depth,
+          status: doc.status,
+        });
+        knownUrls.add(page.canonicalUrl);
+        project.documents.push(doc);
+        saveKnowledgeGraphs();
+      },
+    });
+    crawlJob.status =
+      projects.get(project.id) === project ? "completed" : "cancelled";
+  } catch (error) {
+    console.error("Crawl error:", error);
+    crawlJob.status = "failed";
+    crawlJob.error = error.message;
+  }
+  crawlJob.completedAt = new Date();
+}
+
 // POST /api/knowledge-graph/project/:id/add-url
-// Add URL content to the knowledge graph
+// Add URL content to the knowledge graph. With a "crawl" object, crawls the
+// site from the URL in the background and adds every page it reaches.
 router.post("/project/:id/add-url", async (req, res) => {
   try {
     const { id } = req.params;
-    const { url, title } = req.body;
+    const { url, title, crawl, refreshIntervalMinutes } = req.body;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
 
     if (!url) {
       return res.status(400).json({ error: "URL is required" });
@@ -208,55 +689,93 @@ router.post("/project/:id/add-url", async (req, res) => {
       return res.status(400).json({ error: "Invalid URL format" });
     }
 
+    let refreshInterval;
+    try {
+      refreshInterval = parseRefreshInterval(refreshIntervalMinutes);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (crawl) {
+      if (!normalizeUrl(url)) {
+        return res
+          .status(400)
+          .json({ error: "Only http(s) URLs can be crawled" });
+      }
+      let crawlOptions;
+      try {
+        crawlOptions = resolveCrawlOptions(crawl === true ? {} : crawl);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const crawlJob = {
+        id: uuidv4(),
+        projectId: id,
+        startUrl: url,
+        status: "processing",
+        startedAt: new Date(),
+        completedAt: null,
+        options: {
+          ...crawlOptions,
+          include: crawlOptions.include.map((pattern) => pattern.source),
+          exclude: crawlOptions.exclude.map((pattern) => pattern.source),
+        },
+        progress: {
+          pagesFetched: 0,
+          pagesProcessed: 0,
+          pagesFailed: 0,
+          pagesSkipped: 0,
+        },
+        documents: [],
+        skipped: [],
+      };
+      pruneCrawlJobs();
+      crawlJobs.set(crawlJob.id, crawlJob);
+      performCrawl(project, crawlJob, crawlOptions, refreshInterval);
+
+      return res.json({
+        message: "Crawl started",
+        projectId: id,
+        crawl: crawlJob,
+      });
+    }
+
     const urlContent = {
       id: uuidv4(),
       url: url,
       title: title || "Untitled",
       addedAt: new Date(),
+      sourceType: "url",
       status: "processing",
     };
 
+    let response;
     try {
       // Fetch webpage content
       const axios = require("axios");
-      const response = await axios.get(url, {
+      response = await axios.get(url, {
         timeout: 30000,
         headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; KnowledgeGraph/1.0)",
+          "User-Agent": USER_AGENT,
         },
       });
 
-      let textContent = "";
-
-      // Basic HTML content extraction
-      if (response.headers["content-type"]?.includes("text/html")) {
-        // Simple regex to extract text from HTML (for basic cases)
-        textContent = response.data
-          .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, "")
-          .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, "")
-          .replace(/<[^>]+>/g, " ")
-          .replace(/\s+/g, " ")
-          .trim();
-      } else if (response.headers["content-type"]?.includes("text/plain")) {
-        textContent = response.data;
-      }
-
-      if (textContent.length > 5000000) {
-        // 5MB text limit
-        textContent = textContent.substring(0, 5000000);
-      }
+      const { text: textContent, metadata } = extractUrlContent(
+        response.data,
+        response.headers["content-type"]
+      );
+      urlContent.metadata = metadata;
 
       // Extract entities and relationships using GPT-4
       if (textContent) {
-        const extractionResult = await extractEntitiesAndRelationships(
+        const extractionResult = await extractDocumentEntities(
+          project,
+          urlContent,
           textContent
         );
-        urlContent.textContent = textContent;
-        urlContent.entities = extractionResult.entities || [];
-        urlContent.relationships = extractionResult.relationships || [];
-        urlContent.processed = true;
-        urlContent.status = "completed";
-        urlContent.title = title || extractionResult.title || "Untitled";
+        urlContent.title =
+          title || metadata.title || extractionResult.title || "Untitled";
       } else {
         urlContent.processed = false;
         urlContent.error = "Could not extract text content";
@@ -268,6 +787,18 @@ router.post("/project/:id/add-url", async (req, res) => {
       urlContent.error = `Failed to fetch URL: ${fetchError.message}`;
       urlContent.status = "failed";
     }
+    startUrlHistory(
+      urlContent,
+      {
+        etag: response?.headers.etag,
+        lastModified: response?.headers["last-modified"],
+      },
+      refreshInterval
+    );
+
+    if (!project.documents) project.documents = [];
+    project.documents.push(urlContent);
+    saveKnowledgeGraphs();
 
     res.json({
       message: "URL processed",
@@ -280,6 +811,19 @@ router.post("/project/:id/add-url", async (req, res) => {
   }
 });
 
+// GET /api/knowledge-graph/project/:id/crawl/:crawlId
+// Progress of a site crawl started from add-url
+router.get("/project/:id/crawl/:crawlId", (req, res) => {
+  const { id, crawlId } = req.params;
+  const crawlJob = crawlJobs.get(crawlId);
+
+  if (!crawlJob || crawlJob.projectId !== id) {
+    return res.status(404).json({ error: "Crawl not found" });
+  }
+
+  res.json({ crawl: crawlJob });
+});
+
 // POST /api/knowledge-graph/project/:id/build-graph
 // Build or rebuild the knowledge graph
 router.post("/project/:id/build-graph", async (req, res) => {
@@ -287,19 +831,20 @@ router.post("/project/:id/build-graph", async (req, res) => {
     const { id } = req.params;
     const { options } = req.body;
 
-    // TODO: Build knowledge graph
-    // - Process all documents and URLs
-    // - Extract entities and relationships
-    // - Create graph structure
-    // - Calculate embeddings
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
 
-    const graphBuild = {
-      id: uuidv4(),
-      projectId: id,
-      status: "processing",
-      startedAt: new Date(),
-      options: options || {},
-    };
+    const currentBuild = graphBuilds.get(id);
+    if (currentBuild && currentBuild.status === "processing") {
+      return res.json({
+        message: "Knowledge graph build already in progress",
+        build: currentBuild,
+      });
+    }
+
+    const graphBuild = startGraphBuild(project, options);
 
     res.json({
       message: "Knowledge graph build started",
@@ -311,52 +856,196 @@ router.post("/project/:id/build-graph", async (req, res) => {
   }
 });
 
+// Register a new graph build for a project and start it in the background
+function startGraphBuild(project, options) {
+  const sources = (project.documents || []).filter((doc) => doc.processed);
+  const graphBuild = {
+    id: uuidv4(),
+    projectId: project.id,
+    status: "processing",
+    startedAt: new Date(),
+    completedAt: null,
+    options: options || {},
+    progress: {
+      processedDocuments: 0,
+      totalDocuments: sources.length,
+      percent: 0,
+    },
+  };
+
+  graphBuilds.set(project.id, graphBuild);
+
+  // Start build in background
+  performGraphBuild(project, graphBuild);
+  return graphBuild;
+}
+
+// Copy a graph's headline counts onto its project
+function updateProjectGraphStats(project, graph) {
+  project.graphStats = {
+    nodes: graph.stats.totalNodes,
+    edges: graph.stats.totalEdges,
+    concepts: graph.stats.concepts,
+  };
+}
+
+// Merge every processed document's extraction results into the project graph
+async function performGraphBuild(project, graphBuild) {
+  try {
+    const previous = graphData.get(project.id);
+    const graph = await buildProjectGraph(project.id, project.documents || [], {
+      resolution: buildResolution(project.entityDecisions),
+      onProgress: (processed, total) => {
+        graphBuild.progress = {
+          processedDocuments: processed,
+          totalDocuments: total,
+          percent: total > 0 ? Math.round((processed / total) * 100) : 100,
+        };
+      },
+    });
+    graph.version = (previous?.version || 0) + 1;
+    graph.buildId = graphBuild.id;
+
+    graphData.set(project.id, graph);
+    project.lastBuiltAt = graph.builtAt;
+    updateProjectGraphStats(project, graph);
+    saveKnowledgeGraphs();
+
+    graphBuild.status = "completed";
+    graphBuild.completedAt = new Date();
+    graphBuild.progress.percent = 100;
+    graphBuild.stats = graph.stats;
+    graphBuild.graphVersion = graph.version;
+  } catch (error) {
+    console.error(`Graph build failed for project ${project.id}:`, error);
+    graphBuild.status = "failed";
+    graphBuild.completedAt = new Date();
+    graphBuild.error = error.message;
+  }
+}
+
+// GET /api/knowledge-graph/project/:id/build-status
+// Get the status and progress of the latest graph build
+router.get("/project/:id/build-status", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!projects.has(id)) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const build = graphBuilds.get(id);
+    if (!build) {
+      return res.status(404).json({ error: "No graph build found" });
+    }
+
+    res.json({ build });
+  } catch (error) {
+    console.error("Error fetching build status:", error);
+    res.status(500).json({ error: "Failed to fetch build status" });
+  }
+});
+
+/**
+ * Parse an asOf date parameter
+ * @param {*} value - Date from the client; empty means "now"
+ * @returns {string|null} "YYYY-MM-DD" (the end of a partial date's period), or null when absent
+ * @throws {Error} When the value is not a date
+ */
+function parseAsOf(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const asOf = normalizeDate(value, "end");
+  if (!asOf) throw new Error("asOf must be a date (YYYY-MM-DD)");
+  return asOf;
+}
+
+// The project's documents that existed on a date, plus later ones that
+// state a relationship valid on it; undated ones always count
+function documentsAsOf(project, graph, asOf) {
+  const documents = project.documents || [];
+  if (!asOf) return documents;
+  const supporting = new Set(
+    graph.edges.flatMap((edge) => edge.properties?.documents || [])
+  );
+  return documents.filter((doc) => {
+    const date = documentDate(doc);
+    return !date || date <= asOf || supporting.has(doc.id);
+  });
+}
+
+// The project graph as it stood on a date, with its stats recomputed
+function projectGraphAsOf(project, graph, asOf) {
+  if (!asOf) return graph;
+  const documentDates = new Map(
+    (project.documents || []).map((doc) => [doc.id, documentDate(doc)])
+  );
+  const dated = graphAsOf(graph, asOf, documentDates);
+  return { ...dated, stats: computeGraphStats(dated) };
+}
+
 // GET /api/knowledge-graph/project/:id/graph
 // Get the knowledge graph data
+// Query params: type (comma-separated), minFrequency, document, page, limit,
+// asOf (YYYY-MM-DD: only relationships valid on that date)
 router.get("/project/:id/graph", async (req, res) => {
   try {
     const { id } = req.params;
+    const {
+      type,
+      minFrequency = 0,
+      document: documentId,
+      page = 1,
+      limit = 200,
+    } = req.query;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    let asOf;
+    try {
+      asOf = parseAsOf(req.query.asOf);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const projectGraph = projectGraphAsOf(
+      project,
+      graphData.get(id) || createEmptyGraph(id),
+      asOf
+    );
+    const filtered = filterGraph(projectGraph, {
+      types: type ? String(type).split(",").filter(Boolean) : [],
+      minFrequency,
+      documentId,
+    });
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 200, 1), 1000);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageNodes = filtered.nodes.slice(
+      (pageNumber - 1) * pageSize,
+      pageNumber * pageSize
+    );
+    const pageNodeIds = new Set(pageNodes.map((node) => node.id));
 
-    // TODO: Fetch graph from database
     const graph = {
       projectId: id,
-      nodes: [
-        {
-          id: "1",
-          label: "Machine Learning",
-          type: "concept",
-          properties: {
-            frequency: 45,
-            documents: ["doc1.txt", "doc2.pdf"],
-            description: "A subset of artificial intelligence",
-          },
-        },
-        {
-          id: "2",
-          label: "Neural Networks",
-          type: "concept",
-          properties: {
-            frequency: 32,
-            documents: ["doc1.txt"],
-            description:
-              "Computing systems inspired by biological neural networks",
-          },
-        },
-      ],
-      edges: [
-        {
-          id: "1",
-          source: "1",
-          target: "2",
-          label: "includes",
-          weight: 0.85,
-        },
-      ],
-      stats: {
-        totalNodes: 150,
-        totalEdges: 320,
-        concepts: 120,
-        entities: 30,
+      version: projectGraph.version,
+      builtAt: projectGraph.builtAt,
+      asOf,
+      nodes: pageNodes,
+      edges: filtered.edges.filter(
+        (edge) => pageNodeIds.has(edge.source) && pageNodeIds.has(edge.target)
+      ),
+      stats: projectGraph.stats,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalNodes: filtered.nodes.length,
+        totalEdges: filtered.edges.length,
+        totalPages: Math.ceil(filtered.nodes.length / pageSize),
+        hasMore: pageNumber * pageSize < filtered.nodes.length,
       },
     };
 
@@ -367,178 +1056,865 @@ router.get("/project/:id/graph", async (req, res) => {
   }
 });
 
-// POST /api/knowledge-graph/project/:id/query
-// Query the knowledge graph with natural language
-router.post("/project/:id/query", async (req, res) => {
+// GET /api/knowledge-graph/project/:id/export
+// Download the project graph as GraphML, GEXF, JSON-LD or a Cypher script
+router.get("/project/:id/export", async (req, res) => {
   try {
     const { id } = req.params;
-    const { question, options } = req.body;
+    const { format = "graphml" } = req.query;
 
-    if (!question) {
-      return res.status(400).json({ error: "Question is required" });
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
     }
 
-    // TODO: Process natural language query
-    // - Parse question
-    // - Search knowledge graph
-    // - Generate answer with sources
+    // Own keys only, so ?format=toString doesn't reach Object.prototype
+    const exporter = Object.prototype.hasOwnProperty.call(
+      EXPORT_FORMATS,
+      format
+    )
+      ? EXPORT_FORMATS[format]
+      : null;
+    if (!exporter) {
+      return res.status(400).json({
+        error: `Unsupported format. Use one of: ${Object.keys(
+          EXPORT_FORMATS
+        ).join(", ")}`,
+      });
+    }
 
-    // Process question using GPT-4
-    let queryResult;
-    try {
-      // TODO: Get relevant context from knowledge graph
-      const mockContext = [
-        {
-          content:
-            "Machine Learning is a subset of artificial intelligence that enables computers to learn and improve from experience without being explicitly programmed.",
-          document: "doc1.txt",
-        },
-        {
-          content:
-            "Neural networks are computing systems inspired by biological neural networks.",
-          document: "doc2.pdf",
-        },
-      ];
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const documentNames = new Map(
+      (project.documents || []).map((doc) => [doc.id, documentName(doc)])
+    );
+    const content = exporter.serialize(projectGraph, project, documentNames);
 
-      const aiResult = await answerQuestion(question, mockContext);
-      queryResult = {
-        id: uuidv4(),
-        projectId: id,
-        question: question,
-        ...aiResult,
-      };
-    } catch (error) {
-      console.error("Error processing question:", error);
-      // Fallback to mock result if AI processing fails
-      queryResult = {
-        id: uuidv4(),
-        projectId: id,
-        question: question,
-        answer:
-          "Machine Learning is a subset of artificial intelligence that enables computers to learn and improve from experience without being explicitly programmed. It includes various techniques such as neural networks, which are computing systems inspired by biological neural networks.",
-        confidence: 0.92,
-        sources: [
-          {
-            document: "doc1.txt",
-            page: 15,
-            relevance: 0.95,
-          },
-          {
-            document: "doc2.pdf",
-            page: 8,
-            relevance: 0.87,
-          },
-        ],
-        relatedConcepts: [
-          {
-            id: "1",
-            label: "Machine Learning",
-            relevance: 0.95,
-          },
-          {
-            id: "2",
-            label: "Neural Networks",
-            relevance: 0.87,
-          },
-        ],
-      };
+    const baseName =
+      String(project.name || "knowledge-graph")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "knowledge-graph";
+    res.setHeader("Content-Type", `${exporter.contentType}; charset=utf-8`);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${baseName}.${exporter.extension}"`
+    );
+    res.send(content);
+  } catch (error) {
+    console.error("Error exporting graph:", error);
+    res.status(500).json({ error: "Failed to export knowledge graph" });
+  }
+});
+
+// Attach the names of the documents backing each edge
+function withEdgeDocuments(edges, project) {
+  const documentsById = new Map(
+    (project.documents || []).map((doc) => [doc.id, doc])
+  );
+  return edges.map((edge) => ({
+    ...edge,
+    sourceDocuments: (edge.properties?.documents || []).map((documentId) => ({
+      id: documentId,
+      name: documentsById.has(documentId)
+        ? documentName(documentsById.get(documentId))
+        : documentId,
+      count: edge.properties?.documentCounts?.[documentId] || 1,
+    })),
+  }));
+}
+
+// Spans behind a graph node or edge, grouped by the document they come from
+function collectProvenance(project, documentIds, spansFor) {
+  const documentsById = new Map(
+    (project.documents || []).map((doc) => [doc.id, doc])
+  );
+  return documentIds
+    .map((documentId) => documentsById.get(documentId))
+    .filter((doc) => doc && doc.processed)
+    .map((doc) => ({
+      documentId: doc.id,
+      document: documentName(doc),
+      spans: spansFor(doc),
+    }))
+    .filter((entry) => entry.spans.length > 0);
+}
+
+// GET /api/knowledge-graph/project/:id/node/:nodeId
+// An entity with its edges and the spans in each document that mention it
+router.get("/project/:id/node/:nodeId", async (req, res) => {
+  try {
+    const { id, nodeId } = req.params;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
     }
 
-    res.json({ queryResult });
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const node = findNode(projectGraph, nodeId);
+    if (!node) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+
+    const edges = projectGraph.edges.filter(
+      (edge) => edge.source === node.id || edge.target === node.id
+    );
+    res.json({
+      node,
+      edges: withEdgeDocuments(edges, project),
+      provenance: collectProvenance(
+        project,
+        node.properties?.documents || [],
+        (doc) => nodeProvenance(doc, node)
+      ),
+    });
   } catch (error) {
-    console.error("Query error:", error);
-    res.status(500).json({ error: "Failed to process query" });
+    console.error("Error fetching entity details:", error);
+    res.status(500).json({ error: "Failed to fetch entity details" });
   }
 });
 
-// GET /api/knowledge-graph/project/:id/visualization
-// Get graph visualization data
-router.get("/project/:id/visualization", async (req, res) => {
+// GET /api/knowledge-graph/project/:id/edge/:edgeId
+// A relationship with its endpoints and the source sentences that state it
+router.get("/project/:id/edge/:edgeId", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { layout = "force", filters } = req.query;
+    const { id, edgeId } = req.params;
 
-    // TODO: Generate visualization data
-    const visualization = {
-      projectId: id,
-      layout: layout,
-      nodes: [
-        {
-          id: "1",
-          label: "Machine Learning",
-          x: 100,
-          y: 200,
-          size: 20,
-          color: "#ff6b6b",
-          group: "concept",
-        },
-        {
-          id: "2",
-          label: "Neural Networks",
-          x: 300,
-          y: 150,
-          size: 15,
-          color: "#4ecdc4",
-          group: "concept",
-        },
-      ],
-      edges: [
-        {
-          id: "1",
-          source: "1",
-          target: "2",
-          weight: 0.85,
-          color: "#45b7d1",
-        },
-      ],
-      groups: [
-        {
-          id: "concept",
-          label: "Concepts",
-          color: "#ff6b6b",
-        },
-        {
-          id: "entity",
-          label: "Entities",
-          color: "#4ecdc4",
-        },
-      ],
-    };
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
 
-    res.json({ visualization });
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const edge = projectGraph.edges.find((e) => e.id === edgeId);
+    if (!edge) {
+      return res.status(404).json({ error: "Edge not found" });
+    }
+    const source = projectGraph.nodes.find((n) => n.id === edge.source);
+    const target = projectGraph.nodes.find((n) => n.id === edge.target);
+
+    res.json({
+      edge: withEdgeDocuments([edge], project)[0],
+      source,
+      target,
+      provenance:
+        source && target
+          ? collectProvenance(
+              project,
+              edge.properties?.documents || [],
+              (doc) => edgeProvenance(doc, edge, source, target)
+            )
+          : [],
+    });
   } catch (error) {
-    console.error("Error fetching visualization:", error);
-    res.status(500).json({ error: "Failed to fetch visualization data" });
+    console.error("Error fetching relationship details:", error);
+    res.status(500).json({ error: "Failed to fetch relationship details" });
   }
 });
 
-// GET /api/knowledge-graph/project/:id/documents
-// Get all documents in the project
-router.get("/project/:id/documents", async (req, res) => {
+// GET /api/knowledge-graph/project/:id/path
+// Shortest path between two entities (query: from, to, directed, weighted)
+router.get("/project/:id/path", async (req, res) => {
   try {
     const { id } = req.params;
+    const { from, to, directed, weighted } = req.query;
 
-    // TODO: Fetch from database
-    const documents = [
-      {
-        id: "1",
-        name: "Machine Learning Basics.txt",
-        type: "txt",
-        size: 15000,
-        uploadedAt: new Date(),
-        status: "processed",
-        concepts: 25,
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!from || !to) {
+      return res
+        .status(400)
+        .json({ error: "Both 'from' and 'to' entities are required" });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const source = findNode(projectGraph, from);
+    const target = findNode(projectGraph, to);
+    if (!source || !target) {
+      return res
+        .status(404)
+        .json({ error: `Entity not found: ${source ? to : from}` });
+    }
+
+    const result = shortestPath(projectGraph, source.id, target.id, {
+      directed: directed === "true",
+      weighted: weighted === "true",
+    });
+
+    res.json({
+      path: {
+        from: source.id,
+        to: target.id,
+        found: Boolean(result),
+        length: result ? result.edges.length : null,
+        cost: result ? result.cost : null,
+        nodes: result ? result.nodes : [],
+        edges: result ? withEdgeDocuments(result.edges, project) : [],
       },
-      {
-        id: "2",
-        name: "AI Research Paper.pdf",
-        type: "pdf",
-        size: 2500000,
-        uploadedAt: new Date(),
-        status: "processed",
-        concepts: 45,
+    });
+  } catch (error) {
+    console.error("Error finding path:", error);
+    res.status(500).json({ error: "Failed to find path" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/node/:nodeId/neighbourhood
+// Entities within k hops of a node (query: depth, limit, directed)
+router.get("/project/:id/node/:nodeId/neighbourhood", async (req, res) => {
+  try {
+    const { id, nodeId } = req.params;
+    const { depth = 1, limit = 200, directed } = req.query;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const center = findNode(projectGraph, nodeId);
+    if (!center) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+
+    const hops = Math.min(
+      Math.max(parseInt(depth) || 1, 1),
+      MAX_TRAVERSAL_DEPTH
+    );
+    const result = neighbourhood(projectGraph, center.id, {
+      depth: hops,
+      limit: Math.min(Math.max(parseInt(limit) || 200, 1), 1000),
+      directed: directed === "true",
+    });
+
+    res.json({
+      neighbourhood: {
+        center: center.id,
+        depth: hops,
+        nodes: result.nodes,
+        edges: withEdgeDocuments(result.edges, project),
+        truncated: result.truncated,
       },
-    ];
+    });
+  } catch (error) {
+    console.error("Error fetching neighbourhood:", error);
+    res.status(500).json({ error: "Failed to fetch neighbourhood" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/subgraph
+// Subgraph induced by a set of entity types (query: types=person,organization)
+router.get("/project/:id/subgraph", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const types = String(req.query.types || "")
+      .split(",")
+      .map((type) => type.trim())
+      .filter(Boolean);
+
+    if (!projects.has(id)) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (types.length === 0) {
+      return res.status(400).json({ error: "At least one type is required" });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const { nodes, edges } = subgraphByTypes(projectGraph, types);
+
+    res.json({ subgraph: { types, nodes, edges } });
+  } catch (error) {
+    console.error("Error fetching subgraph:", error);
+    res.status(500).json({ error: "Failed to fetch subgraph" });
+  }
+});
+
+// POST /api/knowledge-graph/project/:id/query
+// Query the knowledge graph with natural language; with asOf (YYYY-MM-DD)
+// the answer uses only the facts and documents as they stood on that date
+router.post("/project/:id/query", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { question, options } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: "Question is required" });
+    }
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    let asOf;
+    try {
+      asOf = parseAsOf(req.body.asOf);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Retrieve the most relevant document passages and the graph
+    // neighbourhoods of the entities the question mentions
+    const graph = projectGraphAsOf(
+      project,
+      graphData.get(id) || createEmptyGraph(id),
+      asOf
+    );
+    const { chunks, facts, relatedConcepts } = retrieveQueryContext(
+      { ...project, documents: documentsAsOf(project, graph, asOf) },
+      graph,
+      question
+    );
+
+    const passages = chunks.map((chunk, index) => ({
+      id: `S${index + 1}`,
+      content: chunk.content,
+      document: chunk.document,
+      chunk,
+    }));
+    if (facts.length > 0) {
+      passages.push({
+        id: "G1",
+        content: facts.map((fact) => fact.text).join("\n"),
+        document: "Knowledge graph",
+      });
+    }
+
+    const toSource = (chunk) => ({
+      documentId: chunk.documentId,
+      document: chunk.document,
+      chunkIndex: chunk.chunkIndex,
+      offset: chunk.offset,
+      page: chunk.page,
+      relevance: chunk.relevance,
+      snippet: chunk.content.substring(0, 300),
+    });
+
+    const queryResult = {
+      id: uuidv4(),
+      projectId: id,
+      question: question,
+      options: options || {},
+      asOf,
+      relatedConcepts,
+      contextUsed: passages.length,
+    };
+
+    if (passages.length === 0) {
+      // Nothing in the project relates to the question: say so honestly
+      return res.json({
+        queryResult: {
+          ...queryResult,
+          answer:
+            "I couldn't find any information about this in the project's documents.",
+          confidence: 0,
+          sources: [],
+        },
+      });
+    }
+
+    try {
+      const aiResult = await answerQuestion(question, passages, { asOf });
+      const citedIds = new Set(aiResult.sourceIds || []);
+      const cited = passages.filter(
+        (passage) => passage.chunk && citedIds.has(passage.id)
+      );
+
+      queryResult.answer = aiResult.answer;
+      queryResult.confidence = Math.max(
+        0,
+        Math.min(1, Number(aiResult.confidence) || 0)
+      );
+      queryResult.sources = (cited.length > 0 ? cited : passages)
+        .filter((passage) => passage.chunk)
+        .map((passage) => toSource(passage.chunk));
+    } catch (error) {
+      console.error("Error processing question:", error);
+      // Surface the retrieved passages even when the answer can't be generated
+      queryResult.answer =
+        "An answer could not be generated right now. The most relevant passages from your documents are listed as sources.";
+      queryResult.confidence = 0;
+      queryResult.sources = chunks.map(toSource);
+      queryResult.error = error.message;
+    }
+
+    res.json({ queryResult });
+  } catch (error) {
+    console.error("Query error:", error);
+    res.status(500).json({ error: "Failed to process query" });
+  }
+});
+
+// Communities of the current graph, detected once per graph version
+function projectCommunities(id, graph, algorithm) {
+  let cache = communityCache.get(id);
+  if (!cache || cache.version !== graph.version) {
+    cache = { version: graph.version, results: new Map() };
+    communityCache.set(id, cache);
+  }
+  if (!cache.results.has(algorithm)) {
+    cache.results.set(algorithm, detectCommunities(graph, { algorithm }));
+  }
+  return cache.results.get(algorithm);
+}
+
+// LLM title and summary of a community, or its central entities when it
+// hasn't been summarized
+function communityTitle(project, community) {
+  const summary = (project.communityTitles || {})[community.signature];
+  return {
+    title:
+      summary?.title ||
+      community.centralNodes
+        .slice(0, 3)
+        .map((node) => node.label)
+        .join(", "),
+    summary: summary?.summary || null,
+  };
+}
+
+// Node id -> { id, label } of its community, for colouring the visualization
+function communityLabels(project, result) {
+  const labels = new Map();
+  result.communities.forEach((community) => {
+    const entry = {
+      id: community.id,
+      label: communityTitle(project, community).title,
+    };
+    labels.set(community.id, entry);
+    community.members.forEach((member) => labels.set(member.id, entry));
+  });
+  return labels;
+}
+
+/**
+ * Give the largest communities an LLM-generated title and summary. Titles
+ * are cached on the project by community membership, so only communities
+ * that are new or changed since the last call are sent to GPT-4.
+ * @param {Object} project - Project
+ * @param {Object} graph - Project graph
+ * @param {Object} result - Output of detectCommunities
+ * @returns {Promise<number>} Number of communities summarized
+ */
+async function summarizeCommunities(project, graph, result) {
+  const titles = project.communityTitles || {};
+  const pending = result.communities
+    .filter((community) => community.size >= MIN_SUMMARIZED_COMMUNITY_SIZE)
+    .slice(0, MAX_SUMMARIZED_COMMUNITIES)
+    .filter((community) => !titles[community.signature]);
+  if (pending.length === 0) return 0;
+
+  const nodesById = new Map(graph.nodes.map((node) => [node.id, node]));
+  let summarized = 0;
+  // One at a time, so a large project doesn't burst the rate limit
+  for (const community of pending) {
+    const members = new Set(community.members.map((member) => member.id));
+    const facts = graph.edges
+      .filter((edge) => members.has(edge.source) && members.has(edge.target))
+      .sort((a, b) => (b.weight || 0) - (a.weight || 0))
+      .slice(0, 30)
+      .map(
+        (edge) =>
+          `${nodesById.get(edge.source).label} ${edge.label} ${
+            nodesById.get(edge.target).label
+          }`
+      );
+    try {
+      const { title, summary } = await summarizeCommunity(
+        community.members.slice(0, 25).map((member) => member.label),
+        facts
+      );
+      if (!title) continue;
+      titles[community.signature] = {
+        title: String(title),
+        summary: summary ? String(summary) : null,
+        createdAt: new Date(),
+      };
+      summarized++;
+    } catch (error) {
+      console.error(`Error summarizing community ${community.id}:`, error);
+    }
+  }
+
+  // Oldest titles go first once the cache is full
+  const signatures = Object.keys(titles);
+  signatures
+    .slice(0, Math.max(signatures.length - MAX_COMMUNITY_TITLES, 0))
+    .forEach((signature) => delete titles[signature]);
+  project.communityTitles = titles;
+  return summarized;
+}
+
+// GET /api/knowledge-graph/project/:id/communities
+// Partition the graph into communities of closely related entities
+// Query params: algorithm (louvain, label-propagation), minSize,
+// summarize (false skips the LLM titles)
+router.get("/project/:id/communities", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { algorithm = "louvain", minSize = 2, summarize } = req.query;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!COMMUNITY_ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({
+        error: `Algorithm must be one of: ${COMMUNITY_ALGORITHMS.join(", ")}`,
+      });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const result = projectCommunities(id, projectGraph, algorithm);
+    if (summarize !== "false") {
+      const summarized = await summarizeCommunities(
+        project,
+        projectGraph,
+        result
+      );
+      if (summarized > 0) {
+        // Cached layouts carry the old community labels
+        layoutCache.delete(id);
+        saveKnowledgeGraphs();
+      }
+    }
+
+    const documentsById = new Map(
+      (project.documents || []).map((doc) => [doc.id, doc])
+    );
+    const smallest = Math.max(parseInt(minSize) || 1, 1);
+    const communities = result.communities
+      .filter((community) => community.size >= smallest)
+      .map(({ signature, documents, ...community }) => ({
+        ...community,
+        ...communityTitle(project, { signature, ...community }),
+        documents: documents.map((document) => ({
+          ...document,
+          name: documentsById.has(document.id)
+            ? documentName(documentsById.get(document.id))
+            : document.id,
+        })),
+      }));
+
+    res.json({
+      projectId: id,
+      graphVersion: projectGraph.version,
+      algorithm,
+      modularity: result.modularity,
+      totalCommunities: result.communities.length,
+      communities,
+    });
+  } catch (error) {
+    console.error("Error detecting communities:", error);
+    res.status(500).json({ error: "Failed to detect communities" });
+  }
+});
+
+// Graphs built before centrality was computed get their scores on first use,
+// saved so they aren't computed again after a restart
+function ensureCentrality(graph) {
+  if (hasCentrality(graph)) return;
+  computeCentrality(graph);
+  graph.stats = computeGraphStats(graph);
+  if (graphData.get(graph.projectId) === graph) saveKnowledgeGraphs();
+}
+
+// GET /api/knowledge-graph/project/:id/rankings
+// Most important entities per type by a centrality measure
+// Query params: metric (degree, pagerank, betweenness, eigenvector), type, limit
+router.get("/project/:id/rankings", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { metric = "pagerank", type, limit = 10 } = req.query;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!CENTRALITY_METRICS.includes(metric)) {
+      return res.status(400).json({
+        error: `Metric must be one of: ${CENTRALITY_METRICS.join(", ")}`,
+      });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    ensureCentrality(projectGraph);
+    const rankings = rankByType(projectGraph, {
+      metric,
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), 100),
+      types: type ? String(type).split(",").filter(Boolean) : [],
+    });
+
+    res.json({
+      projectId: id,
+      graphVersion: projectGraph.version,
+      metric,
+      rankings,
+    });
+  } catch (error) {
+    console.error("Error ranking entities:", error);
+    res.status(500).json({ error: "Failed to rank entities" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/bridges
+// Entities that connect otherwise separate communities
+// Query params: algorithm (louvain, label-propagation), limit
+router.get("/project/:id/bridges", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { algorithm = "louvain", limit = 20 } = req.query;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!COMMUNITY_ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({
+        error: `Algorithm must be one of: ${COMMUNITY_ALGORITHMS.join(", ")}`,
+      });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    ensureCentrality(projectGraph);
+    const communities = projectCommunities(id, projectGraph, algorithm);
+    const titles = new Map(
+      communities.communities.map((community) => [
+        community.id,
+        communityTitle(project, community).title,
+      ])
+    );
+    const bridges = findBridgeEntities(projectGraph, communities, {
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+    }).map((bridge) => ({
+      ...bridge,
+      communityTitle: titles.get(bridge.community) || null,
+      connects: bridge.communities.map((communityId) => ({
+        id: communityId,
+        title: titles.get(communityId) || null,
+      })),
+    }));
+
+    res.json({
+      projectId: id,
+      graphVersion: projectGraph.version,
+      algorithm,
+      bridges,
+    });
+  } catch (error) {
+    console.error("Error finding bridge entities:", error);
+    res.status(500).json({ error: "Failed to find bridge entities" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/visualization
+// Get graph visualization data laid out on the server
+// (query: layout=force|hierarchical|circular, type, minFrequency, document, maxNodes, asOf,
+// colorBy=type|community, collapse=true to draw one node per community, algorithm)
+router.get("/project/:id/visualization", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      layout = "force",
+      type,
+      minFrequency = 0,
+      document: documentId,
+      maxNodes = DEFAULT_VISUALIZATION_NODES,
+      colorBy = "type",
+      algorithm = "louvain",
+    } = req.query;
+    const collapse = req.query.collapse === "true";
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!LAYOUTS.includes(layout)) {
+      return res
+        .status(400)
+        .json({ error: `Layout must be one of: ${LAYOUTS.join(", ")}` });
+    }
+    if (!["type", "community"].includes(colorBy)) {
+      return res
+        .status(400)
+        .json({ error: "colorBy must be one of: type, community" });
+    }
+    if (!COMMUNITY_ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({
+        error: `Algorithm must be one of: ${COMMUNITY_ALGORITHMS.join(", ")}`,
+      });
+    }
+    let asOf;
+    try {
+      asOf = parseAsOf(req.query.asOf);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (
+      documentId &&
+      !(project.documents || []).some((doc) => doc.id === documentId)
+    ) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const byCommunity = colorBy === "community" || collapse;
+    // Filters in canonical form, so requests drawing the same graph share a
+    // cached layout: types as filterGraph compares them, frequencies as the
+    // whole counts they're compared with
+    const types = type
+      ? [
+          ...new Set(String(type).toLowerCase().split(",").filter(Boolean)),
+        ].sort()
+      : [];
+    const frequencyFloor = Math.max(Math.ceil(Number(minFrequency)) || 0, 0);
+    const nodeLimit = Math.min(
+      Math.max(parseInt(maxNodes) || DEFAULT_VISUALIZATION_NODES, 1),
+      MAX_VISUALIZATION_NODES
+    );
+
+    // Layouts are cached per graph version; a rebuild drops the old entries
+    let cache = layoutCache.get(id);
+    if (!cache || cache.version !== projectGraph.version) {
+      cache = { version: projectGraph.version, layouts: new Map() };
+      layoutCache.set(id, cache);
+    }
+    const cacheKey = JSON.stringify([
+      layout,
+      types,
+      frequencyFloor,
+      documentId || null,
+      nodeLimit,
+      asOf,
+      byCommunity ? algorithm : null,
+      // Collapsed graphs are always coloured by community
+      collapse ? "community" : colorBy,
+      collapse,
+    ]);
+
+    let computed = cache.layouts.get(cacheKey);
+    const cached = Boolean(computed);
+    if (cached) {
+      // Move to the back of the eviction order
+      cache.layouts.delete(cacheKey);
+    } else {
+      const filtered = filterGraph(
+        projectGraphAsOf(project, projectGraph, asOf),
+        { types, minFrequency: frequencyFloor, documentId }
+      );
+      // Communities come from the whole graph, so a node keeps its colour
+      // whatever the filters
+      const communities = byCommunity
+        ? projectCommunities(id, projectGraph, algorithm)
+        : null;
+      const labels = communities ? communityLabels(project, communities) : null;
+
+      if (collapse) {
+        const collapsed = collapseByCommunity(
+          filtered,
+          communities,
+          new Map(
+            Array.from(labels.values()).map((entry) => [entry.id, entry.label])
+          )
+        );
+        const nodes = collapsed.nodes
+          .sort((a, b) => b.properties.members - a.properties.members)
+          .slice(0, nodeLimit);
+        const nodeIds = new Set(nodes.map((node) => node.id));
+        const edges = collapsed.edges.filter(
+          (edge) => nodeIds.has(edge.source) && nodeIds.has(edge.target)
+        );
+        computed = {
+          ...computeLayout(
+            { nodes, edges },
+            { layout, communities: labels, colorBy: "community" }
+          ),
+          collapsed: true,
+          totalNodes: filtered.nodes.length,
+          truncated: collapsed.nodes.length > nodes.length,
+        };
+      } else {
+        // Only the most frequent nodes are drawn; the rest stay available
+        // through the paged graph endpoint
+        const nodes = filtered.nodes.slice(0, nodeLimit);
+        const nodeIds = new Set(nodes.map((node) => node.id));
+        const edges = filtered.edges.filter(
+          (edge) => nodeIds.has(edge.source) && nodeIds.has(edge.target)
+        );
+
+        computed = {
+          ...computeLayout(
+            { nodes, edges },
+            { layout, communities: labels, colorBy }
+          ),
+          collapsed: false,
+          totalNodes: filtered.nodes.length,
+          truncated: filtered.nodes.length > nodes.length,
+        };
+      }
+    }
+    cache.layouts.set(cacheKey, computed);
+    if (cache.layouts.size > MAX_CACHED_LAYOUTS) {
+      cache.layouts.delete(cache.layouts.keys().next().value);
+    }
+
+    const visualization = {
+      projectId: id,
+      graphVersion: projectGraph.version,
+      asOf,
+      cached,
+      ...computed,
+    };
+
+    res.json({ visualization });
+  } catch (error) {
+    console.error("Error fetching visualization:", error);
+    res.status(500).json({ error: "Failed to fetch visualization data" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/documents
+// Get all documents in the project
+router.get("/project/:id/documents", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const documents = (project.documents || []).map((doc) => ({
+      id: doc.id,
+      name: doc.sourceType === "url" ? doc.title || doc.url : doc.originalName,
+      type:
+        doc.sourceType === "url"
+          ? "url"
+          : path.extname(doc.originalName || "").substring(1),
+      url: doc.url,
+      size: doc.size || (doc.textContent ? doc.textContent.length : 0),
+      uploadedAt: doc.uploadedAt || doc.addedAt,
+      status: doc.processed ? "processed" : doc.status || "failed",
+      pageCount: doc.pageCount || null,
+      language: doc.metadata?.language || null,
+      refresh: doc.refresh
+        ? {
+            intervalMinutes: doc.refresh.intervalMinutes,
+            lastCheckedAt: doc.refresh.lastCheckedAt,
+            lastChangedAt: doc.refresh.lastChangedAt,
+            nextCheckAt: doc.refresh.nextCheckAt,
+            lastResult: doc.refresh.lastResult,
+            error: doc.refresh.error,
+          }
+        : null,
+      versionCount: (doc.versions || []).length,
+      chunkCount: doc.chunkCount || null,
+      failedChunks: (doc.failedChunks || []).length,
+      concepts: (doc.entities || []).length,
+      error: doc.error,
+    }));
 
     res.json({ documents });
   } catch (error) {
@@ -547,39 +1923,922 @@ router.get("/project/:id/documents", async (req, res) => {
   }
 });
 
-// GET /api/knowledge-graph/projects
-// Get all knowledge graph projects
-router.get("/projects", async (req, res) => {
+// Apply an incremental change to a project's graph, if it has been built,
+// as a new graph version
+function updateProjectGraph(project, update) {
+  const graph = graphData.get(project.id);
+  if (!graph) return null;
+
+  const result = update(graph);
+  computeCentrality(graph);
+  graph.stats = computeGraphStats(graph);
+  graph.version = (graph.version || 0) + 1;
+  graph.updatedAt = new Date().toISOString();
+  updateProjectGraphStats(project, graph);
+  return result;
+}
+
+// Incremental updates would be overwritten by a build that is running
+function isGraphBuildRunning(projectId) {
+  return graphBuilds.get(projectId)?.status === "processing";
+}
+
+// Swap a re-extracted document's old graph facts for its new ones
+function replaceDocumentInGraph(project, doc) {
+  return updateProjectGraph(project, (graph) => {
+    const changes = removeDocumentFromGraph(graph, doc.id);
+    const nodeCount = graph.nodes.length;
+    const edgeCount = graph.edges.length;
+    if (doc.processed) {
+      addDocumentToGraph(
+        graph,
+        doc,
+        indexGraph(graph, buildResolution(project.entityDecisions))
+      );
+    }
+    return {
+      ...changes,
+      addedNodes: graph.nodes.length - nodeCount,
+      addedEdges: graph.edges.length - edgeCount,
+    };
+  });
+}
+
+/**
+ * Re-fetch a URL document with its ETag/Last-Modified validators. When the
+ * extracted text has changed, only the changed chunks are re-extracted, a new
+ * version is recorded and the graph is updated incrementally.
+ * @param {Object} project - Project owning the document
+ * @param {Object} doc - URL document
+ * @returns {Promise<Object>} { result: "not_modified" | "unchanged" | "changed" | "failed", version, graphChanges, reusedChunks, chunkCount, error }
+ */
+async function refreshUrlDocument(project, doc) {
+  ensureUrlHistory(doc);
+  const refresh = doc.refresh;
+  const checkedAt = new Date();
+  refresh.lastCheckedAt = checkedAt;
+  refresh.nextCheckAt = nextRefreshAt(refresh.intervalMinutes, checkedAt);
+
   try {
-    // TODO: Fetch from database
-    const projects = [
-      {
-        id: "1",
-        name: "AI Research Knowledge Graph",
-        description: "Knowledge graph for AI and machine learning research",
-        createdAt: new Date(),
-        status: "active",
-        graphStats: {
-          nodes: 150,
-          edges: 320,
-          concepts: 120,
-        },
+    const fetched = await fetchIfModified(doc.url, refresh);
+    refresh.etag = fetched.etag;
+    refresh.lastModified = fetched.lastModified;
+    delete refresh.error;
+
+    const { text, metadata } = fetched.notModified
+      ? { text: null, metadata: null }
+      : extractUrlContent(fetched.data, fetched.contentType);
+    if (
+      fetched.notModified ||
+      (doc.processed && contentHash(text) === refresh.contentHash)
+    ) {
+      refresh.lastResult = fetched.notModified ? "not_modified" : "unchanged";
+      return { result: refresh.lastResult };
+    }
+    if (!text) throw new Error("Could not extract text content");
+
+    const previousFacts = documentFacts(doc);
+    const extractionResult = await extractDocumentEntities(project, doc, text, {
+      reuseChunks: true,
+    });
+    doc.metadata = metadata;
+    if (Array.isArray(doc.links) && fetched.contentType.includes("text/html")) {
+      doc.links = extractPageLinks(fetched.data, fetched.finalUrl).links;
+    }
+    refresh.contentHash = contentHash(text);
+    refresh.lastChangedAt = checkedAt;
+    refresh.lastResult = "changed";
+    const version = recordUrlVersion(doc, previousFacts, checkedAt);
+
+    // The document may have been deleted while it was being fetched, and a
+    // build started meanwhile would overwrite an incremental update
+    const graphChanges =
+      project.documents.includes(doc) && !isGraphBuildRunning(project.id)
+        ? replaceDocumentInGraph(project, doc)
+        : null;
+
+    return {
+      result: "changed",
+      version,
+      graphChanges,
+      reusedChunks: extractionResult.reusedChunks,
+      chunkCount: extractionResult.chunkCount,
+    };
+  } catch (error) {
+    // A failed refresh keeps the document's previous extraction
+    console.error(`Error refreshing URL ${doc.url}:`, error);
+    refresh.lastResult = "failed";
+    refresh.error = error.message;
+    return { result: "failed", error: error.message };
+  }
+}
+
+// Refresh every URL document whose refresh interval has elapsed, one at a
+// time. Projects with a running build, including one started mid-sweep, are
+// retried on the next sweep.
+async function refreshDueUrlDocuments() {
+  for (const project of [...projects.values()]) {
+    if (isGraphBuildRunning(project.id)) continue;
+    const due = (project.documents || []).filter(
+      (doc) =>
+        doc.sourceType === "url" &&
+        doc.refresh?.nextCheckAt &&
+        new Date(doc.refresh.nextCheckAt) <= new Date() &&
+        !refreshingDocuments.has(doc.id)
+    );
+
+    for (const doc of due) {
+      if (
+        projects.get(project.id) !== project ||
+        isGraphBuildRunning(project.id)
+      ) {
+        break;
+      }
+      refreshingDocuments.add(doc.id);
+      try {
+        await refreshUrlDocument(project, doc);
+      } finally {
+        refreshingDocuments.delete(doc.id);
+      }
+      saveKnowledgeGraphs();
+    }
+  }
+}
+
+let refreshSweepRunning = false;
+setInterval(async () => {
+  if (refreshSweepRunning) return;
+  refreshSweepRunning = true;
+  try {
+    await refreshDueUrlDocuments();
+  } catch (error) {
+    console.error("Scheduled URL refresh error:", error);
+  } finally {
+    refreshSweepRunning = false;
+  }
+}, REFRESH_CHECK_INTERVAL_MS).unref();
+
+// DELETE /api/knowledge-graph/project/:id/document/:documentId
+// Remove one document and the graph facts only it supported
+router.delete("/project/:id/document/:documentId", async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const doc = (project.documents || []).find((d) => d.id === documentId);
+    if (!doc) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    if (isGraphBuildRunning(id)) {
+      return res
+        .status(409)
+        .json({ error: "Wait for the running graph build to finish" });
+    }
+
+    project.documents = project.documents.filter((d) => d.id !== documentId);
+    project.reviewQueue = (project.reviewQueue || []).filter(
+      (item) => item.documentId !== documentId
+    );
+    deleteDocumentFile(doc);
+    const graphChanges = updateProjectGraph(project, (graph) =>
+      removeDocumentFromGraph(graph, documentId)
+    );
+    saveKnowledgeGraphs();
+
+    res.json({
+      message: "Document deleted successfully",
+      graphChanges,
+      graphStats: project.graphStats || null,
+    });
+  } catch (error) {
+    console.error("Error deleting document:", error);
+    res.status(500).json({ error: "Failed to delete document" });
+  }
+});
+
+// POST /api/knowledge-graph/project/:id/document/:documentId/reextract
+// Re-run text and entity extraction for one document and update the graph
+router.post("/project/:id/document/:documentId/reextract", async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const doc = (project.documents || []).find((d) => d.id === documentId);
+    if (!doc) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    if (isGraphBuildRunning(id)) {
+      return res
+        .status(409)
+        .json({ error: "Wait for the running graph build to finish" });
+    }
+    if (refreshingDocuments.has(doc.id)) {
+      return res
+        .status(409)
+        .json({ error: "This document is already being refreshed" });
+    }
+    if (doc.sourceType === "url" && !doc.textContent) {
+      return res
+        .status(400)
+        .json({ error: "No stored text to re-extract for this URL" });
+    }
+    if (doc.sourceType !== "url" && !fs.existsSync(resolveDocumentPath(doc))) {
+      return res
+        .status(400)
+        .json({ error: "The uploaded file is no longer on disk" });
+    }
+
+    // Keeps scheduled and manual refreshes off the document meanwhile
+    refreshingDocuments.add(doc.id);
+    try {
+      if (doc.sourceType === "url") {
+        // URLs are re-extracted from the text fetched when they were added
+        try {
+          await extractDocumentEntities(project, doc, doc.textContent);
+        } catch (error) {
+          console.error(`Error re-extracting URL ${doc.url}:`, error);
+          doc.processed = false;
+          doc.error = error.message;
+          doc.status = "failed";
+        }
+      } else {
+        await processFileDocument(project, doc);
+      }
+    } finally {
+      refreshingDocuments.delete(doc.id);
+    }
+
+    // A build started during extraction would overwrite an incremental update
+    const graphChanges =
+      project.documents.includes(doc) && !isGraphBuildRunning(id)
+        ? replaceDocumentInGraph(project, doc)
+        : null;
+    saveKnowledgeGraphs();
+
+    res.json({
+      message: doc.processed
+        ? "Document re-extracted successfully"
+        : "Document re-extraction failed",
+      document: {
+        id: doc.id,
+        status: doc.status,
+        concepts: (doc.entities || []).length,
+        chunkCount: doc.chunkCount || null,
+        failedChunks: (doc.failedChunks || []).length,
+        error: doc.error,
       },
+      graphChanges,
+      graphStats: project.graphStats || null,
+    });
+  } catch (error) {
+    console.error("Error re-extracting document:", error);
+    res.status(500).json({ error: "Failed to re-extract document" });
+  }
+});
+
+// Find a project's URL document for the refresh routes, or send the error
+function findUrlDocument(req, res) {
+  const { id, documentId } = req.params;
+  const project = projects.get(id);
+  if (!project) {
+    res.status(404).json({ error: "Project not found" });
+    return {};
+  }
+  const doc = (project.documents || []).find((d) => d.id === documentId);
+  if (!doc) {
+    res.status(404).json({ error: "Document not found" });
+    return {};
+  }
+  if (doc.sourceType !== "url") {
+    res.status(400).json({ error: "Only URL documents can be refreshed" });
+    return {};
+  }
+  return { project, doc };
+}
+
+// PUT /api/knowledge-graph/project/:id/document/:documentId/refresh
+// Set how often a URL document is re-fetched ({ intervalMinutes }, null to stop)
+router.put("/project/:id/document/:documentId/refresh", async (req, res) => {
+  try {
+    const { doc } = findUrlDocument(req, res);
+    if (!doc) return;
+
+    let intervalMinutes;
+    try {
+      intervalMinutes = parseRefreshInterval(req.body.intervalMinutes);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    ensureUrlHistory(doc);
+    doc.refresh.intervalMinutes = intervalMinutes;
+    doc.refresh.nextCheckAt = nextRefreshAt(intervalMinutes);
+    saveKnowledgeGraphs();
+
+    res.json({ documentId: doc.id, refresh: doc.refresh });
+  } catch (error) {
+    console.error("Error updating refresh interval:", error);
+    res.status(500).json({ error: "Failed to update refresh interval" });
+  }
+});
+
+// POST /api/knowledge-graph/project/:id/document/:documentId/refresh
+// Re-fetch a URL document now and re-extract it if its content changed
+router.post("/project/:id/document/:documentId/refresh", async (req, res) => {
+  try {
+    const { project, doc } = findUrlDocument(req, res);
+    if (!doc) return;
+
+    if (isGraphBuildRunning(project.id)) {
+      return res
+        .status(409)
+        .json({ error: "Wait for the running graph build to finish" });
+    }
+    if (refreshingDocuments.has(doc.id)) {
+      return res
+        .status(409)
+        .json({ error: "This URL is already being refreshed" });
+    }
+
+    refreshingDocuments.add(doc.id);
+    let outcome;
+    try {
+      outcome = await refreshUrlDocument(project, doc);
+    } finally {
+      refreshingDocuments.delete(doc.id);
+    }
+    saveKnowledgeGraphs();
+
+    res.json({
+      message:
+        outcome.result === "changed"
+          ? "URL content changed and was re-extracted"
+          : outcome.result === "failed"
+          ? "URL refresh failed"
+          : "URL content has not changed",
+      ...outcome,
+      refresh: doc.refresh,
+      graphStats: project.graphStats || null,
+    });
+  } catch (error) {
+    console.error("Error refreshing URL:", error);
+    res.status(500).json({ error: "Failed to refresh URL" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/document/:documentId/versions
+// Version history of a URL document, with the facts each version added and removed
+router.get("/project/:id/document/:documentId/versions", async (req, res) => {
+  try {
+    const { doc } = findUrlDocument(req, res);
+    if (!doc) return;
+
+    res.json({
+      document: {
+        id: doc.id,
+        url: doc.url,
+        title: doc.title,
+        refresh: doc.refresh || null,
+      },
+      versions: doc.versions || [],
+    });
+  } catch (error) {
+    console.error("Error fetching document versions:", error);
+    res.status(500).json({ error: "Failed to fetch document versions" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/node/:nodeId/history
+// When facts about an entity appeared in or disappeared from refreshed URLs
+router.get("/project/:id/node/:nodeId/history", async (req, res) => {
+  try {
+    const { id, nodeId } = req.params;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const node = findNode(projectGraph, nodeId);
+    // Entities no source mentions any more are looked up by name
+    const names = node
+      ? [node.label, ...(node.aliases || [])].map((name) =>
+          canonicalizeName(name)
+        )
+      : [canonicalizeName(nodeId)];
+    const events = factHistory(project.documents || [], names);
+    if (!node && events.length === 0) {
+      return res.status(404).json({ error: "Entity not found" });
+    }
+    const entityEvents = events.filter((event) => event.kind === "entity");
+    const appeared = entityEvents.filter((e) => e.change === "appeared");
+    const disappeared = entityEvents.filter((e) => e.change === "disappeared");
+
+    res.json({
+      node: node
+        ? { id: node.id, label: node.label, type: node.type }
+        : {
+            id: nodeId,
+            label: entityEvents[0]?.fact.label || nodeId,
+            type: entityEvents[0]?.fact.type || null,
+          },
+      firstSeen: appeared.length > 0 ? appeared[0].at : null,
+      lastRemoved:
+        disappeared.length > 0 ? disappeared[disappeared.length - 1].at : null,
+      events,
+    });
+  } catch (error) {
+    console.error("Error fetching entity history:", error);
+    res.status(500).json({ error: "Failed to fetch entity history" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/resolution/candidates
+// Propose entities that probably refer to the same thing (query: minScore, limit)
+router.get("/project/:id/resolution/candidates", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { minScore, limit = 50 } = req.query;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const candidates = findMergeCandidates(
+      projectGraph,
+      buildResolution(project.entityDecisions),
       {
-        id: "2",
-        name: "Company Documentation",
-        description: "Internal company knowledge base",
-        createdAt: new Date(),
-        status: "active",
-        graphStats: {
-          nodes: 75,
-          edges: 180,
-          concepts: 60,
+        minScore: minScore !== undefined ? Number(minScore) : undefined,
+        limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      }
+    );
+
+    res.json({ candidates, graphVersion: projectGraph.version });
+  } catch (error) {
+    console.error("Error finding merge candidates:", error);
+    res.status(500).json({ error: "Failed to find merge candidates" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/resolution/decisions
+// List the entity merge, split and reject decisions of a project
+router.get("/project/:id/resolution/decisions", async (req, res) => {
+  try {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    res.json({ decisions: project.entityDecisions || [] });
+  } catch (error) {
+    console.error("Error fetching resolution decisions:", error);
+    res.status(500).json({ error: "Failed to fetch resolution decisions" });
+  }
+});
+
+// POST /api/knowledge-graph/project/:id/resolution/decisions
+// Accept or reject a merge candidate, or manually merge or split entities.
+// Body: accept/reject { nodeIds: [a, b] }, merge { keepId, mergeIds },
+// split { nodeId, names }. The graph is rebuilt to apply merges and splits.
+router.post("/project/:id/resolution/decisions", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, nodeIds, keepId, mergeIds, nodeId, names } = req.body;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!RESOLUTION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: `Action must be one of: ${RESOLUTION_ACTIONS.join(", ")}`,
+      });
+    }
+    if (isGraphBuildRunning(id)) {
+      return res
+        .status(409)
+        .json({ error: "Wait for the running graph build to finish" });
+    }
+
+    const projectGraph = graphData.get(id) || createEmptyGraph(id);
+    const lookup = (reference) => findNode(projectGraph, reference);
+    const decision = { id: uuidv4(), createdAt: new Date() };
+
+    if (action === "accept" || action === "reject") {
+      const pair = (Array.isArray(nodeIds) ? nodeIds : []).map(lookup);
+      if (pair.length !== 2 || !pair.every(Boolean) || pair[0] === pair[1]) {
+        return res
+          .status(400)
+          .json({ error: "Two different existing nodeIds are required" });
+      }
+      if (action === "reject") {
+        decision.action = "reject";
+        decision.names = pair.map((node) => decisionName(node.label));
+      } else {
+        // Keep the better attested of the two entities
+        const [keep, merged] = pair.sort(
+          (a, b) =>
+            (b.properties?.frequency || 0) - (a.properties?.frequency || 0)
+        );
+        decision.action = "merge";
+        decision.keep = decisionName(keep.label);
+        decision.merged = [merged.label, ...(merged.aliases || [])].map(
+          decisionName
+        );
+      }
+    } else if (action === "merge") {
+      const keep = lookup(keepId);
+      const merged = (Array.isArray(mergeIds) ? mergeIds : [])
+        .map(lookup)
+        .filter((node) => node && node !== keep);
+      if (!keep || merged.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "An existing keepId and mergeIds are required" });
+      }
+      decision.action = "merge";
+      decision.keep = decisionName(keep.label);
+      decision.merged = merged
+        .flatMap((node) => [node.label, ...(node.aliases || [])])
+        .map(decisionName);
+    } else {
+      const node = lookup(nodeId);
+      if (!node) {
+        return res
+          .status(400)
+          .json({ error: "An existing nodeId is required" });
+      }
+      const aliases = (Array.isArray(names) ? names : []).filter((name) =>
+        (node.aliases || []).includes(name)
+      );
+      if (aliases.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "Names to split must be aliases of the node" });
+      }
+      decision.action = "split";
+      decision.entity = decisionName(node.label);
+      decision.names = aliases.map(decisionName);
+    }
+
+    if (!project.entityDecisions) project.entityDecisions = [];
+    project.entityDecisions.push(decision);
+    saveKnowledgeGraphs();
+
+    // Rejections only affect the candidate list; merges and splits need a rebuild
+    const build =
+      decision.action !== "reject" && graphData.has(id)
+        ? startGraphBuild(project, { reason: "entity-resolution" })
+        : null;
+
+    res.json({ message: "Decision recorded", decision, build });
+  } catch (error) {
+    console.error("Error recording resolution decision:", error);
+    res.status(500).json({ error: "Failed to record resolution decision" });
+  }
+});
+
+// DELETE /api/knowledge-graph/project/:id/resolution/decisions/:decisionId
+// Undo an entity resolution decision
+router.delete(
+  "/project/:id/resolution/decisions/:decisionId",
+  async (req, res) => {
+    try {
+      const { id, decisionId } = req.params;
+
+      const project = projects.get(id);
+      if (!project) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      const decision = (project.entityDecisions || []).find(
+        (d) => d.id === decisionId
+      );
+      if (!decision) {
+        return res.status(404).json({ error: "Decision not found" });
+      }
+      if (isGraphBuildRunning(id)) {
+        return res
+          .status(409)
+          .json({ error: "Wait for the running graph build to finish" });
+      }
+
+      project.entityDecisions = project.entityDecisions.filter(
+        (d) => d.id !== decisionId
+      );
+      saveKnowledgeGraphs();
+
+      const build =
+        decision.action !== "reject" && graphData.has(id)
+          ? startGraphBuild(project, { reason: "entity-resolution" })
+          : null;
+
+      res.json({ message: "Decision removed", build });
+    } catch (error) {
+      console.error("Error removing resolution decision:", error);
+      res.status(500).json({ error: "Failed to remove resolution decision" });
+    }
+  }
+);
+
+// GET /api/knowledge-graph/project/:id/ontology
+// Get the project ontology and how many facts are waiting for review
+router.get("/project/:id/ontology", async (req, res) => {
+  try {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    res.json({
+      ontology: project.ontology || null,
+      pendingReviews: (project.reviewQueue || []).length,
+    });
+  } catch (error) {
+    console.error("Error fetching ontology:", error);
+    res.status(500).json({ error: "Failed to fetch ontology" });
+  }
+});
+
+// PUT /api/knowledge-graph/project/:id/ontology
+// Set the project ontology, or clear it with ontology: null. It constrains
+// later extractions; with applyToExisting the documents already extracted
+// are checked against it too and the graph is rebuilt.
+router.put("/project/:id/ontology", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { applyToExisting } = req.body;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    let ontology;
+    try {
+      ontology = parseOntology(req.body.ontology);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (applyToExisting && isGraphBuildRunning(id)) {
+      return res
+        .status(409)
+        .json({ error: "Wait for the running graph build to finish" });
+    }
+
+    project.ontology = ontology;
+    if (applyToExisting) {
+      (project.documents || [])
+        .filter((doc) => doc.processed)
+        .forEach((doc) => settleDocumentReviews(project, doc));
+    }
+    saveKnowledgeGraphs();
+
+    const build =
+      applyToExisting && graphData.has(id)
+        ? startGraphBuild(project, { reason: "ontology" })
+        : null;
+
+    res.json({
+      message: ontology ? "Ontology updated" : "Ontology removed",
+      ontology,
+      pendingReviews: (project.reviewQueue || []).length,
+      build,
+    });
+  } catch (error) {
+    console.error("Error updating ontology:", error);
+    res.status(500).json({ error: "Failed to update ontology" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/ontology/suggestion
+// Suggest an ontology from the types and relation labels already extracted
+// (query: minCount, the occurrences a type or relation needs to be included)
+router.get("/project/:id/ontology/suggestion", async (req, res) => {
+  try {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    res.json({
+      suggestion: inferOntology(project.documents || [], {
+        minCount: req.query.minCount,
+      }),
+    });
+  } catch (error) {
+    console.error("Error suggesting ontology:", error);
+    res.status(500).json({ error: "Failed to suggest ontology" });
+  }
+});
+
+// GET /api/knowledge-graph/project/:id/review-queue
+// List the extracted facts that didn't fit the ontology, and past decisions
+router.get("/project/:id/review-queue", async (req, res) => {
+  try {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    res.json({
+      items: project.reviewQueue || [],
+      reviews: [...(project.ontologyReviews || [])].reverse(),
+    });
+  } catch (error) {
+    console.error("Error fetching review queue:", error);
+    res.status(500).json({ error: "Failed to fetch review queue" });
+  }
+});
+
+// POST /api/knowledge-graph/project/:id/review-queue/:itemId
+// Accept or reject a fact that didn't fit the ontology; an accepted entity
+// can be given a type, and an accepted relationship a label. The decision
+// settles the same fact in every document and holds for re-extractions.
+router.post("/project/:id/review-queue/:itemId", async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const { action, type, label } = req.body;
+
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!REVIEW_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: `Action must be one of: ${REVIEW_ACTIONS.join(", ")}`,
+      });
+    }
+
+    const item = (project.reviewQueue || []).find((i) => i.id === itemId);
+    if (!item) {
+      return res.status(404).json({ error: "Review item not found" });
+    }
+    if (isGraphBuildRunning(id)) {
+      return res
+        .status(409)
+        .json({ error: "Wait for the running graph build to finish" });
+    }
+
+    const review = {
+      id: uuidv4(),
+      key: item.key,
+      kind: item.kind,
+      action,
+      fact:
+        item.kind === "entity"
+          ? { label: item.item.label, type: item.item.type }
+          : {
+              source: item.sourceLabel,
+              label: item.item.label,
+              target: item.targetLabel,
+            },
+      createdAt: new Date(),
+    };
+
+    if (action === "accept" && item.kind === "entity" && type) {
+      review.type = normalizeTerm(type);
+      if (
+        project.ontology &&
+        !project.ontology.entityTypes.some((t) => t.name === review.type)
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Type must be one of the ontology's entity types" });
+      }
+    }
+    if (action === "accept" && item.kind === "relationship") {
+      if (label) review.label = normalizeTerm(label);
+      const doc = project.documents.find((d) => d.id === item.documentId);
+      const hasEntity = (entityId) =>
+        (doc?.entities || []).some((e) => String(e.id) === String(entityId));
+      if (!hasEntity(item.item.source) || !hasEntity(item.item.target)) {
+        return res.status(409).json({
+          error: "Accept the relationship's entities before the relationship",
+        });
+      }
+    }
+
+    if (!project.ontologyReviews) project.ontologyReviews = [];
+    project.ontologyReviews.push(review);
+
+    const affected = (project.documents || []).filter((doc) =>
+      project.reviewQueue.some(
+        (queued) => queued.key === item.key && queued.documentId === doc.id
+      )
+    );
+    affected.forEach((doc) => {
+      settleDocumentReviews(project, doc);
+      if (action === "accept") replaceDocumentInGraph(project, doc);
+    });
+    saveKnowledgeGraphs();
+
+    res.json({
+      message: "Review recorded",
+      review,
+      documents: affected.length,
+      pendingReviews: project.reviewQueue.length,
+      graphStats: project.graphStats || null,
+    });
+  } catch (error) {
+    console.error("Error recording review:", error);
+    res.status(500).json({ error: "Failed to record review" });
+  }
+});
+
+// GET /api/knowledge-graph/compare
+// Align two projects' graphs and report what is unique to each and shared
+// Query params: projectA, projectB, limit (entries per list), layout
+router.get("/compare", async (req, res) => {
+  try {
+    const {
+      projectA: idA,
+      projectB: idB,
+      limit = 50,
+      layout = "force",
+    } = req.query;
+
+    if (!idA || !idB) {
+      return res
+        .status(400)
+        .json({ error: "Both 'projectA' and 'projectB' are required" });
+    }
+    if (!LAYOUTS.includes(layout)) {
+      return res
+        .status(400)
+        .json({ error: `Layout must be one of: ${LAYOUTS.join(", ")}` });
+    }
+    const projectA = projects.get(idA);
+    const projectB = projects.get(idB);
+    if (!projectA || !projectB) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const graphA = graphData.get(idA) || createEmptyGraph(idA);
+    const graphB = graphData.get(idB) || createEmptyGraph(idB);
+    const comparison = compareGraphs(graphA, graphB);
+    const listLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const limitLists = (lists) =>
+      Object.fromEntries(
+        Object.entries(lists).map(([key, list]) => [
+          key,
+          list.slice(0, listLimit),
+        ])
+      );
+
+    res.json({
+      projectA: { id: idA, name: projectA.name, graphVersion: graphA.version },
+      projectB: { id: idB, name: projectB.name, graphVersion: graphB.version },
+      counts: comparison.counts,
+      similarity: comparison.similarity,
+      entities: limitLists(comparison.entities),
+      relationships: limitLists(comparison.relationships),
+      visualization: diffVisualization(comparison, {
+        layout,
+        maxNodes: DEFAULT_VISUALIZATION_NODES,
+        labels: {
+          onlyA: `Only in ${projectA.name}`,
+          shared: "In both",
+          onlyB: `Only in ${projectB.name}`,
         },
-      },
-    ];
+      }),
+    });
+  } catch (error) {
+    console.error("Error comparing projects:", error);
+    res.status(500).json({ error: "Failed to compare projects" });
+  }
+});
 
-    res.json({ projects });
+// GET /api/knowledge-graph/projects
+// Get all knowledge graph projects
+router.get("/projects", async (req, res) => {
+  try {
+    const projectList = Array.from(projects.values()).map(
+      ({
+        documents,
+        reviewQueue,
+        ontologyReviews,
+        communityTitles,
+        ...project
+      }) => ({
+        ...project,
+        documentCount: (documents || []).length,
+        pendingReviews: (reviewQueue || []).length,
+      })
+    );
+
+    res.json({ projects: projectList });
   } catch (error) {
     console.error("Error fetching projects:", error);
     res.status(500).json({ error: "Failed to fetch projects" });
@@ -592,7 +2851,23 @@ router.delete("/project/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    // TODO: Delete project and all associated data
+    const project = projects.get(id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    // Remove the project's uploaded files so they don't linger on disk
+    (project.documents || []).forEach(deleteDocumentFile);
+
+    projects.delete(id);
+    graphData.delete(id);
+    graphBuilds.delete(id);
+    layoutCache.delete(id);
+    communityCache.delete(id);
+    crawlJobs.forEach((crawlJob, crawlId) => {
+      if (crawlJob.projectId === id) crawlJobs.delete(crawlId);
+    });
+    saveKnowledgeGraphs();
 
     res.json({ message: "Project deleted successfully" });
   } catch (error) {
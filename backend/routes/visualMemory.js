@@ -4,6 +4,42 @@ const path = require("path");
 const fs = require("fs");
 const { v4: uuidv4 } = require("uuid");
 const { analyzeImageComprehensive } = require("../utils/openai");
+const {
+  embedTexts,
+  embeddingKey,
+  getEmbeddingProvider,
+} = require("../utils/embeddings");
+const {
+  loadVectorIndex,
+  saveVectorIndex,
+  upsertVectors,
+  removeVectors,
+  searchVectors,
+  hybridScore,
+} = require("../utils/vectorIndex");
+const { createTaskQueue } = require("../utils/taskQueue");
+const {
+  NEAR_DUPLICATE_DISTANCE,
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  clusterNearDuplicates,
+} = require("../utils/imageHash");
+const {
+  THUMBNAIL_FORMATS,
+  snapThumbnailWidth,
+  ensureThumbnail,
+  generateThumbnails,
+  removeThumbnails,
+} = require("../utils/thumbnails");
+const {
+  parseVisualQuery,
+  hasFieldClause,
+  matchesQuery,
+  splitQuery,
+  describeQuery,
+  queryFieldList,
+} = require("../utils/visualQuery");
 
 const router = express.Router();
 
@@ -66,10 +102,191 @@ function updateVisualEntity(id, updates) {
   return false;
 }
 
-function deleteVisualEntity(id) {
+// Local vector index of screenshot embeddings, for semantic search
+const VECTOR_INDEX_FILE = path.join(DATA_DIR, "visual_embeddings.json");
+// Screenshots embedded per search when backfilling ones not yet indexed
+const MAX_SEARCH_BACKFILL = 100;
+// Share of the hybrid score given to semantic similarity by default
+const DEFAULT_SEMANTIC_WEIGHT = 0.5;
+// Screenshots less similar than this to the query get no semantic score
+const DEFAULT_MIN_SIMILARITY = 0.25;
+
+// Text a screenshot is embedded from: its OCR text and visual description
+function embeddingText(entity) {
+  const textContent = entity.analysis?.textContent;
+  return [
+    textContent && textContent !== "No text found." ? textContent : "",
+    entity.analysis?.visualDescription || "",
+  ]
+    .filter((part) => part.trim().length > 0)
+    .join("\n\n");
+}
+
+/**
+ * Embed processed screenshots that aren't in the vector index yet. Failures
+ * are logged, not thrown: keyword search doesn't need the vectors, and the
+ * next search retries the missing ones.
+ * @param {Array} entities - Screenshot entities
+ * @param {Object} options - { limit: most screenshots to embed }
+ * @returns {Promise<Object>} { index, indexed }
+ */
+async function indexScreenshotEmbeddings(entities, options = {}) {
+  const key = embeddingKey();
+  let index = loadVectorIndex(VECTOR_INDEX_FILE, key);
+  const pending = entities
+    .filter(
+      (entity) =>
+        entity.processed && !index.vectors[entity.id] && embeddingText(entity)
+    )
+    .slice(0, options.limit || entities.length);
+  if (pending.length === 0) {
+    return { index, indexed: 0 };
+  }
+
+  try {
+    const vectors = await embedTexts(pending.map(embeddingText));
+    if (embeddingKey() !== key) {
+      // The provider changed meanwhile; these vectors can't be compared
+      return {
+        index: loadVectorIndex(VECTOR_INDEX_FILE, embeddingKey()),
+        indexed: 0,
+      };
+    }
+    // Other batches, searches and deletes may have written the index while
+    // this one waited, so start from its current state and skip screenshots
+    // deleted meanwhile
+    index = loadVectorIndex(VECTOR_INDEX_FILE, key);
+    const stored = new Set(loadVisualEntities().entities.map((e) => e.id));
+    const entries = pending
+      .map((entity, i) => ({ id: entity.id, vector: vectors[i] }))
+      .filter((entry) => stored.has(entry.id) && Array.isArray(entry.vector));
+    upsertVectors(index, entries);
+    saveVectorIndex(VECTOR_INDEX_FILE, index);
+    return { index, indexed: entries.length };
+  } catch (error) {
+    console.error("Error indexing screenshot embeddings:", error);
+    return { index, indexed: 0 };
+  }
+}
+
+// Absolute path of a stored screenshot's image file
+function screenshotFilePath(entity) {
+  return path.isAbsolute(entity.path)
+    ? entity.path
+    : path.join(process.cwd(), entity.path);
+}
+
+// Content and perceptual hashes of an image file; the perceptual hash is
+// null when the image can't be decoded
+async function imageHashes(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  let hash = null;
+  try {
+    hash = await perceptualHash(buffer);
+  } catch (error) {
+    console.error(`Error hashing image ${filePath}:`, error.message);
+  }
+  return { contentHash: contentHash(buffer), perceptualHash: hash };
+}
+
+/**
+ * Hash stored screenshots uploaded before duplicate detection existed
+ * @returns {Promise<Object>} The stored data, with hashes filled in
+ */
+async function ensureImageHashes() {
+  const hashes = new Map();
+  for (const entity of loadVisualEntities().entities) {
+    if (entity.contentHash || !fs.existsSync(screenshotFilePath(entity))) {
+      continue;
+    }
+    hashes.set(entity.id, await imageHashes(screenshotFilePath(entity)));
+  }
+
+  // Reload before saving: background analysis may have updated entities
+  // while the images were hashed
   const data = loadVisualEntities();
-  data.entities = data.entities.filter((entity) => entity.id !== id);
-  return saveVisualEntities(data);
+  if (hashes.size > 0) {
+    data.entities.forEach((entity) => {
+      if (hashes.has(entity.id)) Object.assign(entity, hashes.get(entity.id));
+    });
+    saveVisualEntities(data);
+  }
+  return data;
+}
+
+/**
+ * Parse a near-duplicate distance parameter
+ * @param {*} value - Distance from the client; empty means the default
+ * @returns {number|null} Bits of difference allowed, or null when invalid
+ */
+function parseDuplicateDistance(value) {
+  if (value === undefined || value === null || value === "") {
+    return NEAR_DUPLICATE_DISTANCE;
+  }
+  const distance = Number(value);
+  return Number.isInteger(distance) && distance >= 0 && distance <= 64
+    ? distance
+    : null;
+}
+
+/**
+ * Group stored screenshots into near-duplicate clusters
+ * @param {Array} entities - Screenshot entities with perceptual hashes
+ * @param {number} maxDistance - Bits of difference allowed
+ * @returns {Array} [{ id, size, keepId, members }], largest first; keepId is the suggested copy to keep (analyzed, then earliest uploaded) and each member has its distance from it
+ */
+function duplicateClusters(entities, maxDistance) {
+  const byId = new Map(entities.map((entity) => [entity.id, entity]));
+  return clusterNearDuplicates(entities, maxDistance)
+    .map((ids) => {
+      const members = ids.map((id) => byId.get(id));
+      const keep = [...members].sort(
+        (a, b) =>
+          (b.processed ? 1 : 0) - (a.processed ? 1 : 0) ||
+          new Date(a.uploadedAt) - new Date(b.uploadedAt)
+      )[0];
+      return {
+        size: members.length,
+        keepId: keep.id,
+        members: members.map((entity) => ({
+          id: entity.id,
+          filename: entity.filename,
+          originalName: entity.originalName,
+          folder: entity.folder,
+          size: entity.size,
+          uploadedAt: entity.uploadedAt,
+          processed: entity.processed,
+          distance: hammingDistance(keep.perceptualHash, entity.perceptualHash),
+          thumbnail: `/api/visual-memory/thumbnail/${entity.id}`,
+        })),
+      };
+    })
+    .sort((a, b) => b.size - a.size)
+    .map((cluster, index) => ({ id: `d${index + 1}`, ...cluster }));
+}
+
+// Delete screenshots along with their image files and vectors
+function removeScreenshots(ids) {
+  const remove = new Set(ids);
+  const data = loadVisualEntities();
+  const removed = data.entities.filter((entity) => remove.has(entity.id));
+  data.entities = data.entities.filter((entity) => !remove.has(entity.id));
+  if (!saveVisualEntities(data)) {
+    throw new Error("Failed to save visual entities");
+  }
+
+  removed.forEach((entity) => {
+    try {
+      fs.rmSync(screenshotFilePath(entity), { force: true });
+      removeThumbnails(screenshotFilePath(entity));
+    } catch (error) {
+      console.error(`Error deleting image file ${entity.path}:`, error);
+    }
+  });
+  const removedIds = removed.map((entity) => entity.id);
+  const index = loadVectorIndex(VECTOR_INDEX_FILE, embeddingKey());
+  saveVectorIndex(VECTOR_INDEX_FILE, removeVectors(index, removedIds));
+  return removedIds;
 }
 
 // Image validation helper function
@@ -177,8 +394,246 @@ const upload = multer({
   },
 });
 
+// Background analysis of uploaded screenshots: files analyzed at once, tries
+// per file, and the delay before the first retry (doubling after that)
+const ANALYSIS_CONCURRENCY = 3;
+const ANALYSIS_MAX_ATTEMPTS = 3;
+const ANALYSIS_RETRY_DELAY_MS = 2000;
+// Finished upload batches kept around for progress lookups
+const MAX_FINISHED_BATCHES = 50;
+
+const analysisQueue = createTaskQueue({
+  concurrency: ANALYSIS_CONCURRENCY,
+  maxAttempts: ANALYSIS_MAX_ATTEMPTS,
+  baseDelay: ANALYSIS_RETRY_DELAY_MS,
+});
+// Thumbnails are generated a couple of images at a time, next to analysis
+const thumbnailQueue = createTaskQueue({ concurrency: 2, maxAttempts: 1 });
+// Upload batches by id, oldest first
+const uploadBatches = new Map();
+
+// Stored fields for a screenshot's comprehensive analysis results
+function analysisFields(analysisResults) {
+  return {
+    processed: true,
+    error: null,
+    // Structured analysis results
+    analysis: {
+      textContent: analysisResults.textContent,
+      visualDescription: analysisResults.visualDescription,
+      entityAnalysis: analysisResults.entityAnalysis,
+      processedAt: analysisResults.processedAt,
+      analysisVersion: analysisResults.analysisVersion,
+    },
+    // Extracted metadata for easy searching
+    metadata: {
+      extractedText: analysisResults.textContent,
+      visualElements:
+        analysisResults.entityAnalysis.summary?.ui_components || [],
+      dominantColors:
+        analysisResults.entityAnalysis.summary?.dominant_colors || [],
+      primaryObjects:
+        analysisResults.entityAnalysis.summary?.primary_objects || [],
+      totalEntities:
+        analysisResults.entityAnalysis.summary?.total_entities || 0,
+      entityTypes:
+        analysisResults.entityAnalysis.entities?.map((e) => e.type) || [],
+    },
+    // Searchable tags
+    tags: [
+      ...(analysisResults.entityAnalysis.summary?.ui_components || []),
+      ...(analysisResults.entityAnalysis.summary?.dominant_colors || []),
+      ...(analysisResults.entityAnalysis.summary?.primary_objects || []),
+      ...(analysisResults.entityAnalysis.entities?.map((e) => e.label) || []),
+    ].filter((tag, index, arr) => arr.indexOf(tag) === index), // Remove duplicates
+  };
+}
+
+// Recount a batch's progress; once every file is done, embed the analyzed
+// screenshots for semantic search and mark the batch finished
+function updateBatchProgress(batch) {
+  const completed = batch.files.filter((f) => f.status === "completed").length;
+  const failed = batch.files.filter((f) => f.status === "failed").length;
+  const duplicates = batch.files.filter((f) => f.status === "duplicate").length;
+  const total = batch.files.length;
+  const done = completed + failed + duplicates;
+
+  batch.progress = {
+    total,
+    completed,
+    failed,
+    duplicates,
+    pending: total - done,
+    percent: total > 0 ? Math.round((done / total) * 100) : 100,
+  };
+  batch.summary = {
+    ...batch.summary,
+    successfullyProcessed: completed,
+    processingErrors: failed,
+    duplicatesSkipped: duplicates,
+  };
+  batch.errors = batch.files
+    .filter((f) => f.status === "failed")
+    .map((f) => ({ filename: f.originalName, error: f.error }));
+
+  if (batch.progress.pending === 0 && !batch.finishing) {
+    batch.finishing = true;
+    finishBatch(batch).catch((error) =>
+      console.error(`Error finishing upload batch ${batch.id}:`, error)
+    );
+  }
+}
+
+async function finishBatch(batch) {
+  const ids = new Set(batch.files.map((f) => f.id));
+  try {
+    const { indexed } = await indexScreenshotEmbeddings(
+      loadVisualEntities().entities.filter((entity) => ids.has(entity.id))
+    );
+    batch.summary.embedded = indexed;
+  } finally {
+    // Embeddings are optional, so the batch finishes either way
+    batch.status =
+      batch.progress.failed < batch.progress.total ? "completed" : "failed";
+    batch.completedAt = new Date();
+    delete batch.finishing;
+  }
+}
+
+// Drop the oldest finished batches beyond MAX_FINISHED_BATCHES
+function pruneUploadBatches() {
+  const finished = Array.from(uploadBatches.values()).filter(
+    (batch) => batch.status !== "processing"
+  );
+  finished
+    .slice(0, Math.max(finished.length - MAX_FINISHED_BATCHES, 0))
+    .forEach((batch) => uploadBatches.delete(batch.id));
+}
+
+// Queue a stored screenshot for analysis, tracking it in its batch
+function queueScreenshotAnalysis(batch, record, file) {
+  const setStatus = (status, updates = {}) => {
+    Object.assign(record, { status, ...updates });
+    updateVisualEntity(record.id, { status, ...updates });
+  };
+
+  analysisQueue.enqueue(
+    async () => {
+      const imageBuffer = fs.readFileSync(file.path);
+      const imageType = path.extname(file.originalname).substring(1);
+      return analyzeImageComprehensive(imageBuffer, imageType);
+    },
+    {
+      onStart: (attempt) => {
+        record.attempts = attempt;
+        record.nextRetryAt = null;
+        setStatus("processing");
+      },
+      onRetry: (error, attempt, delay) => {
+        console.error(
+          `Error processing file ${file.originalname} (attempt ${attempt}), retrying in ${delay}ms:`,
+          error.message
+        );
+        record.nextRetryAt = new Date(Date.now() + delay);
+        setStatus("retrying", { error: error.message });
+      },
+      onSuccess: (analysisResults) => {
+        Object.assign(record, { status: "completed", error: null });
+        updateVisualEntity(record.id, {
+          status: "completed",
+          ...analysisFields(analysisResults),
+        });
+        updateBatchProgress(batch);
+      },
+      onFailure: (error) => {
+        console.error(`Error processing file ${file.originalname}:`, error);
+        // The file stays stored, just without analysis
+        setStatus("failed", { error: error.message });
+        updateBatchProgress(batch);
+      },
+    }
+  );
+}
+
+// Queue analysis again for screenshots a restart left unfinished, since the
+// queue and batches only live in memory. Each batch is rebuilt under its old
+// id, so a client still following it picks up where it left off.
+function resumeUnfinishedAnalysis() {
+  const entities = loadVisualEntities().entities;
+  const isUnfinished = (entity) =>
+    !entity.processed &&
+    ["queued", "processing", "retrying"].includes(entity.status);
+  const batchIds = new Set(entities.filter(isUnfinished).map((e) => e.batchId));
+
+  batchIds.forEach((batchId) => {
+    const members = entities.filter((entity) => entity.batchId === batchId);
+    const folders = [...new Set(members.map((e) => e.folder).filter(Boolean))];
+    const batch = {
+      id: batchId || uuidv4(),
+      status: "processing",
+      resumed: true,
+      createdAt: new Date(members[0].uploadedAt),
+      completedAt: null,
+      files: [],
+      summary: {
+        totalFiles: members.length,
+        folderStructure: {
+          hasFolders: folders.length > 0,
+          folderCount: folders.length,
+          fileCount: members.length,
+          folders,
+        },
+      },
+    };
+    const toAnalyze = [];
+
+    members.forEach((entity) => {
+      const record = {
+        id: entity.id,
+        filename: entity.filename,
+        originalName: entity.originalName,
+        status: entity.status === "failed" ? "failed" : "completed",
+        attempts: 0,
+        error: entity.error || null,
+        nextRetryAt: null,
+        duplicateOf: null,
+        nearDuplicateOf: null,
+      };
+      batch.files.push(record);
+      if (!isUnfinished(entity)) return;
+
+      const filePath = screenshotFilePath(entity);
+      if (fs.existsSync(filePath)) {
+        record.status = "queued";
+        updateVisualEntity(entity.id, { status: "queued", error: null });
+        toAnalyze.push({
+          record,
+          file: { path: filePath, originalname: entity.originalName },
+        });
+      } else {
+        record.status = "failed";
+        record.error = "Image file not found";
+        updateVisualEntity(entity.id, {
+          status: "failed",
+          error: record.error,
+        });
+      }
+    });
+
+    uploadBatches.set(batch.id, batch);
+    updateBatchProgress(batch);
+    toAnalyze.forEach(({ record, file }) =>
+      queueScreenshotAnalysis(batch, record, file)
+    );
+    console.log(
+      `🔁 Resumed analysis of ${toAnalyze.length} screenshot(s) from upload batch ${batch.id}`
+    );
+  });
+}
+
 // POST /api/visual-memory/upload-screenshots
-// Upload screenshots with enhanced validation
+// Store screenshots and queue them for analysis; returns the batch id to
+// follow progress with straight away
 router.post(
   "/upload-screenshots",
   upload.array("screenshots", 100),
@@ -202,124 +657,112 @@ router.post(
         });
       }
 
-      const uploadedFiles = [];
-      const processingErrors = [];
-
-      // Process each screenshot with comprehensive analysis
-      for (const file of req.files) {
-        try {
-          const imageBuffer = fs.readFileSync(file.path);
-          const imageType = path.extname(file.originalname).substring(1);
-
-          // Perform comprehensive analysis using the new function
-          const analysisResults = await analyzeImageComprehensive(
-            imageBuffer,
-            imageType
-          );
-
-          const processedFile = {
-            id: uuidv4(),
-            filename: file.filename,
-            originalName: file.originalname,
-            path: path.relative(process.cwd(), file.path), // Store relative path
-            size: file.size,
-            uploadedAt: new Date(),
-            processed: true,
-            folder: file.originalname.includes("/")
-              ? file.originalname.split("/")[0]
-              : null,
-            // Structured analysis results
-            analysis: {
-              textContent: analysisResults.textContent,
-              visualDescription: analysisResults.visualDescription,
-              entityAnalysis: analysisResults.entityAnalysis,
-              processedAt: analysisResults.processedAt,
-              analysisVersion: analysisResults.analysisVersion,
-            },
-            // Extracted metadata for easy searching
-            metadata: {
-              extractedText: analysisResults.textContent,
-              visualElements:
-                analysisResults.entityAnalysis.summary?.ui_components || [],
-              dominantColors:
-                analysisResults.entityAnalysis.summary?.dominant_colors || [],
-              primaryObjects:
-                analysisResults.entityAnalysis.summary?.primary_objects || [],
-              totalEntities:
-                analysisResults.entityAnalysis.summary?.total_entities || 0,
-              entityTypes:
-                analysisResults.entityAnalysis.entities?.map((e) => e.type) ||
-                [],
-            },
-            // Searchable tags
-            tags: [
-              ...(analysisResults.entityAnalysis.summary?.ui_components || []),
-              ...(analysisResults.entityAnalysis.summary?.dominant_colors ||
-                []),
-              ...(analysisResults.entityAnalysis.summary?.primary_objects ||
-                []),
-              ...(analysisResults.entityAnalysis.entities?.map(
-                (e) => e.label
-              ) || []),
-            ].filter((tag, index, arr) => arr.indexOf(tag) === index), // Remove duplicates
-          };
-
-          uploadedFiles.push(processedFile);
-        } catch (error) {
-          console.error(`Error processing file ${file.originalname}:`, error);
-          processingErrors.push({
-            filename: file.originalname,
-            error: error.message,
-          });
+      const batch = {
+        id: uuidv4(),
+        status: "processing",
+        createdAt: new Date(),
+        completedAt: null,
+        files: [],
+        summary: {
+          totalFiles: req.files.length,
+          folderStructure: folderValidation,
+        },
+      };
+
+      // Hash every file: exact copies of analyzed screenshots are dropped
+      // instead of analyzed again, near-duplicates are noted. A copy still
+      // waiting for analysis doesn't count, so re-uploading never gets stuck
+      // behind it.
+      const hashes = await Promise.all(
+        req.files.map((file) => imageHashes(file.path))
+      );
+      const stored = loadVisualEntities().entities;
+      const storedContent = new Map(
+        stored
+          .filter((entity) => entity.contentHash && entity.processed)
+          .map((entity) => [entity.contentHash, entity.id])
+      );
+      const toAnalyze = [];
 
-          // Add file without processing if AI processing fails
-          uploadedFiles.push({
-            id: uuidv4(),
-            filename: file.filename,
-            originalName: file.originalname,
-            path: path.relative(process.cwd(), file.path), // Store relative path
-            size: file.size,
-            uploadedAt: new Date(),
-            processed: false,
-            error: error.message,
-            folder: file.originalname.includes("/")
-              ? file.originalname.split("/")[0]
-              : null,
-            analysis: null,
-            metadata: null,
-            tags: [],
-          });
+      // Store each new screenshot unprocessed; analysis fills it in later
+      req.files.forEach((file, index) => {
+        const record = {
+          id: null,
+          filename: file.filename,
+          originalName: file.originalname,
+          status: "queued",
+          attempts: 0,
+          error: null,
+          nextRetryAt: null,
+          duplicateOf: null,
+          nearDuplicateOf: null,
+        };
+        batch.files.push(record);
+
+        const hash = hashes[index];
+        if (storedContent.has(hash.contentHash)) {
+          fs.rmSync(file.path, { force: true });
+          record.status = "duplicate";
+          record.duplicateOf = storedContent.get(hash.contentHash);
+          return;
         }
-      }
 
-      // Store uploaded files in JSON file
-      uploadedFiles.forEach((file) => {
-        addVisualEntity({
-          id: file.id,
+        const nearest = stored
+          .map((entity) => ({
+            id: entity.id,
+            distance: hammingDistance(
+              entity.perceptualHash,
+              hash.perceptualHash
+            ),
+          }))
+          .filter((match) => match.distance <= NEAR_DUPLICATE_DISTANCE)
+          .sort((a, b) => a.distance - b.distance)[0];
+
+        const entity = {
+          id: uuidv4(),
           filename: file.filename,
-          originalName: file.originalName,
-          path: file.path,
+          originalName: file.originalname,
+          path: path.relative(process.cwd(), file.path), // Store relative path
           size: file.size,
-          uploadedAt: file.uploadedAt,
-          processed: file.processed,
-          folder: file.folder,
-          analysis: file.analysis,
-          metadata: file.metadata,
-          tags: file.tags,
+          uploadedAt: new Date(),
+          processed: false,
+          status: "queued",
+          batchId: batch.id,
+          folder: file.originalname.includes("/")
+            ? file.originalname.split("/")[0]
+            : null,
+          contentHash: hash.contentHash,
+          perceptualHash: hash.perceptualHash,
+          analysis: null,
+          metadata: null,
+          tags: [],
+        };
+        addVisualEntity(entity);
+        stored.push(entity);
+        storedContent.set(entity.contentHash, entity.id);
+        record.id = entity.id;
+        record.nearDuplicateOf = nearest ? nearest.id : null;
+        toAnalyze.push({ record, file });
+      });
+
+      updateBatchProgress(batch);
+      pruneUploadBatches();
+      uploadBatches.set(batch.id, batch);
+      toAnalyze.forEach(({ record, file }) => {
+        queueScreenshotAnalysis(batch, record, file);
+        thumbnailQueue.enqueue(() => generateThumbnails(file.path), {
+          onFailure: (error) =>
+            console.error(
+              `Error generating thumbnails for ${file.originalname}:`,
+              error.message
+            ),
         });
       });
 
-      res.json({
-        message: "Upload completed successfully",
-        summary: {
-          totalFiles: req.files.length,
-          successfullyProcessed: uploadedFiles.filter((f) => f.processed)
-            .length,
-          processingErrors: processingErrors.length,
-          folderStructure: folderValidation,
-        },
-        files: uploadedFiles,
-        errors: processingErrors,
+      res.status(202).json({
+        message: "Upload received, analysis in progress",
+        batchId: batch.id,
+        batch,
       });
     } catch (error) {
       console.error("Upload error:", error);
@@ -331,22 +774,119 @@ router.post(
   }
 );
 
+// GET /api/visual-memory/upload-batch/:batchId
+// Get the analysis progress of an upload batch, file by file
+router.get("/upload-batch/:batchId", async (req, res) => {
+  try {
+    const batch = uploadBatches.get(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ error: "Upload batch not found" });
+    }
+
+    res.json({ batch, queue: analysisQueue.stats() });
+  } catch (error) {
+    console.error("Error fetching upload batch:", error);
+    res.status(500).json({ error: "Failed to fetch upload batch" });
+  }
+});
+
+/**
+ * A screenshot as returned by search
+ * @param {Object} entity - Stored screenshot
+ * @param {Object} details - confidence, keywordScore and semanticScore, plus
+ * the textMatches, visualMatches, entityMatches, tagMatches, semanticMatches
+ * and matchDetails explaining them
+ * @returns {Object} Search result
+ */
+function searchResult(entity, details) {
+  return {
+    id: entity.id,
+    filename: entity.filename,
+    originalName: entity.originalName,
+    confidence: details.confidence,
+    keywordScore: Number(details.keywordScore.toFixed(4)),
+    semanticScore: Number((details.semanticScore || 0).toFixed(4)),
+    textMatches: [...new Set(details.textMatches || [])], // Remove duplicates
+    visualMatches: [...new Set(details.visualMatches || [])],
+    entityMatches: [...new Set(details.entityMatches || [])],
+    tagMatches: [...new Set(details.tagMatches || [])],
+    semanticMatches: details.semanticMatches || [],
+    thumbnail: `/api/visual-memory/thumbnail/${entity.id}`,
+    timestamp: entity.uploadedAt,
+    textContent: entity.analysis.textContent,
+    visualDescription: entity.analysis.visualDescription,
+    entityCount: entity.metadata?.totalEntities || 0,
+    tags: entity.tags || [],
+    folder: entity.folder,
+    matchDetails: details.matchDetails,
+    // Add additional metadata for better display
+    dominantColors: entity.metadata?.dominantColors || [],
+    primaryObjects: entity.metadata?.primaryObjects || [],
+    entityTypes: entity.metadata?.entityTypes || [],
+    fileSize: entity.size,
+    uploadedDate: entity.uploadedAt,
+  };
+}
+
 // POST /api/visual-memory/search
 // Search screenshots using natural language queries
 router.post("/search", async (req, res) => {
   try {
     const { query, filters = {} } = req.body;
 
-    if (!query) {
+    // Field clauses (folder:billing uploaded:>2025-06-01), boolean operators
+    // and negations filter; the remaining words rank results as before
+    let parsedQuery;
+    try {
+      parsedQuery = parseVisualQuery(query);
+    } catch (error) {
+      if (hasFieldClause(query)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid search query", details: error.message });
+      }
+      // Plain text that just happens to look malformed, e.g. "checkout (beta"
+      parsedQuery = { type: "term", value: String(query).trim() };
+    }
+    if (!parsedQuery) {
       return res.status(400).json({ error: "Search query is required" });
     }
+    const { text: searchText, filter: queryFilter } = splitQuery(parsedQuery);
 
     const data = loadVisualEntities();
     const entities = data.entities;
 
+    // Semantic similarity of each screenshot to the query, from the vector
+    // index; screenshots uploaded before it existed are embedded on the way
+    const semanticWeight = Math.min(
+      Math.max(Number(filters.semanticWeight ?? DEFAULT_SEMANTIC_WEIGHT), 0),
+      1
+    );
+    const similarities = new Map();
+    let semanticActive = false;
+    let semanticError = null;
+    let indexedEntities = 0;
+    if (semanticWeight > 0 && searchText) {
+      try {
+        const { index } = await indexScreenshotEmbeddings(entities, {
+          limit: MAX_SEARCH_BACKFILL,
+        });
+        indexedEntities = Object.keys(index.vectors).length;
+        const [queryVector] = await embedTexts([searchText]);
+        searchVectors(index, queryVector, {
+          minSimilarity: filters.minSimilarity ?? DEFAULT_MIN_SIMILARITY,
+        }).forEach((match) => similarities.set(match.id, match.similarity));
+        semanticActive = true;
+      } catch (error) {
+        // Fall back to keyword matching alone
+        console.error("Semantic search error:", error);
+        semanticError = error.message;
+      }
+    }
+
     // Search through uploaded screenshots
     const searchResults = [];
-    const queryLower = query.toLowerCase();
+    const queryLower = searchText.toLowerCase();
     const queryWords = queryLower
       .split(/\s+/)
       .filter((word) => word.length > 0);
@@ -356,6 +896,27 @@ router.post("/search", async (req, res) => {
         return; // Skip unprocessed screenshots
       }
 
+      // Apply filters if provided
+      if (filters.folder && entity.folder !== filters.folder) {
+        return; // Skip if folder filter doesn't match
+      }
+
+      if (!matchesQuery(queryFilter, entity)) {
+        return; // Skip if the query's field clauses rule it out
+      }
+
+      // A query of field clauses alone matches everything they let through
+      if (!searchText) {
+        searchResults.push(
+          searchResult(entity, {
+            confidence: 1,
+            keywordScore: 1,
+            matchDetails: { queryFilter: true },
+          })
+        );
+        return;
+      }
+
       let confidence = 0;
       const textMatches = [];
       const visualMatches = [];
@@ -373,7 +934,7 @@ router.post("/search", async (req, res) => {
         // Exact phrase match
         if (textContent.includes(queryLower)) {
           confidence += 0.5;
-          textMatches.push(`Exact text match: "${query}"`);
+          textMatches.push(`Exact text match: "${searchText}"`);
           matchDetails.textExact = true;
         }
 
@@ -395,7 +956,7 @@ router.post("/search", async (req, res) => {
         // Exact phrase match in visual description
         if (visualDesc.includes(queryLower)) {
           confidence += 0.4;
-          visualMatches.push(`Visual description contains: "${query}"`);
+          visualMatches.push(`Visual description contains: "${searchText}"`);
           matchDetails.visualExact = true;
         }
 
@@ -519,52 +1080,54 @@ router.post("/search", async (req, res) => {
         }
       }
 
-      // Apply filters if provided
-      if (filters.folder && entity.folder !== filters.folder) {
-        return; // Skip if folder filter doesn't match
+      // Hybrid score: keyword confidence blended with semantic similarity
+      const keywordScore = Math.min(1.0, confidence);
+      const semanticScore = similarities.get(entity.id) || 0;
+      const semanticMatches = [];
+      if (semanticScore > 0) {
+        semanticMatches.push(
+          `Semantic similarity: ${(semanticScore * 100).toFixed(1)}%`
+        );
+        matchDetails.semantic = true;
       }
+      const score = semanticActive
+        ? hybridScore(keywordScore, semanticScore, semanticWeight)
+        : keywordScore;
 
-      if (filters.minConfidence && confidence < filters.minConfidence) {
+      if (filters.minConfidence && score < filters.minConfidence) {
         return; // Skip if confidence is too low
       }
 
       // If we found matches, add to results
-      if (confidence > 0) {
+      if (score > 0) {
         // Calculate relevance score based on recency and confidence
         const daysSinceUpload =
           (new Date() - new Date(entity.uploadedAt)) / (1000 * 60 * 60 * 24);
         const recencyBonus = Math.max(0, 1 - daysSinceUpload / 30); // Bonus for recent uploads
-        const finalConfidence = Math.min(1.0, confidence + recencyBonus * 0.1);
-
-        searchResults.push({
-          id: entity.id,
-          filename: entity.filename,
-          originalName: entity.originalName,
-          confidence: finalConfidence,
-          textMatches: [...new Set(textMatches)], // Remove duplicates
-          visualMatches: [...new Set(visualMatches)],
-          entityMatches: [...new Set(entityMatches)],
-          tagMatches: [...new Set(tagMatches)],
-          thumbnail: `/api/visual-memory/thumbnail/${entity.id}`,
-          timestamp: entity.uploadedAt,
-          textContent: entity.analysis.textContent,
-          visualDescription: entity.analysis.visualDescription,
-          entityCount: entity.metadata?.totalEntities || 0,
-          tags: entity.tags || [],
-          folder: entity.folder,
-          matchDetails: matchDetails,
-          // Add additional metadata for better display
-          dominantColors: entity.metadata?.dominantColors || [],
-          primaryObjects: entity.metadata?.primaryObjects || [],
-          entityTypes: entity.metadata?.entityTypes || [],
-          fileSize: entity.size,
-          uploadedDate: entity.uploadedAt,
-        });
+        const finalConfidence = Math.min(1.0, score + recencyBonus * 0.1);
+
+        searchResults.push(
+          searchResult(entity, {
+            confidence: finalConfidence,
+            keywordScore,
+            semanticScore,
+            textMatches,
+            visualMatches,
+            entityMatches,
+            tagMatches,
+            semanticMatches,
+            matchDetails,
+          })
+        );
       }
     });
 
-    // Sort by confidence (highest first)
-    searchResults.sort((a, b) => b.confidence - a.confidence);
+    // Sort by confidence (highest first), then newest first
+    searchResults.sort(
+      (a, b) =>
+        b.confidence - a.confidence ||
+        new Date(b.timestamp) - new Date(a.timestamp)
+    );
 
     // Apply limit if specified
     const limit = filters.limit || searchResults.length;
@@ -579,11 +1142,23 @@ router.post("/search", async (req, res) => {
         totalEntities: entities.length,
         processedEntities: entities.filter((e) => e.processed).length,
         queryWords: queryWords,
+        parsedQuery: {
+          text: searchText,
+          filter: describeQuery(queryFilter),
+        },
         averageConfidence:
           searchResults.length > 0
             ? searchResults.reduce((sum, r) => sum + r.confidence, 0) /
               searchResults.length
             : 0,
+        semantic: {
+          enabled: semanticActive,
+          provider: getEmbeddingProvider().name,
+          model: getEmbeddingProvider().model,
+          weight: semanticActive ? semanticWeight : 0,
+          indexedEntities,
+          error: semanticError,
+        },
       },
     });
   } catch (error) {
@@ -593,17 +1168,135 @@ router.post("/search", async (req, res) => {
 });
 
 // GET /api/visual-memory/screenshots
-// Get all uploaded screenshots
+// Get all uploaded screenshots; collapse=true lists each near-duplicate
+// cluster once, as its suggested keeper with the others under duplicates
 router.get("/screenshots", async (req, res) => {
   try {
-    const data = loadVisualEntities();
-    res.json({ screenshots: data.entities });
+    if (req.query.collapse !== "true") {
+      const data = loadVisualEntities();
+      return res.json({ screenshots: data.entities });
+    }
+
+    const distance = parseDuplicateDistance(req.query.distance);
+    if (distance === null) {
+      return res
+        .status(400)
+        .json({ error: "distance must be an integer from 0 to 64" });
+    }
+
+    const data = await ensureImageHashes();
+    const clusters = duplicateClusters(data.entities, distance);
+    const hidden = new Set();
+    const duplicatesByKeeper = new Map();
+    clusters.forEach((cluster) => {
+      const others = cluster.members.filter((m) => m.id !== cluster.keepId);
+      others.forEach((member) => hidden.add(member.id));
+      duplicatesByKeeper.set(cluster.keepId, others);
+    });
+
+    res.json({
+      screenshots: data.entities
+        .filter((entity) => !hidden.has(entity.id))
+        .map((entity) =>
+          duplicatesByKeeper.has(entity.id)
+            ? { ...entity, duplicates: duplicatesByKeeper.get(entity.id) }
+            : entity
+        ),
+      collapsed: hidden.size,
+      distance,
+    });
   } catch (error) {
     console.error("Error fetching screenshots:", error);
     res.status(500).json({ error: "Failed to fetch screenshots" });
   }
 });
 
+// GET /api/visual-memory/duplicates
+// List clusters of near-duplicate screenshots (perceptual hashes at most
+// `distance` bits apart)
+router.get("/duplicates", async (req, res) => {
+  try {
+    const distance = parseDuplicateDistance(req.query.distance);
+    if (distance === null) {
+      return res
+        .status(400)
+        .json({ error: "distance must be an integer from 0 to 64" });
+    }
+
+    const data = await ensureImageHashes();
+    const clusters = duplicateClusters(data.entities, distance);
+
+    res.json({
+      distance,
+      clusters,
+      totalClusters: clusters.length,
+      redundantScreenshots: clusters.reduce(
+        (sum, cluster) => sum + cluster.size - 1,
+        0
+      ),
+    });
+  } catch (error) {
+    console.error("Error finding duplicate screenshots:", error);
+    res.status(500).json({ error: "Failed to find duplicate screenshots" });
+  }
+});
+
+// POST /api/visual-memory/duplicates/resolve
+// Keep one screenshot of a near-duplicate cluster and delete the rest (or
+// just the deleteIds given), image files included
+router.post("/duplicates/resolve", async (req, res) => {
+  try {
+    const { keepId, deleteIds } = req.body;
+    const distance = parseDuplicateDistance(req.body.distance);
+
+    if (!keepId) {
+      return res.status(400).json({ error: "keepId is required" });
+    }
+    if (distance === null) {
+      return res
+        .status(400)
+        .json({ error: "distance must be an integer from 0 to 64" });
+    }
+
+    const data = await ensureImageHashes();
+    if (!data.entities.some((entity) => entity.id === keepId)) {
+      return res.status(404).json({ error: "Screenshot not found" });
+    }
+
+    const cluster = duplicateClusters(data.entities, distance).find((c) =>
+      c.members.some((member) => member.id === keepId)
+    );
+    if (!cluster) {
+      return res
+        .status(400)
+        .json({ error: "Screenshot has no near-duplicates" });
+    }
+
+    const others = cluster.members
+      .map((member) => member.id)
+      .filter((id) => id !== keepId);
+    if (
+      deleteIds !== undefined &&
+      (!Array.isArray(deleteIds) ||
+        deleteIds.some((id) => !others.includes(id)))
+    ) {
+      return res.status(400).json({
+        error: "deleteIds must be near-duplicates of the kept screenshot",
+      });
+    }
+
+    const deleted = removeScreenshots(deleteIds || others);
+    res.json({
+      message: `Kept 1 screenshot, deleted ${deleted.length}`,
+      kept: keepId,
+      deleted,
+    });
+  } catch (error) {
+    console.error("Error resolving duplicate screenshots:", error);
+    res.status(500).json({ error: "Failed to resolve duplicate screenshots" });
+  }
+});
+
 // GET /api/visual-memory/screenshot/:id
 // Get specific screenshot details
 router.get("/screenshot/:id", async (req, res) => {
@@ -665,7 +1358,8 @@ router.delete("/screenshot/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    if (deleteVisualEntity(id)) {
+    // Its image file, thumbnails and vector go with it
+    if (removeScreenshots([id]).length > 0) {
       res.json({ message: "Screenshot deleted successfully" });
     } else {
       res.status(404).json({ error: "Screenshot not found" });
@@ -677,10 +1371,23 @@ router.delete("/screenshot/:id", async (req, res) => {
 });
 
 // GET /api/visual-memory/thumbnail/:id
-// Serve thumbnail/image for a specific screenshot
+// Serve a screenshot's image: the original, or with ?w= a thumbnail at the
+// nearest generated width, as WebP when the client accepts it (or asks with
+// ?format=webp) and JPEG otherwise
 router.get("/thumbnail/:id", async (req, res) => {
   try {
     const { id } = req.params;
+    const { w, format } = req.query;
+
+    const width = w === undefined ? null : Number(w);
+    if (width !== null && !(Number.isInteger(width) && width > 0)) {
+      return res.status(400).json({ error: "w must be a positive integer" });
+    }
+    if (format !== undefined && !THUMBNAIL_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${THUMBNAIL_FORMATS.join(", ")}`,
+      });
+    }
 
     const data = loadVisualEntities();
     const screenshot = data.entities.find((s) => s.id === id);
@@ -689,11 +1396,8 @@ router.get("/thumbnail/:id", async (req, res) => {
       return res.status(404).json({ error: "Screenshot not found" });
     }
 
-    // Convert relative path to absolute path
-    const absolutePath = path.isAbsolute(screenshot.path) 
-      ? screenshot.path 
-      : path.join(process.cwd(), screenshot.path);
-    
+    const absolutePath = screenshotFilePath(screenshot);
+
     // Check if file exists
     if (!fs.existsSync(absolutePath)) {
       return res.status(404).json({ error: "Image file not found" });
@@ -701,7 +1405,6 @@ router.get("/thumbnail/:id", async (req, res) => {
 
     // Get file stats
     const stats = fs.statSync(absolutePath);
-    const fileSize = stats.size;
     const ext = path.extname(screenshot.path).toLowerCase();
 
     // Set appropriate content type
@@ -721,13 +1424,53 @@ router.get("/thumbnail/:id", async (req, res) => {
         break;
     }
 
+    let thumbnail = null;
+    if (width !== null) {
+      thumbnail = {
+        width: snapThumbnailWidth(width),
+        format:
+          format ||
+          ((req.get("Accept") || "").includes("image/webp") ? "webp" : "jpeg"),
+      };
+      if (!format) res.setHeader("Vary", "Accept");
+    }
+
+    // The same screenshot id always has the same image, so its content
+    // hash (or size and modification time) plus the variant identify it.
+    // Checked before rendering, so a cache hit never encodes anything.
+    const version =
+      screenshot.contentHash?.slice(0, 16) ||
+      `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+    const setETag = (variant) =>
+      res.setHeader("ETag", `"${version}-${variant}"`);
+    setETag(thumbnail ? `w${thumbnail.width}.${thumbnail.format}` : "original");
+    res.setHeader("Cache-Control", "public, max-age=31536000"); // Cache for 1 year
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    let filePath = absolutePath;
+    if (thumbnail) {
+      try {
+        filePath = await ensureThumbnail(
+          absolutePath,
+          thumbnail.width,
+          thumbnail.format
+        );
+        contentType = `image/${thumbnail.format}`;
+      } catch (error) {
+        // Fall back to the original image
+        console.error("Error generating thumbnail:", error);
+        setETag("original");
+      }
+    }
+
     // Set headers
     res.setHeader("Content-Type", contentType);
-    res.setHeader("Content-Length", fileSize);
-    res.setHeader("Cache-Control", "public, max-age=31536000"); // Cache for 1 year
+    res.setHeader("Content-Length", fs.statSync(filePath).size);
 
     // Stream the file
-    const fileStream = fs.createReadStream(absolutePath);
+    const fileStream = fs.createReadStream(filePath);
     fileStream.pipe(res);
   } catch (error) {
     console.error("Error serving thumbnail:", error);
@@ -753,6 +1496,24 @@ router.get("/storage-info", async (req, res) => {
       entityTypes: [
         ...new Set(data.entities.flatMap((e) => e.metadata?.entityTypes || [])),
       ],
+      colors: [
+        ...new Set(
+          data.entities.flatMap((e) => e.metadata?.dominantColors || [])
+        ),
+      ],
+      primaryObjects: [
+        ...new Set(
+          data.entities.flatMap((e) => e.metadata?.primaryObjects || [])
+        ),
+      ],
+      searchFields: queryFieldList(),
+      embeddings: {
+        provider: getEmbeddingProvider().name,
+        model: getEmbeddingProvider().model,
+        indexedEntities: Object.keys(
+          loadVectorIndex(VECTOR_INDEX_FILE, embeddingKey()).vectors
+        ).length,
+      },
     });
   } catch (error) {
     console.error("Error fetching storage info:", error);
@@ -770,6 +1531,10 @@ router.post("/clear-storage", async (req, res) => {
     });
 
     if (success) {
+      saveVectorIndex(VECTOR_INDEX_FILE, {
+        key: embeddingKey(),
+        vectors: {},
+      });
       res.json({ message: "Storage cleared successfully" });
     } else {
       res.status(500).json({ error: "Failed to clear storage" });
@@ -780,4 +1545,6 @@ router.post("/clear-storage", async (req, res) => {
   }
 });
 
+resumeUnfinishedAnalysis();
+
 module.exports = router;
@@ -0,0 +1,385 @@
+const crypto = require("crypto");
+const { seededRandom } = require("./graphLayout");
+
+const ALGORITHMS = ["louvain", "label-propagation"];
+// Label propagation stops after this many sweeps even if labels still flip
+const MAX_PROPAGATION_ROUNDS = 20;
+// Central nodes reported per community
+const CENTRAL_NODE_COUNT = 5;
+
+// Strength of an edge for partitioning: repeated facts bind entities harder
+function edgeStrength(edge) {
+  return (edge.weight || 0.5) * Math.max(edge.properties?.frequency || 1, 1);
+}
+
+/**
+ * Undirected weighted adjacency over a graph's nodes, indexed by position
+ * @param {Object} graph - { nodes, edges }
+ * @returns {Object} { ids, neighbours: Array<Map<index, weight>>, degrees, totalWeight }
+ */
+function buildAdjacency(graph) {
+  const ids = graph.nodes.map((node) => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const neighbours = ids.map(() => new Map());
+  let totalWeight = 0;
+
+  graph.edges.forEach((edge) => {
+    const a = indexById.get(edge.source);
+    const b = indexById.get(edge.target);
+    if (a === undefined || b === undefined || a === b) return;
+    const weight = edgeStrength(edge);
+    neighbours[a].set(b, (neighbours[a].get(b) || 0) + weight);
+    neighbours[b].set(a, (neighbours[b].get(a) || 0) + weight);
+    totalWeight += weight;
+  });
+
+  const degrees = neighbours.map((links) =>
+    Array.from(links.values()).reduce((sum, weight) => sum + weight, 0)
+  );
+  return { ids, neighbours, degrees, totalWeight };
+}
+
+// One Louvain pass: move each node to the neighbouring community with the
+// best modularity gain until no move helps
+function louvainPass(neighbours, degrees, totalDegree) {
+  const community = degrees.map((_, index) => index);
+  const totals = degrees.slice();
+  let moved = false;
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let node = 0; node < neighbours.length; node++) {
+      const current = community[node];
+      const links = new Map();
+      neighbours[node].forEach((weight, other) => {
+        const c = community[other];
+        links.set(c, (links.get(c) || 0) + weight);
+      });
+
+      totals[current] -= degrees[node];
+      const gain = (c) =>
+        (links.get(c) || 0) - (totals[c] * degrees[node]) / totalDegree;
+      let best = current;
+      let bestGain = gain(current);
+      links.forEach((_, c) => {
+        const candidate = gain(c);
+        if (candidate > bestGain + 1e-12) {
+          best = c;
+          bestGain = candidate;
+        }
+      });
+      totals[best] += degrees[node];
+
+      if (best !== current) {
+        community[node] = best;
+        moved = true;
+        improved = true;
+      }
+    }
+  }
+  return { community, moved };
+}
+
+/**
+ * Partition a graph with the Louvain method: repeated local moves, each
+ * followed by collapsing the communities found into single nodes
+ * @param {Object} adjacency - Output of buildAdjacency
+ * @returns {Array<number>} Community number per node index
+ */
+function louvain({ neighbours, degrees, totalWeight }) {
+  const membership = degrees.map((_, index) => index);
+  if (totalWeight === 0) return membership;
+
+  let levelNeighbours = neighbours;
+  let levelDegrees = degrees;
+  for (;;) {
+    const { community, moved } = louvainPass(
+      levelNeighbours,
+      levelDegrees,
+      totalWeight * 2
+    );
+    if (!moved) break;
+
+    // Renumber the communities and collapse each into one node
+    const renumbered = new Map();
+    community.forEach((c) => {
+      if (!renumbered.has(c)) renumbered.set(c, renumbered.size);
+    });
+    const nextNeighbours = Array.from(renumbered.keys(), () => new Map());
+    const nextDegrees = new Array(renumbered.size).fill(0);
+    levelNeighbours.forEach((links, node) => {
+      const from = renumbered.get(community[node]);
+      nextDegrees[from] += levelDegrees[node];
+      links.forEach((weight, other) => {
+        const to = renumbered.get(community[other]);
+        if (from !== to) {
+          nextNeighbours[from].set(
+            to,
+            (nextNeighbours[from].get(to) || 0) + weight
+          );
+        }
+      });
+    });
+    membership.forEach((c, node) => {
+      membership[node] = renumbered.get(community[c]);
+    });
+
+    levelNeighbours = nextNeighbours;
+    levelDegrees = nextDegrees;
+  }
+  return membership;
+}
+
+/**
+ * Partition a graph by label propagation: every node repeatedly takes the
+ * label carrying the most edge weight among its neighbours. Nodes are visited
+ * in a shuffled order and ties broken at random (seeded, so the same graph
+ * always gets the same partition); a fixed order lets one label flood the
+ * whole graph.
+ * @param {Object} adjacency - Output of buildAdjacency
+ * @returns {Array<number>} Community number per node index
+ */
+function labelPropagation({ neighbours }) {
+  const random = seededRandom(neighbours.length + 1);
+  const labels = neighbours.map((_, index) => index);
+  const order = labels.slice();
+  for (let round = 0; round < MAX_PROPAGATION_ROUNDS; round++) {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    let changed = false;
+    order.forEach((node) => {
+      const links = neighbours[node];
+      if (links.size === 0) return;
+      const votes = new Map();
+      links.forEach((weight, other) => {
+        votes.set(labels[other], (votes.get(labels[other]) || 0) + weight);
+      });
+      const top = Math.max(...votes.values());
+      // Ties keep the current label when it's among them, so labels settle
+      if ((votes.get(labels[node]) || 0) >= top - 1e-12) return;
+      const best = Array.from(votes.entries())
+        .filter(([, weight]) => weight >= top - 1e-12)
+        .map(([label]) => label);
+      labels[node] = best[Math.floor(random() * best.length)];
+      changed = true;
+    });
+    if (!changed) break;
+  }
+  return labels;
+}
+
+/**
+ * Modularity of a partition (how much denser communities are inside than
+ * chance would give), between -0.5 and 1
+ * @param {Object} adjacency - Output of buildAdjacency
+ * @param {Array<number>} membership - Community number per node index
+ * @returns {number} Modularity
+ */
+function modularity({ neighbours, degrees, totalWeight }, membership) {
+  if (totalWeight === 0) return 0;
+  const inside = new Map();
+  const totals = new Map();
+  neighbours.forEach((links, node) => {
+    const c = membership[node];
+    totals.set(c, (totals.get(c) || 0) + degrees[node]);
+    links.forEach((weight, other) => {
+      if (membership[other] === c) inside.set(c, (inside.get(c) || 0) + weight);
+    });
+  });
+
+  let q = 0;
+  totals.forEach((total, c) => {
+    // Inside weights were counted from both ends of each edge
+    q +=
+      (inside.get(c) || 0) / (2 * totalWeight) -
+      Math.pow(total / (2 * totalWeight), 2);
+  });
+  return Number(q.toFixed(4));
+}
+
+/**
+ * Stable key for a community's membership, used to cache its summary title
+ * @param {Array<string>} memberIds - Node ids
+ * @returns {string} Signature
+ */
+function communitySignature(memberIds) {
+  return crypto
+    .createHash("sha1")
+    .update([...memberIds].sort().join("|"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Partition a project graph into communities of densely connected entities
+ * @param {Object} graph - Project graph
+ * @param {Object} options - { algorithm: "louvain" | "label-propagation" }
+ * @returns {Object} { algorithm, modularity, communities, assignments } where communities are sorted by size and assignments maps node id to community id
+ */
+function detectCommunities(graph, options = {}) {
+  const algorithm = ALGORITHMS.includes(options.algorithm)
+    ? options.algorithm
+    : "louvain";
+  const adjacency = buildAdjacency(graph);
+  const membership =
+    algorithm === "label-propagation"
+      ? labelPropagation(adjacency)
+      : louvain(adjacency);
+
+  const groups = new Map();
+  membership.forEach((c, index) => {
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(index);
+  });
+
+  const communities = Array.from(groups.values())
+    .map((indices) => {
+      const members = new Set(indices);
+      // A node's importance to its community is the weight of its links
+      // to other members
+      const scored = indices.map((index) => {
+        let score = 0;
+        adjacency.neighbours[index].forEach((weight, other) => {
+          if (members.has(other)) score += weight;
+        });
+        return { node: graph.nodes[index], score };
+      });
+      scored.sort(
+        (a, b) =>
+          b.score - a.score ||
+          (b.node.properties?.frequency || 0) -
+            (a.node.properties?.frequency || 0)
+      );
+
+      const documentCounts = new Map();
+      scored.forEach(({ node }) => {
+        Object.entries(node.properties?.documentCounts || {}).forEach(
+          ([documentId, count]) =>
+            documentCounts.set(
+              documentId,
+              (documentCounts.get(documentId) || 0) + count
+            )
+        );
+      });
+      const internalEdges = indices.reduce(
+        (sum, index) =>
+          sum +
+          Array.from(adjacency.neighbours[index].keys()).filter((other) =>
+            members.has(other)
+          ).length,
+        0
+      );
+
+      return {
+        signature: communitySignature(scored.map(({ node }) => node.id)),
+        size: indices.length,
+        members: scored.map(({ node }) => ({
+          id: node.id,
+          label: node.label,
+          type: node.type,
+        })),
+        centralNodes: scored
+          .slice(0, CENTRAL_NODE_COUNT)
+          .map(({ node, score }) => ({
+            id: node.id,
+            label: node.label,
+            type: node.type,
+            score: Number(score.toFixed(3)),
+          })),
+        documents: Array.from(documentCounts.entries())
+          .map(([id, count]) => ({ id, count }))
+          .sort((a, b) => b.count - a.count),
+        // Each internal edge was seen from both of its ends
+        internalEdges: internalEdges / 2,
+      };
+    })
+    .sort((a, b) => b.size - a.size || b.internalEdges - a.internalEdges)
+    .map((community, index) => ({ id: `c${index + 1}`, ...community }));
+
+  const assignments = new Map();
+  communities.forEach((community) =>
+    community.members.forEach((member) =>
+      assignments.set(member.id, community.id)
+    )
+  );
+
+  return {
+    algorithm,
+    modularity: modularity(adjacency, membership),
+    communities,
+    assignments,
+  };
+}
+
+/**
+ * Collapse each community into a single node, with one edge per pair of
+ * connected communities
+ * @param {Object} graph - { nodes, edges }, possibly filtered
+ * @param {Object} result - Output of detectCommunities
+ * @param {Map} titles - Community id -> display label
+ * @returns {Object} { nodes, edges } of community nodes
+ */
+function collapseByCommunity(graph, result, titles = new Map()) {
+  const byId = new Map(result.communities.map((c) => [c.id, c]));
+  const counts = new Map();
+  graph.nodes.forEach((node) => {
+    const communityId = result.assignments.get(node.id);
+    if (communityId)
+      counts.set(communityId, (counts.get(communityId) || 0) + 1);
+  });
+
+  const nodes = Array.from(counts.entries()).map(([communityId, count]) => {
+    const community = byId.get(communityId);
+    return {
+      id: communityId,
+      label:
+        titles.get(communityId) ||
+        community.centralNodes[0]?.label ||
+        communityId,
+      type: "community",
+      properties: { frequency: count, members: count },
+    };
+  });
+
+  const links = new Map();
+  graph.edges.forEach((edge) => {
+    const from = result.assignments.get(edge.source);
+    const to = result.assignments.get(edge.target);
+    if (!from || !to || from === to) return;
+    const [a, b] = [from, to].sort();
+    const key = `${a}|${b}`;
+    const link = links.get(key) || {
+      id: key,
+      source: a,
+      target: b,
+      count: 0,
+      weightSum: 0,
+    };
+    link.count += 1;
+    link.weightSum += edge.weight || 0.5;
+    links.set(key, link);
+  });
+
+  const edges = Array.from(links.values()).map(
+    ({ count, weightSum, ...link }) => ({
+      ...link,
+      label: `${count} relationship${count === 1 ? "" : "s"}`,
+      weight: Number((weightSum / count).toFixed(3)),
+      properties: { frequency: count },
+    })
+  );
+
+  return { nodes, edges };
+}
+
+module.exports = {
+  ALGORITHMS,
+  detectCommunities,
+  collapseByCommunity,
+  communitySignature,
+  modularity,
+};
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const JSZip = require("jszip");
+const WordExtractor = require("word-extractor");
+// Require the library entry directly: pdf-parse's index.js runs a debug
+// script when it is loaded without a parent module
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+const { extractHtmlContent } = require("./htmlExtractor");
+const { normalizeDate } = require("./temporalGraph");
+
+// Separator placed between pages in the combined document text
+const PAGE_SEPARATOR = "\n\n";
+
+/**
+ * Join page texts into one document text, recording where each page starts
+ * @param {Array<string>} pageTexts - Text of each page, in order
+ * @returns {Object} { text, pages: [{ page, offset, length }] }
+ */
+function joinPages(pageTexts) {
+  const pages = [];
+  let text = "";
+
+  pageTexts.forEach((pageText, index) => {
+    if (index > 0) text += PAGE_SEPARATOR;
+    pages.push({
+      page: index + 1,
+      offset: text.length,
+      length: pageText.length,
+    });
+    text += pageText;
+  });
+
+  return { text, pages };
+}
+
+/**
+ * Find the page a character offset falls on
+ * @param {Array} pages - Page offsets from extractDocumentText
+ * @param {number} offset - Character offset into the document text
+ * @returns {number|null} 1-based page number, or null when pages are unknown
+ */
+function pageForOffset(pages, offset) {
+  if (!Array.isArray(pages) || pages.length === 0) return null;
+
+  let low = 0;
+  let high = pages.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pages[mid].offset <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return pages[low].page;
+}
+
+/**
+ * Extract per-page text from a PDF (pdf.js, runs locally)
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<Object>} { text, pages, metadata }
+ */
+async function extractPdf(buffer) {
+  const pageTexts = [];
+
+  // Copied: a small file's Buffer can be a slice of Node's shared pool, and
+  // pdf.js reads from the start of the underlying memory, not the slice
+  const result = await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+      });
+
+      // Start a new line whenever the baseline moves, as pdf-parse does
+      let lastY;
+      let pageText = "";
+      content.items.forEach((item) => {
+        const y = item.transform[5];
+        pageText +=
+          lastY === undefined || lastY === y ? item.str : `\n${item.str}`;
+        lastY = y;
+      });
+
+      pageTexts[pageData.pageIndex] = pageText.trim();
+      return pageText;
+    },
+  });
+
+  const { text, pages } = joinPages(
+    Array.from(pageTexts, (pageText) => pageText || "")
+  );
+  return {
+    text,
+    pages,
+    metadata: {
+      pageCount: result.numpages,
+      title: result.info?.Title || null,
+      author: result.info?.Author || null,
+      createdAt: normalizeDate(result.info?.CreationDate),
+    },
+  };
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Extract text from a DOCX file, splitting pages at explicit page breaks and
+ * at the page breaks Word recorded the last time it laid the document out
+ * @param {Buffer} buffer - DOCX file contents
+ * @returns {Promise<Object>} { text, pages, metadata }
+ */
+async function extractDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentXml = zip.file("word/document.xml");
+  if (!documentXml) {
+    throw new Error("Not a valid DOCX file: word/document.xml is missing");
+  }
+  const xml = await documentXml.async("string");
+  const coreXml = zip.file("docProps/core.xml");
+  const created = coreXml
+    ? (await coreXml.async("string")).match(
+        /<dcterms:created[^>]*>([^<]+)<\/dcterms:created>/
+      )
+    : null;
+
+  const pageTexts = [""];
+  const tokenPattern =
+    /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br(\s[^>]*)?\/>|<w:lastRenderedPageBreak\/>|<\/w:p>/g;
+  let match;
+
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const [token, textRun, breakAttributes] = match;
+    const current = pageTexts.length - 1;
+
+    if (textRun !== undefined) {
+      pageTexts[current] += decodeXmlEntities(textRun);
+    } else if (token === "<w:tab/>") {
+      pageTexts[current] += "\t";
+    } else if (token === "</w:p>") {
+      pageTexts[current] += "\n";
+    } else if (
+      token === "<w:lastRenderedPageBreak/>" ||
+      /w:type="page"/.test(breakAttributes || "")
+    ) {
+      // Explicit breaks are usually followed by a rendered break marker;
+      // only start a new page once the current one has content
+      if (pageTexts[current].trim()) pageTexts.push("");
+    } else {
+      pageTexts[current] += "\n";
+    }
+  }
+
+  const { text, pages } = joinPages(
+    pageTexts
+      .map((pageText) => pageText.replace(/\n{3,}/g, "\n\n").trim())
+      .filter((pageText, index, all) => pageText || all.length === 1)
+  );
+  return {
+    text,
+    pages,
+    metadata: {
+      pageCount: pages.length,
+      createdAt: created ? normalizeDate(created[1]) : null,
+    },
+  };
+}
+
+/**
+ * Extract text from a legacy binary Word (.doc) file. The format does not
+ * record page layout, so no page numbers are returned.
+ * @param {string} filePath - Path to the .doc file
+ * @returns {Promise<Object>} { text, pages, metadata }
+ */
+async function extractDoc(filePath) {
+  const extractor = new WordExtractor();
+  const doc = await extractor.extract(filePath);
+  return { text: doc.getBody().trim(), pages: null, metadata: {} };
+}
+
+/**
+ * Extract the text of an uploaded knowledge-graph document. Everything runs
+ * locally; no external service is called.
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} fileExtension - Lower-case extension including the dot
+ * @returns {Promise<Object>} { text, pages, metadata }; pages is null when the format has no pages
+ */
+async function extractDocumentText(filePath, fileExtension) {
+  switch (fileExtension) {
+    case ".txt":
+    case ".md":
+      return {
+        text: fs.readFileSync(filePath, "utf8"),
+        pages: null,
+        metadata: {},
+      };
+    case ".html": {
+      const { text, title, language, description, publishedAt } =
+        extractHtmlContent(fs.readFileSync(filePath, "utf8"));
+      return {
+        text,
+        pages: null,
+        metadata: { title, language, description, publishedAt },
+      };
+    }
+    case ".pdf":
+      return extractPdf(fs.readFileSync(filePath));
+    case ".docx":
+      return extractDocx(fs.readFileSync(filePath));
+    case ".doc":
+      return extractDoc(filePath);
+    default:
+      throw new Error(`Unsupported file type: ${fileExtension}`);
+  }
+}
+
+module.exports = {
+  extractDocumentText,
+  pageForOffset,
+};
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+
+// Longest text sent for embedding, in characters
+const MAX_EMBEDDING_TEXT = 8000;
+// Texts sent per embedding request
+const EMBEDDING_BATCH_SIZE = 64;
+// Size of the local provider's hashed vectors
+const LOCAL_DIMENSIONS = 256;
+
+// Feature index and sign for a token, from its hash
+function hashFeature(token) {
+  const digest = crypto.createHash("sha1").update(token).digest();
+  return {
+    index: digest.readUInt32BE(0) % LOCAL_DIMENSIONS,
+    sign: digest[4] & 1 ? 1 : -1,
+  };
+}
+
+/**
+ * Deterministic bag-of-words embedding: each word and its character trigrams
+ * are hashed into a fixed-size vector. Similar wording gives similar vectors,
+ * without any network calls.
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} Unit-length vector (all zeros for empty text)
+ */
+function localEmbedding(text) {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const words = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+
+  (words || []).forEach((raw) => {
+    const word = raw.length > 3 ? raw.replace(/s$/, "") : raw;
+    const features = [`w:${word}`];
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      features.push(`g:${padded.slice(i, i + 3)}`);
+    }
+    features.forEach((feature, position) => {
+      const { index, sign } = hashFeature(feature);
+      // The whole word counts as much as all its trigrams together
+      vector[index] += sign * (position === 0 ? 1 : 1 / (features.length - 1));
+    });
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+const PROVIDERS = {
+  openai: {
+    name: "openai",
+    model: "text-embedding-3-small",
+    // Required on first use, so the local provider works without an API key
+    embed(texts) {
+      return require("./openai").createEmbeddings(texts, this.model);
+    },
+  },
+  local: {
+    name: "local",
+    model: `hashed-trigram-${LOCAL_DIMENSIONS}`,
+    embed: async (texts) => texts.map(localEmbedding),
+  },
+};
+
+let activeProvider =
+  PROVIDERS[String(process.env.EMBEDDING_PROVIDER || "").toLowerCase()] ||
+  PROVIDERS.openai;
+
+/**
+ * Swap the embedding provider, e.g. for the local one in tests
+ * @param {string|Object} provider - A provider name ("openai", "local") or { name, model, embed(texts) }
+ * @returns {Object} The provider now in use
+ */
+function setEmbeddingProvider(provider) {
+  if (typeof provider === "string") {
+    if (!PROVIDERS[provider]) {
+      throw new Error(`Unknown embedding provider: ${provider}`);
+    }
+    activeProvider = PROVIDERS[provider];
+  } else if (provider && typeof provider.embed === "function") {
+    activeProvider = {
+      name: provider.name || "custom",
+      model: provider.model || provider.name || "custom",
+      embed: provider.embed,
+    };
+  } else {
+    throw new Error("An embedding provider needs an embed(texts) function");
+  }
+  return activeProvider;
+}
+
+/**
+ * The provider in use
+ * @returns {Object} { name, model, embed }
+ */
+function getEmbeddingProvider() {
+  return activeProvider;
+}
+
+/**
+ * Key identifying the vectors a provider produces; vectors stored under a
+ * different key can't be compared with new ones
+ * @returns {string} "name:model"
+ */
+function embeddingKey() {
+  return `${activeProvider.name}:${activeProvider.model}`;
+}
+
+/**
+ * Embed texts with the active provider, in batches
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+ */
+async function embedTexts(texts) {
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = texts
+      .slice(start, start + EMBEDDING_BATCH_SIZE)
+      .map((text) => String(text || " ").slice(0, MAX_EMBEDDING_TEXT));
+    vectors.push(...(await activeProvider.embed(batch)));
+  }
+  return vectors;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1 (0 when either is empty or they differ in length)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  localEmbedding,
+  setEmbeddingProvider,
+  getEmbeddingProvider,
+  embeddingKey,
+  embedTexts,
+  cosineSimilarity,
+};
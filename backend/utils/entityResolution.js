@@ -0,0 +1,233 @@
+const natural = require("natural");
+const {
+  canonicalizeName,
+  CONCEPT_TYPES,
+  PAGE_NODE_TYPE,
+} = require("./graphBuilder");
+
+// Weights of the three signals in a candidate's score
+const NAME_WEIGHT = 0.65;
+const TYPE_WEIGHT = 0.15;
+const NEIGHBOUR_WEIGHT = 0.2;
+
+// Names must be at least this similar before a pair is proposed
+const MIN_NAME_SIMILARITY = 0.85;
+const DEFAULT_MIN_SCORE = 0.6;
+
+// Blocks bigger than this (very common tokens) are not compared pairwise
+const MAX_BLOCK_SIZE = 100;
+
+const ACTIONS = ["accept", "merge", "reject", "split"];
+
+/**
+ * Order-independent key for a pair of canonical names
+ * @param {string} a - Canonical name
+ * @param {string} b - Canonical name
+ * @returns {string} Pair key
+ */
+function pairKey(a, b) {
+  return [a, b].sort().join("|");
+}
+
+/**
+ * Turn a project's stored decisions into the lookups the graph builder and
+ * candidate search use. Decisions apply in order, so a later split undoes an
+ * earlier merge of the same name and vice versa.
+ * @param {Array} decisions - Project entity decisions
+ * @returns {Object} { mergeMap, splitKeys, rejectedPairs }
+ */
+function buildResolution(decisions = []) {
+  const mergeMap = new Map();
+  const splitKeys = new Set();
+  const rejectedPairs = new Set();
+
+  decisions.forEach((decision) => {
+    if (decision.action === "merge") {
+      // The surviving entity can't itself stay merged into something else
+      mergeMap.delete(decision.keep.key);
+      decision.merged.forEach((name) => {
+        if (name.key === decision.keep.key) return;
+        mergeMap.set(name.key, decision.keep);
+        splitKeys.delete(name.key);
+      });
+    } else if (decision.action === "split") {
+      decision.names.forEach((name) => {
+        mergeMap.delete(name.key);
+        splitKeys.add(name.key);
+        // Names deliberately split apart are never proposed again
+        rejectedPairs.add(pairKey(decision.entity.key, name.key));
+      });
+    } else if (decision.action === "reject") {
+      rejectedPairs.add(pairKey(decision.names[0].key, decision.names[1].key));
+    }
+  });
+
+  return { mergeMap, splitKeys, rejectedPairs };
+}
+
+// Canonical names of a node: its label first, then its aliases
+function nodeNames(node) {
+  return [
+    ...new Set(
+      [node.label, ...(node.aliases || [])]
+        .map((name) => canonicalizeName(name))
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function initials(key) {
+  const tokens = key.split(" ").filter(Boolean);
+  return tokens.length > 1 ? tokens.map((token) => token[0]).join("") : null;
+}
+
+/**
+ * Similarity of two canonical names: 1 for the same letters, 0.95 when one
+ * is the acronym of the other, otherwise Jaro-Winkler on sorted tokens
+ * @param {string} a - Canonical name
+ * @param {string} b - Canonical name
+ * @returns {number} Similarity between 0 and 1
+ */
+function nameSimilarity(a, b) {
+  if (a.replace(/ /g, "") === b.replace(/ /g, "")) return 1;
+  if (initials(a) === b || initials(b) === a) return 0.95;
+  const sortTokens = (key) => key.split(" ").sort().join(" ");
+  return natural.JaroWinklerDistance(sortTokens(a), sortTokens(b));
+}
+
+// Keys that put possibly-duplicate nodes in the same comparison block
+function blockingKeys(names) {
+  const keys = new Set();
+  names.forEach((name) => {
+    const compact = name.replace(/ /g, "");
+    keys.add(`c:${compact.slice(0, 4)}`);
+    name
+      .split(" ")
+      .filter((token) => token.length >= 3)
+      .forEach((token) => keys.add(`t:${token.slice(0, 4)}`));
+    // Acronyms meet the names they abbreviate
+    const acronym = initials(name);
+    if (acronym) keys.add(`a:${acronym}`);
+    if (!name.includes(" ") && compact.length <= 6) keys.add(`a:${compact}`);
+  });
+  return keys;
+}
+
+function typesAgree(a, b) {
+  return a === b || (CONCEPT_TYPES.has(a) && CONCEPT_TYPES.has(b));
+}
+
+/**
+ * Propose pairs of nodes that probably name the same thing, scored by name
+ * similarity, type agreement and shared neighbours
+ * @param {Object} graph - Project graph
+ * @param {Object} resolution - Lookups from buildResolution (rejected pairs are skipped)
+ * @param {Object} options - { minScore, limit }
+ * @returns {Array} Candidates sorted by score: { id, score, reasons, nodes }
+ */
+function findMergeCandidates(graph, resolution, options = {}) {
+  const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+  const limit = options.limit || 50;
+
+  const names = new Map(graph.nodes.map((node) => [node.id, nodeNames(node)]));
+  const neighbours = new Map(graph.nodes.map((node) => [node.id, new Set()]));
+  graph.edges.forEach((edge) => {
+    neighbours.get(edge.source)?.add(edge.target);
+    neighbours.get(edge.target)?.add(edge.source);
+  });
+
+  const blocks = new Map();
+  graph.nodes.forEach((node) => {
+    // Crawled pages are identified by URL, not by name
+    if (node.type === PAGE_NODE_TYPE) return;
+    blockingKeys(names.get(node.id)).forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(node);
+    });
+  });
+
+  const compared = new Set();
+  const candidates = [];
+  blocks.forEach((block) => {
+    if (block.length < 2 || block.length > MAX_BLOCK_SIZE) return;
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = [block[i], block[j]].sort((x, y) =>
+          x.id.localeCompare(y.id)
+        );
+        const id = `${a.id}|${b.id}`;
+        if (compared.has(id)) continue;
+        compared.add(id);
+
+        const namesA = names.get(a.id);
+        const namesB = names.get(b.id);
+        if (resolution?.rejectedPairs?.has(pairKey(namesA[0], namesB[0]))) {
+          continue;
+        }
+
+        let name = 0;
+        namesA.forEach((x) =>
+          namesB.forEach((y) => {
+            name = Math.max(name, nameSimilarity(x, y));
+          })
+        );
+        if (name < MIN_NAME_SIMILARITY) continue;
+
+        const neighboursA = new Set(neighbours.get(a.id));
+        const neighboursB = new Set(neighbours.get(b.id));
+        neighboursA.delete(b.id);
+        neighboursB.delete(a.id);
+        const shared = [...neighboursA].filter((n) => neighboursB.has(n));
+        const union = new Set([...neighboursA, ...neighboursB]).size;
+        const neighbourScore = union > 0 ? shared.length / union : 0;
+        const type = typesAgree(a.type, b.type) ? 1 : 0;
+
+        const score =
+          NAME_WEIGHT * name +
+          TYPE_WEIGHT * type +
+          NEIGHBOUR_WEIGHT * neighbourScore;
+        if (score < minScore) continue;
+
+        candidates.push({
+          id,
+          score: Number(score.toFixed(3)),
+          reasons: {
+            nameSimilarity: Number(name.toFixed(3)),
+            typeAgreement: Boolean(type),
+            sharedNeighbours: shared.length,
+            neighbourOverlap: Number(neighbourScore.toFixed(3)),
+          },
+          nodes: [a, b].map((node) => ({
+            id: node.id,
+            label: node.label,
+            type: node.type,
+            aliases: node.aliases || [],
+            frequency: node.properties?.frequency || 0,
+            documents: (node.properties?.documents || []).length,
+          })),
+        });
+      }
+    }
+  });
+
+  return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Record of a node's names for a decision, keyed by canonical name so the
+ * decision still applies after a rebuild gives nodes new ids
+ * @param {string} name - Display name
+ * @returns {Object} { key, label }
+ */
+function decisionName(name) {
+  return { key: canonicalizeName(name), label: name };
+}
+
+module.exports = {
+  ACTIONS,
+  pairKey,
+  buildResolution,
+  nameSimilarity,
+  findMergeCandidates,
+  decisionName,
+};
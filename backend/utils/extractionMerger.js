@@ -0,0 +1,160 @@
+const {
+  canonicalizeName,
+  splitLabelAliases,
+  countOccurrences,
+} = require("./graphBuilder");
+const { normalizeDate } = require("./temporalGraph");
+
+const DEFAULT_RELATIONSHIP_WEIGHT = 0.5;
+// Evidence sentences kept per relationship when several chunks state it
+const MAX_EVIDENCE = 5;
+
+/**
+ * Merge the entity/relationship extractions of a document's chunks into one
+ * result, deduplicating entities that appear in several chunks
+ * @param {Array} chunkResults - [{ chunk: { index, offset, text }, result: { entities, relationships, title } }]
+ * @param {string} fullText - The complete document text, used to count mentions
+ * @returns {Object} { entities, relationships, title }
+ */
+function mergeChunkExtractions(chunkResults, fullText) {
+  const entitiesByKey = new Map();
+  const relationshipsByKey = new Map();
+  let title = null;
+
+  const findEntity = (name) => {
+    const key = canonicalizeName(splitLabelAliases(name).label);
+    if (entitiesByKey.has(key)) return entitiesByKey.get(key);
+    return Array.from(entitiesByKey.values()).find((entity) =>
+      entity.aliases.some((alias) => canonicalizeName(alias) === key)
+    );
+  };
+
+  chunkResults.forEach(({ chunk, result }) => {
+    if (!result) return;
+    if (!title && result.title) title = result.title;
+
+    const localIds = new Map();
+
+    (result.entities || []).forEach((entity) => {
+      if (!entity) return;
+      const { label, aliases: labelAliases } = splitLabelAliases(
+        entity.label || entity.name || ""
+      );
+      const key = canonicalizeName(label);
+      if (!key) return;
+
+      const aliases = [
+        ...labelAliases,
+        ...(Array.isArray(entity.aliases) ? entity.aliases : []),
+      ];
+      let merged =
+        findEntity(label) || aliases.map(findEntity).find(Boolean) || null;
+
+      if (!merged) {
+        merged = {
+          id: `e${entitiesByKey.size + 1}`,
+          label,
+          type: entity.type || "concept",
+          description: entity.description || "",
+          aliases: [],
+          chunks: [],
+        };
+        entitiesByKey.set(key, merged);
+      }
+
+      aliases.forEach((alias) => {
+        if (
+          canonicalizeName(alias) !== canonicalizeName(merged.label) &&
+          !merged.aliases.includes(alias)
+        ) {
+          merged.aliases.push(alias);
+        }
+      });
+      if (!merged.description && entity.description) {
+        merged.description = entity.description;
+      }
+      if (!merged.chunks.some((c) => c.index === chunk.index)) {
+        merged.chunks.push({ index: chunk.index, offset: chunk.offset });
+      }
+
+      if (entity.id !== undefined) localIds.set(String(entity.id), merged);
+      localIds.set(label, merged);
+    });
+
+    (result.relationships || []).forEach((relationship) => {
+      if (!relationship) return;
+      const resolve = (reference) =>
+        localIds.get(String(reference)) || findEntity(String(reference || ""));
+      const source = resolve(relationship.source);
+      const target = resolve(relationship.target);
+      if (!source || !target || source === target) return;
+
+      const label = relationship.label || "related_to";
+      const key = `${source.id}|${canonicalizeName(label)}|${target.id}`;
+      const weight = Number(relationship.weight);
+      let merged = relationshipsByKey.get(key);
+      if (!merged) {
+        merged = {
+          source: source.id,
+          target: target.id,
+          label,
+          weight: 0,
+          weightSum: 0,
+          occurrences: 0,
+          validFrom: null,
+          validTo: null,
+          evidence: [],
+          chunks: [],
+        };
+        relationshipsByKey.set(key, merged);
+      }
+      merged.weightSum += Number.isFinite(weight)
+        ? weight
+        : DEFAULT_RELATIONSHIP_WEIGHT;
+      merged.occurrences += 1;
+      merged.weight = Number(
+        (merged.weightSum / merged.occurrences).toFixed(3)
+      );
+      // Stated dates win over unstated ones; several widen the interval
+      const validFrom = normalizeDate(relationship.validFrom, "start");
+      const validTo = normalizeDate(relationship.validTo, "end");
+      if (validFrom && (!merged.validFrom || validFrom < merged.validFrom)) {
+        merged.validFrom = validFrom;
+      }
+      if (validTo && (!merged.validTo || validTo > merged.validTo)) {
+        merged.validTo = validTo;
+      }
+      const evidence =
+        typeof relationship.evidence === "string"
+          ? relationship.evidence.trim()
+          : "";
+      if (
+        evidence &&
+        merged.evidence.length < MAX_EVIDENCE &&
+        !merged.evidence.includes(evidence)
+      ) {
+        merged.evidence.push(evidence);
+      }
+      if (!merged.chunks.some((c) => c.index === chunk.index)) {
+        merged.chunks.push({ index: chunk.index, offset: chunk.offset });
+      }
+    });
+  });
+
+  const entities = Array.from(entitiesByKey.values()).map((entity) => ({
+    ...entity,
+    mentions: Math.max(
+      countOccurrences(fullText, [entity.label, ...entity.aliases]),
+      entity.chunks.length
+    ),
+  }));
+  const relationships = Array.from(relationshipsByKey.values()).map(
+    ({ weightSum, ...relationship }) => relationship
+  );
+
+  return { entities, relationships, title };
+}
+
+module.exports = {
+  mergeChunkExtractions,
+};
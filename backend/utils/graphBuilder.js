@@ -0,0 +1,715 @@
+const crypto = require("crypto");
+const {
+  documentDate,
+  relationshipInterval,
+  coverIntervals,
+  updateEdgeValidity,
+} = require("./temporalGraph");
+const { computeCentrality, mostCentralNodes } = require("./graphCentrality");
+
+// Entity types that are counted as "concepts" in graph stats; everything else
+// (people, organizations, products, ...) is counted as a named entity.
+const CONCEPT_TYPES = new Set(["concept", "topic", "idea", "theme", "term"]);
+
+const DEFAULT_ENTITY_TYPE = "concept";
+const DEFAULT_EDGE_WEIGHT = 0.5;
+
+// Crawled web pages become nodes of their own, joined by their hyperlinks
+const PAGE_NODE_TYPE = "webpage";
+const LINK_EDGE_LABEL = "links_to";
+
+/**
+ * Canonicalize an entity name so that case, punctuation and separator
+ * variants ("Machine-Learning", "machine learning", "Machine_Learning")
+ * collapse onto the same key
+ * @param {string} name - Raw entity name
+ * @returns {string} Canonical key ("" if nothing usable is left)
+ */
+function canonicalizeName(name) {
+  if (!name || typeof name !== "string") return "";
+
+  return name
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/'s\b/g, "")
+    .replace(/[-_/\\.,:;]+/g, " ")
+    .replace(/[^\p{L}\p{N}\s&+#]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split a label such as "Machine Learning (ML)" into its display label and
+ * the parenthesised alias
+ * @param {string} label - Raw entity label
+ * @returns {Object} { label, aliases }
+ */
+function splitLabelAliases(label) {
+  const trimmed = String(label || "").trim();
+  const match = trimmed.match(/^(.+?)\s*\(([^()]{1,40})\)$/);
+  if (!match) return { label: trimmed, aliases: [] };
+  return { label: match[1].trim(), aliases: [match[2].trim()] };
+}
+
+/**
+ * Build a URL-safe node id from a canonical key
+ * @param {string} key - Canonical entity key
+ * @returns {string} Node id
+ */
+function slugify(key) {
+  const slug = key
+    .replace(/\+/g, " plus ")
+    .replace(/#/g, " sharp ")
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+  return (
+    slug || crypto.createHash("sha1").update(key).digest("hex").slice(0, 12)
+  );
+}
+
+/**
+ * Build a stable edge id from its endpoints and canonical label
+ * @param {string} source - Source node id
+ * @param {string} labelKey - Canonical relation label
+ * @param {string} target - Target node id
+ * @returns {string} Edge id
+ */
+function edgeId(source, labelKey, target) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${source}|${labelKey}|${target}`)
+    .digest("hex")
+    .slice(0, 16);
+  return `e_${hash}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Count how often any of the given names occur in a text (whole words,
+ * case-insensitive)
+ * @param {string} text - Document text
+ * @param {Array<string>} names - Label and aliases
+ * @returns {number} Occurrence count
+ */
+function countOccurrences(text, names) {
+  if (!text) return 0;
+  const patterns = names
+    .filter((name) => name && name.length > 1)
+    .map((name) => escapeRegExp(name));
+  if (patterns.length === 0) return 0;
+
+  const regex = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${patterns.join("|")})(?![\\p{L}\\p{N}])`,
+    "giu"
+  );
+  return (text.match(regex) || []).length;
+}
+
+function pickMostFrequent(counts, fallback) {
+  let best = fallback;
+  let bestCount = -1;
+  Object.entries(counts || {}).forEach(([value, count]) => {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+function sumCounts(counts) {
+  return Object.values(counts || {}).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Create an empty project graph
+ * @param {string} projectId - Project id
+ * @returns {Object} Graph with no nodes or edges
+ */
+function createEmptyGraph(projectId) {
+  return {
+    projectId,
+    version: 0,
+    builtAt: null,
+    nodes: [],
+    edges: [],
+    stats: computeGraphStats({ nodes: [], edges: [] }),
+  };
+}
+
+/**
+ * Build lookup indexes over a graph's node and edge arrays
+ * @param {Object} graph - Project graph
+ * @param {Object} resolution - Optional reviewed merges and splits ({ mergeMap, splitKeys })
+ * @returns {Object} { nodesById, aliasIndex, edgesById, pagesByUrl, resolution }
+ */
+function indexGraph(graph, resolution = null) {
+  const nodesById = new Map();
+  const aliasIndex = new Map();
+  const edgesById = new Map();
+  const pagesByUrl = new Map();
+
+  graph.nodes.forEach((node) => {
+    nodesById.set(node.id, node);
+    if (node.type === PAGE_NODE_TYPE) {
+      (node.properties?.urls || []).forEach((url) => pagesByUrl.set(url, node));
+      return;
+    }
+    aliasIndex.set(canonicalizeName(node.label), node.id);
+    (node.aliases || []).forEach((alias) => {
+      const key = canonicalizeName(alias);
+      if (key && !aliasIndex.has(key)) aliasIndex.set(key, node.id);
+    });
+  });
+  graph.edges.forEach((edge) => edgesById.set(edge.id, edge));
+
+  return { nodesById, aliasIndex, edgesById, pagesByUrl, resolution };
+}
+
+/**
+ * Follow reviewed merge decisions from a canonical name to the entity it
+ * was merged into
+ * @param {Object} resolution - { mergeMap } or null
+ * @param {string} key - Canonical name
+ * @returns {Object|null} { key, label } of the surviving entity, or null when not merged
+ */
+function resolveMergedKey(resolution, key) {
+  let target = null;
+  let current = key;
+  // Bounded so that a cycle in the decisions can't hang a build
+  for (let step = 0; step < 20; step++) {
+    const next = resolution?.mergeMap?.get(current);
+    if (!next || next.key === current) break;
+    target = next;
+    current = next.key;
+  }
+  return target;
+}
+
+/**
+ * Find or create the node an extracted entity resolves to
+ * @param {Object} graph - Project graph
+ * @param {Object} index - Indexes from indexGraph
+ * @param {Object} entity - Extracted entity ({ label, type, aliases, description })
+ * @returns {Object|null} Graph node
+ */
+function resolveEntityNode(graph, index, entity) {
+  const { label: extractedLabel, aliases: labelAliases } = splitLabelAliases(
+    entity.label || entity.name || entity.id
+  );
+  const extractedKey = canonicalizeName(extractedLabel);
+  if (!extractedKey) return null;
+
+  // Reviewed merges send the entity to the one it was merged into; split
+  // names never resolve through another entity's aliases
+  const isSplit = (aliasKey) =>
+    Boolean(index.resolution?.splitKeys?.has(aliasKey));
+  const mergedInto = resolveMergedKey(index.resolution, extractedKey);
+  const key = mergedInto ? mergedInto.key : extractedKey;
+  const label = mergedInto ? mergedInto.label : extractedLabel;
+
+  const aliases = [
+    ...(mergedInto ? [extractedLabel] : []),
+    ...labelAliases,
+    ...(Array.isArray(entity.aliases) ? entity.aliases : []),
+  ].filter((alias) => typeof alias === "string" && alias.trim());
+
+  let nodeId = index.aliasIndex.get(key);
+  if (
+    nodeId &&
+    isSplit(key) &&
+    canonicalizeName(index.nodesById.get(nodeId).label) !== key
+  ) {
+    nodeId = null;
+  }
+  if (!nodeId && !isSplit(key)) {
+    nodeId = aliases
+      .map((alias) => canonicalizeName(alias))
+      .filter((aliasKey) => !isSplit(aliasKey))
+      .map((aliasKey) =>
+        index.aliasIndex.get(
+          resolveMergedKey(index.resolution, aliasKey)?.key || aliasKey
+        )
+      )
+      .find(Boolean);
+  }
+
+  let node = nodeId ? index.nodesById.get(nodeId) : null;
+  if (!node) {
+    let id = slugify(key);
+    for (let suffix = 2; index.nodesById.has(id); suffix++) {
+      id = `${slugify(key)}-${suffix}`;
+    }
+    node = {
+      id,
+      label,
+      type: DEFAULT_ENTITY_TYPE,
+      aliases: [],
+      properties: {
+        frequency: 0,
+        documents: [],
+        documentCounts: {},
+        typeCounts: {},
+        documentTypeCounts: {},
+        description: "",
+      },
+    };
+    graph.nodes.push(node);
+    index.nodesById.set(id, node);
+    index.aliasIndex.set(key, id);
+  }
+
+  [label, ...aliases].forEach((name) => {
+    const aliasKey = canonicalizeName(name);
+    if (!aliasKey) return;
+    if (isSplit(aliasKey) && aliasKey !== canonicalizeName(node.label)) return;
+    if (!index.aliasIndex.has(aliasKey))
+      index.aliasIndex.set(aliasKey, node.id);
+    if (
+      index.aliasIndex.get(aliasKey) === node.id &&
+      canonicalizeName(node.label) !== aliasKey &&
+      !node.aliases.some((existing) => canonicalizeName(existing) === aliasKey)
+    ) {
+      node.aliases.push(name.trim());
+    }
+  });
+
+  return node;
+}
+
+// Record type votes for a node, both in total and per document so that they
+// can be taken back when the document is removed
+function addTypeCount(props, documentId, type, count) {
+  props.typeCounts[type] = (props.typeCounts[type] || 0) + count;
+  if (!props.documentTypeCounts) props.documentTypeCounts = {};
+  const documentTypes = props.documentTypeCounts[documentId] || {};
+  documentTypes[type] = (documentTypes[type] || 0) + count;
+  props.documentTypeCounts[documentId] = documentTypes;
+}
+
+// Count one document's support for a "links_to" edge between two pages
+function addLinkEdge(graph, index, source, target, documentId) {
+  const id = edgeId(source.id, canonicalizeName(LINK_EDGE_LABEL), target.id);
+  let edge = index.edgesById.get(id);
+  if (!edge) {
+    edge = {
+      id,
+      source: source.id,
+      target: target.id,
+      label: LINK_EDGE_LABEL,
+      weight: 1,
+      properties: {
+        frequency: 0,
+        documents: [],
+        documentCounts: {},
+        documentWeights: {},
+        weightSum: 0,
+      },
+    };
+    graph.edges.push(edge);
+    index.edgesById.set(id, edge);
+  }
+
+  const props = edge.properties;
+  props.documentCounts[documentId] = 1;
+  props.documentWeights[documentId] = 1;
+  props.weightSum = sumCounts(props.documentWeights);
+  props.frequency = sumCounts(props.documentCounts);
+  props.documents = Object.keys(props.documentCounts);
+}
+
+/**
+ * Add a crawled page as a node, linked to the pages it links to and from
+ * the pages already in the graph that link to it
+ * @param {Object} graph - Project graph
+ * @param {Object} document - Crawled page document ({ url, canonicalUrl, title, links })
+ * @param {Object} index - Indexes from indexGraph
+ */
+function addPageLinks(graph, document, index) {
+  const urls = [
+    ...new Set([document.canonicalUrl, document.url].filter(Boolean)),
+  ];
+  if (urls.length === 0) return;
+
+  const id = `page-${crypto
+    .createHash("sha1")
+    .update(urls[0])
+    .digest("hex")
+    .slice(0, 12)}`;
+  let node = index.nodesById.get(id);
+  if (!node) {
+    node = {
+      id,
+      label: document.title || urls[0],
+      type: PAGE_NODE_TYPE,
+      aliases: [],
+      properties: {
+        frequency: 0,
+        documents: [],
+        documentCounts: {},
+        typeCounts: {},
+        documentTypeCounts: {},
+        description: urls[0],
+        urls,
+        links: [],
+      },
+    };
+    graph.nodes.push(node);
+    index.nodesById.set(id, node);
+  }
+
+  const props = node.properties;
+  if (!props.documentCounts[document.id]) {
+    props.documentCounts[document.id] = 1;
+    addTypeCount(props, document.id, PAGE_NODE_TYPE, 1);
+  }
+  props.frequency = sumCounts(props.documentCounts);
+  props.documents = Object.keys(props.documentCounts);
+  props.links = [...new Set([...props.links, ...document.links])];
+  urls.forEach((url) => index.pagesByUrl.set(url, node));
+
+  document.links.forEach((link) => {
+    const target = index.pagesByUrl.get(link);
+    if (target && target !== node) {
+      addLinkEdge(graph, index, node, target, document.id);
+    }
+  });
+  new Set(index.pagesByUrl.values()).forEach((page) => {
+    if (page === node || !page.properties.links.some((l) => urls.includes(l)))
+      return;
+    page.properties.documents.forEach((documentId) =>
+      addLinkEdge(graph, index, page, node, documentId)
+    );
+  });
+}
+
+/**
+ * Merge one document's stored extraction results into a project graph.
+ * Mutates and returns the graph; call computeGraphStats afterwards.
+ * @param {Object} graph - Project graph
+ * @param {Object} document - Project document with entities, relationships and textContent
+ * @param {Object} index - Optional indexes from indexGraph (reused across documents)
+ * @returns {Object} The updated graph
+ */
+function addDocumentToGraph(graph, document, index = indexGraph(graph)) {
+  const entities = Array.isArray(document.entities) ? document.entities : [];
+  const relationships = Array.isArray(document.relationships)
+    ? document.relationships
+    : [];
+  const localIds = new Map();
+  const localLabels = new Map();
+  // Relationships without dates of their own hold from the document's date
+  const fallbackDate = documentDate(document);
+
+  // Relationships only connect the document's own entities, referenced by
+  // id (or by label); anything else is a dangling reference, not a new node
+  const resolveReference = (reference) => {
+    if (reference === undefined || reference === null) return null;
+    const ref = String(reference);
+    const nodeId = localIds.get(ref) || localLabels.get(canonicalizeName(ref));
+    return nodeId ? index.nodesById.get(nodeId) : null;
+  };
+
+  entities.forEach((entity) => {
+    if (!entity) return;
+    const node = resolveEntityNode(graph, index, entity);
+    if (!node) return;
+
+    if (entity.id !== undefined) localIds.set(String(entity.id), node.id);
+
+    const { label } = splitLabelAliases(entity.label || entity.name || "");
+    localLabels.set(canonicalizeName(label), node.id);
+    const mentions =
+      Number(entity.mentions) > 0
+        ? Number(entity.mentions)
+        : Math.max(
+            1,
+            countOccurrences(document.textContent, [label, ...node.aliases])
+          );
+    const props = node.properties;
+    props.documentCounts[document.id] =
+      (props.documentCounts[document.id] || 0) + mentions;
+
+    const type = String(entity.type || DEFAULT_ENTITY_TYPE).toLowerCase();
+    addTypeCount(props, document.id, type, mentions);
+    node.type = pickMostFrequent(props.typeCounts, DEFAULT_ENTITY_TYPE);
+
+    if (!props.description && entity.description) {
+      props.description = entity.description;
+    }
+    props.frequency = sumCounts(props.documentCounts);
+    props.documents = Object.keys(props.documentCounts);
+  });
+
+  let danglingRelationships = 0;
+  relationships.forEach((relationship) => {
+    if (!relationship) return;
+    const sourceNode = resolveReference(relationship.source);
+    const targetNode = resolveReference(relationship.target);
+    if (!sourceNode || !targetNode) {
+      danglingRelationships++;
+      return;
+    }
+    if (sourceNode.id === targetNode.id) return;
+
+    [sourceNode, targetNode].forEach((node) => {
+      if (!node.properties.documentCounts[document.id]) {
+        node.properties.documentCounts[document.id] = 1;
+        addTypeCount(node.properties, document.id, node.type, 1);
+        node.properties.frequency = sumCounts(node.properties.documentCounts);
+        node.properties.documents = Object.keys(node.properties.documentCounts);
+      }
+    });
+
+    const label = String(relationship.label || "related_to").trim();
+    const labelKey = canonicalizeName(label) || "related to";
+    const id = edgeId(sourceNode.id, labelKey, targetNode.id);
+    let edge = index.edgesById.get(id);
+    if (!edge) {
+      edge = {
+        id,
+        source: sourceNode.id,
+        target: targetNode.id,
+        label,
+        weight: 0,
+        validFrom: null,
+        validTo: null,
+        properties: {
+          frequency: 0,
+          documents: [],
+          documentCounts: {},
+          documentWeights: {},
+          documentIntervals: {},
+          weightSum: 0,
+        },
+      };
+      graph.edges.push(edge);
+      index.edgesById.set(id, edge);
+    }
+
+    const weight = Number(relationship.weight);
+    const props = edge.properties;
+    props.documentCounts[document.id] =
+      (props.documentCounts[document.id] || 0) + 1;
+    const edgeWeight =
+      Number.isFinite(weight) && weight > 0
+        ? Math.min(weight, 1)
+        : DEFAULT_EDGE_WEIGHT;
+    if (!props.documentWeights) props.documentWeights = {};
+    props.documentWeights[document.id] =
+      (props.documentWeights[document.id] || 0) + edgeWeight;
+    props.weightSum += edgeWeight;
+    props.frequency = sumCounts(props.documentCounts);
+    props.documents = Object.keys(props.documentCounts);
+    edge.weight = Number((props.weightSum / props.frequency).toFixed(3));
+
+    // Validity as this document states it, widened over repeated mentions
+    if (!props.documentIntervals) props.documentIntervals = {};
+    props.documentIntervals[document.id] = coverIntervals(
+      props.documentIntervals[document.id],
+      relationshipInterval(relationship, fallbackDate)
+    );
+    updateEdgeValidity(edge);
+  });
+  if (danglingRelationships > 0) {
+    console.warn(
+      `Skipped ${danglingRelationships} relationship(s) in document ${document.id} referencing unknown entities`
+    );
+  }
+
+  if (Array.isArray(document.links)) addPageLinks(graph, document, index);
+
+  return graph;
+}
+
+/**
+ * Take one document's contributions back out of a project graph. Nodes and
+ * edges supported only by that document are dropped; shared ones keep their
+ * other documents' counts. Mutates the graph; call computeGraphStats afterwards.
+ * @param {Object} graph - Project graph
+ * @param {string} documentId - Id of the removed document
+ * @returns {Object} { removedNodes, removedEdges, updatedNodes, updatedEdges }
+ */
+function removeDocumentFromGraph(graph, documentId) {
+  const result = {
+    removedNodes: 0,
+    removedEdges: 0,
+    updatedNodes: 0,
+    updatedEdges: 0,
+  };
+
+  graph.nodes = graph.nodes.filter((node) => {
+    const props = node.properties;
+    if (!props.documentCounts?.[documentId]) return true;
+
+    delete props.documentCounts[documentId];
+    props.frequency = sumCounts(props.documentCounts);
+    props.documents = Object.keys(props.documentCounts);
+    if (props.documents.length === 0) {
+      result.removedNodes++;
+      return false;
+    }
+
+    // Graphs built before per-document type counts keep their type votes
+    const documentTypes = props.documentTypeCounts?.[documentId];
+    if (documentTypes) {
+      Object.entries(documentTypes).forEach(([type, count]) => {
+        props.typeCounts[type] = (props.typeCounts[type] || 0) - count;
+        if (props.typeCounts[type] <= 0) delete props.typeCounts[type];
+      });
+      delete props.documentTypeCounts[documentId];
+      node.type = pickMostFrequent(props.typeCounts, node.type);
+    }
+    result.updatedNodes++;
+    return true;
+  });
+
+  const nodeIds = new Set(graph.nodes.map((node) => node.id));
+  graph.edges = graph.edges.filter((edge) => {
+    const props = edge.properties;
+    const supported = Boolean(props.documentCounts?.[documentId]);
+    if (supported) {
+      const count = props.documentCounts[documentId];
+      const documentWeight =
+        props.documentWeights?.[documentId] ?? count * edge.weight;
+      delete props.documentCounts[documentId];
+      if (props.documentWeights) delete props.documentWeights[documentId];
+      if (props.documentIntervals) {
+        delete props.documentIntervals[documentId];
+        updateEdgeValidity(edge);
+      }
+      props.weightSum = Math.max(props.weightSum - documentWeight, 0);
+      props.frequency = sumCounts(props.documentCounts);
+      props.documents = Object.keys(props.documentCounts);
+      if (props.frequency > 0) {
+        edge.weight = Number((props.weightSum / props.frequency).toFixed(3));
+      }
+    }
+
+    if (
+      props.frequency === 0 ||
+      !nodeIds.has(edge.source) ||
+      !nodeIds.has(edge.target)
+    ) {
+      result.removedEdges++;
+      return false;
+    }
+    if (supported) result.updatedEdges++;
+    return true;
+  });
+
+  return result;
+}
+
+/**
+ * Compute node/edge counts for a graph, broken down by entity type, and its
+ * most central node by each measure (when centrality has been computed)
+ * @param {Object} graph - Project graph
+ * @returns {Object} Graph stats
+ */
+function computeGraphStats(graph) {
+  const byType = {};
+  const documents = new Set();
+  graph.nodes.forEach((node) => {
+    byType[node.type] = (byType[node.type] || 0) + 1;
+    (node.properties?.documents || []).forEach((doc) => documents.add(doc));
+  });
+  const concepts = graph.nodes.filter((node) =>
+    CONCEPT_TYPES.has(node.type)
+  ).length;
+
+  return {
+    totalNodes: graph.nodes.length,
+    totalEdges: graph.edges.length,
+    concepts,
+    entities: graph.nodes.length - concepts,
+    byType,
+    documents: documents.size,
+    mostCentral: mostCentralNodes(graph),
+  };
+}
+
+/**
+ * Filter a graph by entity type, minimum frequency and source document.
+ * Edges are kept only when both endpoints survive the filter (and, with a
+ * document filter, when that document backs the edge).
+ * @param {Object} graph - Project graph
+ * @param {Object} filters - { types: Array<string>, minFrequency, documentId }
+ * @returns {Object} { nodes, edges } sorted by descending frequency
+ */
+function filterGraph(graph, filters = {}) {
+  const types = (filters.types || []).map((type) => type.toLowerCase());
+  const minFrequency = Number(filters.minFrequency) || 0;
+  const { documentId } = filters;
+
+  const nodes = graph.nodes
+    .filter((node) => types.length === 0 || types.includes(node.type))
+    .filter((node) => (node.properties?.frequency || 0) >= minFrequency)
+    .filter(
+      (node) =>
+        !documentId || (node.properties?.documents || []).includes(documentId)
+    )
+    .sort(
+      (a, b) =>
+        (b.properties?.frequency || 0) - (a.properties?.frequency || 0) ||
+        a.label.localeCompare(b.label)
+    );
+
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const edges = graph.edges.filter(
+    (edge) =>
+      nodeIds.has(edge.source) &&
+      nodeIds.has(edge.target) &&
+      (!documentId || (edge.properties?.documents || []).includes(documentId))
+  );
+
+  return { nodes, edges };
+}
+
+/**
+ * Build a deduplicated project graph from the extraction results stored on
+ * each of a project's documents and URLs
+ * @param {string} projectId - Project id
+ * @param {Array} documents - Project documents
+ * @param {Object} options - { onProgress(processed, total, document), resolution }
+ * @returns {Promise<Object>} The built graph
+ */
+async function buildProjectGraph(projectId, documents, options = {}) {
+  const graph = createEmptyGraph(projectId);
+  const index = indexGraph(graph, options.resolution);
+  const sources = documents.filter((doc) => doc.processed);
+
+  for (let i = 0; i < sources.length; i++) {
+    addDocumentToGraph(graph, sources[i], index);
+    if (options.onProgress)
+      options.onProgress(i + 1, sources.length, sources[i]);
+    // Yield between documents so large builds don't block the event loop
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  computeCentrality(graph);
+  graph.stats = computeGraphStats(graph);
+  graph.builtAt = new Date().toISOString();
+  return graph;
+}
+
+module.exports = {
+  CONCEPT_TYPES,
+  PAGE_NODE_TYPE,
+  LINK_EDGE_LABEL,
+  canonicalizeName,
+  splitLabelAliases,
+  countOccurrences,
+  createEmptyGraph,
+  indexGraph,
+  addDocumentToGraph,
+  removeDocumentFromGraph,
+  computeGraphStats,
+  filterGraph,
+  buildProjectGraph,
+};
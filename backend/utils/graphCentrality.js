@@ -0,0 +1,344 @@
+const CENTRALITY_METRICS = ["degree", "pagerank", "betweenness", "eigenvector"];
+
+const PAGERANK_DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-8;
+// Exact betweenness costs a traversal per node; above this many nodes it is
+// estimated from this many evenly spread source nodes instead
+const BETWEENNESS_PIVOTS = 500;
+
+const round = (value) => Number(value.toFixed(6));
+
+// Node index plus undirected neighbour sets and directed weighted out-links
+function buildIndex(graph) {
+  const ids = graph.nodes.map((node) => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const neighbours = ids.map(() => new Map());
+  const outLinks = ids.map(() => new Map());
+
+  graph.edges.forEach((edge) => {
+    const a = indexById.get(edge.source);
+    const b = indexById.get(edge.target);
+    if (a === undefined || b === undefined || a === b) return;
+    const weight = edge.weight || 0.5;
+    neighbours[a].set(b, (neighbours[a].get(b) || 0) + weight);
+    neighbours[b].set(a, (neighbours[b].get(a) || 0) + weight);
+    outLinks[a].set(b, (outLinks[a].get(b) || 0) + weight);
+  });
+  return { ids, neighbours, outLinks };
+}
+
+/**
+ * Degree centrality: the share of other nodes a node is directly linked to
+ * @param {Object} index - Output of buildIndex
+ * @returns {Array<number>} Score per node index
+ */
+function degreeCentrality({ neighbours }) {
+  const n = neighbours.length;
+  return neighbours.map((links) => (n > 1 ? links.size / (n - 1) : 0));
+}
+
+/**
+ * PageRank over the directed, weighted relationships. Nodes without
+ * outgoing edges spread their rank evenly.
+ * @param {Object} index - Output of buildIndex
+ * @returns {Array<number>} Score per node index (summing to 1)
+ */
+function pageRank({ outLinks }) {
+  const n = outLinks.length;
+  if (n === 0) return [];
+  const outWeights = outLinks.map((links) =>
+    Array.from(links.values()).reduce((sum, weight) => sum + weight, 0)
+  );
+  let rank = new Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const dangling = rank.reduce(
+      (sum, value, node) => (outWeights[node] === 0 ? sum + value : sum),
+      0
+    );
+    const next = new Array(n).fill(
+      (1 - PAGERANK_DAMPING) / n + (PAGERANK_DAMPING * dangling) / n
+    );
+    outLinks.forEach((links, node) => {
+      if (outWeights[node] === 0) return;
+      links.forEach((weight, target) => {
+        next[target] +=
+          (PAGERANK_DAMPING * rank[node] * weight) / outWeights[node];
+      });
+    });
+
+    const change = next.reduce(
+      (sum, value, node) => sum + Math.abs(value - rank[node]),
+      0
+    );
+    rank = next;
+    if (change < TOLERANCE) break;
+  }
+  return rank;
+}
+
+/**
+ * Betweenness centrality (Brandes' algorithm, unweighted and undirected):
+ * how often a node lies on the shortest paths between other nodes
+ * @param {Object} index - Output of buildIndex
+ * @returns {Array<number>} Score per node index, normalized to 0-1
+ */
+function betweennessCentrality({ neighbours }) {
+  const n = neighbours.length;
+  const scores = new Array(n).fill(0);
+  if (n < 3) return scores;
+
+  // Large graphs use evenly spaced source nodes, scaled up afterwards
+  const step = n > BETWEENNESS_PIVOTS ? n / BETWEENNESS_PIVOTS : 1;
+  const sources = [];
+  for (let i = 0; i < n; i += step) sources.push(Math.floor(i));
+
+  sources.forEach((source) => {
+    const stack = [];
+    const predecessors = neighbours.map(() => []);
+    const paths = new Array(n).fill(0);
+    const distance = new Array(n).fill(-1);
+    paths[source] = 1;
+    distance[source] = 0;
+
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      stack.push(node);
+      neighbours[node].forEach((_, next) => {
+        if (distance[next] < 0) {
+          distance[next] = distance[node] + 1;
+          queue.push(next);
+        }
+        if (distance[next] === distance[node] + 1) {
+          paths[next] += paths[node];
+          predecessors[next].push(node);
+        }
+      });
+    }
+
+    const dependency = new Array(n).fill(0);
+    while (stack.length > 0) {
+      const node = stack.pop();
+      predecessors[node].forEach((previous) => {
+        dependency[previous] +=
+          (paths[previous] / paths[node]) * (1 + dependency[node]);
+      });
+      if (node !== source) scores[node] += dependency[node];
+    }
+  });
+
+  // Every pair was counted from both ends; normalize by the number of pairs
+  // not involving the node
+  const scale = n / sources.length / ((n - 1) * (n - 2));
+  return scores.map((score) => score * scale);
+}
+
+/**
+ * Eigenvector centrality over the undirected, weighted graph: a node is
+ * important when its neighbours are. Iterates on A + I so that bipartite
+ * graphs converge too.
+ * @param {Object} index - Output of buildIndex
+ * @returns {Array<number>} Score per node index, the most central scoring 1
+ */
+function eigenvectorCentrality({ neighbours }) {
+  const n = neighbours.length;
+  if (n === 0) return [];
+  let scores = new Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = scores.slice();
+    neighbours.forEach((links, node) => {
+      links.forEach((weight, other) => {
+        next[node] += weight * scores[other];
+      });
+    });
+    const max = next.reduce((a, b) => Math.max(a, b), 0) || 1;
+    const normalized = next.map((value) => value / max);
+    const change = normalized.reduce(
+      (sum, value, node) => sum + Math.abs(value - scores[node]),
+      0
+    );
+    scores = normalized;
+    if (change < TOLERANCE * n) break;
+  }
+  // Isolated nodes only ever reinforce themselves
+  return scores.map((score, node) => (neighbours[node].size > 0 ? score : 0));
+}
+
+/**
+ * Compute degree, PageRank, betweenness and eigenvector centrality for every
+ * node, storing them as node.properties.centrality
+ * @param {Object} graph - Project graph (mutated)
+ * @returns {Object} The graph
+ */
+function computeCentrality(graph) {
+  const index = buildIndex(graph);
+  const metrics = {
+    degree: degreeCentrality(index),
+    pagerank: pageRank(index),
+    betweenness: betweennessCentrality(index),
+    eigenvector: eigenvectorCentrality(index),
+  };
+
+  graph.nodes.forEach((node, position) => {
+    node.properties = node.properties || {};
+    node.properties.centrality = Object.fromEntries(
+      CENTRALITY_METRICS.map((metric) => [
+        metric,
+        round(metrics[metric][position] || 0),
+      ])
+    );
+  });
+  return graph;
+}
+
+/**
+ * Whether every node carries centrality scores (graphs built before they
+ * were computed don't)
+ * @param {Object} graph - Project graph
+ * @returns {boolean} True when scores are present
+ */
+function hasCentrality(graph) {
+  return graph.nodes.every((node) => node.properties?.centrality);
+}
+
+/**
+ * The highest-scoring node for each centrality measure
+ * @param {Object} graph - Project graph with centrality scores
+ * @returns {Object} Metric -> { id, label, type, score }, or null for an empty graph
+ */
+function mostCentralNodes(graph) {
+  if (graph.nodes.length === 0 || !hasCentrality(graph)) return null;
+  return Object.fromEntries(
+    CENTRALITY_METRICS.map((metric) => {
+      const top = graph.nodes.reduce((best, node) =>
+        node.properties.centrality[metric] > best.properties.centrality[metric]
+          ? node
+          : best
+      );
+      return [
+        metric,
+        {
+          id: top.id,
+          label: top.label,
+          type: top.type,
+          score: top.properties.centrality[metric],
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Rank nodes by a centrality measure, separately for each entity type
+ * @param {Object} graph - Project graph with centrality scores
+ * @param {Object} options - { metric, limit, types }
+ * @returns {Array} [{ type, count, nodes: [{ id, label, type, score, centrality }] }] by descending type size
+ */
+function rankByType(graph, options = {}) {
+  const metric = CENTRALITY_METRICS.includes(options.metric)
+    ? options.metric
+    : "pagerank";
+  const limit = options.limit || 10;
+  const types = options.types?.length > 0 ? new Set(options.types) : null;
+
+  const byType = new Map();
+  graph.nodes.forEach((node) => {
+    if (types && !types.has(node.type)) return;
+    if (!byType.has(node.type)) byType.set(node.type, []);
+    byType.get(node.type).push(node);
+  });
+
+  return Array.from(byType.entries())
+    .map(([type, nodes]) => ({
+      type,
+      count: nodes.length,
+      nodes: nodes
+        .sort(
+          (a, b) =>
+            (b.properties?.centrality?.[metric] || 0) -
+              (a.properties?.centrality?.[metric] || 0) ||
+            (b.properties?.frequency || 0) - (a.properties?.frequency || 0)
+        )
+        .slice(0, limit)
+        .map((node) => ({
+          id: node.id,
+          label: node.label,
+          type: node.type,
+          score: node.properties?.centrality?.[metric] || 0,
+          centrality: node.properties?.centrality || null,
+        })),
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Entities linking communities that would otherwise be separate: nodes with
+ * relationships into at least one community besides their own, ranked by
+ * betweenness and then by how evenly their links spread across communities
+ * (the participation coefficient, 0 when all links stay inside one)
+ * @param {Object} graph - Project graph with centrality scores
+ * @param {Object} communities - Output of detectCommunities
+ * @param {Object} options - { limit }
+ * @returns {Array} [{ id, label, type, community, communities, participation, betweenness }]
+ */
+function findBridgeEntities(graph, communities, options = {}) {
+  const limit = options.limit || 20;
+  const { ids, neighbours } = buildIndex(graph);
+
+  const bridges = [];
+  neighbours.forEach((links, position) => {
+    const node = graph.nodes[position];
+    const own = communities.assignments.get(ids[position]);
+    const weightByCommunity = new Map();
+    let total = 0;
+    links.forEach((weight, other) => {
+      const community = communities.assignments.get(ids[other]);
+      weightByCommunity.set(
+        community,
+        (weightByCommunity.get(community) || 0) + weight
+      );
+      total += weight;
+    });
+    const others = Array.from(weightByCommunity.keys()).filter(
+      (community) => community !== own
+    );
+    if (others.length === 0) return;
+
+    const participation =
+      1 -
+      Array.from(weightByCommunity.values()).reduce(
+        (sum, weight) => sum + Math.pow(weight / total, 2),
+        0
+      );
+    bridges.push({
+      id: node.id,
+      label: node.label,
+      type: node.type,
+      community: own,
+      communities: others.sort(),
+      participation: round(participation),
+      betweenness: node.properties?.centrality?.betweenness || 0,
+    });
+  });
+
+  return bridges
+    .sort(
+      (a, b) =>
+        b.betweenness - a.betweenness ||
+        b.participation - a.participation ||
+        b.communities.length - a.communities.length
+    )
+    .slice(0, limit);
+}
+
+module.exports = {
+  CENTRALITY_METRICS,
+  computeCentrality,
+  hasCentrality,
+  mostCentralNodes,
+  rankByType,
+  findBridgeEntities,
+};
@@ -0,0 +1,270 @@
+const { canonicalizeName } = require("./graphBuilder");
+const { computeLayout } = require("./graphLayout");
+
+const DIFF_STATUSES = ["onlyA", "shared", "onlyB"];
+const DIFF_COLORS = {
+  onlyA: "#ff6b6b",
+  shared: "#8395a7",
+  onlyB: "#10ac84",
+};
+
+// Canonical names of an entity (label first, then aliases)
+function entityNames(node) {
+  return [node.label, ...(node.aliases || [])]
+    .map((name) => canonicalizeName(name))
+    .filter(Boolean);
+}
+
+// Keys an entity can be aligned by: each of its names, with its type
+function alignmentKeys(node) {
+  const type = String(node.type || "").toLowerCase();
+  return entityNames(node).map((name) => `${type}|${name}`);
+}
+
+const entitySummary = (node) => ({
+  id: node.id,
+  label: node.label,
+  type: node.type,
+  frequency: node.properties?.frequency || 0,
+  documents: (node.properties?.documents || []).length,
+});
+
+/**
+ * Align the entities and relationships of two project graphs. Entities match
+ * when they share a resolved name (label or alias) and a type; relationships
+ * match when their aligned endpoints and relation label do.
+ * @param {Object} graphA - First project graph
+ * @param {Object} graphB - Second project graph
+ * @returns {Object} { entities, relationships, counts, similarity, alignment } where entities and relationships each have onlyA, onlyB and shared lists (most frequent first), entities also list typeMismatches (same name, different type), and alignment maps each B node id to its A counterpart
+ */
+function compareGraphs(graphA, graphB) {
+  // Labels go before aliases, so an exact label match wins
+  const keyIndex = new Map();
+  graphA.nodes.forEach((node) => {
+    alignmentKeys(node).forEach((key) => {
+      if (!keyIndex.has(key)) keyIndex.set(key, node);
+    });
+  });
+
+  const matchedA = new Map();
+  const alignment = new Map();
+  const shared = [];
+  const onlyB = [];
+  graphB.nodes.forEach((node) => {
+    const match = alignmentKeys(node)
+      .map((key) => keyIndex.get(key))
+      .find((candidate) => candidate && !matchedA.has(candidate.id));
+    if (!match) {
+      onlyB.push(entitySummary(node));
+      return;
+    }
+    matchedA.set(match.id, node.id);
+    alignment.set(node.id, match.id);
+    shared.push({ a: entitySummary(match), b: entitySummary(node) });
+  });
+  const unmatchedA = graphA.nodes.filter((node) => !matchedA.has(node.id));
+  const onlyA = unmatchedA.map(entitySummary);
+
+  // Same name but a different type: still unique to each side, but worth
+  // pointing out since it's often the same thing classified differently
+  const nameIndex = new Map();
+  unmatchedA.forEach((node) => {
+    entityNames(node).forEach((name) => {
+      if (!nameIndex.has(name)) nameIndex.set(name, node);
+    });
+  });
+  const typeMismatches = [];
+  graphB.nodes
+    .filter((node) => !alignment.has(node.id))
+    .forEach((node) => {
+      const match = entityNames(node)
+        .map((name) => nameIndex.get(name))
+        .find(Boolean);
+      if (match) {
+        typeMismatches.push({
+          a: entitySummary(match),
+          b: entitySummary(node),
+        });
+      }
+    });
+
+  // Relationships are keyed in A's node ids, B's ids mapped across where aligned
+  const relationKey = (source, label, target) =>
+    `${source}|${canonicalizeName(label) || "related to"}|${target}`;
+  const labelsA = new Map(graphA.nodes.map((node) => [node.id, node.label]));
+  const labelsB = new Map(graphB.nodes.map((node) => [node.id, node.label]));
+  const relationSummary = (edge, labels) => ({
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    sourceLabel: labels.get(edge.source) || edge.source,
+    targetLabel: labels.get(edge.target) || edge.target,
+    label: edge.label,
+    weight: edge.weight,
+    frequency: edge.properties?.frequency || 0,
+  });
+
+  const edgesA = new Map();
+  graphA.edges.forEach((edge) => {
+    edgesA.set(relationKey(edge.source, edge.label, edge.target), edge);
+  });
+  const matchedEdges = new Set();
+  const sharedRelationships = [];
+  const onlyBRelationships = [];
+  graphB.edges.forEach((edge) => {
+    const key = relationKey(
+      alignment.get(edge.source) || `b:${edge.source}`,
+      edge.label,
+      alignment.get(edge.target) || `b:${edge.target}`
+    );
+    const match = edgesA.get(key);
+    if (match && !matchedEdges.has(key)) {
+      matchedEdges.add(key);
+      sharedRelationships.push({
+        a: relationSummary(match, labelsA),
+        b: relationSummary(edge, labelsB),
+      });
+    } else {
+      onlyBRelationships.push(relationSummary(edge, labelsB));
+    }
+  });
+  const onlyARelationships = Array.from(edgesA.entries())
+    .filter(([key]) => !matchedEdges.has(key))
+    .map(([, edge]) => relationSummary(edge, labelsA));
+
+  const byFrequency = (a, b) => b.frequency - a.frequency;
+  const bySharedFrequency = (x, y) =>
+    y.a.frequency + y.b.frequency - (x.a.frequency + x.b.frequency);
+  const jaccard = (sharedCount, aCount, bCount) =>
+    aCount + bCount - sharedCount > 0
+      ? Number((sharedCount / (aCount + bCount - sharedCount)).toFixed(3))
+      : 0;
+
+  return {
+    entities: {
+      onlyA: onlyA.sort(byFrequency),
+      onlyB: onlyB.sort(byFrequency),
+      shared: shared.sort(bySharedFrequency),
+      typeMismatches: typeMismatches.sort(bySharedFrequency),
+    },
+    relationships: {
+      onlyA: onlyARelationships.sort(byFrequency),
+      onlyB: onlyBRelationships.sort(byFrequency),
+      shared: sharedRelationships.sort(bySharedFrequency),
+    },
+    counts: {
+      entities: {
+        onlyA: onlyA.length,
+        onlyB: onlyB.length,
+        shared: shared.length,
+        typeMismatches: typeMismatches.length,
+      },
+      relationships: {
+        onlyA: onlyARelationships.length,
+        onlyB: onlyBRelationships.length,
+        shared: sharedRelationships.length,
+      },
+    },
+    similarity: {
+      entities: jaccard(
+        shared.length,
+        graphA.nodes.length,
+        graphB.nodes.length
+      ),
+      relationships: jaccard(
+        sharedRelationships.length,
+        edgesA.size,
+        graphB.edges.length
+      ),
+    },
+    alignment,
+  };
+}
+
+/**
+ * Lay out the union of two compared graphs, each node and edge coloured by
+ * whether it is unique to one project or shared
+ * @param {Object} comparison - Output of compareGraphs
+ * @param {Object} options - { layout, maxNodes, labels: legend label per status }
+ * @returns {Object} Visualization data like computeLayout's, with a status on every node and edge
+ */
+function diffVisualization(comparison, options = {}) {
+  const maxNodes = options.maxNodes || 300;
+  const { entities, relationships } = comparison;
+
+  // Shared entities and relationships take A's ids; B's own get a prefix
+  const nodes = [
+    ...entities.shared.map(({ a, b }) => ({
+      ...a,
+      frequency: a.frequency + b.frequency,
+      status: "shared",
+    })),
+    ...entities.onlyA.map((node) => ({ ...node, status: "onlyA" })),
+    ...entities.onlyB.map((node) => ({
+      ...node,
+      id: `b:${node.id}`,
+      status: "onlyB",
+    })),
+  ]
+    .sort((a, b) => b.frequency - a.frequency)
+    .slice(0, maxNodes);
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const bId = (id) =>
+    comparison.alignment.has(id) ? comparison.alignment.get(id) : `b:${id}`;
+
+  const edges = [
+    ...relationships.shared.map(({ a }) => ({ ...a, status: "shared" })),
+    ...relationships.onlyA.map((edge) => ({ ...edge, status: "onlyA" })),
+    ...relationships.onlyB.map((edge) => ({
+      ...edge,
+      id: `b:${edge.id}`,
+      source: bId(edge.source),
+      target: bId(edge.target),
+      status: "onlyB",
+    })),
+  ].filter((edge) => nodeIds.has(edge.source) && nodeIds.has(edge.target));
+
+  const nodeStatuses = new Map(nodes.map((node) => [node.id, node.status]));
+  const edgeStatuses = new Map(edges.map((edge) => [edge.id, edge.status]));
+  const layout = computeLayout(
+    {
+      nodes: nodes.map((node) => ({
+        id: node.id,
+        label: node.label,
+        type: node.type,
+        properties: { frequency: node.frequency },
+      })),
+      edges,
+    },
+    { layout: options.layout }
+  );
+
+  return {
+    ...layout,
+    nodes: layout.nodes.map((node) => ({
+      ...node,
+      status: nodeStatuses.get(node.id),
+      color: DIFF_COLORS[nodeStatuses.get(node.id)],
+    })),
+    edges: layout.edges.map((edge) => ({
+      ...edge,
+      status: edgeStatuses.get(edge.id),
+      color: DIFF_COLORS[edgeStatuses.get(edge.id)],
+    })),
+    groups: DIFF_STATUSES.map((status) => ({
+      id: status,
+      label: options.labels?.[status] || status,
+      color: DIFF_COLORS[status],
+      count: nodes.filter((node) => node.status === status).length,
+    })),
+    truncated:
+      entities.shared.length + entities.onlyA.length + entities.onlyB.length >
+      nodes.length,
+  };
+}
+
+module.exports = {
+  DIFF_STATUSES,
+  compareGraphs,
+  diffVisualization,
+};
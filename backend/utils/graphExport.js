@@ -0,0 +1,406 @@
+// Serializers for exporting a project graph to tools such as Gephi, Neo4j
+// and RDF stores. Every format keeps node types, edge labels, weights and
+// the documents each node and edge was extracted from.
+
+// Escape text for XML attributes and content, dropping characters XML 1.0
+// does not allow
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    .replace(
+      /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu,
+      ""
+    );
+}
+
+/**
+ * Flatten the attributes shared by every export format
+ * @param {Object} graph - Project graph
+ * @param {Map} documentNames - Document id -> display name
+ * @returns {Object} { nodes, edges } with plain attribute values
+ */
+function exportRecords(graph, documentNames) {
+  const sourceNames = (ids) =>
+    (ids || []).map((id) => documentNames.get(id) || id);
+
+  const nodes = graph.nodes.map((node) => ({
+    id: node.id,
+    label: node.label,
+    type: node.type,
+    description: node.properties?.description || "",
+    aliases: node.aliases || [],
+    frequency: node.properties?.frequency || 0,
+    documents: node.properties?.documents || [],
+    documentNames: sourceNames(node.properties?.documents),
+  }));
+  const edges = graph.edges.map((edge) => ({
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    label: edge.label,
+    weight: edge.weight ?? 0,
+    frequency: edge.properties?.frequency || 0,
+    documents: edge.properties?.documents || [],
+    documentNames: sourceNames(edge.properties?.documents),
+  }));
+  return { nodes, edges };
+}
+
+// List-valued attributes are stored as "|"-separated strings in the XML formats
+const joinList = (values) => values.join("|");
+
+/**
+ * Serialize a graph as GraphML
+ * @param {Object} graph - Project graph
+ * @param {Object} project - Project (name, id)
+ * @param {Map} documentNames - Document id -> display name
+ * @returns {string} GraphML document
+ */
+function toGraphML(graph, project, documentNames) {
+  const { nodes, edges } = exportRecords(graph, documentNames);
+  const keys = [
+    ["label", "node", "string"],
+    ["type", "node", "string"],
+    ["description", "node", "string"],
+    ["aliases", "node", "string"],
+    ["frequency", "node", "int"],
+    ["documents", "node", "string"],
+    ["documentNames", "node", "string"],
+    ["label", "edge", "string"],
+    ["weight", "edge", "double"],
+    ["frequency", "edge", "int"],
+    ["documents", "edge", "string"],
+    ["documentNames", "edge", "string"],
+  ];
+  const data = (scope, name, value) =>
+    `<data key="${scope}_${name}">${escapeXml(
+      Array.isArray(value) ? joinList(value) : value
+    )}</data>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...keys.map(
+      ([name, scope, type]) =>
+        `  <key id="${scope}_${name}" for="${scope}" attr.name="${name}" attr.type="${type}"/>`
+    ),
+    `  <graph id="${escapeXml(project.id)}" edgedefault="directed">`,
+  ];
+
+  nodes.forEach((node) => {
+    lines.push(
+      `    <node id="${escapeXml(node.id)}">`,
+      ...[
+        "label",
+        "type",
+        "description",
+        "aliases",
+        "frequency",
+        "documents",
+        "documentNames",
+      ].map((name) => `      ${data("node", name, node[name])}`),
+      "    </node>"
+    );
+  });
+  edges.forEach((edge) => {
+    lines.push(
+      `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(
+        edge.source
+      )}" target="${escapeXml(edge.target)}">`,
+      ...["label", "weight", "frequency", "documents", "documentNames"].map(
+        (name) => `      ${data("edge", name, edge[name])}`
+      ),
+      "    </edge>"
+    );
+  });
+
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Serialize a graph as GEXF 1.3 (Gephi's native format)
+ * @param {Object} graph - Project graph
+ * @param {Object} project - Project (name, description)
+ * @param {Map} documentNames - Document id -> display name
+ * @returns {string} GEXF document
+ */
+function toGEXF(graph, project, documentNames) {
+  const { nodes, edges } = exportRecords(graph, documentNames);
+  const nodeAttributes = [
+    ["type", "string"],
+    ["description", "string"],
+    ["aliases", "liststring"],
+    ["frequency", "integer"],
+    ["documents", "liststring"],
+    ["documentNames", "liststring"],
+  ];
+  const edgeAttributes = [
+    ["frequency", "integer"],
+    ["documents", "liststring"],
+    ["documentNames", "liststring"],
+  ];
+  const attvalues = (record, attributes, indent) => [
+    `${indent}<attvalues>`,
+    ...attributes.map(
+      ([name], index) =>
+        `${indent}  <attvalue for="${index}" value="${escapeXml(
+          Array.isArray(record[name]) ? joinList(record[name]) : record[name]
+        )}"/>`
+    ),
+    `${indent}</attvalues>`,
+  ];
+  const declare = (attributes, className) => [
+    `    <attributes class="${className}">`,
+    ...attributes.map(
+      ([name, type], index) =>
+        `      <attribute id="${index}" title="${name}" type="${type}"/>`
+    ),
+    "    </attributes>",
+  ];
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    "    <creator>Knowledge Graph Builder</creator>",
+    `    <description>${escapeXml(
+      project.description || project.name
+    )}</description>`,
+    "  </meta>",
+    '  <graph defaultedgetype="directed" mode="static">',
+    ...declare(nodeAttributes, "node"),
+    ...declare(edgeAttributes, "edge"),
+    "    <nodes>",
+  ];
+
+  nodes.forEach((node) => {
+    lines.push(
+      `      <node id="${escapeXml(node.id)}" label="${escapeXml(
+        node.label
+      )}">`,
+      ...attvalues(node, nodeAttributes, "        "),
+      "      </node>"
+    );
+  });
+  lines.push("    </nodes>", "    <edges>");
+  edges.forEach((edge) => {
+    lines.push(
+      `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(
+        edge.source
+      )}" target="${escapeXml(edge.target)}" label="${escapeXml(
+        edge.label
+      )}" weight="${edge.weight}">`,
+      ...attvalues(edge, edgeAttributes, "        "),
+      "      </edge>"
+    );
+  });
+  lines.push("    </edges>", "  </graph>", "</gexf>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Serialize a graph as JSON-LD. Relationships are reified as resources so
+ * that their labels, weights and source documents are kept.
+ * @param {Object} graph - Project graph
+ * @param {Object} project - Project (id, name)
+ * @param {Map} documentNames - Document id -> display name
+ * @returns {string} JSON-LD document
+ */
+function toJSONLD(graph, project, documentNames) {
+  const { nodes, edges } = exportRecords(graph, documentNames);
+  const base = `urn:knowledge-graph:${encodeURIComponent(project.id)}`;
+  const iri = (kind, id) => `${base}:${kind}:${encodeURIComponent(id)}`;
+
+  const documents = new Map();
+  [...nodes, ...edges].forEach((record) =>
+    record.documents.forEach((id, index) =>
+      documents.set(id, record.documentNames[index])
+    )
+  );
+
+  const jsonld = {
+    "@context": {
+      kg: "urn:knowledge-graph:vocab#",
+      rdfs: "http://www.w3.org/2000/01/rdf-schema#",
+      xsd: "http://www.w3.org/2001/XMLSchema#",
+      label: "rdfs:label",
+      description: "rdfs:comment",
+      aliases: "kg:alias",
+      entityType: "kg:entityType",
+      frequency: { "@id": "kg:frequency", "@type": "xsd:integer" },
+      weight: { "@id": "kg:weight", "@type": "xsd:double" },
+      source: { "@id": "kg:source", "@type": "@id" },
+      target: { "@id": "kg:target", "@type": "@id" },
+      documents: {
+        "@id": "kg:sourceDocument",
+        "@type": "@id",
+        "@container": "@set",
+      },
+    },
+    "@id": base,
+    "@type": "kg:KnowledgeGraph",
+    label: project.name,
+    "@graph": [
+      ...Array.from(documents.entries()).map(([id, name]) => ({
+        "@id": iri("document", id),
+        "@type": "kg:Document",
+        label: name,
+      })),
+      ...nodes.map((node) => ({
+        "@id": iri("entity", node.id),
+        "@type": "kg:Entity",
+        entityType: node.type,
+        label: node.label,
+        ...(node.description && { description: node.description }),
+        ...(node.aliases.length > 0 && { aliases: node.aliases }),
+        frequency: node.frequency,
+        documents: node.documents.map((id) => iri("document", id)),
+      })),
+      ...edges.map((edge) => ({
+        "@id": iri("relationship", edge.id),
+        "@type": "kg:Relationship",
+        label: edge.label,
+        source: iri("entity", edge.source),
+        target: iri("entity", edge.target),
+        weight: edge.weight,
+        frequency: edge.frequency,
+        documents: edge.documents.map((id) => iri("document", id)),
+      })),
+    ],
+  };
+  return JSON.stringify(jsonld, null, 2) + "\n";
+}
+
+function cypherString(value) {
+  return `"${String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\r/g, "\\r")
+    .replace(/\n/g, "\\n")}"`;
+}
+
+function cypherValue(value) {
+  if (Array.isArray(value)) return `[${value.map(cypherValue).join(", ")}]`;
+  if (typeof value === "number") return String(value);
+  return cypherString(value);
+}
+
+function cypherProperties(properties) {
+  return `{${Object.entries(properties)
+    .map(([key, value]) => `${key}: ${cypherValue(value)}`)
+    .join(", ")}}`;
+}
+
+// Labels and relationship types become backtick-quoted identifiers
+function cypherIdentifier(value, fallback) {
+  const name = String(value || "").replace(/`/g, "");
+  return `\`${name || fallback}\``;
+}
+
+/**
+ * Serialize a graph as a Cypher script of CREATE statements for Neo4j.
+ * Nodes carry an `Entity` label plus their type; relationship types are
+ * the upper-cased edge labels.
+ * @param {Object} graph - Project graph
+ * @param {Object} project - Project (name)
+ * @param {Map} documentNames - Document id -> display name
+ * @returns {string} Cypher script
+ */
+function toCypher(graph, project, documentNames) {
+  const { nodes, edges } = exportRecords(graph, documentNames);
+  const typeLabel = (type) =>
+    String(type || "")
+      .split(/[^a-zA-Z0-9]+/)
+      .filter(Boolean)
+      .map((part) => part[0].toUpperCase() + part.slice(1))
+      .join("");
+  const relationshipType = (label) =>
+    String(label || "")
+      .trim()
+      .replace(/[^a-zA-Z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .toUpperCase();
+
+  const lines = [
+    `// Knowledge graph export: ${String(project.name).replace(/\n/g, " ")}`,
+    `// ${nodes.length} nodes, ${edges.length} relationships`,
+    "CREATE INDEX entity_id IF NOT EXISTS FOR (n:Entity) ON (n.id);",
+    "",
+  ];
+
+  nodes.forEach((node) => {
+    const label = typeLabel(node.type);
+    lines.push(
+      `CREATE (:Entity${
+        label ? `:${cypherIdentifier(label)}` : ""
+      } ${cypherProperties({
+        id: node.id,
+        label: node.label,
+        type: node.type,
+        description: node.description,
+        aliases: node.aliases,
+        frequency: node.frequency,
+        documents: node.documents,
+        documentNames: node.documentNames,
+      })});`
+    );
+  });
+  lines.push("");
+  edges.forEach((edge) => {
+    lines.push(
+      `MATCH (a:Entity {id: ${cypherString(
+        edge.source
+      )}}), (b:Entity {id: ${cypherString(
+        edge.target
+      )}}) CREATE (a)-[:${cypherIdentifier(
+        relationshipType(edge.label),
+        "RELATED_TO"
+      )} ${cypherProperties({
+        id: edge.id,
+        label: edge.label,
+        weight: edge.weight,
+        frequency: edge.frequency,
+        documents: edge.documents,
+        documentNames: edge.documentNames,
+      })}]->(b);`
+    );
+  });
+  return lines.join("\n") + "\n";
+}
+
+// Supported export formats: file extension, MIME type and serializer
+const EXPORT_FORMATS = {
+  graphml: {
+    extension: "graphml",
+    contentType: "application/graphml+xml",
+    serialize: toGraphML,
+  },
+  gexf: {
+    extension: "gexf",
+    contentType: "application/gexf+xml",
+    serialize: toGEXF,
+  },
+  jsonld: {
+    extension: "jsonld",
+    contentType: "application/ld+json",
+    serialize: toJSONLD,
+  },
+  cypher: {
+    extension: "cypher",
+    contentType: "text/plain",
+    serialize: toCypher,
+  },
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toGraphML,
+  toGEXF,
+  toJSONLD,
+  toCypher,
+};
@@ -0,0 +1,408 @@
+const crypto = require("crypto");
+
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 600;
+const MARGIN = 40;
+const MIN_NODE_SIZE = 8;
+const MAX_NODE_SIZE = 30;
+
+// Colours for common entity types; other types get a stable palette colour
+const TYPE_COLORS = {
+  concept: "#ff6b6b",
+  person: "#4ecdc4",
+  organization: "#45b7d1",
+  location: "#96ceb4",
+  technology: "#feca57",
+  event: "#ff9ff3",
+  product: "#54a0ff",
+  document: "#a29bfe",
+};
+const FALLBACK_COLORS = [
+  "#5f27cd",
+  "#10ac84",
+  "#ee5253",
+  "#0abde3",
+  "#ff9f43",
+  "#c8d6e5",
+  "#8395a7",
+  "#222f3e",
+];
+const EDGE_COLOR = "#45b7d1";
+// Communities are numbered by size, so the largest get the first colours
+const COMMUNITY_COLORS = [...Object.values(TYPE_COLORS), ...FALLBACK_COLORS];
+
+const LAYOUTS = ["force", "hierarchical", "circular"];
+
+function hashString(value) {
+  return crypto
+    .createHash("md5")
+    .update(String(value))
+    .digest()
+    .readUInt32LE(0);
+}
+
+/**
+ * Colour for an entity type
+ * @param {string} type - Entity type
+ * @returns {string} Hex colour
+ */
+function colorForType(type) {
+  return (
+    TYPE_COLORS[type] ||
+    FALLBACK_COLORS[hashString(type) % FALLBACK_COLORS.length]
+  );
+}
+
+/**
+ * Colour for a community
+ * @param {string} communityId - Community id ("c1", "c2", ...)
+ * @returns {string} Hex colour
+ */
+function colorForCommunity(communityId) {
+  const number = parseInt(String(communityId).replace(/^c/, ""), 10);
+  return Number.isFinite(number) && number > 0
+    ? COMMUNITY_COLORS[(number - 1) % COMMUNITY_COLORS.length]
+    : FALLBACK_COLORS[hashString(communityId) % FALLBACK_COLORS.length];
+}
+
+/**
+ * Node radius scaled by frequency (square-root scale so that a few very
+ * frequent entities don't dwarf everything else)
+ * @param {number} frequency - Node frequency
+ * @param {number} maxFrequency - Largest frequency in the graph
+ * @returns {number} Radius in pixels
+ */
+function sizeForFrequency(frequency, maxFrequency) {
+  if (!maxFrequency || maxFrequency <= 1) return MIN_NODE_SIZE;
+  const ratio = Math.sqrt(Math.max(frequency - 1, 0) / (maxFrequency - 1));
+  return Number(
+    (MIN_NODE_SIZE + ratio * (MAX_NODE_SIZE - MIN_NODE_SIZE)).toFixed(1)
+  );
+}
+
+// Small deterministic PRNG so the same graph always gets the same layout
+function seededRandom(seed) {
+  let state = seed || 1;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Fruchterman-Reingold force-directed layout
+ * @param {Array} nodes - Nodes ({ id })
+ * @param {Array} edges - Edges ({ source, target, weight })
+ * @param {Object} options - { width, height, iterations }
+ * @returns {Map} Node id -> { x, y }
+ */
+function forceDirectedLayout(nodes, edges, options) {
+  const { width, height } = options;
+  const positions = new Map();
+  if (nodes.length === 0) return positions;
+
+  const area = width * height;
+  const k = Math.sqrt(area / nodes.length);
+  // Fewer iterations for big graphs keep the O(n^2) repulsion affordable
+  const iterations =
+    options.iterations || Math.max(50, Math.min(300, 60000 / nodes.length));
+
+  nodes.forEach((node) => {
+    const random = seededRandom(hashString(node.id));
+    positions.set(node.id, {
+      x: random() * width,
+      y: random() * height,
+    });
+  });
+
+  let temperature = width / 10;
+  const cooling = temperature / (iterations + 1);
+
+  for (let i = 0; i < iterations; i++) {
+    const displacement = new Map(
+      nodes.map((node) => [node.id, { x: 0, y: 0 }])
+    );
+
+    // Repulsion between every pair of nodes
+    for (let a = 0; a < nodes.length; a++) {
+      const posA = positions.get(nodes[a].id);
+      const dispA = displacement.get(nodes[a].id);
+      for (let b = a + 1; b < nodes.length; b++) {
+        const posB = positions.get(nodes[b].id);
+        const dispB = displacement.get(nodes[b].id);
+        let dx = posA.x - posB.x;
+        let dy = posA.y - posB.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < 0.01) {
+          dx = 0.01;
+          dy = 0;
+          distance = 0.01;
+        }
+        const force = (k * k) / distance;
+        dispA.x += (dx / distance) * force;
+        dispA.y += (dy / distance) * force;
+        dispB.x -= (dx / distance) * force;
+        dispB.y -= (dy / distance) * force;
+      }
+    }
+
+    // Attraction along edges, stronger for heavier edges
+    edges.forEach((edge) => {
+      const posS = positions.get(edge.source);
+      const posT = positions.get(edge.target);
+      if (!posS || !posT) return;
+      const dx = posS.x - posT.x;
+      const dy = posS.y - posT.y;
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+      const force = ((distance * distance) / k) * (0.5 + (edge.weight || 0.5));
+      const dispS = displacement.get(edge.source);
+      const dispT = displacement.get(edge.target);
+      dispS.x -= (dx / distance) * force;
+      dispS.y -= (dy / distance) * force;
+      dispT.x += (dx / distance) * force;
+      dispT.y += (dy / distance) * force;
+    });
+
+    // Move each node, limited by the current temperature, plus a weak pull
+    // towards the centre so disconnected components stay on screen
+    nodes.forEach((node) => {
+      const pos = positions.get(node.id);
+      const disp = displacement.get(node.id);
+      disp.x += (width / 2 - pos.x) * 0.01 * k;
+      disp.y += (height / 2 - pos.y) * 0.01 * k;
+      const length = Math.max(
+        Math.sqrt(disp.x * disp.x + disp.y * disp.y),
+        0.01
+      );
+      pos.x += (disp.x / length) * Math.min(length, temperature);
+      pos.y += (disp.y / length) * Math.min(length, temperature);
+    });
+
+    temperature = Math.max(temperature - cooling, 0.5);
+  }
+
+  return positions;
+}
+
+/**
+ * Layered layout: roots (nodes without incoming edges, else the most
+ * connected node of each component) on top, neighbours one level down
+ * @param {Array} nodes - Nodes ({ id })
+ * @param {Array} edges - Edges ({ source, target })
+ * @param {Object} options - { width, height }
+ * @returns {Map} Node id -> { x, y }
+ */
+function hierarchicalLayout(nodes, edges, options) {
+  const { width, height } = options;
+  const positions = new Map();
+  if (nodes.length === 0) return positions;
+
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+  const neighbours = new Map(nodes.map((node) => [node.id, []]));
+  const incoming = new Map(nodes.map((node) => [node.id, 0]));
+  edges.forEach((edge) => {
+    if (!outgoing.has(edge.source) || !outgoing.has(edge.target)) return;
+    outgoing.get(edge.source).push(edge.target);
+    neighbours.get(edge.source).push(edge.target);
+    neighbours.get(edge.target).push(edge.source);
+    incoming.set(edge.target, incoming.get(edge.target) + 1);
+  });
+
+  const levels = new Map();
+  const visit = (rootId) => {
+    const queue = [rootId];
+    levels.set(rootId, 0);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      // Follow edge direction first, then any remaining undirected links
+      [...outgoing.get(id), ...neighbours.get(id)].forEach((next) => {
+        if (levels.has(next)) return;
+        levels.set(next, levels.get(id) + 1);
+        queue.push(next);
+      });
+    }
+  };
+
+  const byDegree = [...nodes].sort(
+    (a, b) => neighbours.get(b.id).length - neighbours.get(a.id).length
+  );
+  byDegree
+    .filter(
+      (node) => incoming.get(node.id) === 0 && outgoing.get(node.id).length
+    )
+    .forEach((node) => !levels.has(node.id) && visit(node.id));
+  byDegree.forEach((node) => !levels.has(node.id) && visit(node.id));
+
+  const rows = [];
+  nodes.forEach((node) => {
+    const level = levels.get(node.id);
+    if (!rows[level]) rows[level] = [];
+    rows[level].push(node.id);
+  });
+
+  const rowHeight = (height - 2 * MARGIN) / Math.max(rows.length - 1, 1);
+  rows.forEach((row, level) => {
+    // Order each row by the average position of its parents to reduce crossings
+    if (level > 0) {
+      const parentX = (id) => {
+        const xs = neighbours
+          .get(id)
+          .filter((n) => levels.get(n) === level - 1)
+          .map((n) => positions.get(n).x);
+        return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+      };
+      row.sort((a, b) => parentX(a) - parentX(b));
+    }
+    const spacing = (width - 2 * MARGIN) / (row.length + 1);
+    row.forEach((id, index) => {
+      positions.set(id, {
+        x: MARGIN + spacing * (index + 1),
+        y: rows.length === 1 ? height / 2 : MARGIN + rowHeight * level,
+      });
+    });
+  });
+
+  return positions;
+}
+
+/**
+ * Circular layout grouped by entity type, most frequent first
+ * @param {Array} nodes - Nodes ({ id, type, properties.frequency })
+ * @param {Array} edges - Unused
+ * @param {Object} options - { width, height }
+ * @returns {Map} Node id -> { x, y }
+ */
+function circularLayout(nodes, edges, options) {
+  const { width, height } = options;
+  const positions = new Map();
+  const radius = Math.min(width, height) / 2 - MARGIN;
+  const ordered = [...nodes].sort(
+    (a, b) =>
+      a.type.localeCompare(b.type) ||
+      (b.properties?.frequency || 0) - (a.properties?.frequency || 0)
+  );
+
+  ordered.forEach((node, index) => {
+    const angle = (2 * Math.PI * index) / Math.max(ordered.length, 1);
+    positions.set(node.id, {
+      x: width / 2 + radius * Math.cos(angle),
+      y: height / 2 + radius * Math.sin(angle),
+    });
+  });
+  return positions;
+}
+
+/**
+ * Scale positions so the whole layout fits the canvas
+ * @param {Map} positions - Node id -> { x, y }
+ * @param {Object} options - { width, height }
+ */
+function fitToCanvas(positions, { width, height }) {
+  const points = Array.from(positions.values());
+  if (points.length === 0) return;
+  const minX = Math.min(...points.map((p) => p.x));
+  const maxX = Math.max(...points.map((p) => p.x));
+  const minY = Math.min(...points.map((p) => p.y));
+  const maxY = Math.max(...points.map((p) => p.y));
+  const scaleX = maxX > minX ? (width - 2 * MARGIN) / (maxX - minX) : 0;
+  const scaleY = maxY > minY ? (height - 2 * MARGIN) / (maxY - minY) : 0;
+
+  points.forEach((point) => {
+    point.x = scaleX ? MARGIN + (point.x - minX) * scaleX : width / 2;
+    point.y = scaleY ? MARGIN + (point.y - minY) * scaleY : height / 2;
+  });
+}
+
+/**
+ * Compute visualization data (coordinates, sizes and colours) for a graph
+ * @param {Object} graph - { nodes, edges } (already filtered)
+ * @param {Object} options - { layout, width, height, communities, colorBy }, where communities maps node id to its { id, label } community and colorBy is "type" or "community"
+ * @returns {Object} { layout, width, height, colorBy, nodes, edges, groups }
+ */
+function computeLayout(graph, options = {}) {
+  const layout = LAYOUTS.includes(options.layout) ? options.layout : "force";
+  const width = options.width || DEFAULT_WIDTH;
+  const height = options.height || DEFAULT_HEIGHT;
+  const communities = options.communities || null;
+  const colorBy =
+    options.colorBy === "community" && communities ? "community" : "type";
+  const { nodes, edges } = graph;
+
+  const layoutFn = {
+    force: forceDirectedLayout,
+    hierarchical: hierarchicalLayout,
+    circular: circularLayout,
+  }[layout];
+  const positions = layoutFn(nodes, edges, { width, height });
+  if (layout === "force") fitToCanvas(positions, { width, height });
+
+  const maxFrequency = Math.max(
+    1,
+    ...nodes.map((node) => node.properties?.frequency || 1)
+  );
+  const groups = new Map();
+  const vizNodes = nodes.map((node) => {
+    const frequency = node.properties?.frequency || 1;
+    const community = communities ? communities.get(node.id) : null;
+    const groupKey = colorBy === "community" ? community?.id : node.type;
+    const group =
+      groups.get(groupKey) ||
+      (colorBy === "community"
+        ? {
+            id: groupKey,
+            label: community?.label || groupKey || "none",
+            color: colorForCommunity(groupKey),
+            count: 0,
+          }
+        : {
+            id: node.type,
+            label: node.type,
+            color: colorForType(node.type),
+            count: 0,
+          });
+    group.count++;
+    groups.set(groupKey, group);
+
+    const { x, y } = positions.get(node.id);
+    return {
+      id: node.id,
+      label: node.label,
+      x: Number(x.toFixed(1)),
+      y: Number(y.toFixed(1)),
+      size: sizeForFrequency(frequency, maxFrequency),
+      color: group.color,
+      group: groupKey,
+      ...(community ? { community: community.id } : {}),
+      frequency,
+    };
+  });
+
+  const vizEdges = edges.map((edge) => ({
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    label: edge.label,
+    weight: edge.weight,
+    color: EDGE_COLOR,
+    width: Number((1 + (edge.weight || 0.5) * 2).toFixed(1)),
+  }));
+
+  return {
+    layout,
+    width,
+    height,
+    colorBy,
+    nodes: vizNodes,
+    edges: vizEdges,
+    groups: Array.from(groups.values()).sort((a, b) => b.count - a.count),
+  };
+}
+
+module.exports = {
+  LAYOUTS,
+  colorForType,
+  colorForCommunity,
+  sizeForFrequency,
+  seededRandom,
+  computeLayout,
+};
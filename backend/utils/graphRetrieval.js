@@ -0,0 +1,249 @@
+const natural = require("natural");
+const { chunkText } = require("./textChunker");
+const { canonicalizeName } = require("./graphBuilder");
+const { pageForOffset } = require("./documentExtractor");
+
+// BM25 tuning constants
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Chunked, tokenized text per document, rebuilt when textContent changes
+const chunkCache = new WeakMap();
+
+/**
+ * Tokenize and stem text for keyword retrieval (stop words removed)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Stemmed tokens
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return natural.PorterStemmer.tokenizeAndStem(
+    String(text).replace(/[-_/]+/g, " ")
+  );
+}
+
+function termFrequencies(tokens) {
+  const frequencies = new Map();
+  tokens.forEach((token) =>
+    frequencies.set(token, (frequencies.get(token) || 0) + 1)
+  );
+  return frequencies;
+}
+
+function getDocumentChunks(document) {
+  const cached = chunkCache.get(document);
+  if (cached && cached.textContent === document.textContent) {
+    return cached.chunks;
+  }
+
+  const chunks = chunkText(document.textContent).map((chunk) => {
+    const tokens = tokenize(chunk.text);
+    return {
+      ...chunk,
+      length: tokens.length,
+      frequencies: termFrequencies(tokens),
+    };
+  });
+  chunkCache.set(document, { textContent: document.textContent, chunks });
+  return chunks;
+}
+
+/**
+ * Display name for a project document or URL
+ * @param {Object} document - Project document
+ * @returns {string} Name
+ */
+function documentName(document) {
+  return document.sourceType === "url"
+    ? document.title || document.url
+    : document.originalName || document.filename || document.id;
+}
+
+/**
+ * Rank the chunks of every processed document against a question with BM25
+ * @param {Array} documents - Project documents
+ * @param {string} question - User question
+ * @param {Object} options - { limit }
+ * @returns {Array} Chunks sorted by score: { documentId, document, chunkIndex, offset, page, content, score, relevance }
+ */
+function retrieveRelevantChunks(documents, question, options = {}) {
+  const limit = options.limit || 6;
+  const queryTerms = [...new Set(tokenize(question))];
+  if (queryTerms.length === 0) return [];
+
+  const candidates = [];
+  documents
+    .filter((doc) => doc.processed && doc.textContent)
+    .forEach((doc) => {
+      getDocumentChunks(doc).forEach((chunk) =>
+        candidates.push({ document: doc, chunk })
+      );
+    });
+  if (candidates.length === 0) return [];
+
+  const averageLength =
+    candidates.reduce((sum, { chunk }) => sum + chunk.length, 0) /
+      candidates.length || 1;
+  const documentFrequency = new Map(
+    queryTerms.map((term) => [
+      term,
+      candidates.filter(({ chunk }) => chunk.frequencies.has(term)).length,
+    ])
+  );
+
+  const scored = candidates
+    .map(({ document, chunk }) => {
+      let score = 0;
+      queryTerms.forEach((term) => {
+        const tf = chunk.frequencies.get(term) || 0;
+        if (!tf) return;
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (candidates.length - df + 0.5) / (df + 0.5));
+        score +=
+          (idf * tf * (BM25_K1 + 1)) /
+          (tf +
+            BM25_K1 * (1 - BM25_B + (BM25_B * chunk.length) / averageLength));
+      });
+      return { document, chunk, score };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  const topScore = scored.length > 0 ? scored[0].score : 1;
+  return scored.map(({ document, chunk, score }) => ({
+    documentId: document.id,
+    document: documentName(document),
+    chunkIndex: chunk.index,
+    offset: chunk.offset,
+    page: pageForOffset(document.pages, chunk.offset),
+    content: chunk.text,
+    score: Number(score.toFixed(4)),
+    relevance: Number((score / topScore).toFixed(3)),
+  }));
+}
+
+/**
+ * Find graph nodes whose label or aliases are mentioned in a question
+ * @param {Object} graph - Project graph
+ * @param {string} question - User question
+ * @returns {Array} { node, relevance } sorted by relevance
+ */
+function findMentionedNodes(graph, question) {
+  const questionKey = ` ${canonicalizeName(question)} `;
+  const matches = [];
+
+  graph.nodes.forEach((node) => {
+    const names = [node.label, ...(node.aliases || [])]
+      .map((name) => canonicalizeName(name))
+      .filter((key) => key.length > 1);
+    const matched = names.find((key) => questionKey.includes(` ${key} `));
+    if (!matched) return;
+
+    // Longer, more specific names are stronger evidence than short aliases
+    const relevance = Math.min(1, 0.6 + matched.split(" ").length * 0.15);
+    matches.push({ node, relevance });
+  });
+
+  return matches.sort(
+    (a, b) =>
+      b.relevance - a.relevance ||
+      (b.node.properties?.frequency || 0) - (a.node.properties?.frequency || 0)
+  );
+}
+
+/**
+ * Collect the edges around a set of seed nodes, strongest first
+ * @param {Object} graph - Project graph
+ * @param {Array<string>} seedIds - Node ids to expand from
+ * @param {Object} options - { limit }
+ * @returns {Object} { edges, neighbours } where neighbours maps node id to the best edge weight reaching it
+ */
+function collectNeighbourhood(graph, seedIds, options = {}) {
+  const limit = options.limit || 25;
+  const seeds = new Set(seedIds);
+
+  const edges = graph.edges
+    .filter((edge) => seeds.has(edge.source) || seeds.has(edge.target))
+    .sort((a, b) => (b.weight || 0) - (a.weight || 0))
+    .slice(0, limit);
+
+  const neighbours = new Map();
+  edges.forEach((edge) => {
+    [edge.source, edge.target]
+      .filter((id) => !seeds.has(id))
+      .forEach((id) =>
+        neighbours.set(id, Math.max(neighbours.get(id) || 0, edge.weight || 0))
+      );
+  });
+
+  return { edges, neighbours };
+}
+
+// When a relationship held, as a suffix for its fact text
+function describeValidity(edge) {
+  if (edge.validFrom && edge.validTo) {
+    return ` (from ${edge.validFrom} until ${edge.validTo})`;
+  }
+  if (edge.validFrom) return ` (since ${edge.validFrom})`;
+  if (edge.validTo) return ` (until ${edge.validTo})`;
+  return "";
+}
+
+/**
+ * Gather the document passages and graph facts relevant to a question
+ * @param {Object} project - Project with documents
+ * @param {Object} graph - Project graph
+ * @param {string} question - User question
+ * @returns {Object} { chunks, facts, relatedConcepts }
+ */
+function retrieveQueryContext(project, graph, question) {
+  const documents = project.documents || [];
+  const chunks = retrieveRelevantChunks(documents, question);
+
+  const mentioned = findMentionedNodes(graph, question).slice(0, 10);
+  const { edges, neighbours } = collectNeighbourhood(
+    graph,
+    mentioned.map(({ node }) => node.id)
+  );
+  const nodesById = new Map(graph.nodes.map((node) => [node.id, node]));
+
+  const facts = edges.map((edge) => {
+    const source = nodesById.get(edge.source);
+    const target = nodesById.get(edge.target);
+    const validity = describeValidity(edge);
+    return {
+      edgeId: edge.id,
+      text: `${source.label} ${edge.label} ${target.label}${validity}`,
+      documents: edge.properties?.documents || [],
+      weight: edge.weight,
+    };
+  });
+
+  const relatedConcepts = [
+    ...mentioned.map(({ node, relevance }) => ({ node, relevance })),
+    ...Array.from(neighbours.entries()).map(([id, weight]) => ({
+      node: nodesById.get(id),
+      relevance: Number((0.5 * (weight || 0.5)).toFixed(3)),
+    })),
+  ]
+    .filter(({ node }) => node)
+    .slice(0, 15)
+    .map(({ node, relevance }) => ({
+      id: node.id,
+      label: node.label,
+      type: node.type,
+      relevance,
+    }));
+
+  return { chunks, facts, relatedConcepts };
+}
+
+module.exports = {
+  tokenize,
+  documentName,
+  retrieveRelevantChunks,
+  findMentionedNodes,
+  collectNeighbourhood,
+  retrieveQueryContext,
+};
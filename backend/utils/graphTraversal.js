@@ -0,0 +1,158 @@
+const { canonicalizeName, indexGraph, filterGraph } = require("./graphBuilder");
+
+// Small cost added to every hop so weighted paths still prefer fewer hops
+const HOP_COST = 0.01;
+
+/**
+ * Find a node by id, label or alias
+ * @param {Object} graph - Project graph
+ * @param {string} reference - Node id, label or alias
+ * @param {Object} index - Indexes from indexGraph
+ * @returns {Object|null} Graph node
+ */
+function findNode(graph, reference, index = indexGraph(graph)) {
+  if (!reference) return null;
+  if (index.nodesById.has(reference)) return index.nodesById.get(reference);
+  const nodeId = index.aliasIndex.get(canonicalizeName(reference));
+  return nodeId ? index.nodesById.get(nodeId) : null;
+}
+
+/**
+ * Adjacency lists for a graph
+ * @param {Object} graph - Project graph
+ * @param {boolean} directed - Only follow edges from source to target
+ * @returns {Map} Node id -> [{ edge, neighbour }]
+ */
+function buildAdjacency(graph, directed) {
+  const adjacency = new Map(graph.nodes.map((node) => [node.id, []]));
+  graph.edges.forEach((edge) => {
+    if (!adjacency.has(edge.source) || !adjacency.has(edge.target)) return;
+    adjacency.get(edge.source).push({ edge, neighbour: edge.target });
+    if (!directed) {
+      adjacency.get(edge.target).push({ edge, neighbour: edge.source });
+    }
+  });
+  return adjacency;
+}
+
+/**
+ * Shortest path between two nodes. Unweighted paths minimise hops; weighted
+ * paths prefer strong edges (cost 1 - weight per edge).
+ * @param {Object} graph - Project graph
+ * @param {string} sourceId - Start node id
+ * @param {string} targetId - End node id
+ * @param {Object} options - { directed, weighted }
+ * @returns {Object|null} { nodes, edges, cost } in path order, or null when unreachable
+ */
+function shortestPath(graph, sourceId, targetId, options = {}) {
+  const { directed = false, weighted = false } = options;
+  const adjacency = buildAdjacency(graph, directed);
+  if (!adjacency.has(sourceId) || !adjacency.has(targetId)) return null;
+
+  const costs = new Map([[sourceId, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  const frontier = [sourceId];
+
+  // Dijkstra with a linear scan; hop counts make this plain BFS order
+  while (frontier.length > 0) {
+    let bestIndex = 0;
+    frontier.forEach((id, index) => {
+      if (costs.get(id) < costs.get(frontier[bestIndex])) bestIndex = index;
+    });
+    const current = frontier.splice(bestIndex, 1)[0];
+    if (visited.has(current)) continue;
+    visited.add(current);
+    if (current === targetId) break;
+
+    adjacency.get(current).forEach(({ edge, neighbour }) => {
+      if (visited.has(neighbour)) return;
+      const step = weighted
+        ? Math.max(1 - (edge.weight ?? 0.5), 0) + HOP_COST
+        : 1;
+      const cost = costs.get(current) + step;
+      if (!costs.has(neighbour) || cost < costs.get(neighbour)) {
+        costs.set(neighbour, cost);
+        previous.set(neighbour, { id: current, edge });
+        frontier.push(neighbour);
+      }
+    });
+  }
+
+  if (!visited.has(targetId)) return null;
+
+  const nodesById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const nodes = [nodesById.get(targetId)];
+  const edges = [];
+  let current = targetId;
+  while (current !== sourceId) {
+    const step = previous.get(current);
+    edges.unshift(step.edge);
+    nodes.unshift(nodesById.get(step.id));
+    current = step.id;
+  }
+
+  return { nodes, edges, cost: Number(costs.get(targetId).toFixed(3)) };
+}
+
+/**
+ * Nodes within k hops of a node, and the edges between them
+ * @param {Object} graph - Project graph
+ * @param {string} nodeId - Centre node id
+ * @param {Object} options - { depth, limit, directed }
+ * @returns {Object} { nodes (with distance), edges, truncated }
+ */
+function neighbourhood(graph, nodeId, options = {}) {
+  const { depth = 1, limit = 200, directed = false } = options;
+  const adjacency = buildAdjacency(graph, directed);
+  const distances = new Map([[nodeId, 0]]);
+  const queue = [nodeId];
+  let truncated = false;
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const distance = distances.get(current);
+    if (distance >= depth) continue;
+
+    // Visit strong edges first so the limit keeps the most relevant nodes
+    const links = [...adjacency.get(current)].sort(
+      (a, b) => (b.edge.weight || 0) - (a.edge.weight || 0)
+    );
+    for (const { neighbour } of links) {
+      if (distances.has(neighbour)) continue;
+      if (distances.size >= limit) {
+        truncated = true;
+        break;
+      }
+      distances.set(neighbour, distance + 1);
+      queue.push(neighbour);
+    }
+  }
+
+  const nodes = graph.nodes
+    .filter((node) => distances.has(node.id))
+    .map((node) => ({ ...node, distance: distances.get(node.id) }))
+    .sort((a, b) => a.distance - b.distance);
+  const edges = graph.edges.filter(
+    (edge) => distances.has(edge.source) && distances.has(edge.target)
+  );
+
+  return { nodes, edges, truncated };
+}
+
+/**
+ * Subgraph induced by a set of entity types
+ * @param {Object} graph - Project graph
+ * @param {Array<string>} types - Entity types to keep
+ * @returns {Object} { nodes, edges }
+ */
+function subgraphByTypes(graph, types) {
+  return filterGraph(graph, { types });
+}
+
+module.exports = {
+  findNode,
+  shortestPath,
+  neighbourhood,
+  subgraphByTypes,
+};
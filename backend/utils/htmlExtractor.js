@@ -0,0 +1,327 @@
+const cheerio = require("cheerio");
+
+// Elements that never hold readable content
+const NOISE_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "canvas",
+  "iframe",
+  "object",
+  "embed",
+  // Form controls only: ASP.NET and SharePoint pages wrap the whole body in
+  // one <form>
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "nav",
+  "aside",
+  "dialog",
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[role="complementary"]',
+  '[role="dialog"]',
+  '[role="alertdialog"]',
+  '[aria-hidden="true"]',
+  "[hidden]",
+].join(",");
+
+// Class/id hints for boilerplate blocks and for the main content. A
+// boilerplate hint has to end its class name ("site-header", not
+// "header-wrapper"), since wrappers named after one often hold the page.
+const BOILERPLATE_HINT =
+  /(^|[\s_-])(cookie|consent|gdpr|banner|nav|navbar|menu|breadcrumbs?|footer|header|masthead|sidebar|share|sharing|social|related|comments?|advert|ads?|promo|newsletter|subscribe|popup|modal|toolbar|skip)(\s|$)/i;
+const CONTENT_HINT =
+  /(^|[\s_-])(article|content|main|post|entry|story|body|text|prose|markdown)([\s_-]|$)/i;
+
+const BLOCK_TAGS = new Set([
+  "address",
+  "article",
+  "blockquote",
+  "dd",
+  "details",
+  "div",
+  "dl",
+  "dt",
+  "figcaption",
+  "figure",
+  "footer",
+  "header",
+  "hr",
+  "li",
+  "main",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "summary",
+  "table",
+  "ul",
+]);
+
+// Paragraph-like elements whose text scores their ancestors
+const SCORED_TAGS = "p, pre, blockquote, li, td, dd";
+// Shortest paragraph that counts towards a container's score
+const MIN_PARAGRAPH_LENGTH = 25;
+
+function collapse(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function hintsOf($element) {
+  return `${$element.attr("class") || ""} ${$element.attr("id") || ""}`;
+}
+
+/**
+ * Drop elements that are navigation, chrome or banners rather than content
+ * @param {Function} $ - Loaded cheerio document
+ */
+function removeBoilerplate($) {
+  $(NOISE_SELECTORS).remove();
+  $("body *").each((_, element) => {
+    const $element = $(element);
+    const hints = hintsOf($element);
+    if (
+      hints.trim() &&
+      BOILERPLATE_HINT.test(hints) &&
+      !CONTENT_HINT.test(hints) &&
+      $element.find("article, main").length === 0
+    ) {
+      $element.remove();
+    }
+  });
+  // Page-level headers and footers; an article's own header stays
+  $("header, footer")
+    .filter((_, element) => $(element).closest("article, main").length === 0)
+    .remove();
+}
+
+// Share of an element's text that sits inside links
+function linkDensity($, $element) {
+  const textLength = collapse($element.text()).length;
+  if (textLength === 0) return 1;
+  let linkLength = 0;
+  $element.find("a").each((_, link) => {
+    linkLength += collapse($(link).text()).length;
+  });
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Find the element holding the page's main content: an explicit article or
+ * main element when there is one, otherwise the container whose paragraphs
+ * carry the most text and the fewest links
+ * @param {Function} $ - Loaded cheerio document with boilerplate removed
+ * @returns {Object} cheerio selection of the content root
+ */
+function findMainContent($) {
+  const explicit = $('article, main, [role="main"]')
+    .toArray()
+    .map((element) => $(element))
+    .filter(($element) => collapse($element.text()).length > 0)
+    .sort((a, b) => collapse(b.text()).length - collapse(a.text()).length);
+  if (explicit.length > 0) {
+    // Main elements wrapping several articles are kept whole
+    const [largest] = explicit;
+    const main = explicit.find(
+      ($element) =>
+        $element.is('main, [role="main"]') &&
+        collapse($element.text()).length >=
+          collapse(largest.text()).length * 0.8
+    );
+    return main || largest;
+  }
+
+  const scores = new Map();
+  $(SCORED_TAGS).each((_, element) => {
+    const text = collapse($(element).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+    const score =
+      1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = element.parent;
+    const grandparent = parent?.parent;
+    [
+      [parent, score],
+      [grandparent, score / 2],
+    ].forEach(([ancestor, value]) => {
+      if (!ancestor || ancestor.type !== "tag") return;
+      if (!scores.has(ancestor)) {
+        const hints = hintsOf($(ancestor));
+        scores.set(ancestor, CONTENT_HINT.test(hints) ? 25 : 0);
+      }
+      scores.set(ancestor, scores.get(ancestor) + value);
+    });
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - linkDensity($, $(element)));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  });
+
+  return best ? $(best) : $("body").length ? $("body") : $.root();
+}
+
+/**
+ * Render an element as structured plain text: headings as "#" lines, list
+ * items as "-" or "1." lines, table rows as "|" separated cells and link
+ * text inline
+ * @param {Function} $ - Loaded cheerio document
+ * @param {Object} node - DOM node
+ * @param {number} listDepth - Nesting depth of the enclosing list
+ * @returns {string} Text with blank lines between blocks
+ */
+function renderNode($, node, listDepth = 0) {
+  if (node.type === "text") return node.data.replace(/\s+/g, " ");
+  if (node.type !== "tag" && node.type !== "root") return "";
+
+  const tag = node.name;
+  const renderChildren = (depth = listDepth) =>
+    (node.children || []).map((child) => renderNode($, child, depth)).join("");
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = collapse($(node).text());
+    return text ? `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n` : "";
+  }
+  if (tag === "br") return "\n";
+  if (tag === "hr") return "\n\n";
+  if (tag === "img") {
+    const alt = collapse($(node).attr("alt") || "");
+    return alt ? ` ${alt} ` : "";
+  }
+  if (tag === "pre") return `\n\n${$(node).text().replace(/\s+$/, "")}\n\n`;
+
+  if (tag === "ul" || tag === "ol") {
+    const indent = "  ".repeat(listDepth);
+    const items = $(node)
+      .children("li")
+      .toArray()
+      .map((item, index) => {
+        const marker = tag === "ol" ? `${index + 1}.` : "-";
+        const text = renderNode($, item, listDepth + 1)
+          .replace(/\n{2,}/g, "\n")
+          .trim();
+        return text ? `${indent}${marker} ${text}` : "";
+      })
+      .filter(Boolean);
+    return items.length > 0 ? `\n\n${items.join("\n")}\n\n` : "";
+  }
+  if (tag === "li") return renderChildren(listDepth);
+
+  if (tag === "table") {
+    // Layout tables (tables of tables) are rendered as ordinary blocks
+    if ($(node).find("table").length > 0) return `\n\n${renderChildren()}\n\n`;
+    const rows = $(node)
+      .find("tr")
+      .toArray()
+      .map((row) =>
+        $(row)
+          .children("th, td")
+          .toArray()
+          .map((cell) => collapse(renderNode($, cell)).replace(/\|/g, "\\|"))
+      )
+      .filter((cells) => cells.some(Boolean));
+    if (rows.length === 0) return "";
+
+    const lines = rows.map((cells) => `| ${cells.join(" | ")} |`);
+    const firstRow = $(node).find("tr").first();
+    if (firstRow.children("th").length > 0 && rows.length > 1) {
+      const divider = rows[0].map(() => "---").join(" | ");
+      lines.splice(1, 0, `| ${divider} |`);
+    }
+    const caption = collapse($(node).children("caption").text());
+    return `\n\n${caption ? `${caption}\n` : ""}${lines.join("\n")}\n\n`;
+  }
+
+  if (tag === "blockquote") {
+    const text = cleanText(renderChildren());
+    return text
+      ? `\n\n${text
+          .split("\n")
+          .map((line) => `> ${line}`)
+          .join("\n")}\n\n`
+      : "";
+  }
+
+  const inner = renderChildren();
+  return BLOCK_TAGS.has(tag) ? `\n\n${inner}\n\n` : inner;
+}
+
+// Tidy rendered text: single spaces within lines, at most one blank line
+function cleanText(text) {
+  return text
+    .split("\n")
+    .map((line) => {
+      const indent = line.match(/^ */)[0];
+      const body = line.trim().replace(/[ \t]+/g, " ");
+      // Keep list indentation only
+      return /^(-|\d+\.) /.test(body) ? indent + body : body;
+    })
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Extract the readable content of an HTML page as structured text, along
+ * with its title, language and publication date
+ * @param {string} html - Page HTML
+ * @returns {Object} { text, title, language, description, publishedAt, headings: [{ level, text }] }
+ */
+function extractHtmlContent(html) {
+  const $ = cheerio.load(String(html || ""));
+  const meta = (selector) =>
+    collapse($(selector).first().attr("content") || "") || null;
+
+  const title =
+    meta('meta[property="og:title"]') ||
+    collapse($("title").first().text()) ||
+    collapse($("h1").first().text()) ||
+    null;
+  const language =
+    ($("html").attr("lang") || "").trim() ||
+    meta('meta[http-equiv="content-language" i]') ||
+    (meta('meta[property="og:locale"]') || "").replace("_", "-") ||
+    null;
+  const description =
+    meta('meta[name="description"]') || meta('meta[property="og:description"]');
+  const publishedAt =
+    meta('meta[property="article:published_time"]') ||
+    meta('meta[itemprop="datePublished"]') ||
+    meta('meta[name="date" i], meta[name="dc.date" i]') ||
+    collapse($("time[datetime]").first().attr("datetime") || "") ||
+    null;
+
+  removeBoilerplate($);
+  const root = findMainContent($);
+  const text = cleanText(
+    root
+      .toArray()
+      .map((node) => renderNode($, node))
+      .join("")
+  );
+
+  const headings = root
+    .find("h1, h2, h3, h4, h5, h6")
+    .toArray()
+    .map((heading) => ({
+      level: Number(heading.name[1]),
+      text: collapse($(heading).text()),
+    }))
+    .filter((heading) => heading.text);
+
+  return { text, title, language, description, publishedAt, headings };
+}
+
+module.exports = {
+  extractHtmlContent,
+};
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+
+// The perceptual hash compares HASH_SIZE x HASH_SIZE neighbouring pixel pairs
+const HASH_SIZE = 8;
+// Images whose perceptual hashes differ in at most this many of their 64
+// bits count as near-duplicates
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+// Set bits per hex digit
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Hash of an image file's exact bytes
+ * @param {Buffer} buffer - Image file contents
+ * @returns {string} SHA-256 hex digest
+ */
+function contentHash(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+/**
+ * Difference hash (dHash) of an image: shrunk to a 9x8 greyscale grid, each
+ * bit records whether a pixel is brighter than its right-hand neighbour.
+ * Resizing, recompression and small edits barely change it.
+ * @param {Buffer|string} input - Image buffer or file path
+ * @returns {Promise<string>} 64-bit hash as 16 hex digits
+ */
+async function perceptualHash(input) {
+  // Required on first use, so a missing sharp binary fails this image
+  // rather than the whole server
+  const sharp = require("sharp");
+  const { data, info } = await sharp(input)
+    .removeAlpha()
+    .greyscale()
+    .resize(HASH_SIZE + 1, HASH_SIZE, { fit: "fill" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+  let hash = "";
+  for (let y = 0; y < HASH_SIZE; y++) {
+    let nibble = 0;
+    for (let x = 0; x < HASH_SIZE; x++) {
+      nibble = (nibble << 1) | (pixel(x, y) > pixel(x + 1, y) ? 1 : 0);
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {number} Hamming distance (Infinity when the hashes aren't comparable)
+ */
+function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Group images whose perceptual hashes are within a distance of each other,
+ * transitively (A~B and B~C put A, B and C together)
+ * @param {Array} items - [{ id, perceptualHash }]
+ * @param {number} maxDistance - Largest Hamming distance counted as a near-duplicate
+ * @returns {Array<Array<string>>} Groups of two or more ids, in input order
+ */
+function clusterNearDuplicates(items, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  const hashed = items.filter((item) => item.perceptualHash);
+  const parent = hashed.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      if (
+        hammingDistance(hashed[i].perceptualHash, hashed[j].perceptualHash) <=
+        maxDistance
+      ) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  hashed.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item.id);
+  });
+  return Array.from(groups.values()).filter((group) => group.length > 1);
+}
+
+module.exports = {
+  NEAR_DUPLICATE_DISTANCE,
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  clusterNearDuplicates,
+};
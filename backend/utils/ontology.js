@@ -0,0 +1,430 @@
+const natural = require("natural");
+const { canonicalizeName } = require("./graphBuilder");
+
+const inflector = new natural.NounInflector();
+
+// Upper bounds on an ontology, and on the suggestions inferred from data
+const MAX_ENTITY_TYPES = 100;
+const MAX_RELATION_TYPES = 200;
+const MAX_SUGGESTED_ENTITY_TYPES = 30;
+const MAX_SUGGESTED_RELATION_TYPES = 50;
+const DEFAULT_SUGGESTION_MIN_COUNT = 2;
+
+const REVIEW_ACTIONS = ["accept", "reject"];
+
+/**
+ * Normalize an entity type or relation label to the snake_case form used
+ * in ontologies, so "Works At", "works-at" and "WORKS_AT" all match
+ * @param {*} value - Type or label
+ * @returns {string} Normalized term ("" when there is nothing left)
+ */
+function normalizeTerm(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Types are compared in the singular: "people" and "person" are one type
+function singularTerm(value) {
+  const parts = normalizeTerm(value).split("_");
+  const last = parts.pop();
+  if (!last) return "";
+  return [...parts, inflector.singularize(last)].join("_");
+}
+
+// Relation labels are grouped by stem: "works_at" and "worked_at" are one
+function relationKey(label) {
+  return normalizeTerm(label)
+    .split("_")
+    .filter(Boolean)
+    .map((token) => natural.PorterStemmer.stem(token))
+    .join("_");
+}
+
+/**
+ * Key identifying a fact that didn't fit the ontology, shared by every
+ * document stating it, so one review decision covers them all
+ * @param {Object} rejection - { kind, item, sourceLabel, targetLabel }
+ * @returns {string} Review key
+ */
+function reviewKey(rejection) {
+  const { kind, item } = rejection;
+  if (kind === "entity") {
+    return `entity|${canonicalizeName(item.label)}|${normalizeTerm(item.type)}`;
+  }
+  return `relationship|${canonicalizeName(
+    rejection.sourceLabel
+  )}|${normalizeTerm(item.label)}|${canonicalizeName(rejection.targetLabel)}`;
+}
+
+/**
+ * Validate an ontology from the client and normalize its names
+ * @param {Object} input - { entityTypes: [name | { name, description }], relationTypes: [name | { name, description, domain, range }] }
+ * @returns {Object|null} { entityTypes: [{ name, description }], relationTypes: [{ name, description, domain, range }] }, or null when no ontology was given
+ * @throws {Error} When the ontology is malformed
+ */
+function parseOntology(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("Ontology must be an object with entityTypes");
+  }
+
+  const entries = (value, field) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw new Error(`${field} must be an array`);
+    return value.map((entry) =>
+      typeof entry === "string" ? { name: entry } : entry || {}
+    );
+  };
+
+  const entityTypes = [];
+  entries(input.entityTypes, "entityTypes").forEach((entry) => {
+    const name = normalizeTerm(entry.name || entry.type);
+    if (!name) throw new Error("Every entity type needs a name");
+    if (entityTypes.some((type) => type.name === name)) return;
+    entityTypes.push({ name, description: String(entry.description || "") });
+  });
+  if (entityTypes.length === 0) {
+    throw new Error("Ontology must list at least one entity type");
+  }
+  if (entityTypes.length > MAX_ENTITY_TYPES) {
+    throw new Error(
+      `Ontology can list at most ${MAX_ENTITY_TYPES} entity types`
+    );
+  }
+
+  const typeNames = new Set(entityTypes.map((type) => type.name));
+  const typeList = (value, field, relation) =>
+    (Array.isArray(value) ? value : value ? [value] : []).map((type) => {
+      const name = normalizeTerm(type);
+      if (!typeNames.has(name)) {
+        throw new Error(
+          `The ${field} of "${relation}" uses an unknown entity type: ${type}`
+        );
+      }
+      return name;
+    });
+
+  const relationTypes = [];
+  entries(input.relationTypes, "relationTypes").forEach((entry) => {
+    const name = normalizeTerm(entry.name || entry.label);
+    if (!name) throw new Error("Every relation type needs a name");
+    if (relationTypes.some((relation) => relation.name === name)) return;
+    relationTypes.push({
+      name,
+      description: String(entry.description || ""),
+      domain: typeList(entry.domain, "domain", name),
+      range: typeList(entry.range, "range", name),
+    });
+  });
+  if (relationTypes.length > MAX_RELATION_TYPES) {
+    throw new Error(
+      `Ontology can list at most ${MAX_RELATION_TYPES} relation types`
+    );
+  }
+
+  return { entityTypes, relationTypes };
+}
+
+/**
+ * Extraction prompt instructions that keep the model to an ontology
+ * @param {Object|null} ontology - Parsed ontology
+ * @returns {string} Instructions, or "" without an ontology
+ */
+function ontologyInstructions(ontology) {
+  if (!ontology) return "";
+  const describe = (item) =>
+    item.description ? `${item.name} (${item.description})` : item.name;
+  const types = ontology.entityTypes.map(describe).join("; ");
+  let instructions = ` Entity type must be one of: ${types}.`;
+
+  if (ontology.relationTypes.length > 0) {
+    const relations = ontology.relationTypes
+      .map((relation) => {
+        const source = relation.domain.join(" or ") || "any";
+        const target = relation.range.join(" or ") || "any";
+        return `${describe(relation)}: ${source} -> ${target}`;
+      })
+      .join("; ");
+    instructions += ` Relationship label must be one of the following, with the source and target entity types shown: ${relations}.`;
+  }
+  return `${instructions} Leave out entities and relationships that do not fit these types.`;
+}
+
+/**
+ * Split a document's extraction into the part that fits an ontology and
+ * the part that needs review. Entity types and relation labels are matched
+ * after normalization; a relationship whose endpoints fit its relation type
+ * only the other way round is reversed rather than rejected. Facts already
+ * reviewed are kept (with any corrected type or label) or dropped as decided.
+ * @param {Object} extraction - { entities, relationships } as merged by the extractor
+ * @param {Object} ontology - Parsed ontology
+ * @param {Map} reviews - Review key -> latest decision ({ action, type, label })
+ * @returns {Object} { entities, relationships, rejected: [{ key, kind, item, reason, sourceLabel, targetLabel }] }
+ */
+function applyOntology(extraction, ontology, reviews = new Map()) {
+  const typeNames = new Set(ontology.entityTypes.map((type) => type.name));
+  const relationsByName = new Map(
+    ontology.relationTypes.map((relation) => [relation.name, relation])
+  );
+  const rejected = [];
+
+  const allById = new Map();
+  const acceptedById = new Map();
+  // Entities reviewed as rejected take their relationships with them
+  const droppedIds = new Set();
+  const entities = [];
+  (extraction.entities || []).forEach((entity) => {
+    if (!entity) return;
+    allById.set(String(entity.id), entity);
+    const type = normalizeTerm(entity.type || "concept");
+    const name = typeNames.has(type) ? type : singularTerm(type);
+    let accepted = typeNames.has(name) ? { ...entity, type: name } : null;
+    if (!accepted) {
+      const rejection = {
+        kind: "entity",
+        item: entity,
+        reason: `Entity type "${entity.type}" is not in the ontology`,
+      };
+      rejection.key = reviewKey(rejection);
+      const review = reviews.get(rejection.key);
+      if (review?.action === "reject") {
+        droppedIds.add(String(entity.id));
+        return;
+      }
+      if (review?.action !== "accept") {
+        rejected.push(rejection);
+        return;
+      }
+      accepted = { ...entity, type: review.type || type };
+    }
+    acceptedById.set(String(entity.id), accepted);
+    entities.push(accepted);
+  });
+
+  const fits = (relation, source, target) =>
+    (relation.domain.length === 0 || relation.domain.includes(source.type)) &&
+    (relation.range.length === 0 || relation.range.includes(target.type));
+
+  const relationships = [];
+  (extraction.relationships || []).forEach((relationship) => {
+    if (!relationship) return;
+    if (
+      droppedIds.has(String(relationship.source)) ||
+      droppedIds.has(String(relationship.target))
+    ) {
+      return;
+    }
+    const sourceLabel = allById.get(String(relationship.source))?.label;
+    const targetLabel = allById.get(String(relationship.target))?.label;
+    const rejection = {
+      kind: "relationship",
+      item: relationship,
+      sourceLabel: sourceLabel || String(relationship.source),
+      targetLabel: targetLabel || String(relationship.target),
+    };
+    rejection.key = reviewKey(rejection);
+    const review = reviews.get(rejection.key);
+    const reject = (reason) => {
+      if (review?.action !== "reject") rejected.push({ ...rejection, reason });
+    };
+
+    const source = acceptedById.get(String(relationship.source));
+    const target = acceptedById.get(String(relationship.target));
+    if (!source || !target) {
+      reject(
+        `${!source ? "Source" : "Target"} entity "${
+          !source ? sourceLabel : targetLabel
+        }" is not in the ontology`
+      );
+      return;
+    }
+    if (relationsByName.size === 0) {
+      relationships.push(relationship);
+      return;
+    }
+
+    const name = normalizeTerm(relationship.label || "related_to");
+    const relation =
+      relationsByName.get(name) ||
+      ontology.relationTypes.find(
+        (candidate) => relationKey(candidate.name) === relationKey(name)
+      );
+    if (
+      review?.action === "accept" &&
+      !(relation && fits(relation, source, target))
+    ) {
+      relationships.push({
+        ...relationship,
+        label: review.label || relationship.label,
+      });
+    } else if (!relation) {
+      reject(`Relation type "${relationship.label}" is not in the ontology`);
+    } else if (fits(relation, source, target)) {
+      relationships.push({ ...relationship, label: relation.name });
+    } else if (fits(relation, target, source)) {
+      relationships.push({
+        ...relationship,
+        label: relation.name,
+        source: relationship.target,
+        target: relationship.source,
+      });
+    } else {
+      reject(
+        `"${relation.name}" connects ${relation.domain.join("/") || "any"} to ${
+          relation.range.join("/") || "any"
+        }, not ${source.type} to ${target.type}`
+      );
+    }
+  });
+
+  return { entities, relationships, rejected };
+}
+
+// Entries of a count map, most frequent first
+function rankCounts(counts) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .map(([value, count]) => ({ value, count }));
+}
+
+function countInto(counts, key, amount = 1) {
+  counts.set(key, (counts.get(key) || 0) + amount);
+}
+
+/**
+ * Infer an ontology from what a project has already extracted: the common
+ * entity types, with spelling variants folded together, and the common
+ * relation labels with the entity types seen at either end
+ * @param {Array} documents - Project documents
+ * @param {Object} options - { minCount: occurrences needed for a type or relation to be suggested }
+ * @returns {Object} { ontology, entityTypes: [{ name, count, variants }], relationTypes: [{ name, count, variants, domain, range }], coverage: { entities, relationships } }
+ */
+function inferOntology(documents, options = {}) {
+  const minCount = Math.max(
+    parseInt(options.minCount) || DEFAULT_SUGGESTION_MIN_COUNT,
+    1
+  );
+  const types = new Map();
+  const relations = new Map();
+  let entityTotal = 0;
+  let relationshipTotal = 0;
+
+  (documents || [])
+    .filter((doc) => doc.processed)
+    .forEach((doc) => {
+      const typeById = new Map();
+      (doc.entities || []).forEach((entity) => {
+        if (!entity || !entity.type) return;
+        const name = singularTerm(entity.type);
+        if (!name) return;
+        typeById.set(String(entity.id), name);
+        if (!types.has(name))
+          types.set(name, { count: 0, variants: new Map() });
+        const type = types.get(name);
+        type.count++;
+        countInto(type.variants, String(entity.type));
+        entityTotal++;
+      });
+
+      (doc.relationships || []).forEach((relationship) => {
+        if (!relationship) return;
+        const key = relationKey(relationship.label || "related_to");
+        if (!key) return;
+        if (!relations.has(key)) {
+          relations.set(key, {
+            count: 0,
+            names: new Map(),
+            variants: new Map(),
+            domain: new Map(),
+            range: new Map(),
+          });
+        }
+        const relation = relations.get(key);
+        relation.count++;
+        countInto(
+          relation.names,
+          normalizeTerm(relationship.label || "related_to")
+        );
+        countInto(relation.variants, String(relationship.label));
+        const sourceType = typeById.get(String(relationship.source));
+        const targetType = typeById.get(String(relationship.target));
+        if (sourceType) countInto(relation.domain, sourceType);
+        if (targetType) countInto(relation.range, targetType);
+        relationshipTotal++;
+      });
+    });
+
+  const entityTypes = rankCounts(
+    new Map(Array.from(types.entries()).map(([name, t]) => [name, t.count]))
+  )
+    .filter(({ count }) => count >= minCount)
+    .slice(0, MAX_SUGGESTED_ENTITY_TYPES)
+    .map(({ value, count }) => ({
+      name: value,
+      count,
+      variants: rankCounts(types.get(value).variants).map((v) => v.value),
+    }));
+  const suggestedTypes = new Set(entityTypes.map((type) => type.name));
+
+  const relationTypes = rankCounts(
+    new Map(Array.from(relations.entries()).map(([key, r]) => [key, r.count]))
+  )
+    .filter(({ count }) => count >= minCount)
+    .slice(0, MAX_SUGGESTED_RELATION_TYPES)
+    .map(({ value, count }) => {
+      const relation = relations.get(value);
+      const endpoints = (counts) =>
+        rankCounts(counts)
+          .filter(({ value: type }) => suggestedTypes.has(type))
+          .map(({ value: type, count: typeCount }) => ({
+            type,
+            count: typeCount,
+          }));
+      return {
+        name: rankCounts(relation.names)[0].value,
+        count,
+        variants: rankCounts(relation.variants).map((v) => v.value),
+        domain: endpoints(relation.domain),
+        range: endpoints(relation.range),
+      };
+    });
+
+  const share = (covered, total) =>
+    total > 0 ? Number((covered / total).toFixed(3)) : 0;
+  return {
+    ontology: {
+      entityTypes: entityTypes.map(({ name }) => ({ name, description: "" })),
+      relationTypes: relationTypes.map(({ name, domain, range }) => ({
+        name,
+        description: "",
+        domain: domain.map(({ type }) => type),
+        range: range.map(({ type }) => type),
+      })),
+    },
+    entityTypes,
+    relationTypes,
+    coverage: {
+      entities: share(
+        entityTypes.reduce((sum, { count }) => sum + count, 0),
+        entityTotal
+      ),
+      relationships: share(
+        relationTypes.reduce((sum, { count }) => sum + count, 0),
+        relationshipTotal
+      ),
+    },
+  };
+}
+
+module.exports = {
+  REVIEW_ACTIONS,
+  normalizeTerm,
+  reviewKey,
+  parseOntology,
+  ontologyInstructions,
+  applyOntology,
+  inferOntology,
+};
@@ -1,5 +1,8 @@
 const OpenAI = require("openai");
 const fs = require("fs");
+const crypto = require("crypto");
+const { chunkText } = require("./textChunker");
+const { mergeChunkExtractions } = require("./extractionMerger");
 
 // Check if OpenAI API key is configured
 if (!process.env.OPENAI_API_KEY) {
@@ -275,24 +278,145 @@ async function analyzeSentiment(text) {
   }
 }
 
+// Token budget for knowledge-graph extraction. Tokens are estimated at ~4
+// characters each, which is close enough for English prose.
+const CHARS_PER_TOKEN = 4;
+const EXTRACTION_CHUNK_TOKENS = 3000;
+const EXTRACTION_OVERLAP_TOKENS = 200;
+const EXTRACTION_CONCURRENCY = 3;
+
 /**
- * Extract entities and relationships from text for knowledge graph
- * @param {string} text - Text to process
+ * Extract entities and relationships from a single chunk of text
+ * @param {string} text - Chunk text (must fit the extraction token budget)
+ * @param {string} instructions - Extra system prompt instructions, e.g. an ontology
  * @returns {Promise<Object>} Entities and relationships
  */
-async function extractEntitiesAndRelationships(text) {
+async function extractChunkEntities(text, instructions = "") {
+  const response = await openai.chat.completions.create({
+    model: "gpt-4",
+    messages: [
+      {
+        role: "system",
+        content:
+          "Extract entities and relationships from the text. Return a JSON object with entities array (each with id, label, type, description, aliases) and relationships array (each with source, target, label, weight, validFrom, validTo, evidence). Relationship source and target refer to entity ids. evidence is the sentence from the text that states the relationship, quoted verbatim. validFrom and validTo are the dates (YYYY-MM-DD, YYYY-MM or YYYY) the text gives for when the relationship started and ended, or null when it gives none." +
+          instructions,
+      },
+      {
+        role: "user",
+        content: `Extract entities and relationships from: ${text}`,
+      },
+    ],
+    response_format: { type: "json_object" },
+    max_tokens: 2000,
+  });
+
+  return JSON.parse(response.choices[0].message.content);
+}
+
+/**
+ * Extract entities and relationships from text for knowledge graph.
+ * Long documents are split into overlapping chunks that are extracted
+ * separately and merged, deduplicating entities across chunks.
+ * @param {string} text - Text to process
+ * @param {Object} options - { onProgress(completedChunks, totalChunks), previousChunks: { chunkHash: result } to reuse instead of re-extracting, instructions: extra prompt instructions }
+ * @returns {Promise<Object>} Entities, relationships, chunking stats and the per-chunk results by chunk hash
+ */
+async function extractEntitiesAndRelationships(text, options = {}) {
   try {
+    const chunks = chunkText(text, {
+      chunkSize: EXTRACTION_CHUNK_TOKENS * CHARS_PER_TOKEN,
+      overlap: EXTRACTION_OVERLAP_TOKENS * CHARS_PER_TOKEN,
+    });
+    const instructions = options.instructions || "";
+    const chunkResults = new Array(chunks.length);
+    const chunkExtractions = {};
+    const failedChunks = [];
+    let reusedChunks = 0;
+    let nextChunk = 0;
+    let completed = 0;
+
+    // Process chunks with bounded concurrency, retrying each once
+    const worker = async () => {
+      while (nextChunk < chunks.length) {
+        const chunk = chunks[nextChunk++];
+        // Results depend on the instructions too, so they are part of the key
+        const hash = crypto
+          .createHash("sha1")
+          .update(instructions)
+          .update(chunk.text)
+          .digest("hex");
+        // Unchanged chunks of a re-fetched document keep their extraction
+        let result = options.previousChunks?.[hash] || null;
+        if (result) reusedChunks++;
+        for (let attempt = 1; attempt <= 2 && !result; attempt++) {
+          try {
+            result = await extractChunkEntities(chunk.text, instructions);
+          } catch (error) {
+            console.error(
+              `Error extracting entities from chunk ${chunk.index} (attempt ${attempt}):`,
+              error.message
+            );
+          }
+        }
+        if (!result) failedChunks.push(chunk.index);
+        else chunkExtractions[hash] = result;
+        chunkResults[chunk.index] = { chunk, result };
+        completed++;
+        if (options.onProgress) options.onProgress(completed, chunks.length);
+      }
+    };
+    await Promise.all(
+      Array.from(
+        { length: Math.min(EXTRACTION_CONCURRENCY, chunks.length) },
+        worker
+      )
+    );
+
+    if (chunks.length > 0 && failedChunks.length === chunks.length) {
+      throw new Error("Entity extraction failed for every chunk");
+    }
+
+    return {
+      ...mergeChunkExtractions(chunkResults, text),
+      chunkCount: chunks.length,
+      failedChunks: failedChunks.sort((a, b) => a - b),
+      reusedChunks,
+      chunkExtractions,
+    };
+  } catch (error) {
+    console.error("Error extracting entities:", error);
+    throw new Error("Failed to extract entities and relationships");
+  }
+}
+
+/**
+ * Answer questions about knowledge graph content
+ * @param {string} question - User question
+ * @param {Array} context - Relevant context passages, each with id, content and document
+ * @param {Object} options - { asOf: "YYYY-MM-DD" to answer as things stood on that date }
+ * @returns {Promise<Object>} Answer with confidence and the ids of the passages it used
+ */
+async function answerQuestion(question, context, options = {}) {
+  try {
+    const contextText = context
+      .map((doc) => `[${doc.id}] (${doc.document})\n${doc.content}`)
+      .join("\n\n");
+
     const response = await openai.chat.completions.create({
       model: "gpt-4",
       messages: [
         {
           role: "system",
           content:
-            "Extract entities and relationships from the text. Return a JSON object with entities array (each with id, label, type, description) and relationships array (each with source, target, label, weight).",
+            'Answer the question using only the provided context passages, each labelled with an id in square brackets. If the context does not contain the answer, say that the documents do not contain this information instead of guessing. Return a JSON object with answer, confidence (0-1), and sourceIds (array of the passage ids the answer relies on, e.g. ["S1", "G2"]).',
         },
         {
           role: "user",
-          content: `Extract entities and relationships from: ${text}`,
+          content: `Context:\n${contextText}\n\n${
+            options.asOf
+              ? `Answer as things stood on ${options.asOf}, ignoring anything the context says only became true later.\n\n`
+              : ""
+          }Question: ${question}`,
         },
       ],
       response_format: { type: "json_object" },
@@ -301,42 +425,65 @@ async function extractEntitiesAndRelationships(text) {
 
     return JSON.parse(response.choices[0].message.content);
   } catch (error) {
-    console.error("Error extracting entities:", error);
-    throw new Error("Failed to extract entities and relationships");
+    console.error("Error answering question:", error);
+    throw new Error("Failed to answer question");
   }
 }
 
 /**
- * Answer questions about knowledge graph content
- * @param {string} question - User question
- * @param {Array} context - Relevant context documents
- * @returns {Promise<Object>} Answer with confidence and sources
+ * Title and summarize a community of related entities from a knowledge graph
+ * @param {Array<string>} labels - Entity labels, most central first
+ * @param {Array<string>} facts - Relationships within the community, as "A label B" text
+ * @returns {Promise<Object>} { title, summary }
  */
-async function answerQuestion(question, context) {
+async function summarizeCommunity(labels, facts) {
   try {
-    const contextText = context.map((doc) => doc.content).join("\n\n");
-
     const response = await openai.chat.completions.create({
       model: "gpt-4",
       messages: [
         {
           role: "system",
           content:
-            "Answer the question based on the provided context. Return a JSON object with answer, confidence (0-1), and sources array with document names and relevance scores.",
+            "You name topics in a knowledge graph. Given a cluster of closely related entities and the relationships between them, return a JSON object with title (a short topic title of at most 6 words) and summary (one or two sentences describing what ties the entities together).",
         },
         {
           role: "user",
-          content: `Context: ${contextText}\n\nQuestion: ${question}`,
+          content: `Entities: ${labels.join(
+            ", "
+          )}\n\nRelationships:\n${facts.join("\n")}`,
         },
       ],
       response_format: { type: "json_object" },
-      max_tokens: 1000,
+      max_tokens: 300,
+      temperature: 0.2,
     });
 
     return JSON.parse(response.choices[0].message.content);
   } catch (error) {
-    console.error("Error answering question:", error);
-    throw new Error("Failed to answer question");
+    console.error("Error summarizing community:", error);
+    throw new Error("Failed to summarize community");
+  }
+}
+
+/**
+ * Embed texts for semantic search
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} model - Embedding model
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+ */
+async function createEmbeddings(texts, model = "text-embedding-3-small") {
+  try {
+    const response = await openai.embeddings.create({
+      model,
+      input: texts,
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  } catch (error) {
+    console.error("Error creating embeddings:", error);
+    throw new Error("Failed to create embeddings");
   }
 }
 
@@ -760,6 +907,8 @@ module.exports = {
   analyzeSentiment,
   extractEntitiesAndRelationships,
   answerQuestion,
+  summarizeCommunity,
+  createEmbeddings,
   analyzeCodeChanges,
   generateEngagementInsights,
   generateTrendAnalysis,
@@ -0,0 +1,354 @@
+const { canonicalizeName, splitLabelAliases } = require("./graphBuilder");
+const { pageForOffset } = require("./documentExtractor");
+
+// Spans kept per extracted fact; the mention count covers the rest
+const MAX_ENTITY_SPANS = 5;
+const MAX_RELATIONSHIP_SPANS = 3;
+// Longest snippet stored for a span, in characters
+const MAX_SNIPPET_LENGTH = 240;
+// Source and target mentions further apart than this aren't taken as one
+// statement of the relationship
+const MAX_PAIR_DISTANCE = 600;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whether a sentence ends at text[index]
+function isSentenceEnd(text, index) {
+  const char = text[index];
+  if (char === "\n") return true;
+  return (
+    /[.!?]/.test(char) &&
+    (index + 1 >= text.length || /\s/.test(text[index + 1]))
+  );
+}
+
+/**
+ * The sentence around a span of text, clipped to the snippet length and
+ * trimmed of surrounding whitespace
+ * @param {string} text - Document text
+ * @param {number} start - Span start offset
+ * @param {number} end - Span end offset
+ * @returns {Object} { start, end } of the sentence
+ */
+function sentenceAround(text, start, end) {
+  const room = Math.max(MAX_SNIPPET_LENGTH - (end - start), 0);
+  let from = start;
+  while (from > 0 && start - from < room && !isSentenceEnd(text, from - 1)) {
+    from--;
+  }
+  let to = end;
+  while (
+    to < text.length &&
+    to - from < MAX_SNIPPET_LENGTH &&
+    !isSentenceEnd(text, to - 1)
+  ) {
+    to++;
+  }
+  while (from < start && /\s/.test(text[from])) from++;
+  while (to > end && /\s/.test(text[to - 1])) to--;
+  return { start: from, end: to };
+}
+
+/**
+ * Every mention of any of the names in a text, in order
+ * @param {string} text - Document text
+ * @param {Array<string>} names - Entity label and aliases
+ * @returns {Array} [{ start, end }]
+ */
+function findMentions(text, names) {
+  const patterns = [...new Set(names)]
+    .filter((name) => typeof name === "string" && name.trim().length > 1)
+    // Longer names first, so "Acme Corp" wins over "Acme"
+    .sort((a, b) => b.length - a.length)
+    .map((name) => escapeRegExp(name.trim()).replace(/\s+/g, "\\s+"));
+  if (!text || patterns.length === 0) return [];
+
+  const regex = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${patterns.join("|")})(?![\\p{L}\\p{N}])`,
+    "giu"
+  );
+  return Array.from(text.matchAll(regex), (match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Provenance record for a span: the sentence it sits in and its page
+ * @param {string} text - Document text
+ * @param {Array} pages - Document page offsets, or null
+ * @param {Object} span - { start, end } of the evidence
+ * @param {Array} mentions - Optional entity mentions within the evidence
+ * @returns {Object} { start, end, page, snippet, snippetStart, mentions }
+ */
+function provenanceSpan(text, pages, span, mentions) {
+  const sentence = sentenceAround(text, span.start, span.end);
+  return {
+    start: span.start,
+    end: span.end,
+    page: pageForOffset(pages, span.start),
+    snippet: text.slice(sentence.start, sentence.end),
+    snippetStart: sentence.start,
+    ...(mentions ? { mentions } : {}),
+  };
+}
+
+// An entity's label and aliases
+function entityNames(entity) {
+  if (!entity) return [];
+  const { label, aliases } = splitLabelAliases(
+    entity.label || entity.name || ""
+  );
+  return [
+    label,
+    ...aliases,
+    ...(Array.isArray(entity.aliases) ? entity.aliases : []),
+  ];
+}
+
+/**
+ * Where a document mentions an entity
+ * @param {Object} doc - Document with textContent and pages
+ * @param {Object} entity - Extracted entity
+ * @param {Array} mentions - The entity's mentions, when already found
+ * @returns {Array} Up to MAX_ENTITY_SPANS provenance records
+ */
+function entitySpans(doc, entity, mentions) {
+  const text = doc.textContent || "";
+  return (mentions || findMentions(text, entityNames(entity)))
+    .slice(0, MAX_ENTITY_SPANS)
+    .map((mention) => provenanceSpan(text, doc.pages, mention));
+}
+
+// Find a quoted sentence in the text, ignoring whitespace and case
+function locateQuote(text, quote) {
+  const words = String(quote || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 80);
+  if (words.length < 3) return null;
+  const match = new RegExp(words.map(escapeRegExp).join("\\s+"), "i").exec(
+    text
+  );
+  return match
+    ? { start: match.index, end: match.index + match[0].length }
+    : null;
+}
+
+/**
+ * Source/target mention pairs close enough to be one statement. Both lists
+ * are in text order, so a window over the targets slides forward with the
+ * sources instead of every pair being compared.
+ * @param {Array} sourceMentions - [{ start, end }] in text order
+ * @param {Array} targetMentions - [{ start, end }] in text order
+ * @returns {Array} [{ start, end }] covering each pair
+ */
+function nearbyPairs(sourceMentions, targetMentions) {
+  const pairs = [];
+  let first = 0;
+  sourceMentions.forEach((s) => {
+    // Targets starting this far before the source are too far for it and
+    // every later source
+    while (
+      first < targetMentions.length &&
+      targetMentions[first].start < s.end - MAX_PAIR_DISTANCE
+    ) {
+      first++;
+    }
+    for (
+      let i = first;
+      i < targetMentions.length &&
+      targetMentions[i].start <= s.start + MAX_PAIR_DISTANCE;
+      i++
+    ) {
+      const t = targetMentions[i];
+      const start = Math.min(s.start, t.start);
+      const end = Math.max(s.end, t.end);
+      if (end - start <= MAX_PAIR_DISTANCE) pairs.push({ start, end });
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Where a document states a relationship: the evidence sentences quoted by
+ * the extraction when they can be found in the text, otherwise the places
+ * where the source and target are mentioned close together
+ * @param {Object} doc - Document with textContent and pages
+ * @param {Object} relationship - Extracted relationship ({ evidence })
+ * @param {Object} source - Source entity
+ * @param {Object} target - Target entity
+ * @param {Function} mentionsOf - Optional (entity) => mentions, to reuse mentions already found
+ * @returns {Array} Up to MAX_RELATIONSHIP_SPANS provenance records, each with the source and target mentions inside it
+ */
+function relationshipSpans(doc, relationship, source, target, mentionsOf) {
+  const text = doc.textContent || "";
+  const findEntityMentions =
+    mentionsOf || ((entity) => findMentions(text, entityNames(entity)));
+  const sourceMentions = findEntityMentions(source);
+  const targetMentions = findEntityMentions(target);
+  const allMentions = [...sourceMentions, ...targetMentions].sort(
+    (a, b) => a.start - b.start
+  );
+  const mentionsWithin = (span) =>
+    allMentions.filter((m) => m.start >= span.start && m.end <= span.end);
+
+  const evidence = (
+    Array.isArray(relationship.evidence)
+      ? relationship.evidence
+      : [relationship.evidence]
+  )
+    .map((quote) => locateQuote(text, quote))
+    .filter(Boolean);
+
+  let spans = evidence;
+  if (spans.length === 0) {
+    // Closest source/target pairs, each pair spanning the sentence(s) both sit in
+    spans = nearbyPairs(sourceMentions, targetMentions).sort(
+      (a, b) => a.end - a.start - (b.end - b.start)
+    );
+  }
+
+  // Keep distinct passages: a span overlapping one already kept adds nothing
+  const kept = [];
+  spans
+    .map((span) => sentenceAround(text, span.start, span.end))
+    .forEach((span) => {
+      if (!kept.some((k) => span.start < k.end && k.start < span.end)) {
+        kept.push(span);
+      }
+    });
+  return kept
+    .slice(0, MAX_RELATIONSHIP_SPANS)
+    .sort((a, b) => a.start - b.start)
+    .map((span) => provenanceSpan(text, doc.pages, span, mentionsWithin(span)));
+}
+
+/**
+ * Record provenance spans on every entity and relationship a document's
+ * extraction produced
+ * @param {Object} doc - Processed document with textContent, pages, entities and relationships
+ */
+function annotateProvenance(doc) {
+  const text = doc.textContent || "";
+  const entitiesById = new Map();
+  // Each entity's mentions are searched for once, however many
+  // relationships it takes part in
+  const mentionsByEntity = new Map();
+  const mentionsOf = (entity) => {
+    if (!mentionsByEntity.has(entity)) {
+      mentionsByEntity.set(entity, findMentions(text, entityNames(entity)));
+    }
+    return mentionsByEntity.get(entity);
+  };
+
+  (doc.entities || []).forEach((entity) => {
+    if (!entity) return;
+    entity.spans = entitySpans(doc, entity, mentionsOf(entity));
+    if (entity.id !== undefined) entitiesById.set(String(entity.id), entity);
+  });
+  // References that aren't entity ids are matched as labels, one stand-in
+  // entity per reference so their mentions are cached too
+  const resolve = (reference) => {
+    const key = String(reference);
+    if (!entitiesById.has(key)) entitiesById.set(key, { label: key });
+    return entitiesById.get(key);
+  };
+  (doc.relationships || []).forEach((relationship) => {
+    if (!relationship) return;
+    relationship.spans = relationshipSpans(
+      doc,
+      relationship,
+      resolve(relationship.source),
+      resolve(relationship.target),
+      mentionsOf
+    );
+  });
+}
+
+/**
+ * Canonical names of a graph node (label and aliases), for matching the
+ * document entities it was built from
+ * @param {Object} node - Graph node
+ * @returns {Set<string>} Canonical names
+ */
+function nodeNameKeys(node) {
+  return new Set(
+    [node.label, ...(node.aliases || [])].map(canonicalizeName).filter(Boolean)
+  );
+}
+
+function matchesNode(entity, keys) {
+  return entityNames(entity).some((name) => keys.has(canonicalizeName(name)));
+}
+
+/**
+ * The spans in one document behind a graph node. Documents extracted before
+ * spans were recorded have theirs computed on the fly.
+ * @param {Object} doc - Project document
+ * @param {Object} node - Graph node
+ * @returns {Array} Provenance records
+ */
+function nodeProvenance(doc, node) {
+  const keys = nodeNameKeys(node);
+  return (doc.entities || [])
+    .filter((entity) => entity && matchesNode(entity, keys))
+    .flatMap((entity) => entity.spans || entitySpans(doc, entity))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The spans in one document behind a graph edge
+ * @param {Object} doc - Project document
+ * @param {Object} edge - Graph edge
+ * @param {Object} sourceNode - The edge's source node
+ * @param {Object} targetNode - The edge's target node
+ * @returns {Array} Provenance records
+ */
+function edgeProvenance(doc, edge, sourceNode, targetNode) {
+  const sourceKeys = nodeNameKeys(sourceNode);
+  const targetKeys = nodeNameKeys(targetNode);
+  const labelKey = canonicalizeName(edge.label) || "related to";
+  const entitiesById = new Map(
+    (doc.entities || [])
+      .filter((entity) => entity && entity.id !== undefined)
+      .map((entity) => [String(entity.id), entity])
+  );
+  const resolve = (reference) =>
+    entitiesById.get(String(reference)) || { label: String(reference) };
+
+  return (doc.relationships || [])
+    .filter((relationship) => {
+      if (!relationship) return false;
+      const label = canonicalizeName(relationship.label || "related_to");
+      return (
+        (label || "related to") === labelKey &&
+        matchesNode(resolve(relationship.source), sourceKeys) &&
+        matchesNode(resolve(relationship.target), targetKeys)
+      );
+    })
+    .flatMap(
+      (relationship) =>
+        relationship.spans ||
+        relationshipSpans(
+          doc,
+          relationship,
+          resolve(relationship.source),
+          resolve(relationship.target)
+        )
+    )
+    .sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  findMentions,
+  sentenceAround,
+  entitySpans,
+  relationshipSpans,
+  annotateProvenance,
+  nodeProvenance,
+  edgeProvenance,
+};
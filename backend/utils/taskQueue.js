@@ -0,0 +1,96 @@
+/**
+ * Delay before a retry: exponential backoff with up to 25% random jitter,
+ * so tasks that failed together don't all retry at the same moment
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} options - { baseDelay, maxDelay } in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+  return Math.round(delay * (1 - Math.random() * 0.25));
+}
+
+/**
+ * In-memory work queue running tasks in the background with bounded
+ * concurrency. A failed task is retried with exponential backoff; while it
+ * waits, its slot goes to the next task in line.
+ * @param {Object} options - { concurrency, maxAttempts, baseDelay, maxDelay }
+ * @returns {Object} { enqueue(run, handlers), stats() }
+ */
+function createTaskQueue(options = {}) {
+  const concurrency = options.concurrency || 3;
+  const maxAttempts = options.maxAttempts || 3;
+  const delays = {
+    baseDelay: options.baseDelay ?? 1000,
+    maxDelay: options.maxDelay ?? 30000,
+  };
+
+  const waiting = [];
+  let running = 0;
+  let retrying = 0;
+
+  const next = () => {
+    while (running < concurrency && waiting.length > 0) {
+      execute(waiting.shift());
+    }
+  };
+
+  const settle = (callback, ...args) => {
+    try {
+      if (callback) callback(...args);
+    } catch (error) {
+      console.error("Task queue handler error:", error);
+    }
+  };
+
+  async function execute(task) {
+    running++;
+    task.attempts++;
+    settle(task.handlers.onStart, task.attempts);
+    try {
+      const result = await task.run(task.attempts);
+      settle(task.handlers.onSuccess, result, task.attempts);
+    } catch (error) {
+      if (task.attempts < maxAttempts) {
+        const delay = backoffDelay(task.attempts, delays);
+        settle(task.handlers.onRetry, error, task.attempts, delay);
+        retrying++;
+        setTimeout(() => {
+          retrying--;
+          waiting.push(task);
+          next();
+        }, delay);
+      } else {
+        settle(task.handlers.onFailure, error, task.attempts);
+      }
+    } finally {
+      running--;
+      next();
+    }
+  }
+
+  return {
+    /**
+     * Queue a task
+     * @param {Function} run - async (attempt) => result
+     * @param {Object} handlers - Optional onStart(attempt), onSuccess(result, attempts), onRetry(error, attempt, delay) and onFailure(error, attempts) callbacks
+     */
+    enqueue(run, handlers = {}) {
+      waiting.push({ run, handlers, attempts: 0 });
+      next();
+    },
+
+    /**
+     * Current queue load
+     * @returns {Object} { running, waiting, retrying, concurrency }
+     */
+    stats() {
+      return { running, waiting: waiting.length, retrying, concurrency };
+    },
+  };
+}
+
+module.exports = {
+  backoffDelay,
+  createTaskQueue,
+};
@@ -0,0 +1,273 @@
+// Relationship validity is tracked at day precision as "YYYY-MM-DD" strings,
+// which compare correctly as plain strings
+
+const pad = (value) => String(value).padStart(2, "0");
+
+function formatDate(date) {
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(
+    date.getUTCDate()
+  )}`;
+}
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+// ISO dates, optionally with a time: "2021", "2021-03", "2021-03-15",
+// "2021-03-15T10:00:00Z"
+const ISO_DATE =
+  /^(\d{4})(?:-(\d{1,2})(?:-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?)?)?$/i;
+// "March 2021", "15 March 2021", "15th Mar. 2021"
+const DAY_MONTH_YEAR =
+  /^(?:(\d{1,2})(?:st|nd|rd|th)?\s+)?([a-z]+)\.?,?\s+(\d{4})$/i;
+// "March 15, 2021"
+const MONTH_DAY_YEAR = /^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i;
+// HTTP dates (Last-Modified): "Mon, 15 Mar 2021 10:00:00 GMT"
+const HTTP_DATE =
+  /^[a-z]{3},\s+(\d{1,2})\s+([a-z]{3})\s+(\d{4})\s+\d{2}:\d{2}:\d{2}\s+GMT$/i;
+
+// Month number (1-12) of a month name or an abbreviation of one
+function monthNumber(name) {
+  const lower = name.toLowerCase();
+  if (lower.length < 3) return null;
+  const index = MONTHS.findIndex((month) => month.startsWith(lower));
+  return index === -1 ? null : index + 1;
+}
+
+// A day, or the first or last day of a month or year
+function periodDate(year, month, day, bound) {
+  if (month !== null && (month < 1 || month > 12)) return null;
+  if (day !== null) {
+    const text = `${year}-${pad(month)}-${pad(day)}`;
+    return formatDate(new Date(Date.UTC(year, month - 1, day))) === text
+      ? text
+      : null;
+  }
+  if (bound === "end") {
+    // Day 0 of the next month is the last day of this one
+    return formatDate(new Date(Date.UTC(year, month || 12, 0)));
+  }
+  return `${year}-${pad(month || 1)}-01`;
+}
+
+/**
+ * Normalize a date from extraction output, document metadata or a query
+ * parameter. Partial dates cover their whole period, so "2021" starts on
+ * 2021-01-01 and ends on 2021-12-31. Only the formats below are read:
+ * other text ("Version 2", "Windows 10") is not a date.
+ * @param {*} value - Date, ISO date or timestamp ("YYYY", "YYYY-MM", "YYYY-MM-DD[Thh:mm...]"), "Month YYYY", "D Month YYYY", "Month D, YYYY", an HTTP date or a PDF date
+ * @param {string} bound - "start" or "end" of a partial date's period
+ * @returns {string|null} "YYYY-MM-DD", or null when the value isn't a date
+ */
+function normalizeDate(value, bound = "start") {
+  if (value === null || value === undefined || value === "") return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : formatDate(value);
+  }
+
+  const text = String(value).trim();
+  const toNumber = (part) => (part === undefined ? null : Number(part));
+
+  const iso = text.match(ISO_DATE);
+  if (iso) {
+    return periodDate(
+      Number(iso[1]),
+      toNumber(iso[2]),
+      toNumber(iso[3]),
+      bound
+    );
+  }
+
+  // PDF dates look like "D:20210315120000+01'00'"
+  const pdfDate = text.match(/^D:(\d{4})(\d{2})?(\d{2})?/);
+  if (pdfDate) {
+    return periodDate(
+      Number(pdfDate[1]),
+      toNumber(pdfDate[2]),
+      toNumber(pdfDate[3]),
+      bound
+    );
+  }
+
+  const named = text.match(DAY_MONTH_YEAR) || text.match(HTTP_DATE);
+  if (named) {
+    const month = monthNumber(named[2]);
+    return month
+      ? periodDate(Number(named[3]), month, toNumber(named[1]), bound)
+      : null;
+  }
+  const monthFirst = text.match(MONTH_DAY_YEAR);
+  if (monthFirst) {
+    const month = monthNumber(monthFirst[1]);
+    return month
+      ? periodDate(Number(monthFirst[3]), month, Number(monthFirst[2]), bound)
+      : null;
+  }
+  return null;
+}
+
+/**
+ * The date a document was written or published, from its metadata or, for
+ * URLs, the server's Last-Modified header
+ * @param {Object} doc - Project document
+ * @returns {string|null} "YYYY-MM-DD", or null when the document is undated
+ */
+function documentDate(doc) {
+  if (!doc) return null;
+  return (
+    normalizeDate(doc.metadata?.publishedAt) ||
+    normalizeDate(doc.metadata?.createdAt) ||
+    normalizeDate(doc.refresh?.lastModified) ||
+    null
+  );
+}
+
+/**
+ * Validity of a relationship as stated by one document: the dates from the
+ * text when there are any, otherwise from the document's own date onwards
+ * @param {Object} relationship - Extracted relationship ({ validFrom, validTo })
+ * @param {string|null} fallbackDate - The document's date
+ * @returns {Object} { validFrom, validTo }, either of which may be null (open)
+ */
+function relationshipInterval(relationship, fallbackDate) {
+  const validFrom = normalizeDate(relationship.validFrom, "start");
+  const validTo = normalizeDate(relationship.validTo, "end");
+  if (!validFrom && !validTo) return { validFrom: fallbackDate, validTo: null };
+  return { validFrom, validTo };
+}
+
+/**
+ * Widen an interval to cover another; null bounds are open and win
+ * @param {Object|null} a - { validFrom, validTo }
+ * @param {Object} b - { validFrom, validTo }
+ * @returns {Object} Interval covering both
+ */
+function coverIntervals(a, b) {
+  if (!a) return { ...b };
+  const earlier = (x, y) => (x < y ? x : y);
+  const later = (x, y) => (x > y ? x : y);
+  return {
+    validFrom:
+      a.validFrom && b.validFrom ? earlier(a.validFrom, b.validFrom) : null,
+    validTo: a.validTo && b.validTo ? later(a.validTo, b.validTo) : null,
+  };
+}
+
+/**
+ * Whether an interval contains a date
+ * @param {Object} interval - { validFrom, validTo }
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {boolean} True when valid on that date
+ */
+function isValidAt(interval, date) {
+  if (!interval) return true;
+  return (
+    (!interval.validFrom || interval.validFrom <= date) &&
+    (!interval.validTo || interval.validTo >= date)
+  );
+}
+
+/**
+ * Set an edge's overall validFrom/validTo from its per-document intervals
+ * @param {Object} edge - Graph edge
+ */
+function updateEdgeValidity(edge) {
+  const intervals = Object.values(edge.properties?.documentIntervals || {});
+  const cover = intervals.reduce(
+    (result, interval) => coverIntervals(result, interval),
+    null
+  );
+  edge.validFrom = cover ? cover.validFrom : null;
+  edge.validTo = cover ? cover.validTo : null;
+}
+
+/**
+ * The graph as it stood on a date: edges keep only the documents whose
+ * stated validity covers the date (edges with none left are dropped), and
+ * nodes are kept when a remaining edge touches them or a document dated on
+ * or before the date mentions them
+ * @param {Object} graph - Project graph
+ * @param {string} asOf - "YYYY-MM-DD"
+ * @param {Map} documentDates - Document id -> "YYYY-MM-DD" or null
+ * @returns {Object} Graph with filtered nodes and edges (stats not recomputed)
+ */
+function graphAsOf(graph, asOf, documentDates = new Map()) {
+  const edges = [];
+  graph.edges.forEach((edge) => {
+    const props = edge.properties || {};
+    const intervals = props.documentIntervals;
+    // Edges built before validity was tracked are always valid
+    if (!intervals) {
+      edges.push(edge);
+      return;
+    }
+
+    const documents = (props.documents || []).filter((documentId) =>
+      isValidAt(intervals[documentId], asOf)
+    );
+    if (documents.length === 0) return;
+    if (documents.length === (props.documents || []).length) {
+      edges.push(edge);
+      return;
+    }
+
+    const pick = (counts) =>
+      Object.fromEntries(documents.map((id) => [id, (counts || {})[id] || 0]));
+    const documentCounts = pick(props.documentCounts);
+    const documentWeights = pick(props.documentWeights);
+    const frequency = Object.values(documentCounts).reduce((a, b) => a + b, 0);
+    const weightSum = Object.values(documentWeights).reduce((a, b) => a + b, 0);
+    edges.push({
+      ...edge,
+      weight:
+        frequency > 0
+          ? Number((weightSum / frequency).toFixed(3))
+          : edge.weight,
+      properties: {
+        ...props,
+        documents,
+        documentCounts,
+        documentWeights,
+        frequency,
+        weightSum,
+      },
+    });
+  });
+
+  const connected = new Set();
+  edges.forEach((edge) => {
+    connected.add(edge.source);
+    connected.add(edge.target);
+  });
+  const nodes = graph.nodes.filter(
+    (node) =>
+      connected.has(node.id) ||
+      (node.properties?.documents || []).some((documentId) => {
+        const date = documentDates.get(documentId);
+        return !date || date <= asOf;
+      })
+  );
+
+  return { ...graph, asOf, nodes, edges };
+}
+
+module.exports = {
+  normalizeDate,
+  documentDate,
+  relationshipInterval,
+  coverIntervals,
+  isValidAt,
+  updateEdgeValidity,
+  graphAsOf,
+};
@@ -0,0 +1,70 @@
+// Default chunk sizes, in characters
+const DEFAULT_CHUNK_SIZE = 1500;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+/**
+ * Find a good place to end a chunk: the last paragraph break, sentence end or
+ * whitespace in the second half of the window, so chunks don't cut words
+ * @param {string} text - Full text
+ * @param {number} start - Chunk start offset
+ * @param {number} end - Hard chunk end offset
+ * @returns {number} Chunk end offset
+ */
+function findChunkEnd(text, start, end) {
+  if (end >= text.length) return text.length;
+
+  const window = text.slice(start, end);
+  const minEnd = Math.floor(window.length / 2);
+  const boundaries = [/\n\s*\n/g, /[.!?]\s/g, /\s/g];
+
+  for (const boundary of boundaries) {
+    let last = -1;
+    let match;
+    while ((match = boundary.exec(window)) !== null) {
+      last = match.index + match[0].length;
+    }
+    if (last > minEnd) return start + last;
+  }
+  return end;
+}
+
+/**
+ * Split text into overlapping chunks that carry their character offset
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, overlap }
+ * @returns {Array} Chunks: { index, offset, text }
+ */
+function chunkText(text, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = Math.min(
+    options.overlap ?? DEFAULT_CHUNK_OVERLAP,
+    Math.floor(chunkSize / 2)
+  );
+  const chunks = [];
+  if (!text) return chunks;
+
+  let start = 0;
+  while (start < text.length) {
+    const end = findChunkEnd(text, start, start + chunkSize);
+    chunks.push({
+      index: chunks.length,
+      offset: start,
+      text: text.slice(start, end),
+    });
+    if (end >= text.length) break;
+
+    // Step back by the overlap, but always move forward
+    let next = Math.max(end - overlap, start + 1);
+    const whitespace = text.slice(next, end).search(/\s/);
+    if (whitespace >= 0) next += whitespace + 1;
+    start = next;
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  chunkText,
+};
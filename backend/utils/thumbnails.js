@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+
+// Widths thumbnails are generated at; a requested width snaps up to the
+// nearest one so each image only ever has this many variants per format
+const THUMBNAIL_WIDTHS = [160, 320, 640];
+const THUMBNAIL_FORMATS = ["webp", "jpeg"];
+const THUMBNAIL_QUALITY = 80;
+
+/**
+ * The generated width to serve for a requested width
+ * @param {number} width - Requested width in pixels
+ * @returns {number} Smallest generated width at least as wide, or the largest one
+ */
+function snapThumbnailWidth(width) {
+  return (
+    THUMBNAIL_WIDTHS.find((candidate) => candidate >= width) ||
+    THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1]
+  );
+}
+
+/**
+ * Where a thumbnail is stored: next to the original image, e.g.
+ * shot.png -> shot.w320.webp
+ * @param {string} imagePath - Original image path
+ * @param {number} width - Thumbnail width
+ * @param {string} format - "webp" or "jpeg"
+ * @returns {string} Thumbnail path
+ */
+function thumbnailPath(imagePath, width, format) {
+  const { dir, name } = path.parse(imagePath);
+  const ext = format === "jpeg" ? "jpg" : format;
+  return path.join(dir, `${name}.w${width}.${ext}`);
+}
+
+async function renderThumbnail(imagePath, width, format) {
+  const target = thumbnailPath(imagePath, width, format);
+  // Required on first use, so a missing sharp binary fails this thumbnail
+  // (and the route serves the original) rather than the whole server
+  const sharp = require("sharp");
+  // Images narrower than the thumbnail keep their size
+  const resized = sharp(imagePath)
+    .rotate()
+    .resize({ width, withoutEnlargement: true });
+  const encoded =
+    format === "webp"
+      ? resized.webp({ quality: THUMBNAIL_QUALITY })
+      : resized
+          .flatten({ background: "#ffffff" })
+          .jpeg({ quality: THUMBNAIL_QUALITY, mozjpeg: true });
+
+  // Written under a temporary name first, so a request arriving mid-write
+  // never serves a partial file
+  const temp = `${target}.${process.pid}-${Date.now()}.tmp`;
+  try {
+    await encoded.toFile(temp);
+    fs.renameSync(temp, target);
+  } finally {
+    fs.rmSync(temp, { force: true });
+  }
+  return target;
+}
+
+/**
+ * A thumbnail of an image, generated the first time it's asked for
+ * @param {string} imagePath - Original image path
+ * @param {number} width - One of THUMBNAIL_WIDTHS
+ * @param {string} format - One of THUMBNAIL_FORMATS
+ * @returns {Promise<string>} Thumbnail path
+ */
+async function ensureThumbnail(imagePath, width, format) {
+  const target = thumbnailPath(imagePath, width, format);
+  if (fs.existsSync(target)) return target;
+  return renderThumbnail(imagePath, width, format);
+}
+
+/**
+ * Generate every thumbnail width and format of an image
+ * @param {string} imagePath - Original image path
+ * @returns {Promise<Array<string>>} Thumbnail paths
+ */
+async function generateThumbnails(imagePath) {
+  const paths = [];
+  for (const width of THUMBNAIL_WIDTHS) {
+    for (const format of THUMBNAIL_FORMATS) {
+      paths.push(await ensureThumbnail(imagePath, width, format));
+    }
+  }
+  return paths;
+}
+
+/**
+ * Delete an image's generated thumbnails
+ * @param {string} imagePath - Original image path
+ */
+function removeThumbnails(imagePath) {
+  THUMBNAIL_WIDTHS.forEach((width) => {
+    THUMBNAIL_FORMATS.forEach((format) => {
+      fs.rmSync(thumbnailPath(imagePath, width, format), { force: true });
+    });
+  });
+}
+
+module.exports = {
+  THUMBNAIL_WIDTHS,
+  THUMBNAIL_FORMATS,
+  snapThumbnailWidth,
+  thumbnailPath,
+  ensureThumbnail,
+  generateThumbnails,
+  removeThumbnails,
+};
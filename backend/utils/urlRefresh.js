@@ -0,0 +1,213 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { canonicalizeName, splitLabelAliases } = require("./graphBuilder");
+const { USER_AGENT, normalizeUrl } = require("./webCrawler");
+
+// Refresh intervals accepted for URL documents, in minutes
+const MIN_REFRESH_INTERVAL_MINUTES = 1;
+const MAX_REFRESH_INTERVAL_MINUTES = 30 * 24 * 60;
+
+/**
+ * Hash of extracted page text, used to tell real content changes from
+ * re-served identical pages
+ * @param {string} text - Extracted text
+ * @returns {string} Hex SHA-1
+ */
+function contentHash(text) {
+  return crypto
+    .createHash("sha1")
+    .update(text || "")
+    .digest("hex");
+}
+
+/**
+ * Validate a refresh interval
+ * @param {*} value - Minutes from the client; null, 0 or false disables refreshing
+ * @returns {number|null} Interval in minutes, or null when disabled
+ * @throws {Error} When the value is not a number in range
+ */
+function parseRefreshInterval(value) {
+  if (value === null || value === undefined || value === false) return null;
+  const minutes = Number(value);
+  if (minutes === 0) return null;
+  if (
+    !Number.isFinite(minutes) ||
+    minutes < MIN_REFRESH_INTERVAL_MINUTES ||
+    minutes > MAX_REFRESH_INTERVAL_MINUTES
+  ) {
+    throw new Error(
+      `Refresh interval must be between ${MIN_REFRESH_INTERVAL_MINUTES} and ${MAX_REFRESH_INTERVAL_MINUTES} minutes`
+    );
+  }
+  return minutes;
+}
+
+/**
+ * When a URL document is next due for a refresh
+ * @param {number|null} intervalMinutes - Refresh interval
+ * @param {Date} from - Time of the last check
+ * @returns {Date|null} Next check time, or null when refreshing is off
+ */
+function nextRefreshAt(intervalMinutes, from = new Date()) {
+  return intervalMinutes
+    ? new Date(new Date(from).getTime() + intervalMinutes * 60 * 1000)
+    : null;
+}
+
+/**
+ * Re-fetch a URL with the validators from the last fetch, so unchanged
+ * pages come back as 304 Not Modified without a body
+ * @param {string} url - Page URL
+ * @param {Object} validators - { etag, lastModified } from the last fetch
+ * @returns {Promise<Object>} { notModified, data, contentType, etag, lastModified, finalUrl }
+ */
+async function fetchIfModified(url, validators = {}) {
+  const headers = { "User-Agent": USER_AGENT };
+  if (validators.etag) headers["If-None-Match"] = validators.etag;
+  if (validators.lastModified) {
+    headers["If-Modified-Since"] = validators.lastModified;
+  }
+
+  const response = await axios.get(url, {
+    timeout: 30000,
+    responseType: "text",
+    maxContentLength: 20 * 1024 * 1024,
+    headers,
+    validateStatus: (status) =>
+      status === 304 || (status >= 200 && status < 300),
+  });
+
+  return {
+    notModified: response.status === 304,
+    data: response.data,
+    contentType: response.headers["content-type"] || "",
+    // A 304 may omit validators; keep the ones we sent
+    etag: response.headers.etag || validators.etag || null,
+    lastModified:
+      response.headers["last-modified"] || validators.lastModified || null,
+    finalUrl: normalizeUrl(response.request?.res?.responseUrl || url) || url,
+  };
+}
+
+/**
+ * The facts a document currently contributes: its entities and the
+ * relationships between them, keyed by canonical names
+ * @param {Object} doc - Processed document
+ * @returns {Object} { entities: Map, relationships: Map }
+ */
+function documentFacts(doc) {
+  const entities = new Map();
+  const entityKeys = new Map();
+
+  (doc.entities || []).forEach((entity) => {
+    if (!entity) return;
+    const { label } = splitLabelAliases(entity.label || entity.name || "");
+    const key = canonicalizeName(label);
+    if (!key) return;
+    if (entity.id !== undefined) entityKeys.set(String(entity.id), key);
+    entityKeys.set(label, key);
+    if (!entities.has(key)) {
+      entities.set(key, { key, label, type: entity.type || "concept" });
+    }
+  });
+
+  const relationships = new Map();
+  (doc.relationships || []).forEach((relationship) => {
+    if (!relationship) return;
+    const resolve = (reference) =>
+      entityKeys.get(String(reference)) ||
+      canonicalizeName(String(reference || ""));
+    const source = resolve(relationship.source);
+    const target = resolve(relationship.target);
+    if (!entities.has(source) || !entities.has(target) || source === target) {
+      return;
+    }
+    const label = String(relationship.label || "related_to").trim();
+    const key = `${source}|${canonicalizeName(label)}|${target}`;
+    if (!relationships.has(key)) {
+      relationships.set(key, {
+        key,
+        source: entities.get(source).label,
+        sourceKey: source,
+        label,
+        target: entities.get(target).label,
+        targetKey: target,
+      });
+    }
+  });
+
+  return { entities, relationships };
+}
+
+/**
+ * Facts added and removed between two versions of a document
+ * @param {Object} before - Facts from documentFacts (empty for a first version)
+ * @param {Object} after - Facts from documentFacts
+ * @returns {Object} { added: { entities, relationships }, removed: { entities, relationships } }
+ */
+function diffFacts(before, after) {
+  const missingFrom = (a, b) =>
+    [...a.values()].filter((fact) => !b.has(fact.key));
+  return {
+    added: {
+      entities: missingFrom(after.entities, before.entities),
+      relationships: missingFrom(after.relationships, before.relationships),
+    },
+    removed: {
+      entities: missingFrom(before.entities, after.entities),
+      relationships: missingFrom(before.relationships, after.relationships),
+    },
+  };
+}
+
+/**
+ * When facts about an entity appeared in or disappeared from URL sources,
+ * read from the documents' version histories
+ * @param {Array} documents - Project documents
+ * @param {Array<string>} names - Canonical names of the entity (label and aliases)
+ * @returns {Array} Events in time order: { at, change, kind, fact, documentId, documentName, url, version }
+ */
+function factHistory(documents, names) {
+  const keys = new Set(names);
+  const events = [];
+
+  documents.forEach((doc) => {
+    (doc.versions || []).forEach((version) => {
+      [
+        ["appeared", version.added],
+        ["disappeared", version.removed],
+      ].forEach(([change, facts]) => {
+        const base = {
+          at: version.fetchedAt,
+          change,
+          documentId: doc.id,
+          documentName: doc.title || doc.url,
+          url: doc.url,
+          version: version.version,
+        };
+        (facts?.entities || [])
+          .filter((fact) => keys.has(fact.key))
+          .forEach((fact) => events.push({ ...base, kind: "entity", fact }));
+        (facts?.relationships || [])
+          .filter(
+            (fact) => keys.has(fact.sourceKey) || keys.has(fact.targetKey)
+          )
+          .forEach((fact) =>
+            events.push({ ...base, kind: "relationship", fact })
+          );
+      });
+    });
+  });
+
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+module.exports = {
+  contentHash,
+  parseRefreshInterval,
+  nextRefreshAt,
+  fetchIfModified,
+  documentFacts,
+  diffFacts,
+  factHistory,
+};
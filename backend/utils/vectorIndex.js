@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const { cosineSimilarity } = require("./embeddings");
+
+// Decimal places kept per vector component, to keep the index file small
+const VECTOR_PRECISION = 6;
+
+const emptyIndex = (key) => ({
+  key,
+  vectors: {},
+  lastUpdated: new Date().toISOString(),
+});
+
+/**
+ * Load a vector index from disk. An index built by a different embedding
+ * provider or model comes back empty, since its vectors can't be compared
+ * with the current ones.
+ * @param {string} filePath - Index file
+ * @param {string} key - Current embedding key (see embeddingKey)
+ * @returns {Object} { key, vectors: { id: Array<number> }, lastUpdated }
+ */
+function loadVectorIndex(filePath, key) {
+  try {
+    if (!fs.existsSync(filePath)) return emptyIndex(key);
+    const index = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return index.key === key && index.vectors ? index : emptyIndex(key);
+  } catch (error) {
+    console.error("Error loading vector index:", error);
+    return emptyIndex(key);
+  }
+}
+
+/**
+ * Write a vector index to disk
+ * @param {string} filePath - Index file
+ * @param {Object} index - Vector index
+ * @returns {boolean} Whether it was saved
+ */
+function saveVectorIndex(filePath, index) {
+  try {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    index.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(filePath, JSON.stringify(index));
+    return true;
+  } catch (error) {
+    console.error("Error saving vector index:", error);
+    return false;
+  }
+}
+
+/**
+ * Add or replace vectors in an index
+ * @param {Object} index - Vector index (mutated)
+ * @param {Array} entries - [{ id, vector }]
+ * @returns {Object} The index
+ */
+function upsertVectors(index, entries) {
+  entries.forEach(({ id, vector }) => {
+    index.vectors[id] = vector.map((value) =>
+      Number(value.toFixed(VECTOR_PRECISION))
+    );
+  });
+  return index;
+}
+
+/**
+ * Remove vectors from an index
+ * @param {Object} index - Vector index (mutated)
+ * @param {Array<string>} ids - Ids to remove
+ * @returns {Object} The index
+ */
+function removeVectors(index, ids) {
+  ids.forEach((id) => {
+    delete index.vectors[id];
+  });
+  return index;
+}
+
+/**
+ * Similarity of every indexed vector to a query vector
+ * @param {Object} index - Vector index
+ * @param {Array<number>} queryVector - Embedded query
+ * @param {Object} options - { minSimilarity, limit }
+ * @returns {Array} [{ id, similarity }], most similar first
+ */
+function searchVectors(index, queryVector, options = {}) {
+  const minSimilarity = options.minSimilarity || 0;
+  const matches = Object.entries(index.vectors)
+    .map(([id, vector]) => ({
+      id,
+      similarity: cosineSimilarity(queryVector, vector),
+    }))
+    .filter((match) => match.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity);
+  return options.limit ? matches.slice(0, options.limit) : matches;
+}
+
+/**
+ * Hybrid relevance: keyword confidence blended with semantic similarity
+ * @param {number} keywordScore - Keyword confidence, 0 to 1
+ * @param {number} semanticScore - Cosine similarity to the query
+ * @param {number} semanticWeight - Share of the semantic score, 0 to 1
+ * @returns {number} Blended score
+ */
+function hybridScore(keywordScore, semanticScore, semanticWeight) {
+  const weight = Math.min(Math.max(semanticWeight, 0), 1);
+  return (1 - weight) * keywordScore + weight * semanticScore;
+}
+
+module.exports = {
+  loadVectorIndex,
+  saveVectorIndex,
+  upsertVectors,
+  removeVectors,
+  searchVectors,
+  hybridScore,
+};
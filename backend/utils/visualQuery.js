@@ -0,0 +1,433 @@
+// Fields a Visual Memory search query can filter on, e.g.
+// folder:billing color:red type:button uploaded:>2025-06-01 text:"404"
+const QUERY_FIELDS = {
+  folder: {
+    aliases: ["dir"],
+    description: "Folder the screenshot was uploaded in",
+    exact: true,
+    values: (entity) => [entity.folder],
+  },
+  color: {
+    aliases: ["colour"],
+    description: "Dominant color",
+    values: (entity) => entity.metadata?.dominantColors || [],
+  },
+  type: {
+    aliases: ["entity"],
+    description: "Detected entity type",
+    values: (entity) => entity.metadata?.entityTypes || [],
+  },
+  object: {
+    aliases: ["obj"],
+    description: "Primary object in the image",
+    values: (entity) => entity.metadata?.primaryObjects || [],
+  },
+  text: {
+    aliases: ["ocr"],
+    description: "Text read from the image",
+    values: (entity) =>
+      entity.analysis?.textContent !== "No text found."
+        ? [entity.analysis?.textContent]
+        : [],
+  },
+  uploaded: {
+    aliases: ["date"],
+    description:
+      "Upload date: YYYY, YYYY-MM or YYYY-MM-DD, optionally after >, >=, < or <=",
+    date: true,
+  },
+};
+
+const OPERATORS = ["AND", "OR", "NOT"];
+const COMPARATOR = /^(>=|<=|>|<|=)/;
+
+const FIELD_NAMES = new Map(
+  Object.entries(QUERY_FIELDS).flatMap(([name, field]) => [
+    [name, name],
+    ...field.aliases.map((alias) => [alias, name]),
+  ])
+);
+
+/**
+ * Read a double-quoted phrase
+ * @param {string} query - Query text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} { value, end } with end just past the closing quote
+ */
+function readPhrase(query, start) {
+  const end = query.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new Error(`Unterminated quote at position ${start + 1}`);
+  }
+  return { value: query.slice(start + 1, end), end: end + 1 };
+}
+
+// Values uploaded: accepts, in the formats its QUERY_FIELDS entry documents
+const DATE_VALUE = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * First and last day of the period a date value covers
+ * @param {string} value - "YYYY", "YYYY-MM" or "YYYY-MM-DD"
+ * @returns {Object|null} { start, end } as "YYYY-MM-DD", or null when the value is in none of those formats or isn't a real date
+ */
+function datePeriod(value) {
+  const match = value.match(DATE_VALUE);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  const start = new Date(
+    Date.UTC(Number(year), Number(month || 1) - 1, Number(day || 1))
+  );
+  // Out-of-range parts roll over (2025-02-30 becomes March 2nd)
+  if (isoDay(start) !== `${year}-${month || "01"}-${day || "01"}`) return null;
+  // Day 0 of the next month is the last day of this one
+  const end = day
+    ? start
+    : new Date(Date.UTC(Number(year), Number(month || 12), 0));
+  return { start: isoDay(start), end: isoDay(end) };
+}
+
+/**
+ * Token for a field clause. Date fields take an optional comparator and must
+ * hold a date; other fields keep their value as typed.
+ * @param {string} name - Field name (aliases already resolved)
+ * @param {string} rawValue - Text after the colon
+ * @param {boolean} phrase - Whether the value was quoted
+ * @returns {Object} Field token
+ */
+function fieldToken(name, rawValue, phrase) {
+  const field = QUERY_FIELDS[name];
+  let op = "=";
+  let value = rawValue;
+  if (field.date) {
+    const comparator = value.match(COMPARATOR);
+    if (comparator) {
+      op = comparator[1];
+      value = value.slice(op.length);
+    }
+    const period = datePeriod(value);
+    if (!period) {
+      throw new Error(`Invalid date "${value}" for ${name}:`);
+    }
+    return { kind: "field", field: name, op, value, phrase, ...period };
+  }
+  return { kind: "field", field: name, op, value, phrase };
+}
+
+/**
+ * Split a query into parentheses, operators, field clauses and terms.
+ * A leading "-" negates a term or clause, like NOT.
+ * @param {string} query - Query text
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ kind: char, text: char });
+      i++;
+    } else if (char === "-" && query[i + 1] && /[^\s()-]/.test(query[i + 1])) {
+      tokens.push({ kind: "NOT", text: "-" });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readPhrase(query, i);
+      if (value.trim()) {
+        tokens.push({ kind: "term", value, phrase: true });
+      }
+      i = end;
+    } else {
+      const word = query.slice(i).match(/^[^\s()"]+/)[0];
+      i += word.length;
+      const separator = word.indexOf(":");
+      const name =
+        separator > 0 &&
+        FIELD_NAMES.get(word.slice(0, separator).toLowerCase());
+
+      if (name) {
+        // The value may be quoted: text:"page not found"
+        let value = word.slice(separator + 1);
+        let phrase = false;
+        if (query[i] === '"' && (value === "" || COMPARATOR.test(value))) {
+          const quoted = readPhrase(query, i);
+          value += quoted.value;
+          phrase = true;
+          i = quoted.end;
+        }
+        if (!value.trim()) {
+          throw new Error(`Missing value for ${name}:`);
+        }
+        tokens.push(fieldToken(name, value, phrase));
+      } else if (OPERATORS.includes(word)) {
+        tokens.push({ kind: word, text: word });
+      } else {
+        tokens.push({ kind: "term", value: word, phrase: false });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a Visual Memory search query. Terms and field clauses next to each
+ * other are ANDed; OR binds looser than AND, and NOT (or "-") tighter.
+ * Only uppercase AND, OR and NOT are operators, and NOT only where a term
+ * can't precede it: at the start of the query or a group, or after another
+ * operator. Elsewhere it's a word, so "404 NOT FOUND" searches for all three.
+ * @param {string} query - e.g. 'folder:billing (color:red OR color:orange) -type:chart "card declined"'
+ * @returns {Object|null} Query tree, or null for an empty query
+ */
+function parseVisualQuery(query) {
+  const tokens = tokenize(String(query || ""));
+  if (tokens.length === 0) return null;
+
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().kind === "OR") {
+      position++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().kind !== "OR" && peek().kind !== ")") {
+      if (peek().kind === "AND") position++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error("Query ends where a search term was expected");
+    }
+    if (token.kind === "NOT") {
+      const previous = tokens[position - 2];
+      if (
+        token.text === "-" ||
+        !previous ||
+        ["(", ...OPERATORS].includes(previous.kind)
+      ) {
+        return { type: "not", child: parseUnary() };
+      }
+      return { type: "term", value: token.text, phrase: false };
+    }
+    if (token.kind === "(") {
+      const node = parseOr();
+      if (!peek() || peek().kind !== ")") {
+        throw new Error("Missing closing parenthesis");
+      }
+      position++;
+      return node;
+    }
+    if (token.kind === "term") {
+      return { type: "term", value: token.value, phrase: token.phrase };
+    }
+    if (token.kind === "field") {
+      const { kind, ...clause } = token;
+      return { type: "field", ...clause };
+    }
+    throw new Error(`Unexpected "${token.text}"`);
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().text}"`);
+  }
+  return tree;
+}
+
+/**
+ * Whether a query uses any field clause, e.g. color:red
+ * @param {string} query - Query text
+ * @returns {boolean} Whether it names a query field before a colon
+ */
+function hasFieldClause(query) {
+  return String(query || "")
+    .split(/[\s()"-]+/)
+    .some((word) => {
+      const separator = word.indexOf(":");
+      return (
+        separator > 0 && FIELD_NAMES.has(word.slice(0, separator).toLowerCase())
+      );
+    });
+}
+
+/**
+ * Everything a plain search term is matched against
+ * @param {Object} entity - Stored screenshot
+ * @returns {string} Lowercased searchable text
+ */
+function searchableText(entity) {
+  const analysis = entity.analysis || {};
+  return [
+    entity.originalName,
+    analysis.textContent,
+    analysis.visualDescription,
+    ...(entity.tags || []),
+    ...(analysis.entityAnalysis?.entities || []).flatMap((item) => [
+      item.label,
+      item.type,
+    ]),
+    ...Object.keys(QUERY_FIELDS)
+      .filter((name) => !QUERY_FIELDS[name].date)
+      .flatMap((name) => QUERY_FIELDS[name].values(entity)),
+  ]
+    .filter(Boolean)
+    .join("\n")
+    .toLowerCase();
+}
+
+/**
+ * Whether an upload time satisfies a date clause
+ * @param {Object} node - uploaded: clause with its period's start and end
+ * @param {string} uploadedAt - ISO timestamp
+ * @returns {boolean} Whether it matches
+ */
+function matchesDate(node, uploadedAt) {
+  const time = new Date(uploadedAt || NaN);
+  if (Number.isNaN(time.getTime())) return false;
+  const date = isoDay(time);
+  switch (node.op) {
+    case ">":
+      return date > node.end;
+    case ">=":
+      return date >= node.start;
+    case "<":
+      return date < node.start;
+    case "<=":
+      return date <= node.end;
+    default:
+      return date >= node.start && date <= node.end;
+  }
+}
+
+/**
+ * Whether a screenshot satisfies a query tree. Field values match
+ * case-insensitively: folders exactly, other fields by substring.
+ * @param {Object|null} node - Query tree from parseVisualQuery
+ * @param {Object} entity - Stored screenshot
+ * @returns {boolean} Whether it matches (always true for an empty tree)
+ */
+function matchesQuery(node, entity) {
+  if (!node) return true;
+  switch (node.type) {
+    case "and":
+      return node.children.every((child) => matchesQuery(child, entity));
+    case "or":
+      return node.children.some((child) => matchesQuery(child, entity));
+    case "not":
+      return !matchesQuery(node.child, entity);
+    case "term":
+      return searchableText(entity).includes(node.value.toLowerCase());
+    case "field": {
+      const field = QUERY_FIELDS[node.field];
+      if (field.date) return matchesDate(node, entity.uploadedAt);
+      const value = node.value.toLowerCase();
+      return field.values(entity).some((candidate) => {
+        if (!candidate) return false;
+        const text = String(candidate).toLowerCase();
+        return field.exact ? text === value : text.includes(value);
+      });
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Separate a query into ranking text and a filter. Terms at the top level
+ * only rank results, like a plain search; field clauses, negations and OR
+ * groups must match. Terms that aren't negated also count towards ranking.
+ * @param {Object|null} tree - Query tree from parseVisualQuery
+ * @returns {Object} { text, filter } where filter is a query tree or null
+ */
+function splitQuery(tree) {
+  if (!tree) return { text: "", filter: null };
+
+  const terms = [];
+  const collectTerms = (node) => {
+    if (node.type === "term") terms.push(node.value);
+    if (node.children) node.children.forEach(collectTerms);
+  };
+  collectTerms(tree);
+
+  const clauses = tree.type === "and" ? tree.children : [tree];
+  const filters = clauses.filter((node) => node.type !== "term");
+  return {
+    text: terms.join(" "),
+    filter:
+      filters.length === 0
+        ? null
+        : filters.length === 1
+        ? filters[0]
+        : { type: "and", children: filters },
+  };
+}
+
+/**
+ * Canonical text of a query tree, with aliases resolved and grouping made
+ * explicit, e.g. 'folder:billing AND (color:red OR color:orange)'
+ * @param {Object|null} node - Query tree
+ * @returns {string} Query text
+ */
+function describeQuery(node) {
+  if (!node) return "";
+  const quote = (value, phrase) =>
+    phrase || /[\s()]/.test(value) || OPERATORS.includes(value)
+      ? `"${value}"`
+      : value;
+  const group = (child) =>
+    child.type === "and" || child.type === "or"
+      ? `(${describeQuery(child)})`
+      : describeQuery(child);
+
+  switch (node.type) {
+    case "and":
+      return node.children.map(group).join(" AND ");
+    case "or":
+      return node.children.map(group).join(" OR ");
+    case "not":
+      return `NOT ${group(node.child)}`;
+    case "term":
+      return quote(node.value, node.phrase);
+    case "field":
+      return `${node.field}:${node.op === "=" ? "" : node.op}${quote(
+        node.value,
+        node.phrase
+      )}`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Query fields for clients: names, aliases and descriptions
+ * @returns {Array} [{ name, aliases, description }]
+ */
+function queryFieldList() {
+  return Object.entries(QUERY_FIELDS).map(([name, field]) => ({
+    name,
+    aliases: field.aliases,
+    description: field.description,
+  }));
+}
+
+module.exports = {
+  parseVisualQuery,
+  hasFieldClause,
+  matchesQuery,
+  splitQuery,
+  describeQuery,
+  queryFieldList,
+};
@@ -0,0 +1,377 @@
+const axios = require("axios");
+const cheerio = require("cheerio");
+
+const USER_AGENT = "Mozilla/5.0 (compatible; KnowledgeGraph/1.0)";
+// Token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = "knowledgegraph";
+
+const DEFAULT_CRAWL_OPTIONS = {
+  sameOrigin: true,
+  maxDepth: 2,
+  maxPages: 50,
+  include: [],
+  exclude: [],
+  delayMs: 200,
+};
+const MAX_CRAWL_PAGES = 500;
+const MAX_CRAWL_DEPTH = 10;
+// Upper bound on a robots.txt Crawl-delay we are willing to wait
+const MAX_CRAWL_DELAY_MS = 10000;
+
+/**
+ * Normalize a URL so that trivially different spellings dedupe: drops the
+ * fragment and default port and lower-cases the host
+ * @param {string} url - Absolute URL
+ * @param {string} base - Optional base URL for relative links
+ * @returns {string|null} Normalized URL, or null when it isn't http(s)
+ */
+function normalizeUrl(url, base) {
+  try {
+    const parsed = new URL(url, base);
+    if (!["http:", "https:"].includes(parsed.protocol)) return null;
+    parsed.hash = "";
+    parsed.hostname = parsed.hostname.toLowerCase();
+    if (
+      (parsed.protocol === "http:" && parsed.port === "80") ||
+      (parsed.protocol === "https:" && parsed.port === "443")
+    ) {
+      parsed.port = "";
+    }
+    return parsed.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse robots.txt into the rules that apply to this crawler: the group
+ * naming it, or the "*" group when none does
+ * @param {string} text - robots.txt contents
+ * @returns {Object} { rules: [{ allow, pattern }], crawlDelay }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      const separator = line.indexOf(":");
+      if (separator < 0) return;
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === "user-agent") {
+        // Consecutive User-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+      lastWasAgent = false;
+      if (!current) return;
+      if (field === "allow" || field === "disallow") {
+        // An empty Disallow allows everything
+        if (value)
+          current.rules.push({ allow: field === "allow", pattern: value });
+      } else if (field === "crawl-delay") {
+        const delay = Number(value);
+        if (Number.isFinite(delay)) current.crawlDelay = delay;
+      }
+    });
+
+  const group =
+    groups.find((g) => g.agents.includes(ROBOTS_AGENT)) ||
+    groups.find((g) => g.agents.includes("*"));
+  return {
+    rules: group ? group.rules : [],
+    crawlDelay: group ? group.crawlDelay : null,
+  };
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Whether robots rules allow a URL. The longest matching rule wins and
+ * Allow wins ties, as in RFC 9309.
+ * @param {Object} robots - Parsed rules from parseRobotsTxt
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True when the URL may be fetched
+ */
+function isAllowedByRobots(robots, url) {
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+  let best = null;
+
+  robots.rules.forEach((rule) => {
+    if (!robotsPatternToRegExp(rule.pattern).test(target)) return;
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  });
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch and parse an origin's robots.txt. A missing file (4xx) allows
+ * everything; a server error disallows everything, per RFC 9309.
+ * @param {string} origin - e.g. "https://example.com"
+ * @returns {Promise<Object>} Parsed rules
+ */
+async function fetchRobots(origin) {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: 10000,
+      responseType: "text",
+      headers: { "User-Agent": USER_AGENT },
+      validateStatus: () => true,
+    });
+    if (response.status >= 500) {
+      return { rules: [{ allow: false, pattern: "/" }], crawlDelay: null };
+    }
+    if (response.status >= 400) return { rules: [], crawlDelay: null };
+    return parseRobotsTxt(response.data);
+  } catch (error) {
+    // Unreachable robots.txt: treat the site as unrestricted
+    return { rules: [], crawlDelay: null };
+  }
+}
+
+/**
+ * Pull the canonical URL and outbound links out of an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {Object} { canonicalUrl, title, links }
+ */
+function extractPageLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const base = normalizeUrl($("base[href]").attr("href") || pageUrl, pageUrl);
+
+  const canonicalHref = $('link[rel~="canonical"]').attr("href");
+  const canonicalUrl =
+    (canonicalHref && normalizeUrl(canonicalHref, base)) ||
+    normalizeUrl(pageUrl);
+
+  const links = [];
+  $("a[href]").each((_, element) => {
+    const rel = ($(element).attr("rel") || "").toLowerCase();
+    if (rel.split(/\s+/).includes("nofollow")) return;
+    const link = normalizeUrl($(element).attr("href"), base);
+    if (link && link !== canonicalUrl && !links.includes(link)) {
+      links.push(link);
+    }
+  });
+
+  return {
+    canonicalUrl,
+    title: $("title").first().text().trim() || null,
+    links,
+  };
+}
+
+/**
+ * Validate and fill in crawl options
+ * @param {Object} options - Client options
+ * @returns {Object} Crawl options with include/exclude compiled to RegExps
+ * @throws {Error} When a pattern is not a valid regular expression
+ */
+function resolveCrawlOptions(options = {}) {
+  const toPatterns = (value) =>
+    (Array.isArray(value) ? value : value ? [value] : []).map((pattern) => {
+      try {
+        return new RegExp(pattern);
+      } catch {
+        throw new Error(`Invalid pattern: ${pattern}`);
+      }
+    });
+
+  return {
+    sameOrigin: options.sameOrigin !== false,
+    maxDepth: Math.min(
+      Math.max(
+        parseInt(options.maxDepth ?? DEFAULT_CRAWL_OPTIONS.maxDepth),
+        0
+      ) || 0,
+      MAX_CRAWL_DEPTH
+    ),
+    maxPages: Math.min(
+      Math.max(parseInt(options.maxPages) || DEFAULT_CRAWL_OPTIONS.maxPages, 1),
+      MAX_CRAWL_PAGES
+    ),
+    include: toPatterns(options.include),
+    exclude: toPatterns(options.exclude),
+    delayMs: Math.max(
+      Number(options.delayMs ?? DEFAULT_CRAWL_OPTIONS.delayMs) || 0,
+      0
+    ),
+  };
+}
+
+/**
+ * Crawl a site breadth-first from a start URL. Pages are handed to onPage
+ * as they are fetched; the crawl follows links (and redirects) that stay
+ * within the depth, origin and include/exclude limits and that robots.txt
+ * allows. Pages isKnown reports aren't handed over again, but their links
+ * are still followed, so re-crawling a site finds its new pages.
+ * @param {string} startUrl - Absolute start URL
+ * @param {Object} options - Options from resolveCrawlOptions
+ * @param {Object} hooks - { onPage({ url, canonicalUrl, depth, html, contentType, etag, lastModified, title, links }), onSkip({ url, reason }), isKnown(canonicalUrl), isCancelled() }
+ * @returns {Promise<Object>} { fetched, skipped }
+ */
+async function crawlSite(startUrl, options, hooks = {}) {
+  const start = normalizeUrl(startUrl);
+  if (!start) throw new Error("Start URL must be http(s)");
+  let startOrigin = new URL(start).origin;
+
+  const robotsByOrigin = new Map();
+  const seen = new Set([start]);
+  const queue = [{ url: start, depth: 0 }];
+  let fetched = 0;
+  let skipped = 0;
+
+  const skip = (url, reason) => {
+    skipped++;
+    if (hooks.onSkip) hooks.onSkip({ url, reason });
+  };
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const inScope = (link) => {
+    if (options.sameOrigin && new URL(link).origin !== startOrigin) {
+      return false;
+    }
+    if (
+      options.include.length > 0 &&
+      !options.include.some((pattern) => pattern.test(link))
+    ) {
+      return false;
+    }
+    return !options.exclude.some((pattern) => pattern.test(link));
+  };
+
+  while (queue.length > 0 && fetched < options.maxPages) {
+    if (hooks.isCancelled && hooks.isCancelled()) break;
+    const { url, depth } = queue.shift();
+    const origin = new URL(url).origin;
+
+    if (!robotsByOrigin.has(origin)) {
+      robotsByOrigin.set(origin, await fetchRobots(origin));
+    }
+    const robots = robotsByOrigin.get(origin);
+    if (!isAllowedByRobots(robots, url)) {
+      skip(url, "Disallowed by robots.txt");
+      continue;
+    }
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        timeout: 30000,
+        responseType: "text",
+        maxContentLength: 20 * 1024 * 1024,
+        headers: { "User-Agent": USER_AGENT },
+        // Redirects go through the queue instead, so their targets pass the
+        // same origin, pattern and robots.txt checks as links
+        maxRedirects: 0,
+        validateStatus: (status) => status >= 200 && status < 400,
+      });
+    } catch (error) {
+      skip(url, `Failed to fetch: ${error.message}`);
+      continue;
+    }
+
+    if (response.status >= 300) {
+      const target = normalizeUrl(response.headers.location || "", url);
+      if (!target) {
+        skip(url, "Redirect without a valid location");
+        continue;
+      }
+      // Wherever the start URL redirects to (http to https, say) is the
+      // site being crawled
+      if (url === start) startOrigin = new URL(target).origin;
+      if (seen.has(target)) {
+        skip(url, "Redirect to an already crawled page");
+      } else if (!inScope(target)) {
+        skip(url, `Redirect outside the crawl: ${target}`);
+      } else {
+        seen.add(target);
+        queue.unshift({ url: target, depth });
+      }
+      continue;
+    }
+
+    const contentType = response.headers["content-type"] || "";
+    const isHtml = contentType.includes("text/html");
+    const page = isHtml
+      ? extractPageLinks(response.data, url)
+      : { canonicalUrl: url, title: null, links: [] };
+
+    // Different URLs for the same page (canonical links) count once
+    if (page.canonicalUrl !== url && seen.has(page.canonicalUrl)) {
+      skip(url, "Duplicate of an already crawled page");
+      continue;
+    }
+    seen.add(page.canonicalUrl);
+
+    if (hooks.isKnown && hooks.isKnown(page.canonicalUrl)) {
+      skip(url, "Already in the project");
+    } else if (isHtml || contentType.includes("text/plain")) {
+      fetched++;
+      if (hooks.onPage) {
+        await hooks.onPage({
+          url,
+          canonicalUrl: page.canonicalUrl,
+          depth,
+          html: response.data,
+          contentType,
+          etag: response.headers.etag || null,
+          lastModified: response.headers["last-modified"] || null,
+          title: page.title,
+          links: page.links,
+        });
+      }
+    } else {
+      skip(url, `Unsupported content type: ${contentType || "unknown"}`);
+    }
+
+    if (depth < options.maxDepth) {
+      page.links.forEach((link) => {
+        if (seen.has(link) || !inScope(link)) return;
+        seen.add(link);
+        queue.push({ url: link, depth: depth + 1 });
+      });
+    }
+
+    const delay = Math.max(
+      options.delayMs,
+      Math.min((robots.crawlDelay || 0) * 1000, MAX_CRAWL_DELAY_MS)
+    );
+    if (queue.length > 0 && delay > 0) await wait(delay);
+  }
+
+  return { fetched, skipped };
+}
+
+module.exports = {
+  USER_AGENT,
+  normalizeUrl,
+  parseRobotsTxt,
+  isAllowedByRobots,
+  extractPageLinks,
+  resolveCrawlOptions,
+  crawlSite,
+};
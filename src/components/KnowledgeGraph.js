@@ -1,7 +1,135 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { api } from "../config/api";
 import "./KnowledgeGraph.css";
 
+const GRAPH_PAGE_SIZE = 50;
+const DEFAULT_GRAPH_FILTERS = {
+  type: "",
+  minFrequency: 0,
+  asOf: "",
+  page: 1,
+  colorBy: "type",
+  collapse: false,
+};
+// Auto-refresh choices for URL documents, in minutes (0 turns it off)
+const REFRESH_INTERVALS = [
+  { minutes: 0, label: "Off" },
+  { minutes: 60, label: "Hourly" },
+  { minutes: 360, label: "Every 6 hours" },
+  { minutes: 1440, label: "Daily" },
+  { minutes: 10080, label: "Weekly" },
+];
+const DEFAULT_CRAWL_FORM = {
+  enabled: false,
+  sameOrigin: true,
+  maxDepth: 2,
+  maxPages: 50,
+  include: "",
+  exclude: "",
+};
+const CENTRALITY_METRICS = [
+  { metric: "pagerank", label: "PageRank" },
+  { metric: "degree", label: "Degree" },
+  { metric: "betweenness", label: "Betweenness" },
+  { metric: "eigenvector", label: "Eigenvector" },
+];
+const EXPORT_FORMATS = [
+  { format: "graphml", label: "GraphML", extension: "graphml" },
+  { format: "gexf", label: "GEXF", extension: "gexf" },
+  { format: "jsonld", label: "JSON-LD", extension: "jsonld" },
+  { format: "cypher", label: "Cypher", extension: "cypher" },
+];
+
+// Ontologies are edited as text: entity types comma-separated, relation
+// types one per line as "name: source types -> target types"
+const parseOntologyText = (entityText, relationText) => {
+  const list = (text) =>
+    text
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  return {
+    entityTypes: list(entityText),
+    relationTypes: relationText
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [name, types = ""] = line.split(":");
+        const [domain = "", range = ""] = types.split("->");
+        return { name: name.trim(), domain: list(domain), range: list(range) };
+      }),
+  };
+};
+
+// Split a provenance snippet into plain and highlighted parts: the entity
+// mentions when the span has them, otherwise the span itself
+const highlightSnippet = (span) => {
+  const ranges = (
+    span.mentions?.length > 0
+      ? span.mentions
+      : [{ start: span.start, end: span.end }]
+  )
+    .map((range) => ({
+      start: Math.max(range.start - span.snippetStart, 0),
+      end: Math.min(range.end - span.snippetStart, span.snippet.length),
+    }))
+    .filter((range) => range.end > range.start);
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach((range, index) => {
+    if (range.start < cursor) return;
+    parts.push(span.snippet.slice(cursor, range.start));
+    parts.push(
+      <mark key={index}>{span.snippet.slice(range.start, range.end)}</mark>
+    );
+    cursor = range.end;
+  });
+  parts.push(span.snippet.slice(cursor));
+  return parts;
+};
+
+const formatOntology = (ontology) => ({
+  entityTypes: (ontology?.entityTypes || [])
+    .map((type) => type.name)
+    .join(", "),
+  relationTypes: (ontology?.relationTypes || [])
+    .map((relation) =>
+      relation.domain.length > 0 || relation.range.length > 0
+        ? `${relation.name}: ${relation.domain.join(
+            ", "
+          )} -> ${relation.range.join(", ")}`
+        : relation.name
+    )
+    .join("\n"),
+});
+
+// Fetch one page of the project graph with the given filters
+const fetchGraph = (projectId, filters) =>
+  api.get(`/api/knowledge-graph/project/${projectId}/graph`, {
+    params: {
+      type: filters.type || undefined,
+      minFrequency: filters.minFrequency || undefined,
+      asOf: filters.asOf || undefined,
+      page: filters.page,
+      limit: GRAPH_PAGE_SIZE,
+    },
+  });
+
+// Fetch the server-side layout of the graph for the given filters
+const fetchVisualization = (projectId, layout, filters) =>
+  api.get(`/api/knowledge-graph/project/${projectId}/visualization`, {
+    params: {
+      layout,
+      type: filters.type || undefined,
+      minFrequency: filters.minFrequency || undefined,
+      asOf: filters.asOf || undefined,
+      colorBy: filters.colorBy !== "type" ? filters.colorBy : undefined,
+      collapse: filters.collapse ? "true" : undefined,
+    },
+  });
+
 function KnowledgeGraph() {
   const [projects, setProjects] = useState([]);
   const [selectedProject, setSelectedProject] = useState(null);
@@ -12,11 +140,51 @@ function KnowledgeGraph() {
   const [isCreating, setIsCreating] = useState(false);
   const [isBuilding, setIsBuilding] = useState(false);
   const [isQuerying, setIsQuerying] = useState(false);
+  const [buildStatus, setBuildStatus] = useState(null);
+  const [graphFilters, setGraphFilters] = useState(DEFAULT_GRAPH_FILTERS);
+  const [layout, setLayout] = useState("force");
+  const [exportingFormat, setExportingFormat] = useState("");
+  const [documentAction, setDocumentAction] = useState(null);
+  // Entity resolution review: merge candidates, past decisions and the
+  // nodes picked for a manual merge
+  const [resolution, setResolution] = useState(null);
+  const [mergeSelection, setMergeSelection] = useState([]);
+  // Nodes clicked in the visualization and the shortest path between them
+  const [pathNodes, setPathNodes] = useState([]);
+  const [pathResult, setPathResult] = useState(null);
+  const [edgeDetails, setEdgeDetails] = useState(null);
+  const [communities, setCommunities] = useState(null);
+  const [isLoadingCommunities, setIsLoadingCommunities] = useState(false);
+  const [keyEntities, setKeyEntities] = useState(null);
+  const [compareTarget, setCompareTarget] = useState("");
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  // Latest site crawl started from the URL form
+  const [crawlJob, setCrawlJob] = useState(null);
+  // Version history of one URL document, and the fact timeline of one entity
+  const [documentVersions, setDocumentVersions] = useState(null);
+  const [nodeHistory, setNodeHistory] = useState(null);
+  // Saved ontology, its editor text, a suggestion inferred from the
+  // extracted data, and the facts waiting for review with the type or
+  // label picked for each
+  const [ontology, setOntology] = useState(null);
+  const [ontologyForm, setOntologyForm] = useState({
+    entityTypes: "",
+    relationTypes: "",
+    applyToExisting: true,
+  });
+  const [ontologySuggestion, setOntologySuggestion] = useState(null);
+  const [reviewQueue, setReviewQueue] = useState(null);
+  const [reviewChoices, setReviewChoices] = useState({});
+  const buildPollingRef = useRef(null);
+  const crawlPollingRef = useRef(null);
 
-  // Project creation form
+  // Project creation form, with an optional ontology
   const [projectForm, setProjectForm] = useState({
     name: "",
     description: "",
+    entityTypes: "",
+    relationTypes: "",
   });
 
   // Query form
@@ -28,19 +196,29 @@ function KnowledgeGraph() {
   const [urlForm, setUrlForm] = useState({
     url: "",
     title: "",
+    refreshIntervalMinutes: 0,
   });
+  const [crawlForm, setCrawlForm] = useState(DEFAULT_CRAWL_FORM);
 
   useEffect(() => {
     loadProjects();
+    return () => {
+      clearInterval(buildPollingRef.current);
+      clearInterval(crawlPollingRef.current);
+    };
   }, []);
 
   const loadProjects = async () => {
     try {
       const response = await api.get("/api/knowledge-graph/projects");
       setProjects(response.data.projects);
-      if (response.data.projects.length > 0) {
-        setSelectedProject(response.data.projects[0]);
-      }
+      // Keep the current selection, picking up its refreshed stats
+      setSelectedProject(
+        (current) =>
+          response.data.projects.find((p) => p.id === current?.id) ||
+          response.data.projects[0] ||
+          null
+      );
     } catch (error) {
       console.error("Error loading projects:", error);
     }
@@ -55,17 +233,25 @@ function KnowledgeGraph() {
 
     setIsCreating(true);
     try {
-      const response = await api.post(
-        "/api/knowledge-graph/create-project",
-        projectForm
-      );
+      const { entityTypes, relationTypes, ...details } = projectForm;
+      const response = await api.post("/api/knowledge-graph/create-project", {
+        ...details,
+        ontology: entityTypes.trim()
+          ? parseOntologyText(entityTypes, relationTypes)
+          : undefined,
+      });
       setProjects((prev) => [...prev, response.data.project]);
       setSelectedProject(response.data.project);
-      setProjectForm({ name: "", description: "" });
+      setProjectForm({
+        name: "",
+        description: "",
+        entityTypes: "",
+        relationTypes: "",
+      });
       alert("Knowledge graph project created successfully!");
     } catch (error) {
       console.error("Project creation error:", error);
-      alert("Failed to create project");
+      alert(error.response?.data?.error || "Failed to create project");
     } finally {
       setIsCreating(false);
     }
@@ -81,7 +267,7 @@ function KnowledgeGraph() {
     });
 
     try {
-      const response = await api.post(
+      await api.post(
         `/api/knowledge-graph/project/${selectedProject.id}/upload-documents`,
         formData,
         {
@@ -91,7 +277,7 @@ function KnowledgeGraph() {
         }
       );
 
-      setDocuments((prev) => [...prev, ...response.data.files]);
+      loadProjectDetails(selectedProject.id, graphFilters, layout);
       alert("Documents uploaded successfully!");
     } catch (error) {
       console.error("Upload error:", error);
@@ -109,21 +295,82 @@ function KnowledgeGraph() {
       return;
     }
 
+    if (crawlForm.enabled) {
+      const toPatterns = (value) =>
+        value
+          .split("\n")
+          .map((pattern) => pattern.trim())
+          .filter(Boolean);
+      try {
+        const response = await api.post(
+          `/api/knowledge-graph/project/${selectedProject.id}/add-url`,
+          {
+            url: urlForm.url,
+            refreshIntervalMinutes: urlForm.refreshIntervalMinutes,
+            crawl: {
+              sameOrigin: crawlForm.sameOrigin,
+              maxDepth: crawlForm.maxDepth,
+              maxPages: crawlForm.maxPages,
+              include: toPatterns(crawlForm.include),
+              exclude: toPatterns(crawlForm.exclude),
+            },
+          }
+        );
+        setUrlForm({ url: "", title: "", refreshIntervalMinutes: 0 });
+        setCrawlJob(response.data.crawl);
+        pollCrawlStatus(selectedProject.id, response.data.crawl.id);
+      } catch (error) {
+        console.error("Crawl start error:", error);
+        alert(
+          `Failed to start crawl: ${
+            error.response?.data?.error || error.message
+          }`
+        );
+      }
+      return;
+    }
+
     try {
       const response = await api.post(
         `/api/knowledge-graph/project/${selectedProject.id}/add-url`,
         urlForm
       );
-      setUrlForm({ url: "", title: "" });
+      setUrlForm({ url: "", title: "", refreshIntervalMinutes: 0 });
       alert("URL added successfully!");
       // Refresh documents list to show the new URL
-      loadProjectDetails(selectedProject.id);
+      loadProjectDetails(selectedProject.id, graphFilters, layout);
     } catch (error) {
       console.error("URL addition error:", error);
       alert("Failed to add URL");
     }
   };
 
+  const pollCrawlStatus = (projectId, crawlId) => {
+    clearInterval(crawlPollingRef.current);
+
+    crawlPollingRef.current = setInterval(async () => {
+      try {
+        const response = await api.get(
+          `/api/knowledge-graph/project/${projectId}/crawl/${crawlId}`
+        );
+        const crawl = response.data.crawl;
+        setCrawlJob(crawl);
+
+        if (crawl.status === "processing") return;
+
+        clearInterval(crawlPollingRef.current);
+        // Refresh documents list to show the crawled pages
+        loadProjectDetails(projectId, graphFilters, layout);
+        if (crawl.status === "failed") {
+          alert(`Crawl failed: ${crawl.error}`);
+        }
+      } catch (error) {
+        console.error("Crawl status error:", error);
+        clearInterval(crawlPollingRef.current);
+      }
+    }, 2000); // Poll every two seconds
+  };
+
   const handleBuildGraph = async () => {
     if (!selectedProject) return;
 
@@ -132,18 +379,44 @@ function KnowledgeGraph() {
       const response = await api.post(
         `/api/knowledge-graph/project/${selectedProject.id}/build-graph`
       );
-      alert("Knowledge graph built successfully!");
-      // Refresh project data to show updated stats
-      loadProjectDetails(selectedProject.id);
-      loadProjects(); // Refresh project stats in dropdown
+      setBuildStatus(response.data.build);
+      pollBuildStatus(selectedProject.id);
     } catch (error) {
       console.error("Graph build error:", error);
       alert("Failed to build knowledge graph");
-    } finally {
       setIsBuilding(false);
     }
   };
 
+  const pollBuildStatus = (projectId) => {
+    clearInterval(buildPollingRef.current);
+
+    buildPollingRef.current = setInterval(async () => {
+      try {
+        const response = await api.get(
+          `/api/knowledge-graph/project/${projectId}/build-status`
+        );
+        const build = response.data.build;
+        setBuildStatus(build);
+
+        if (build.status === "processing") return;
+
+        clearInterval(buildPollingRef.current);
+        setIsBuilding(false);
+        if (build.status === "completed") {
+          // Refresh project stats; the selection change reloads the details
+          loadProjects();
+        } else {
+          alert(`Failed to build knowledge graph: ${build.error}`);
+        }
+      } catch (error) {
+        console.error("Build status error:", error);
+        clearInterval(buildPollingRef.current);
+        setIsBuilding(false);
+      }
+    }, 1000); // Poll every second
+  };
+
   const handleQuery = async (e) => {
     e.preventDefault();
     if (!selectedProject || !queryForm.question.trim()) {
@@ -157,6 +430,7 @@ function KnowledgeGraph() {
         `/api/knowledge-graph/project/${selectedProject.id}/query`,
         {
           question: queryForm.question,
+          asOf: graphFilters.asOf || undefined,
           options: {},
         }
       );
@@ -171,13 +445,500 @@ function KnowledgeGraph() {
     }
   };
 
-  const loadProjectDetails = async (projectId) => {
+  const updateGraphFilters = async (changes) => {
+    if (!selectedProject) return;
+
+    // Any filter change starts again from the first page
+    const filters = { ...graphFilters, page: 1, ...changes };
+    setGraphFilters(filters);
+    try {
+      const response = await fetchGraph(selectedProject.id, filters);
+      setGraph(response.data.graph);
+      // Paging only affects the graph listing, not the visualization
+      if (
+        ["type", "minFrequency", "asOf", "colorBy", "collapse"].some(
+          (key) => key in changes
+        )
+      ) {
+        const visualizationRes = await fetchVisualization(
+          selectedProject.id,
+          layout,
+          filters
+        );
+        setVisualization(visualizationRes.data.visualization);
+      }
+    } catch (error) {
+      console.error("Error loading graph:", error);
+    }
+  };
+
+  const handleDeleteDocument = async (doc) => {
+    if (
+      !window.confirm(
+        `Delete "${doc.name}"? Graph facts found only in this document will be removed.`
+      )
+    ) {
+      return;
+    }
+
+    setDocumentAction({ id: doc.id, action: "delete" });
+    try {
+      await api.delete(
+        `/api/knowledge-graph/project/${selectedProject.id}/document/${doc.id}`
+      );
+      loadProjectDetails(selectedProject.id, graphFilters, layout);
+    } catch (error) {
+      console.error("Document delete error:", error);
+      alert(error.response?.data?.error || "Failed to delete document");
+    } finally {
+      setDocumentAction(null);
+    }
+  };
+
+  const handleReextractDocument = async (doc) => {
+    setDocumentAction({ id: doc.id, action: "reextract" });
+    try {
+      const response = await api.post(
+        `/api/knowledge-graph/project/${selectedProject.id}/document/${doc.id}/reextract`,
+        {},
+        { timeout: 300000 } // Large documents take several GPT-4 calls
+      );
+      if (response.data.document.status === "failed") {
+        alert(`Re-extraction failed: ${response.data.document.error}`);
+      }
+      loadProjectDetails(selectedProject.id, graphFilters, layout);
+    } catch (error) {
+      console.error("Document re-extract error:", error);
+      alert(error.response?.data?.error || "Failed to re-extract document");
+    } finally {
+      setDocumentAction(null);
+    }
+  };
+
+  const handleRefreshIntervalChange = async (doc, intervalMinutes) => {
+    try {
+      await api.put(
+        `/api/knowledge-graph/project/${selectedProject.id}/document/${doc.id}/refresh`,
+        { intervalMinutes }
+      );
+      loadProjectDetails(selectedProject.id, graphFilters, layout);
+    } catch (error) {
+      console.error("Refresh interval error:", error);
+      alert(error.response?.data?.error || "Failed to update refresh interval");
+    }
+  };
+
+  const handleRefreshDocument = async (doc) => {
+    setDocumentAction({ id: doc.id, action: "refresh" });
+    try {
+      const response = await api.post(
+        `/api/knowledge-graph/project/${selectedProject.id}/document/${doc.id}/refresh`,
+        {},
+        { timeout: 300000 } // Changed pages are re-extracted with GPT-4
+      );
+      alert(
+        response.data.result === "failed"
+          ? `Refresh failed: ${response.data.error}`
+          : response.data.message
+      );
+      loadProjectDetails(selectedProject.id, graphFilters, layout);
+      if (documentVersions?.document.id === doc.id) loadDocumentVersions(doc);
+    } catch (error) {
+      console.error("Document refresh error:", error);
+      alert(error.response?.data?.error || "Failed to refresh URL");
+    } finally {
+      setDocumentAction(null);
+    }
+  };
+
+  const loadDocumentVersions = async (doc) => {
+    try {
+      const response = await api.get(
+        `/api/knowledge-graph/project/${selectedProject.id}/document/${doc.id}/versions`
+      );
+      setDocumentVersions(response.data);
+    } catch (error) {
+      console.error("Error loading document versions:", error);
+      alert("Failed to load version history");
+    }
+  };
+
+  const loadNodeHistory = async (node) => {
+    if (nodeHistory?.node.id === node.id) {
+      setNodeHistory(null);
+      return;
+    }
+    try {
+      const response = await api.get(
+        `/api/knowledge-graph/project/${
+          selectedProject.id
+        }/node/${encodeURIComponent(node.id)}/history`
+      );
+      setNodeHistory(response.data);
+    } catch (error) {
+      console.error("Error loading entity history:", error);
+      alert("Failed to load entity history");
+    }
+  };
+
+  // One line per fact for the history views
+  const describeFact = (kind, fact) =>
+    kind === "entity"
+      ? `${fact.label} (${fact.type})`
+      : `${fact.source} —${fact.label}→ ${fact.target}`;
+
+  const loadResolution = async () => {
+    try {
+      const [candidatesRes, decisionsRes] = await Promise.all([
+        api.get(
+          `/api/knowledge-graph/project/${selectedProject.id}/resolution/candidates`
+        ),
+        api.get(
+          `/api/knowledge-graph/project/${selectedProject.id}/resolution/decisions`
+        ),
+      ]);
+      setResolution({
+        candidates: candidatesRes.data.candidates,
+        decisions: decisionsRes.data.decisions,
+      });
+    } catch (error) {
+      console.error("Error loading merge candidates:", error);
+      alert("Failed to load merge candidates");
+    }
+  };
+
+  // Record a review decision; merges and splits rebuild the graph
+  const submitResolutionDecision = async (decision) => {
+    try {
+      const response = await api.post(
+        `/api/knowledge-graph/project/${selectedProject.id}/resolution/decisions`,
+        decision
+      );
+      setMergeSelection([]);
+      if (response.data.build) {
+        setIsBuilding(true);
+        setBuildStatus(response.data.build);
+        pollBuildStatus(selectedProject.id);
+      }
+      loadResolution();
+    } catch (error) {
+      console.error("Resolution decision error:", error);
+      alert(error.response?.data?.error || "Failed to record decision");
+    }
+  };
+
+  const undoResolutionDecision = async (decisionId) => {
+    try {
+      const response = await api.delete(
+        `/api/knowledge-graph/project/${selectedProject.id}/resolution/decisions/${decisionId}`
+      );
+      if (response.data.build) {
+        setIsBuilding(true);
+        setBuildStatus(response.data.build);
+        pollBuildStatus(selectedProject.id);
+      }
+      loadResolution();
+    } catch (error) {
+      console.error("Undo decision error:", error);
+      alert(error.response?.data?.error || "Failed to undo decision");
+    }
+  };
+
+  const toggleMergeSelection = (node) => {
+    setMergeSelection((selection) =>
+      selection.some((selected) => selected.id === node.id)
+        ? selection.filter((selected) => selected.id !== node.id)
+        : [...selection, node]
+    );
+  };
+
+  const describeDecision = (decision) => {
+    if (decision.action === "merge") {
+      return `Merged ${decision.merged
+        .map((name) => name.label)
+        .join(", ")} into ${decision.keep.label}`;
+    }
+    if (decision.action === "split") {
+      return `Split ${decision.names
+        .map((name) => name.label)
+        .join(", ")} from ${decision.entity.label}`;
+    }
+    return `Kept ${decision.names[0].label} and ${decision.names[1].label} apart`;
+  };
+
+  const saveOntology = async () => {
+    try {
+      const response = await api.put(
+        `/api/knowledge-graph/project/${selectedProject.id}/ontology`,
+        {
+          ontology: ontologyForm.entityTypes.trim()
+            ? parseOntologyText(
+                ontologyForm.entityTypes,
+                ontologyForm.relationTypes
+              )
+            : null,
+          applyToExisting: ontologyForm.applyToExisting,
+        }
+      );
+      const saved = response.data.ontology;
+      setOntology(saved);
+      setOntologyForm((prev) => ({ ...prev, ...formatOntology(saved) }));
+      setProjects((prev) =>
+        prev.map((project) =>
+          project.id === selectedProject.id
+            ? { ...project, ontology: saved }
+            : project
+        )
+      );
+      if (response.data.build) {
+        setIsBuilding(true);
+        setBuildStatus(response.data.build);
+        pollBuildStatus(selectedProject.id);
+      }
+      if (reviewQueue) loadReviewQueue();
+    } catch (error) {
+      console.error("Ontology update error:", error);
+      alert(error.response?.data?.error || "Failed to save ontology");
+    }
+  };
+
+  // Fill the editor with an ontology inferred from what has been extracted
+  const loadOntologySuggestion = async () => {
+    try {
+      const response = await api.get(
+        `/api/knowledge-graph/project/${selectedProject.id}/ontology/suggestion`
+      );
+      const { suggestion } = response.data;
+      setOntologySuggestion(suggestion);
+      setOntologyForm((prev) => ({
+        ...prev,
+        ...formatOntology(suggestion.ontology),
+      }));
+    } catch (error) {
+      console.error("Ontology suggestion error:", error);
+      alert("Failed to suggest an ontology");
+    }
+  };
+
+  const loadReviewQueue = async () => {
+    try {
+      const response = await api.get(
+        `/api/knowledge-graph/project/${selectedProject.id}/review-queue`
+      );
+      setReviewQueue(response.data);
+    } catch (error) {
+      console.error("Error loading review queue:", error);
+      alert("Failed to load the review queue");
+    }
+  };
+
+  // Accept (with the picked type or label, if any) or reject a queued fact
+  const submitReview = async (item, action) => {
+    const choice = reviewChoices[item.id] || undefined;
+    try {
+      await api.post(
+        `/api/knowledge-graph/project/${selectedProject.id}/review-queue/${item.id}`,
+        {
+          action,
+          type: item.kind === "entity" ? choice : undefined,
+          label: item.kind === "relationship" ? choice : undefined,
+        }
+      );
+      loadReviewQueue();
+      if (action === "accept") {
+        loadProjectDetails(selectedProject.id, graphFilters, layout);
+      }
+    } catch (error) {
+      console.error("Review error:", error);
+      alert(error.response?.data?.error || "Failed to record review");
+    }
+  };
+
+  // The fact a review item or decision is about, for describeFact
+  const reviewFact = (item) =>
+    item.kind === "entity"
+      ? { label: item.item.label, type: item.item.type }
+      : {
+          source: item.sourceLabel,
+          label: item.item.label,
+          target: item.targetLabel,
+        };
+
+  const handleExport = async ({ format, extension }) => {
+    setExportingFormat(format);
+    try {
+      const response = await api.get(
+        `/api/knowledge-graph/project/${selectedProject.id}/export`,
+        {
+          params: { format },
+          responseType: "blob",
+          timeout: 60000,
+        }
+      );
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement("a");
+      link.href = url;
+      link.setAttribute(
+        "download",
+        `${selectedProject.name || "knowledge-graph"}.${extension}`
+      );
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Export error:", error);
+      alert("Failed to export graph");
+    } finally {
+      setExportingFormat("");
+    }
+  };
+
+  const handleNodeClick = async (nodeId) => {
+    // A collapsed community expands into its entities
+    if (visualization?.collapsed) {
+      updateGraphFilters({ collapse: false, colorBy: "community" });
+      return;
+    }
+    // The first click picks the start, the second the end; a third starts over
+    if (pathNodes.length !== 1) {
+      setPathNodes([nodeId]);
+      setPathResult(null);
+      return;
+    }
+
+    const [from] = pathNodes;
+    if (from === nodeId) return;
+    setPathNodes([from, nodeId]);
+    try {
+      const response = await api.get(
+        `/api/knowledge-graph/project/${selectedProject.id}/path`,
+        { params: { from, to: nodeId } }
+      );
+      setPathResult(response.data.path);
+    } catch (error) {
+      console.error("Error finding path:", error);
+      setPathResult(null);
+    }
+  };
+
+  const clearPath = () => {
+    setPathNodes([]);
+    setPathResult(null);
+  };
+
+  const handleEdgeClick = async (edgeId) => {
+    // Edges between collapsed communities stand for many relationships
+    if (visualization?.collapsed) return;
+    if (edgeDetails?.edge.id === edgeId) {
+      setEdgeDetails(null);
+      return;
+    }
+    try {
+      const response = await api.get(
+        `/api/knowledge-graph/project/${
+          selectedProject.id
+        }/edge/${encodeURIComponent(edgeId)}`
+      );
+      setEdgeDetails(response.data);
+    } catch (error) {
+      console.error("Error loading relationship details:", error);
+      setEdgeDetails(null);
+    }
+  };
+
+  // Rankings per type for a centrality measure, with the bridge entities
+  const loadKeyEntities = async (metric = "pagerank") => {
+    try {
+      const [rankingsRes, bridgesRes] = await Promise.all([
+        api.get(`/api/knowledge-graph/project/${selectedProject.id}/rankings`, {
+          params: { metric, limit: 5 },
+        }),
+        api.get(`/api/knowledge-graph/project/${selectedProject.id}/bridges`, {
+          params: { limit: 10 },
+        }),
+      ]);
+      setKeyEntities({
+        metric,
+        rankings: rankingsRes.data.rankings,
+        bridges: bridgesRes.data.bridges,
+      });
+    } catch (error) {
+      console.error("Error loading key entities:", error);
+      alert("Failed to load key entities");
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!compareTarget) return;
+    setIsComparing(true);
+    try {
+      const response = await api.get("/api/knowledge-graph/compare", {
+        params: { projectA: selectedProject.id, projectB: compareTarget },
+      });
+      setComparison(response.data);
+    } catch (error) {
+      console.error("Error comparing projects:", error);
+      alert("Failed to compare projects");
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const loadCommunities = async () => {
+    if (communities) {
+      setCommunities(null);
+      return;
+    }
+    setIsLoadingCommunities(true);
+    try {
+      const response = await api.get(
+        `/api/knowledge-graph/project/${selectedProject.id}/communities`
+      );
+      setCommunities(response.data);
+      // Community titles may be new, so colour the graph with them
+      if (graphFilters.colorBy === "community" || graphFilters.collapse) {
+        const visualizationRes = await fetchVisualization(
+          selectedProject.id,
+          layout,
+          graphFilters
+        );
+        setVisualization(visualizationRes.data.visualization);
+      }
+    } catch (error) {
+      console.error("Error detecting communities:", error);
+      alert("Failed to detect communities");
+    } finally {
+      setIsLoadingCommunities(false);
+    }
+  };
+
+  const handleLayoutChange = async (newLayout) => {
+    setLayout(newLayout);
+    try {
+      const response = await fetchVisualization(
+        selectedProject.id,
+        newLayout,
+        graphFilters
+      );
+      setVisualization(response.data.visualization);
+    } catch (error) {
+      console.error("Error loading visualization:", error);
+    }
+  };
+
+  const loadProjectDetails = async (
+    projectId,
+    filters = DEFAULT_GRAPH_FILTERS,
+    visualizationLayout = "force"
+  ) => {
     if (!projectId) return;
 
     try {
       const [graphRes, visualizationRes, documentsRes] = await Promise.all([
-        api.get(`/api/knowledge-graph/project/${projectId}/graph`),
-        api.get(`/api/knowledge-graph/project/${projectId}/visualization`),
+        fetchGraph(projectId, filters),
+        fetchVisualization(projectId, visualizationLayout, filters),
         api.get(`/api/knowledge-graph/project/${projectId}/documents`),
       ]);
 
@@ -191,6 +952,25 @@ function KnowledgeGraph() {
 
   useEffect(() => {
     if (selectedProject) {
+      // Entity types differ between projects, so start with no filters
+      setGraphFilters(DEFAULT_GRAPH_FILTERS);
+      setLayout("force");
+      clearPath();
+      setEdgeDetails(null);
+      setCommunities(null);
+      setKeyEntities(null);
+      setCompareTarget("");
+      setComparison(null);
+      setResolution(null);
+      setMergeSelection([]);
+      setOntology(selectedProject.ontology || null);
+      setOntologyForm((prev) => ({
+        ...prev,
+        ...formatOntology(selectedProject.ontology),
+      }));
+      setOntologySuggestion(null);
+      setReviewQueue(null);
+      setReviewChoices({});
       loadProjectDetails(selectedProject.id);
     }
   }, [selectedProject]);
@@ -241,6 +1021,43 @@ function KnowledgeGraph() {
               rows="3"
             />
           </div>
+          <div className="form-group">
+            <label>Entity Types (optional, comma-separated)</label>
+            <input
+              type="text"
+              className="form-input"
+              value={projectForm.entityTypes}
+              onChange={(e) =>
+                setProjectForm((prev) => ({
+                  ...prev,
+                  entityTypes: e.target.value,
+                }))
+              }
+              placeholder="e.g., person, organization, product"
+            />
+          </div>
+          {projectForm.entityTypes.trim() && (
+            <div className="form-group">
+              <label>
+                Relation Types (one per line: name: source types -&gt; target
+                types)
+              </label>
+              <textarea
+                className="form-input"
+                value={projectForm.relationTypes}
+                onChange={(e) =>
+                  setProjectForm((prev) => ({
+                    ...prev,
+                    relationTypes: e.target.value,
+                  }))
+                }
+                placeholder={
+                  "works_at: person -> organization\nmakes: organization -> product"
+                }
+                rows="3"
+              />
+            </div>
+          )}
           <button type="submit" disabled={isCreating} className="btn">
             {isCreating ? "Creating..." : "Create Project"}
           </button>
@@ -333,12 +1150,153 @@ function KnowledgeGraph() {
                       setUrlForm((prev) => ({ ...prev, title: e.target.value }))
                     }
                     placeholder="Article title"
+                    disabled={crawlForm.enabled}
                   />
                 </div>
-                <button type="submit" className="btn btn-secondary">
-                  Add URL
+                <div className="form-group">
+                  <label>Auto-refresh</label>
+                  <select
+                    className="form-input"
+                    value={urlForm.refreshIntervalMinutes}
+                    onChange={(e) =>
+                      setUrlForm((prev) => ({
+                        ...prev,
+                        refreshIntervalMinutes: Number(e.target.value),
+                      }))
+                    }
+                  >
+                    {REFRESH_INTERVALS.map((interval) => (
+                      <option key={interval.minutes} value={interval.minutes}>
+                        {interval.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  type="submit"
+                  className="btn btn-secondary"
+                  disabled={crawlJob?.status === "processing"}
+                >
+                  {crawlForm.enabled ? "Crawl Site" : "Add URL"}
                 </button>
               </form>
+              <div className="crawl-options">
+                <label className="crawl-toggle">
+                  <input
+                    type="checkbox"
+                    checked={crawlForm.enabled}
+                    onChange={(e) =>
+                      setCrawlForm((prev) => ({
+                        ...prev,
+                        enabled: e.target.checked,
+                      }))
+                    }
+                  />{" "}
+                  Crawl linked pages
+                </label>
+                {crawlForm.enabled && (
+                  <div className="crawl-settings">
+                    <label className="crawl-toggle">
+                      <input
+                        type="checkbox"
+                        checked={crawlForm.sameOrigin}
+                        onChange={(e) =>
+                          setCrawlForm((prev) => ({
+                            ...prev,
+                            sameOrigin: e.target.checked,
+                          }))
+                        }
+                      />{" "}
+                      Same site only
+                    </label>
+                    <div className="form-group">
+                      <label>Max depth</label>
+                      <input
+                        type="number"
+                        className="form-input"
+                        min="0"
+                        max="10"
+                        value={crawlForm.maxDepth}
+                        onChange={(e) =>
+                          setCrawlForm((prev) => ({
+                            ...prev,
+                            maxDepth: e.target.value,
+                          }))
+                        }
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Max pages</label>
+                      <input
+                        type="number"
+                        className="form-input"
+                        min="1"
+                        max="500"
+                        value={crawlForm.maxPages}
+                        onChange={(e) =>
+                          setCrawlForm((prev) => ({
+                            ...prev,
+                            maxPages: e.target.value,
+                          }))
+                        }
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Include patterns (one regex per line)</label>
+                      <textarea
+                        className="form-input"
+                        rows="2"
+                        value={crawlForm.include}
+                        onChange={(e) =>
+                          setCrawlForm((prev) => ({
+                            ...prev,
+                            include: e.target.value,
+                          }))
+                        }
+                        placeholder="/docs/"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Exclude patterns (one regex per line)</label>
+                      <textarea
+                        className="form-input"
+                        rows="2"
+                        value={crawlForm.exclude}
+                        onChange={(e) =>
+                          setCrawlForm((prev) => ({
+                            ...prev,
+                            exclude: e.target.value,
+                          }))
+                        }
+                        placeholder="\.pdf$"
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+              {crawlJob && crawlJob.projectId === selectedProject?.id && (
+                <div className="crawl-status">
+                  <small>
+                    Crawl of {crawlJob.startUrl}: {crawlJob.status} ·{" "}
+                    {crawlJob.progress.pagesProcessed} pages added
+                    {crawlJob.progress.pagesFailed > 0 &&
+                      `, ${crawlJob.progress.pagesFailed} failed`}
+                    , {crawlJob.progress.pagesSkipped} skipped
+                  </small>
+                  {crawlJob.skipped.length > 0 && (
+                    <details>
+                      <summary>Skipped URLs</summary>
+                      <ul>
+                        {crawlJob.skipped.map((skip, index) => (
+                          <li key={index}>
+                            {skip.url} — {skip.reason}
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                </div>
+              )}
             </div>
 
             <div className="build-section">
@@ -352,14 +1310,27 @@ function KnowledgeGraph() {
                 disabled={isBuilding || !selectedProject}
                 className="btn btn-danger"
               >
-                {isBuilding ? "Building..." : "Build Graph"}
+                {isBuilding
+                  ? `Building... ${buildStatus?.progress?.percent || 0}%`
+                  : "Build Graph"}
               </button>
               {selectedProject && (
                 <div className="build-info">
                   <small>
-                    Total content: {selectedProject.documents?.length || 0}{" "}
+                    Total content:{" "}
+                    {selectedProject.documentCount ??
+                      selectedProject.documents?.length ??
+                      0}{" "}
                     items
                   </small>
+                  {buildStatus?.progress && (
+                    <small>
+                      {" "}
+                      · Last build: {buildStatus.status} (
+                      {buildStatus.progress.processedDocuments}/
+                      {buildStatus.progress.totalDocuments} documents)
+                    </small>
+                  )}
                 </div>
               )}
             </div>
@@ -377,6 +1348,12 @@ function KnowledgeGraph() {
                       <span className="size">
                         {(doc.size / 1024).toFixed(1)} KB
                       </span>
+                      {doc.pageCount && (
+                        <span className="pages">{doc.pageCount} pages</span>
+                      )}
+                      {doc.language && (
+                        <span className="language">{doc.language}</span>
+                      )}
                       <span className="concepts">{doc.concepts} concepts</span>
                       <span className={`status ${doc.status}`}>
                         {doc.status}
@@ -385,9 +1362,149 @@ function KnowledgeGraph() {
                     <p>
                       Uploaded: {new Date(doc.uploadedAt).toLocaleDateString()}
                     </p>
+                    {doc.type === "url" && doc.refresh && (
+                      <div className="document-refresh">
+                        <label>
+                          Auto-refresh{" "}
+                          <select
+                            value={doc.refresh.intervalMinutes || 0}
+                            onChange={(e) =>
+                              handleRefreshIntervalChange(
+                                doc,
+                                Number(e.target.value)
+                              )
+                            }
+                          >
+                            {REFRESH_INTERVALS.some(
+                              (interval) =>
+                                interval.minutes ===
+                                (doc.refresh.intervalMinutes || 0)
+                            ) || (
+                              <option value={doc.refresh.intervalMinutes}>
+                                Every {doc.refresh.intervalMinutes} minutes
+                              </option>
+                            )}
+                            {REFRESH_INTERVALS.map((interval) => (
+                              <option
+                                key={interval.minutes}
+                                value={interval.minutes}
+                              >
+                                {interval.label}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <small>
+                          {doc.refresh.lastCheckedAt &&
+                            `Checked ${new Date(
+                              doc.refresh.lastCheckedAt
+                            ).toLocaleString()} (${(
+                              doc.refresh.lastResult || ""
+                            ).replace("_", " ")})`}
+                          {doc.refresh.error && ` · ${doc.refresh.error}`}
+                          {` · ${doc.versionCount} versions`}
+                        </small>
+                      </div>
+                    )}
+                    <div className="document-actions">
+                      <button
+                        className="btn btn-secondary"
+                        disabled={Boolean(documentAction)}
+                        onClick={() => handleReextractDocument(doc)}
+                      >
+                        {documentAction?.id === doc.id &&
+                        documentAction.action === "reextract"
+                          ? "Re-extracting..."
+                          : "Re-extract"}
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        disabled={Boolean(documentAction)}
+                        onClick={() => handleDeleteDocument(doc)}
+                      >
+                        {documentAction?.id === doc.id &&
+                        documentAction.action === "delete"
+                          ? "Deleting..."
+                          : "Delete"}
+                      </button>
+                      {doc.type === "url" && (
+                        <>
+                          <button
+                            className="btn btn-secondary"
+                            disabled={Boolean(documentAction)}
+                            onClick={() => handleRefreshDocument(doc)}
+                          >
+                            {documentAction?.id === doc.id &&
+                            documentAction.action === "refresh"
+                              ? "Refreshing..."
+                              : "Refresh now"}
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => loadDocumentVersions(doc)}
+                          >
+                            History
+                          </button>
+                        </>
+                      )}
+                    </div>
                   </div>
                 ))}
               </div>
+              {documentVersions && (
+                <div className="history-panel">
+                  <div className="history-header">
+                    <h3>
+                      Versions of{" "}
+                      {documentVersions.document.title ||
+                        documentVersions.document.url}
+                    </h3>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setDocumentVersions(null)}
+                    >
+                      Close
+                    </button>
+                  </div>
+                  {documentVersions.versions.length === 0 && (
+                    <p>No versions recorded yet.</p>
+                  )}
+                  {[...documentVersions.versions].reverse().map((version) => (
+                    <div key={version.version} className="history-version">
+                      <strong>
+                        Version {version.version} ·{" "}
+                        {new Date(version.fetchedAt).toLocaleString()}
+                      </strong>
+                      <ul>
+                        {["entities", "relationships"].flatMap((group) => [
+                          ...version.added[group].map((fact) => (
+                            <li key={`+${fact.key}`} className="fact-added">
+                              +{" "}
+                              {describeFact(
+                                group === "entities"
+                                  ? "entity"
+                                  : "relationship",
+                                fact
+                              )}
+                            </li>
+                          )),
+                          ...version.removed[group].map((fact) => (
+                            <li key={`-${fact.key}`} className="fact-removed">
+                              −{" "}
+                              {describeFact(
+                                group === "entities"
+                                  ? "entity"
+                                  : "relationship",
+                                fact
+                              )}
+                            </li>
+                          )),
+                        ])}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
 
@@ -411,12 +1528,189 @@ function KnowledgeGraph() {
                   <h3>Entities</h3>
                   <span>{graph.stats.entities}</span>
                 </div>
+                {graph.stats.mostCentral && (
+                  <div className="stat-card">
+                    <h3>Most Central</h3>
+                    <span className="stat-label">
+                      {graph.stats.mostCentral.pagerank.label}
+                    </span>
+                  </div>
+                )}
+              </div>
+
+              <div className="key-entities">
+                <div className="path-header">
+                  <h4>Key Entities</h4>
+                  {keyEntities ? (
+                    <div className="ontology-actions">
+                      <select
+                        value={keyEntities.metric}
+                        onChange={(e) => loadKeyEntities(e.target.value)}
+                      >
+                        {CENTRALITY_METRICS.map(({ metric, label }) => (
+                          <option key={metric} value={metric}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => setKeyEntities(null)}
+                      >
+                        Hide
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => loadKeyEntities()}
+                    >
+                      Show Key Entities
+                    </button>
+                  )}
+                </div>
+                {keyEntities && (
+                  <>
+                    <div className="key-entity-types">
+                      {keyEntities.rankings.map((ranking) => (
+                        <div key={ranking.type} className="key-entity-type">
+                          <h5>
+                            {ranking.type} ({ranking.count})
+                          </h5>
+                          <ol>
+                            {ranking.nodes.map((node) => (
+                              <li key={node.id}>
+                                {node.label}{" "}
+                                <span className="key-entity-score">
+                                  {node.score.toFixed(3)}
+                                </span>
+                              </li>
+                            ))}
+                          </ol>
+                        </div>
+                      ))}
+                    </div>
+                    <h5>Bridge entities</h5>
+                    {keyEntities.bridges.length === 0 ? (
+                      <p className="path-hint">
+                        No entity links separate communities yet.
+                      </p>
+                    ) : (
+                      <ul className="key-entity-bridges">
+                        {keyEntities.bridges.map((bridge) => (
+                          <li key={bridge.id}>
+                            <strong>{bridge.label}</strong> links{" "}
+                            {[
+                              bridge.communityTitle,
+                              ...bridge.connects.map((c) => c.title),
+                            ]
+                              .filter(Boolean)
+                              .join(" · ")}{" "}
+                            <span className="key-entity-score">
+                              betweenness {bridge.betweenness.toFixed(3)}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </>
+                )}
+              </div>
+
+              <div className="graph-export">
+                <span className="graph-filter-label">Export</span>
+                {EXPORT_FORMATS.map((exportFormat) => (
+                  <button
+                    key={exportFormat.format}
+                    className="btn btn-secondary"
+                    disabled={Boolean(exportingFormat)}
+                    onClick={() => handleExport(exportFormat)}
+                  >
+                    {exportingFormat === exportFormat.format
+                      ? "Exporting..."
+                      : exportFormat.label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="visualization-controls graph-filters">
+                <select
+                  value={graphFilters.type}
+                  onChange={(e) => updateGraphFilters({ type: e.target.value })}
+                >
+                  <option value="">All types</option>
+                  {Object.entries(graph.stats.byType || {}).map(
+                    ([type, count]) => (
+                      <option key={type} value={type}>
+                        {type} ({count})
+                      </option>
+                    )
+                  )}
+                </select>
+                <label className="graph-filter-label">
+                  Min frequency
+                  <input
+                    type="number"
+                    min="0"
+                    className="form-input graph-filter-input"
+                    value={graphFilters.minFrequency}
+                    onChange={(e) =>
+                      updateGraphFilters({
+                        minFrequency: Number(e.target.value) || 0,
+                      })
+                    }
+                  />
+                </label>
+                <label className="graph-filter-label">
+                  As of
+                  <input
+                    type="date"
+                    className="form-input graph-filter-input graph-filter-date"
+                    value={graphFilters.asOf}
+                    onChange={(e) =>
+                      updateGraphFilters({ asOf: e.target.value })
+                    }
+                  />
+                </label>
+                {graph.pagination && (
+                  <div className="graph-pagination">
+                    <button
+                      className="btn btn-secondary"
+                      disabled={graph.pagination.page <= 1}
+                      onClick={() =>
+                        updateGraphFilters({ page: graph.pagination.page - 1 })
+                      }
+                    >
+                      Previous
+                    </button>
+                    <span>
+                      Page {graph.pagination.page} of{" "}
+                      {Math.max(graph.pagination.totalPages, 1)} (
+                      {graph.pagination.totalNodes} nodes)
+                    </span>
+                    <button
+                      className="btn btn-secondary"
+                      disabled={!graph.pagination.hasMore}
+                      onClick={() =>
+                        updateGraphFilters({ page: graph.pagination.page + 1 })
+                      }
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
               </div>
 
               <div className="graph-preview">
-                <h3>Sample Nodes</h3>
+                <h3>Nodes</h3>
+                {graph.nodes.length === 0 && (
+                  <p>
+                    No nodes match. Upload documents and build the graph, or
+                    relax the filters.
+                  </p>
+                )}
                 <div className="documents-list">
-                  {graph.nodes.slice(0, 5).map((node, index) => (
+                  {graph.nodes.map((node, index) => (
                     <div key={index} className="document-card">
                       <h4>{node.label}</h4>
                       <div className="document-info">
@@ -429,6 +1723,77 @@ function KnowledgeGraph() {
                         </span>
                       </div>
                       <p>{node.properties.description}</p>
+                      {node.aliases?.length > 0 && (
+                        <div className="node-aliases">
+                          {node.aliases.map((alias) => (
+                            <span key={alias} className="node-alias">
+                              {alias}
+                              <button
+                                className="node-alias-split"
+                                title={`Split "${alias}" into its own entity`}
+                                disabled={isBuilding}
+                                onClick={() =>
+                                  submitResolutionDecision({
+                                    action: "split",
+                                    nodeId: node.id,
+                                    names: [alias],
+                                  })
+                                }
+                              >
+                                Split
+                              </button>
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="document-actions">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => toggleMergeSelection(node)}
+                        >
+                          {mergeSelection.some(
+                            (selected) => selected.id === node.id
+                          )
+                            ? "Deselect"
+                            : "Select to merge"}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => loadNodeHistory(node)}
+                        >
+                          {nodeHistory?.node.id === node.id
+                            ? "Hide history"
+                            : "History"}
+                        </button>
+                      </div>
+                      {nodeHistory?.node.id === node.id && (
+                        <div className="node-history">
+                          {nodeHistory.events.length === 0 ? (
+                            <small>
+                              No history: this entity only comes from uploaded
+                              files or URLs that have not changed.
+                            </small>
+                          ) : (
+                            <ul>
+                              {nodeHistory.events.map((event, eventIndex) => (
+                                <li
+                                  key={eventIndex}
+                                  className={
+                                    event.change === "appeared"
+                                      ? "fact-added"
+                                      : "fact-removed"
+                                  }
+                                >
+                                  {new Date(event.at).toLocaleString()}:{" "}
+                                  {describeFact(event.kind, event.fact)}{" "}
+                                  {event.change} in {event.documentName} (v
+                                  {event.version})
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -436,6 +1801,299 @@ function KnowledgeGraph() {
             </div>
           )}
 
+          {graph && (
+            <div className="resolution-section glass-card">
+              <h2>Entity Resolution</h2>
+              <p>
+                Review entities that probably refer to the same thing. Merges
+                and splits are kept and applied on every rebuild.
+              </p>
+              <button
+                className="btn btn-secondary"
+                onClick={loadResolution}
+                disabled={isBuilding}
+              >
+                {resolution ? "Refresh Candidates" : "Find Duplicates"}
+              </button>
+
+              {mergeSelection.length > 0 && (
+                <div className="merge-selection">
+                  <span>
+                    Selected: {mergeSelection.map((n) => n.label).join(", ")}
+                  </span>
+                  <button
+                    className="btn btn-primary"
+                    disabled={mergeSelection.length < 2 || isBuilding}
+                    onClick={() =>
+                      submitResolutionDecision({
+                        action: "merge",
+                        keepId: mergeSelection[0].id,
+                        mergeIds: mergeSelection.slice(1).map((n) => n.id),
+                      })
+                    }
+                  >
+                    Merge into {mergeSelection[0].label}
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setMergeSelection([])}
+                  >
+                    Clear
+                  </button>
+                </div>
+              )}
+
+              {resolution && (
+                <>
+                  <h3>Merge Candidates ({resolution.candidates.length})</h3>
+                  {resolution.candidates.length === 0 && (
+                    <p>No likely duplicates found.</p>
+                  )}
+                  <div className="candidates-list">
+                    {resolution.candidates.map((candidate) => (
+                      <div key={candidate.id} className="candidate-item">
+                        <div className="candidate-names">
+                          {candidate.nodes.map((node) => (
+                            <span key={node.id} className="candidate-node">
+                              <strong>{node.label}</strong> ({node.type},{" "}
+                              {node.frequency} mentions)
+                            </span>
+                          ))}
+                        </div>
+                        <div className="candidate-reasons">
+                          {Math.round(candidate.score * 100)}% match · name{" "}
+                          {Math.round(candidate.reasons.nameSimilarity * 100)}%
+                          ·{" "}
+                          {candidate.reasons.typeAgreement
+                            ? "same"
+                            : "different"}{" "}
+                          type · {candidate.reasons.sharedNeighbours} shared
+                          neighbours
+                        </div>
+                        <div className="candidate-actions">
+                          <button
+                            className="btn btn-primary"
+                            disabled={isBuilding}
+                            onClick={() =>
+                              submitResolutionDecision({
+                                action: "accept",
+                                nodeIds: candidate.nodes.map((n) => n.id),
+                              })
+                            }
+                          >
+                            Merge
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() =>
+                              submitResolutionDecision({
+                                action: "reject",
+                                nodeIds: candidate.nodes.map((n) => n.id),
+                              })
+                            }
+                          >
+                            Not the same
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  {resolution.decisions.length > 0 && (
+                    <>
+                      <h3>Decisions</h3>
+                      <div className="decisions-list">
+                        {resolution.decisions.map((decision) => (
+                          <div key={decision.id} className="decision-item">
+                            <span>{describeDecision(decision)}</span>
+                            <button
+                              className="btn btn-secondary"
+                              disabled={isBuilding}
+                              onClick={() =>
+                                undoResolutionDecision(decision.id)
+                              }
+                            >
+                              Undo
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          <div className="ontology-section glass-card">
+            <h2>Ontology</h2>
+            <p>
+              {ontology
+                ? "Extraction is limited to these entity and relation types. Facts that don't fit wait in the review queue."
+                : "No ontology: extraction uses whatever types the model finds. Suggest one from the extracted data to tidy up near-duplicate labels."}
+            </p>
+            <div className="form-group">
+              <label>Entity Types (comma-separated)</label>
+              <input
+                type="text"
+                className="form-input"
+                value={ontologyForm.entityTypes}
+                onChange={(e) =>
+                  setOntologyForm((prev) => ({
+                    ...prev,
+                    entityTypes: e.target.value,
+                  }))
+                }
+                placeholder="Leave empty to remove the ontology"
+              />
+            </div>
+            <div className="form-group">
+              <label>
+                Relation Types (one per line: name: source types -&gt; target
+                types)
+              </label>
+              <textarea
+                className="form-input"
+                value={ontologyForm.relationTypes}
+                onChange={(e) =>
+                  setOntologyForm((prev) => ({
+                    ...prev,
+                    relationTypes: e.target.value,
+                  }))
+                }
+                placeholder="Leave empty to allow any relation label"
+                rows="4"
+              />
+            </div>
+            <label className="crawl-toggle">
+              <input
+                type="checkbox"
+                checked={ontologyForm.applyToExisting}
+                onChange={(e) =>
+                  setOntologyForm((prev) => ({
+                    ...prev,
+                    applyToExisting: e.target.checked,
+                  }))
+                }
+              />{" "}
+              Apply to documents already extracted (rebuilds the graph)
+            </label>
+            <div className="ontology-actions">
+              <button
+                className="btn btn-primary"
+                onClick={saveOntology}
+                disabled={isBuilding}
+              >
+                Save Ontology
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={loadOntologySuggestion}
+              >
+                Suggest from Extracted Data
+              </button>
+              <button className="btn btn-secondary" onClick={loadReviewQueue}>
+                {reviewQueue ? "Refresh Review Queue" : "Show Review Queue"}
+              </button>
+            </div>
+            {ontologySuggestion && (
+              <p className="ontology-coverage">
+                The suggestion covers{" "}
+                {Math.round(ontologySuggestion.coverage.entities * 100)}% of
+                extracted entities and{" "}
+                {Math.round(ontologySuggestion.coverage.relationships * 100)}%
+                of relationships. Review it, then save.
+              </p>
+            )}
+
+            {reviewQueue && (
+              <>
+                <h3>Review Queue ({reviewQueue.items.length})</h3>
+                {reviewQueue.items.length === 0 && (
+                  <p>Nothing is waiting for review.</p>
+                )}
+                <div className="candidates-list">
+                  {reviewQueue.items.map((item) => {
+                    const choices =
+                      item.kind === "entity"
+                        ? (ontology?.entityTypes || []).map((t) => t.name)
+                        : (ontology?.relationTypes || []).map((r) => r.name);
+                    return (
+                      <div key={item.id} className="candidate-item">
+                        <div className="candidate-names">
+                          <strong>
+                            {describeFact(item.kind, reviewFact(item))}
+                          </strong>
+                          <span>{item.documentName}</span>
+                        </div>
+                        <div className="candidate-reasons">{item.reason}</div>
+                        <div className="candidate-actions">
+                          {choices.length > 0 && (
+                            <select
+                              value={reviewChoices[item.id] || ""}
+                              onChange={(e) =>
+                                setReviewChoices((prev) => ({
+                                  ...prev,
+                                  [item.id]: e.target.value,
+                                }))
+                              }
+                            >
+                              <option value="">
+                                Keep{" "}
+                                {item.kind === "entity"
+                                  ? `type "${item.item.type}"`
+                                  : `label "${item.item.label}"`}
+                              </option>
+                              {choices.map((choice) => (
+                                <option key={choice} value={choice}>
+                                  {choice}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                          <button
+                            className="btn btn-primary"
+                            disabled={isBuilding}
+                            onClick={() => submitReview(item, "accept")}
+                          >
+                            Accept
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            disabled={isBuilding}
+                            onClick={() => submitReview(item, "reject")}
+                          >
+                            Reject
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                {reviewQueue.reviews.length > 0 && (
+                  <>
+                    <h3>Recent Decisions</h3>
+                    <div className="decisions-list">
+                      {reviewQueue.reviews.slice(0, 10).map((review) => (
+                        <div key={review.id} className="decision-item">
+                          <span>
+                            {review.action === "accept"
+                              ? "Accepted"
+                              : "Rejected"}{" "}
+                            {describeFact(review.kind, review.fact)}
+                            {review.type && ` as ${review.type}`}
+                            {review.label && ` as ${review.label}`}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+
           <div className="query-section glass-card">
             <h2>Natural Language Q&A</h2>
             <form onSubmit={handleQuery} className="query-form">
@@ -463,6 +2121,9 @@ function KnowledgeGraph() {
             {queryResult && (
               <div className="query-result">
                 <h3>Answer</h3>
+                {queryResult.asOf && (
+                  <p className="query-as-of">As of {queryResult.asOf}</p>
+                )}
                 <p className="answer">{queryResult.answer}</p>
 
                 <div className="query-meta">
@@ -499,6 +2160,11 @@ function KnowledgeGraph() {
                           <span className="relevance">
                             {(source.relevance * 100).toFixed(0)}% relevant
                           </span>
+                          {source.snippet && (
+                            <p className="source-snippet">
+                              “{source.snippet}…”
+                            </p>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -537,20 +2203,74 @@ function KnowledgeGraph() {
             <div className="visualization-section glass-card">
               <h2>Graph Visualization</h2>
               <div className="visualization-controls">
-                <select defaultValue="force">
+                <select
+                  value={layout}
+                  onChange={(e) => handleLayoutChange(e.target.value)}
+                >
                   <option value="force">Force Layout</option>
                   <option value="hierarchical">Hierarchical</option>
                   <option value="circular">Circular</option>
                 </select>
+                <select
+                  value={graphFilters.colorBy}
+                  onChange={(e) =>
+                    updateGraphFilters({ colorBy: e.target.value })
+                  }
+                >
+                  <option value="type">Colour by type</option>
+                  <option value="community">Colour by community</option>
+                </select>
+                <label className="graph-filter-label">
+                  <input
+                    type="checkbox"
+                    checked={graphFilters.collapse}
+                    onChange={(e) =>
+                      updateGraphFilters({ collapse: e.target.checked })
+                    }
+                  />
+                  Collapse communities
+                </label>
+                <button
+                  className="btn btn-secondary"
+                  disabled={isLoadingCommunities}
+                  onClick={loadCommunities}
+                >
+                  {isLoadingCommunities
+                    ? "Finding communities..."
+                    : communities
+                    ? "Hide Communities"
+                    : "Communities"}
+                </button>
                 <div className="graph-stats">
                   <span>{visualization.nodes.length} nodes</span>
                   <span>{visualization.edges.length} edges</span>
+                  {visualization.truncated && (
+                    <span>
+                      top {visualization.nodes.length} of{" "}
+                      {visualization.totalNodes} by frequency
+                    </span>
+                  )}
                 </div>
               </div>
 
+              {visualization.nodes.length > 0 && (
+                <p className="path-hint">
+                  {visualization.collapsed
+                    ? "Each node is a community of related entities. Click one to expand the graph."
+                    : "Click two nodes to highlight the shortest path between them, or an edge to see the sentences it was extracted from."}
+                </p>
+              )}
+
               {visualization.nodes.length > 0 ? (
                 <div className="graph-container">
-                  <svg width="800" height="600" className="graph-svg">
+                  <svg
+                    width={visualization.width || 800}
+                    height={visualization.height || 600}
+                    viewBox={`0 0 ${visualization.width || 800} ${
+                      visualization.height || 600
+                    }`}
+                    className="graph-svg"
+                  >
                     <defs>
                       <marker
                         id="arrowhead"
@@ -573,16 +2293,39 @@ function KnowledgeGraph() {
                         (n) => n.id === edge.target
                       );
                       if (!sourceNode || !targetNode) return null;
+                      const onPath = pathResult?.edges.some(
+                        (pathEdge) => pathEdge.id === edge.id
+                      );
+                      const selected = edgeDetails?.edge.id === edge.id;
 
                       return (
-                        <g key={`edge-${index}`}>
+                        <g
+                          key={`edge-${index}`}
+                          className="graph-edge"
+                          onClick={() => handleEdgeClick(edge.id)}
+                        >
+                          {/* Wider transparent line so thin edges are easy to click */}
+                          <line
+                            x1={sourceNode.x}
+                            y1={sourceNode.y}
+                            x2={targetNode.x}
+                            y2={targetNode.y}
+                            stroke="transparent"
+                            strokeWidth={12}
+                          />
                           <line
                             x1={sourceNode.x}
                             y1={sourceNode.y}
                             x2={targetNode.x}
                             y2={targetNode.y}
-                            stroke={edge.color || "#007aff"}
-                            strokeWidth={edge.width || 2}
+                            stroke={
+                              onPath || selected
+                                ? "#ff9500"
+                                : edge.color || "#007aff"
+                            }
+                            strokeWidth={
+                              (edge.width || 2) + (onPath || selected ? 3 : 0)
+                            }
                             markerEnd="url(#arrowhead)"
                           />
                           <text
@@ -600,32 +2343,44 @@ function KnowledgeGraph() {
                     })}
 
                     {/* Render nodes */}
-                    {visualization.nodes.map((node, index) => (
-                      <g key={`node-${index}`} className="graph-node">
-                        <circle
-                          cx={node.x}
-                          cy={node.y}
-                          r={node.size}
-                          fill={node.color}
-                          stroke="#fff"
-                          strokeWidth="2"
-                          className="node-circle"
-                          title={`${node.label} (${node.frequency} occurrences)`}
-                        />
-                        <text
-                          x={node.x}
-                          y={node.y + node.size + 15}
-                          textAnchor="middle"
-                          fontSize="12"
-                          fill="#1d1d1f"
-                          className="node-label"
+                    {visualization.nodes.map((node, index) => {
+                      const highlighted =
+                        pathNodes.includes(node.id) ||
+                        pathResult?.nodes.some(
+                          (pathNode) => pathNode.id === node.id
+                        );
+
+                      return (
+                        <g
+                          key={`node-${index}`}
+                          className="graph-node"
+                          onClick={() => handleNodeClick(node.id)}
                         >
-                          {node.label.length > 15
-                            ? node.label.substring(0, 15) + "..."
-                            : node.label}
-                        </text>
-                      </g>
-                    ))}
+                          <circle
+                            cx={node.x}
+                            cy={node.y}
+                            r={node.size}
+                            fill={node.color}
+                            stroke={highlighted ? "#ff9500" : "#fff"}
+                            strokeWidth={highlighted ? 4 : 2}
+                            className="node-circle"
+                            title={`${node.label} (${node.frequency} occurrences)`}
+                          />
+                          <text
+                            x={node.x}
+                            y={node.y + node.size + 15}
+                            textAnchor="middle"
+                            fontSize="12"
+                            fill="#1d1d1f"
+                            className="node-label"
+                          >
+                            {node.label.length > 15
+                              ? node.label.substring(0, 15) + "..."
+                              : node.label}
+                          </text>
+                        </g>
+                      );
+                    })}
                   </svg>
                 </div>
               ) : (
@@ -637,8 +2392,141 @@ function KnowledgeGraph() {
                 </div>
               )}
 
+              {pathNodes.length > 0 && (
+                <div className="path-panel">
+                  <div className="path-header">
+                    <h4>
+                      {pathNodes.length === 1
+                        ? "Click another node to find the path"
+                        : pathResult?.found
+                        ? `Shortest path (${pathResult.length} hop${
+                            pathResult.length === 1 ? "" : "s"
+                          })`
+                        : "No path between these entities"}
+                    </h4>
+                    <button className="btn btn-secondary" onClick={clearPath}>
+                      Clear
+                    </button>
+                  </div>
+                  {pathResult?.found && (
+                    <ol className="path-steps">
+                      {pathResult.edges.map((edge, index) => {
+                        const fromNode = pathResult.nodes[index];
+                        const toNode = pathResult.nodes[index + 1];
+                        const forward = edge.source === fromNode.id;
+
+                        return (
+                          <li key={edge.id} className="path-step">
+                            <div>
+                              <strong>{fromNode.label}</strong>{" "}
+                              {forward ? `—${edge.label}→` : `←${edge.label}—`}{" "}
+                              <strong>{toNode.label}</strong>
+                            </div>
+                            <div className="path-documents">
+                              {edge.sourceDocuments.map((doc) => (
+                                <span key={doc.id} className="path-document">
+                                  📄 {doc.name}
+                                </span>
+                              ))}
+                            </div>
+                          </li>
+                        );
+                      })}
+                    </ol>
+                  )}
+                </div>
+              )}
+
+              {edgeDetails && (
+                <div className="path-panel">
+                  <div className="path-header">
+                    <h4>
+                      {edgeDetails.source?.label} —{edgeDetails.edge.label}→{" "}
+                      {edgeDetails.target?.label}
+                    </h4>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setEdgeDetails(null)}
+                    >
+                      Close
+                    </button>
+                  </div>
+                  {edgeDetails.provenance.length === 0 ? (
+                    <p className="path-hint">
+                      No source sentence was found for this relationship.
+                    </p>
+                  ) : (
+                    edgeDetails.provenance.map((entry) => (
+                      <div key={entry.documentId} className="edge-provenance">
+                        <div className="path-document">📄 {entry.document}</div>
+                        {entry.spans.map((span) => (
+                          <blockquote
+                            key={`${span.start}-${span.end}`}
+                            className="provenance-snippet"
+                          >
+                            {highlightSnippet(span)}
+                            {span.page && (
+                              <span className="provenance-page">
+                                {" "}
+                                (page {span.page})
+                              </span>
+                            )}
+                          </blockquote>
+                        ))}
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+
+              {communities && (
+                <div className="communities-panel">
+                  <h4>
+                    {communities.communities.length === 1
+                      ? "1 community"
+                      : `${communities.communities.length} communities`}{" "}
+                    (modularity {communities.modularity})
+                  </h4>
+                  {communities.communities.length === 0 && (
+                    <p className="path-hint">
+                      No connected entities yet. Build the graph first.
+                    </p>
+                  )}
+                  {communities.communities.map((community) => (
+                    <div key={community.id} className="community-card">
+                      <div className="community-header">
+                        <strong>{community.title}</strong>
+                        <span className="community-size">
+                          {community.size} entities
+                        </span>
+                      </div>
+                      {community.summary && (
+                        <p className="community-summary">{community.summary}</p>
+                      )}
+                      <div className="community-central">
+                        Central:{" "}
+                        {community.centralNodes
+                          .map((node) => node.label)
+                          .join(", ")}
+                      </div>
+                      <div className="path-documents">
+                        {community.documents.slice(0, 5).map((doc) => (
+                          <span key={doc.id} className="path-document">
+                            📄 {doc.name}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div className="groups-info">
-                <h4>Node Groups</h4>
+                <h4>
+                  {visualization.colorBy === "community"
+                    ? "Communities"
+                    : "Node Groups"}
+                </h4>
                 {visualization.groups?.map((group, index) => (
                   <div key={index} className="group-item">
                     <span
@@ -653,6 +2541,179 @@ function KnowledgeGraph() {
               </div>
             </div>
           )}
+
+          {projects.length > 1 && (
+            <div className="compare-section glass-card">
+              <h2>Compare Projects</h2>
+              <div className="visualization-controls">
+                <select
+                  value={compareTarget}
+                  onChange={(e) => {
+                    setCompareTarget(e.target.value);
+                    setComparison(null);
+                  }}
+                >
+                  <option value="">Compare with...</option>
+                  {projects
+                    .filter((project) => project.id !== selectedProject.id)
+                    .map((project) => (
+                      <option key={project.id} value={project.id}>
+                        {project.name}
+                      </option>
+                    ))}
+                </select>
+                <button
+                  className="btn btn-primary"
+                  disabled={!compareTarget || isComparing}
+                  onClick={handleCompare}
+                >
+                  {isComparing ? "Comparing..." : "Compare"}
+                </button>
+              </div>
+
+              {comparison && (
+                <>
+                  <div className="stats-grid">
+                    <div className="stat-card">
+                      <h3>Only in {comparison.projectA.name}</h3>
+                      <span>{comparison.counts.entities.onlyA}</span>
+                      <p>
+                        {comparison.counts.relationships.onlyA} relationships
+                      </p>
+                    </div>
+                    <div className="stat-card">
+                      <h3>In both</h3>
+                      <span>{comparison.counts.entities.shared}</span>
+                      <p>
+                        {comparison.counts.relationships.shared} relationships
+                      </p>
+                    </div>
+                    <div className="stat-card">
+                      <h3>Only in {comparison.projectB.name}</h3>
+                      <span>{comparison.counts.entities.onlyB}</span>
+                      <p>
+                        {comparison.counts.relationships.onlyB} relationships
+                      </p>
+                    </div>
+                  </div>
+
+                  {comparison.visualization.nodes.length > 0 && (
+                    <div className="graph-container">
+                      <svg
+                        width={comparison.visualization.width}
+                        height={comparison.visualization.height}
+                        viewBox={`0 0 ${comparison.visualization.width} ${comparison.visualization.height}`}
+                        className="graph-svg"
+                      >
+                        {comparison.visualization.edges.map((edge) => {
+                          const sourceNode =
+                            comparison.visualization.nodes.find(
+                              (n) => n.id === edge.source
+                            );
+                          const targetNode =
+                            comparison.visualization.nodes.find(
+                              (n) => n.id === edge.target
+                            );
+                          if (!sourceNode || !targetNode) return null;
+                          return (
+                            <line
+                              key={edge.id}
+                              x1={sourceNode.x}
+                              y1={sourceNode.y}
+                              x2={targetNode.x}
+                              y2={targetNode.y}
+                              stroke={edge.color}
+                              strokeWidth={edge.width}
+                              strokeDasharray={
+                                edge.status === "shared" ? undefined : "6 3"
+                              }
+                            />
+                          );
+                        })}
+                        {comparison.visualization.nodes.map((node) => (
+                          <g key={node.id}>
+                            <circle
+                              cx={node.x}
+                              cy={node.y}
+                              r={node.size}
+                              fill={node.color}
+                              stroke="#fff"
+                              strokeWidth={2}
+                            />
+                            <text
+                              x={node.x}
+                              y={node.y + node.size + 15}
+                              textAnchor="middle"
+                              fontSize="12"
+                              fill="#1d1d1f"
+                              className="node-label"
+                            >
+                              {node.label.length > 15
+                                ? node.label.substring(0, 15) + "..."
+                                : node.label}
+                            </text>
+                          </g>
+                        ))}
+                      </svg>
+                    </div>
+                  )}
+
+                  <div className="groups-info">
+                    {comparison.visualization.groups.map((group) => (
+                      <div key={group.id} className="group-item">
+                        <span
+                          className="group-color"
+                          style={{ backgroundColor: group.color }}
+                        ></span>
+                        <span className="group-name">
+                          {group.label} ({group.count})
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="compare-lists">
+                    {[
+                      ["onlyA", comparison.projectA.name],
+                      ["onlyB", comparison.projectB.name],
+                    ].map(([side, name]) => (
+                      <div key={side} className="compare-list">
+                        <h4>Only in {name}</h4>
+                        <ul>
+                          {comparison.entities[side].slice(0, 15).map((e) => (
+                            <li key={e.id}>
+                              {e.label} <span className="type">{e.type}</span>
+                            </li>
+                          ))}
+                        </ul>
+                        {comparison.relationships[side]
+                          .slice(0, 10)
+                          .map((r) => (
+                            <div key={r.id} className="path-document">
+                              {r.sourceLabel} —{r.label}→ {r.targetLabel}
+                            </div>
+                          ))}
+                      </div>
+                    ))}
+                  </div>
+
+                  {comparison.entities.typeMismatches.length > 0 && (
+                    <div className="compare-list">
+                      <h4>Same name, different type</h4>
+                      <ul>
+                        {comparison.entities.typeMismatches.map(({ a, b }) => (
+                          <li key={a.id}>
+                            {a.label}: {a.type} in {comparison.projectA.name},{" "}
+                            {b.type} in {comparison.projectB.name}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
         </>
       ) : (
         <div className="no-project-selected">
@@ -665,7 +2726,7 @@ function KnowledgeGraph() {
             <div className="features-list">
               <div className="feature-item">
                 <span className="feature-icon">📄</span>
-                <span>Upload TXT, PDF, HTML, MD files</span>
+                <span>Upload TXT, PDF, DOC, DOCX, HTML, MD files</span>
               </div>
               <div className="feature-item">
                 <span className="feature-icon">🌐</span>
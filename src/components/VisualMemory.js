@@ -1,16 +1,100 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import { api, apiConfig } from "../config/api";
 import "./VisualMemory.css";
 
+const MAX_QUERY_SUGGESTIONS = 8;
+
+// Storage stats listing the known values of each search query field
+const QUERY_FIELD_VALUES = {
+  folder: "folders",
+  color: "colors",
+  type: "entityTypes",
+  object: "primaryObjects",
+};
+
+// Known values of a query field matching what's typed after "field:"
+const getValueSuggestions = (fieldName, typed, fields, storageInfo) => {
+  const name = fieldName.toLowerCase();
+  const field = fields.find(
+    (candidate) => candidate.name === name || candidate.aliases.includes(name)
+  );
+  if (!field || !QUERY_FIELD_VALUES[field.name]) return [];
+
+  const partial = typed.replace(/^"/, "").toLowerCase();
+  const seen = new Set();
+  return (storageInfo[QUERY_FIELD_VALUES[field.name]] || [])
+    .filter((value) => {
+      const key = value.toLowerCase();
+      if (seen.has(key) || !key.includes(partial) || key === partial) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_QUERY_SUGGESTIONS)
+    .map((value) => ({
+      label: value,
+      insert: `${field.name}:${/\s/.test(value) ? `"${value}"` : value} `,
+      hint: field.description,
+      replace: fieldName.length + 1 + typed.length,
+    }));
+};
+
+// Autocomplete for the word being typed at the end of a search query:
+// field names ("col" -> "color:"), or known values once a field is typed
+// ("color:re" -> "color:red")
+const getQuerySuggestions = (query, storageInfo) => {
+  const fields = storageInfo?.searchFields || [];
+  const word = query.match(/[-(]*([^\s()]*)$/)[1];
+  if (!word || (query.split('"').length - 1) % 2 === 1) {
+    // Nothing typed yet, or inside an open quote that isn't a field value
+    const quotedValue = query.match(/(\w+):"([^"]*)$/);
+    if (!quotedValue) return [];
+    return getValueSuggestions(
+      quotedValue[1],
+      `"${quotedValue[2]}`,
+      fields,
+      storageInfo
+    );
+  }
+
+  const separator = word.indexOf(":");
+  if (separator === -1) {
+    const partial = word.toLowerCase();
+    return fields
+      .filter((field) =>
+        [field.name, ...field.aliases].some((name) => name.startsWith(partial))
+      )
+      .map((field) => ({
+        label: `${field.name}:`,
+        insert: `${field.name}:`,
+        hint: field.description,
+        replace: word.length,
+      }));
+  }
+  return getValueSuggestions(
+    word.slice(0, separator),
+    word.slice(separator + 1),
+    fields,
+    storageInfo
+  );
+};
+
 function VisualMemory() {
   const [files, setFiles] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [querySuggestions, setQuerySuggestions] = useState([]);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
   const [searchResults, setSearchResults] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
   const [uploadedScreenshots, setUploadedScreenshots] = useState([]);
   const [uploadSummary, setUploadSummary] = useState(null);
   const [uploadErrors, setUploadErrors] = useState([]);
+  const [uploadBatch, setUploadBatch] = useState(null);
+  const batchPollingRef = useRef(null);
+  const [collapseDuplicates, setCollapseDuplicates] = useState(false);
   const [searchFilters, setSearchFilters] = useState({
     minConfidence: 0.1,
     folder: "",
@@ -150,23 +234,13 @@ function VisualMemory() {
         }
       );
 
-      setUploadedScreenshots((prev) => [...prev, ...response.data.files]);
-      setUploadSummary(response.data.summary);
-      setUploadErrors(response.data.errors || []);
+      // Analysis runs in the background; follow it file by file
+      const batch = response.data.batch;
+      setUploadBatch(batch);
+      setUploadSummary(batch.summary);
       setFiles([]);
-
-      // Show success message with details
-      const summary = response.data.summary;
-      const message =
-        `Upload completed successfully!\n\n` +
-        `📁 Total files: ${summary.totalFiles}\n` +
-        `✅ Successfully processed: ${summary.successfullyProcessed}\n` +
-        `❌ Processing errors: ${summary.processingErrors}\n` +
-        (summary.folderStructure.hasFolders
-          ? `📂 Folders detected: ${summary.folderStructure.folders.join(", ")}`
-          : "📁 No folders detected");
-
-      alert(message);
+      loadScreenshots();
+      pollUploadBatch(batch.id);
     } catch (error) {
       console.error("Upload error:", error);
       const errorMessage =
@@ -179,12 +253,113 @@ function VisualMemory() {
     }
   };
 
+  const pollUploadBatch = (batchId) => {
+    clearInterval(batchPollingRef.current);
+
+    batchPollingRef.current = setInterval(async () => {
+      try {
+        const response = await api.get(
+          `/api/visual-memory/upload-batch/${batchId}`
+        );
+        const batch = response.data.batch;
+        setUploadBatch(batch);
+        setUploadSummary(batch.summary);
+        setUploadErrors(batch.errors || []);
+
+        if (batch.status === "processing") return;
+
+        clearInterval(batchPollingRef.current);
+        loadScreenshots();
+
+        // Show completion message with details
+        const summary = batch.summary;
+        const message =
+          `Upload analysis finished!\n\n` +
+          `📁 Total files: ${summary.totalFiles}\n` +
+          `✅ Successfully processed: ${summary.successfullyProcessed}\n` +
+          `❌ Processing errors: ${summary.processingErrors}\n` +
+          (summary.folderStructure.hasFolders
+            ? `📂 Folders detected: ${summary.folderStructure.folders.join(
+                ", "
+              )}`
+            : "📁 No folders detected");
+
+        alert(message);
+      } catch (error) {
+        console.error("Upload batch status error:", error);
+        clearInterval(batchPollingRef.current);
+        loadScreenshots();
+        alert(
+          error.response?.status === 404
+            ? "Lost track of this upload: the server no longer knows the batch, " +
+                "probably because it restarted. Check All Images for each " +
+                "screenshot's analysis status."
+            : "Couldn't check the upload's analysis progress. Check All " +
+                "Images for each screenshot's analysis status."
+        );
+      }
+    }, 1000); // Poll every second
+  };
+
+  useEffect(() => {
+    return () => clearInterval(batchPollingRef.current);
+  }, []);
+
+  // Field names and known values for search autocomplete
+  useEffect(() => {
+    if (activeTab !== "search") return;
+    api
+      .get("/api/visual-memory/storage-info")
+      .then((response) => setStorageInfo(response.data))
+      .catch((error) => console.error("Error loading storage info:", error));
+  }, [activeTab]);
+
+  const handleSearchQueryChange = (value) => {
+    setSearchQuery(value);
+    setQuerySuggestions(getQuerySuggestions(value, storageInfo));
+    setActiveSuggestion(-1);
+  };
+
+  const applyQuerySuggestion = (suggestion) => {
+    const value =
+      searchQuery.slice(0, searchQuery.length - suggestion.replace) +
+      suggestion.insert;
+    setSearchQuery(value);
+    setQuerySuggestions(getQuerySuggestions(value, storageInfo));
+    setActiveSuggestion(-1);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (querySuggestions.length > 0) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setActiveSuggestion(
+          (prev) =>
+            (prev + step + querySuggestions.length) % querySuggestions.length
+        );
+        return;
+      }
+      if (e.key === "Tab" || (e.key === "Enter" && activeSuggestion >= 0)) {
+        e.preventDefault();
+        applyQuerySuggestion(querySuggestions[Math.max(activeSuggestion, 0)]);
+        return;
+      }
+      if (e.key === "Escape") {
+        setQuerySuggestions([]);
+        return;
+      }
+    }
+    if (e.key === "Enter") handleSearch();
+  };
+
   const handleSearch = async () => {
     if (!searchQuery.trim()) {
       alert("Please enter a search query");
       return;
     }
 
+    setQuerySuggestions([]);
     setIsSearching(true);
     try {
       const response = await api.post("/api/visual-memory/search", {
@@ -196,7 +371,11 @@ function VisualMemory() {
       setSearchStats(response.data.searchStats);
     } catch (error) {
       console.error("Search error:", error);
-      alert("Search failed");
+      alert(
+        error.response?.status === 400
+          ? `${error.response.data.error}: ${error.response.data.details}`
+          : "Search failed"
+      );
     } finally {
       setIsSearching(false);
     }
@@ -242,18 +421,41 @@ function VisualMemory() {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
   };
 
-  const loadScreenshots = async () => {
+  const loadScreenshots = useCallback(async () => {
     try {
-      const response = await api.get("/api/visual-memory/screenshots");
+      const response = await api.get("/api/visual-memory/screenshots", {
+        params: collapseDuplicates ? { collapse: true } : {},
+      });
       setUploadedScreenshots(response.data.screenshots);
     } catch (error) {
       console.error("Error loading screenshots:", error);
     }
-  };
+  }, [collapseDuplicates]);
 
   React.useEffect(() => {
     loadScreenshots();
-  }, []);
+  }, [loadScreenshots]);
+
+  const handleResolveDuplicates = async (screenshot) => {
+    const count = screenshot.duplicates.length;
+    const noun = count === 1 ? "near-duplicate" : "near-duplicates";
+    const name = screenshot.originalName || screenshot.filename;
+    if (!window.confirm(`Keep "${name}" and delete its ${count} ${noun}?`)) {
+      return;
+    }
+
+    try {
+      await api.post("/api/visual-memory/duplicates/resolve", {
+        keepId: screenshot.id,
+      });
+      loadScreenshots();
+    } catch (error) {
+      console.error("Error resolving duplicates:", error);
+      alert(
+        error.response?.data?.error || "Failed to delete near-duplicate images"
+      );
+    }
+  };
 
   const getFileTypeIcon = (filename) => {
     const ext = filename.split(".").pop().toLowerCase();
@@ -386,6 +588,14 @@ function VisualMemory() {
                     {uploadSummary.processingErrors}
                   </span>
                 </div>
+                {uploadSummary.duplicatesSkipped > 0 && (
+                  <div className="summary-item">
+                    <span className="summary-label">Duplicates Skipped:</span>
+                    <span className="summary-value">
+                      {uploadSummary.duplicatesSkipped}
+                    </span>
+                  </div>
+                )}
                 {uploadSummary.folderStructure.hasFolders && (
                   <div className="summary-item">
                     <span className="summary-label">Folders:</span>
@@ -398,6 +608,44 @@ function VisualMemory() {
             </div>
           )}
 
+          {uploadBatch && (
+            <div className="upload-progress">
+              <h3>
+                {uploadBatch.status === "processing"
+                  ? `Analyzing... ${uploadBatch.progress.percent}%`
+                  : "Analysis Complete"}
+              </h3>
+              <div className="progress-bar">
+                <div
+                  className="progress-fill"
+                  style={{ width: `${uploadBatch.progress.percent}%` }}
+                ></div>
+              </div>
+              <div className="file-status-list">
+                {uploadBatch.files.map((file, index) => (
+                  <div key={file.id || index} className="file-status-item">
+                    <span className="file-name">{file.originalName}</span>
+                    <span className={`file-status status-${file.status}`}>
+                      {file.status}
+                      {file.attempts > 1 ? ` (attempt ${file.attempts})` : ""}
+                    </span>
+                    {file.duplicateOf && (
+                      <span className="duplicate-note">already stored</span>
+                    )}
+                    {file.nearDuplicateOf && (
+                      <span className="duplicate-note">
+                        similar to a stored image
+                      </span>
+                    )}
+                    {file.error && file.status !== "completed" && (
+                      <span className="error-message">{file.error}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {uploadErrors.length > 0 && (
             <div className="upload-errors">
               <h3>Processing Errors ({uploadErrors.length})</h3>
@@ -422,11 +670,30 @@ function VisualMemory() {
             <input
               type="text"
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              placeholder="e.g., 'error message about auth' OR 'screenshot with blue button' OR 'neon sign'"
+              onChange={(e) => handleSearchQueryChange(e.target.value)}
+              placeholder={`e.g., 'error message about auth' OR 'folder:billing color:red uploaded:>2025-06-01 text:"404"'`}
               className="search-input"
-              onKeyPress={(e) => e.key === "Enter" && handleSearch()}
+              onKeyDown={handleSearchKeyDown}
+              onBlur={() => setQuerySuggestions([])}
             />
+            {querySuggestions.length > 0 && (
+              <ul className="query-suggestions">
+                {querySuggestions.map((suggestion, index) => (
+                  <li
+                    key={suggestion.insert}
+                    className={index === activeSuggestion ? "active" : ""}
+                    // mousedown, so the input doesn't blur and close the list first
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      applyQuerySuggestion(suggestion);
+                    }}
+                  >
+                    <span className="suggestion-label">{suggestion.label}</span>
+                    <span className="suggestion-hint">{suggestion.hint}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
             <button
               onClick={handleSearch}
               disabled={isSearching}
@@ -461,6 +728,24 @@ function VisualMemory() {
                   {(searchStats.averageConfidence * 100).toFixed(1)}%
                 </span>
               </div>
+              {searchStats.parsedQuery?.filter && (
+                <div className="stat-item">
+                  <span className="stat-label">Filter:</span>
+                  <span className="stat-value">
+                    {searchStats.parsedQuery.filter}
+                  </span>
+                </div>
+              )}
+              {searchStats.semantic && (
+                <div className="stat-item">
+                  <span className="stat-label">Semantic:</span>
+                  <span className="stat-value">
+                    {searchStats.semantic.enabled
+                      ? `${searchStats.semantic.provider} (${searchStats.semantic.indexedEntities} indexed)`
+                      : "off"}
+                  </span>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -509,7 +794,7 @@ function VisualMemory() {
                 {/* Thumbnail */}
                 <div className="result-thumbnail">
                   <img
-                    src={`${apiConfig.baseURL}/api/visual-memory/thumbnail/${result.id}`}
+                    src={`${apiConfig.baseURL}/api/visual-memory/thumbnail/${result.id}?w=320`}
                     alt={result.originalName || result.filename}
                     onError={(e) => {
                       e.target.style.display = "none";
@@ -571,6 +856,17 @@ function VisualMemory() {
                         </ul>
                       </div>
                     )}
+
+                    {result.semanticMatches?.length > 0 && (
+                      <div className="match-section semantic-matches">
+                        <strong>🧠 Semantic Matches:</strong>
+                        <ul>
+                          {result.semanticMatches.map((match, i) => (
+                            <li key={i}>{match}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                   </div>
 
                   {/* Metadata */}
@@ -654,6 +950,14 @@ function VisualMemory() {
       {activeTab === "allImages" && (
         <div className="section all-images-section">
           <h2>All Uploaded Images ({uploadedScreenshots.length})</h2>
+          <label className="collapse-toggle">
+            <input
+              type="checkbox"
+              checked={collapseDuplicates}
+              onChange={(e) => setCollapseDuplicates(e.target.checked)}
+            />
+            Collapse near-duplicates
+          </label>
 
           {uploadedScreenshots.length === 0 ? (
             <div className="no-images-message">
@@ -670,7 +974,7 @@ function VisualMemory() {
                 <div key={screenshot.id || index} className="image-card">
                   <div className="image-thumbnail">
                     <img
-                      src={`${apiConfig.baseURL}/api/visual-memory/thumbnail/${screenshot.id}`}
+                      src={`${apiConfig.baseURL}/api/visual-memory/thumbnail/${screenshot.id}?w=320`}
                       alt={screenshot.originalName || screenshot.filename}
                       onError={(e) => {
                         e.target.style.display = "none";
@@ -701,6 +1005,10 @@ function VisualMemory() {
                     <div className="image-status">
                       {screenshot.processed ? (
                         <span className="status processed">✅ Processed</span>
+                      ) : ["queued", "processing", "retrying"].includes(
+                          screenshot.status
+                        ) ? (
+                        <span className="status pending">⏳ Analyzing...</span>
                       ) : (
                         <span className="status error">
                           ❌ Processing Failed
@@ -708,6 +1016,21 @@ function VisualMemory() {
                       )}
                     </div>
 
+                    {screenshot.duplicates?.length > 0 && (
+                      <div className="duplicate-group">
+                        <span className="duplicate-count">
+                          +{screenshot.duplicates.length} near-duplicate
+                          {screenshot.duplicates.length === 1 ? "" : "s"}
+                        </span>
+                        <button
+                          className="resolve-duplicates-btn"
+                          onClick={() => handleResolveDuplicates(screenshot)}
+                        >
+                          Keep this, delete the rest
+                        </button>
+                      </div>
+                    )}
+
                     {screenshot.processed && screenshot.metadata && (
                       <div className="image-metadata">
                         <div className="metadata-item">